@@ -1,7 +1,7 @@
 /* global VacationMonitor API client */
 window.api = (() => {
-  async function req(method, url, body) {
-    const opts = { method, credentials: 'include', headers: {} };
+  async function req(method, url, body, headers = {}) {
+    const opts = { method, credentials: 'include', headers: { ...headers } };
     if (body !== undefined) {
       opts.headers['Content-Type'] = 'application/json';
       opts.body = JSON.stringify(body);
@@ -27,7 +27,7 @@ window.api = (() => {
   return {
     get:   (url)       => req('GET',    url),
     post:  (url, body) => req('POST',   url, body),
-    patch: (url, body) => req('PATCH',  url, body),
+    patch: (url, body, headers) => req('PATCH',  url, body, headers),
     del:   (url)       => req('DELETE', url),
   };
 })();
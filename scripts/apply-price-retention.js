@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Import services
+import databaseService from '../src/services/database.service.js';
+import priceRetentionService from '../src/services/price-retention.service.js';
+
+/**
+ * Apply price history retention policies
+ * Raw price rows older than the search's (or owner's) rawDays are downsampled
+ * to daily min/avg/max rows per hotel.
+ *
+ * Usage: npm run retention [-- --dry-run]
+ */
+async function applyPriceRetention() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log(`🚀 Applying price retention policies${dryRun ? ' (dry run — nothing will be written)' : ''}...\n`);
+
+    await databaseService.initialize();
+    console.log('✅ Storage connected\n');
+
+    const report = await priceRetentionService.applyAll({ dryRun });
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`✅ Price retention ${dryRun ? 'dry run ' : ''}completed!\n`);
+    console.log('📊 Summary:');
+    console.log(`   Searches scanned: ${report.searchesScanned}`);
+    console.log(`   Searches with a policy: ${report.searchesWithPolicy}`);
+    console.log(`   Days downsampled: ${report.daysDownsampled}`);
+    console.log(`   Raw rows ${dryRun ? 'to remove' : 'removed'}: ${report.rawRowsRemoved}`);
+    console.log(`   Daily rows ${dryRun ? 'to write' : 'written'}: ${report.rollupsWritten}`);
+    console.log(`   Failures: ${report.failures.length}`);
+    for (const failure of report.failures) {
+      console.log(`   ❌ ${failure.searchId}: ${failure.error}`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (report.failures.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n❌ Price retention failed:');
+    console.error(error.message);
+    console.error('\nStack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run
+applyPriceRetention();
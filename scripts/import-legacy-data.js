@@ -17,8 +17,9 @@ import BookingURLParser from '../src/parsers/booking-url-parser.js';
 const urlParser = new BookingURLParser();
 
 /**
- * Migrate existing file-based data to Cosmos DB
- * Converts CSV prices and JSON conversations to database records
+ * Import existing file-based data from the old monolith into Cosmos DB (one-shot)
+ * Converts CSV prices and JSON conversations to database records.
+ * Schema changes to documents already in Cosmos DB are migrations instead (npm run migrate).
  */
 async function migrateData() {
   try {
@@ -103,7 +104,7 @@ async function migrateData() {
     console.log('📝 Migrating price history from CSV...');
     const csvPath = path.join(__dirname, '..', 'data', 'booking_prices.csv');
     
-    let priceCount = 0;
+    const priceReport = { created: 0, existing: 0, failed: [] };
     try {
       const csvData = readFileSync(csvPath, 'utf-8');
       const records = parse(csvData, {
@@ -117,9 +118,9 @@ async function migrateData() {
         if (!defaultSearchId) {
           console.log('⚠️  No search created, skipping price migration');
         } else {
-          // Convert CSV records to price documents
-          const prices = records.map(record => ({
-            id: `price_${nanoid(16)}`,
+          // Convert CSV records to price documents. No ids: they are derived from
+          // the hotel, extractedAt and the CSV row, so re-importing writes the same rows
+          const prices = records.map((record, position) => ({
             searchId: defaultSearchId,
             userId: defaultUserId,
             hotelName: record['Hotel Name'] || record.hotelName,
@@ -133,19 +134,25 @@ async function migrateData() {
             hotelUrl: record['Hotel URL'] || record.hotelUrl,
             extractedAt: record['Extracted At'] || record.extractedAt,
             searchDestination: record['Search Destination'] || record.searchDestination,
-            searchDate: record['Search Date'] || record.searchDate
+            searchDate: record['Search Date'] || record.searchDate,
+            position
           }));
 
           // Import in batches of 100
           const batchSize = 100;
           for (let i = 0; i < prices.length; i += batchSize) {
             const batch = prices.slice(i, i + batchSize);
-            await cosmosDBService.createPrices(batch);
-            priceCount += batch.length;
-            console.log(`   Imported ${priceCount}/${prices.length} prices...`);
+            const report = await cosmosDBService.writePrices(batch);
+            priceReport.created += report.created;
+            priceReport.existing += report.existing;
+            priceReport.failed.push(...report.failed);
+            for (const failure of report.failed) {
+              console.log(`   ⚠️  Price ${failure.id} failed (${failure.statusCode}): ${failure.error}`);
+            }
+            console.log(`   Processed ${i + batch.length}/${prices.length} prices...`);
           }
 
-          console.log(`✅ Imported ${priceCount} price records\n`);
+          console.log(`${priceReport.failed.length > 0 ? '⚠️ ' : '✅'} Imported ${priceReport.created} price records (${priceReport.existing} already present, ${priceReport.failed.length} failed)\n`);
         }
       } else {
         console.log('⚠️  No price records found in CSV\n');
@@ -175,19 +182,31 @@ async function migrateData() {
 
     // ==================== SUMMARY ====================
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('✅ Data migration completed successfully!\n');
+    console.log(priceReport.failed.length > 0
+      ? '⚠️  Data migration completed with failures\n'
+      : '✅ Data migration completed successfully!\n');
     console.log('📊 Summary:');
     console.log(`   Users created: 1`);
     console.log(`   Searches created: ${defaultSearchId ? 1 : 0}`);
-    console.log(`   Prices imported: ${priceCount}`);
+    console.log(`   Prices imported: ${priceReport.created}`);
+    console.log(`   Prices already present: ${priceReport.existing}`);
+    console.log(`   Prices failed: ${priceReport.failed.length}`);
+    for (const failure of priceReport.failed) {
+      console.log(`   ❌ ${failure.id}: ${failure.error}`);
+    }
     console.log(`   Conversations imported: ${defaultSearchId ? 1 : 0}`);
     console.log('\n📝 Next steps:');
     console.log('   1. Start the web server: npm start');
     console.log('   2. Visit http://localhost:3000/auth/google to login');
-    console.log('   3. Start the worker: npm run worker');
-    console.log(`   4. Your migrated data is associated with: ${defaultUser.email}`);
+    console.log('   3. Run: npm run migrate (to apply schema migrations to the imported data)');
+    console.log('   4. Start the worker: npm run worker');
+    console.log(`   5. Your migrated data is associated with: ${defaultUser.email}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
+    if (priceReport.failed.length > 0) {
+      process.exit(1);
+    }
+
   } catch (error) {
     console.error('\n❌ Migration failed:');
     console.error(error.message);
@@ -56,7 +56,10 @@ const CONTAINER_DEFINITIONS = [
         { path: '/extractedAt/?' },
         { path: '/searchId/?' },
         { path: '/hotelName/?' },
-        { path: '/numericPrice/?' }
+        { path: '/numericPrice/?' },
+        { path: '/runId/?' },
+        { path: '/hotelKey/?' },
+        { path: '/granularity/?' }
       ],
       excludedPaths: [
         { path: '/*' }
@@ -111,6 +114,107 @@ const CONTAINER_DEFINITIONS = [
         { path: '/*' }
       ]
     }
+  },
+  {
+    id: 'runs',
+    partitionKey: '/searchId',
+    description: 'Extraction runs (one snapshot per scrape) per search',
+    throughput: 400,
+    indexingPolicy: {
+      indexingMode: 'consistent',
+      automatic: true,
+      includedPaths: [
+        { path: '/searchId/?' },
+        { path: '/status/?' },
+        { path: '/startedAt/?' },
+        { path: '/finishedAt/?' },
+        { path: '/alertsEvaluatedAt/?' }
+      ],
+      excludedPaths: [
+        { path: '/*' }
+      ]
+    }
+  },
+  {
+    id: 'accountDeletions',
+    partitionKey: '/userId',
+    description: 'Account erasure progress and deletion reports',
+    throughput: 400,
+    indexingPolicy: {
+      indexingMode: 'consistent',
+      automatic: true,
+      includedPaths: [
+        { path: '/status/?' }
+      ],
+      excludedPaths: [
+        { path: '/*' }
+      ]
+    }
+  },
+  {
+    id: 'migrations',
+    partitionKey: '/id',
+    description: 'Applied schema migrations (see scripts/migrate.js)',
+    throughput: 400,
+    indexingPolicy: {
+      indexingMode: 'consistent',
+      automatic: true,
+      includedPaths: [
+        { path: '/*' }
+      ],
+      excludedPaths: []
+    }
+  },
+  {
+    id: 'searchRevisions',
+    partitionKey: '/searchId',
+    description: 'Field-level change history of searches (PATCH /api/searches/:id)',
+    throughput: 400,
+    indexingPolicy: {
+      indexingMode: 'consistent',
+      automatic: true,
+      includedPaths: [
+        { path: '/changedAt/?' }
+      ],
+      excludedPaths: [
+        { path: '/*' }
+      ]
+    }
+  },
+  {
+    id: 'alertEvents',
+    partitionKey: '/searchId',
+    description: 'Sent price alerts per search (deduplication and history)',
+    throughput: 400,
+    indexingPolicy: {
+      indexingMode: 'consistent',
+      automatic: true,
+      includedPaths: [
+        { path: '/ruleId/?' },
+        { path: '/createdAt/?' }
+      ],
+      excludedPaths: [
+        { path: '/*' }
+      ]
+    }
+  },
+  {
+    id: 'hotels',
+    partitionKey: '/id',
+    description: 'Hotel catalog keyed by Booking property (name aliases, last seen)',
+    throughput: 400,
+    indexingPolicy: {
+      indexingMode: 'consistent',
+      automatic: true,
+      includedPaths: [
+        { path: '/name/?' },
+        { path: '/aliases/[]/?' },
+        { path: '/lastSeenAt/?' }
+      ],
+      excludedPaths: [
+        { path: '/*' }
+      ]
+    }
   }
 ];
 
@@ -178,7 +282,7 @@ async function initializeCosmosDB() {
     console.log('\n📝 Next steps:');
     console.log('   1. Update your .env file with additional required variables (Google OAuth, Service Bus)');
     console.log('   2. Run: npm install (to install new dependencies)');
-    console.log('   3. Run: npm run migrate (to import existing data)');
+    console.log('   3. Run: npm run migrate (to apply schema migrations)');
     console.log('   4. Run: npm start (to start the web server)');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
@@ -0,0 +1,90 @@
+import { ServiceBusAdministrationClient } from '@azure/service-bus';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Import services
+import { laneQueueNames } from '../src/services/service-bus-queue.service.js';
+
+// Queue settings copied from the main queue to lane queues
+const COPIED_QUEUE_SETTINGS = [
+  'lockDuration',
+  'maxDeliveryCount',
+  'maxSizeInMegabytes',
+  'defaultMessageTimeToLive',
+  'deadLetteringOnMessageExpiration',
+  'requiresDuplicateDetection',
+  'duplicateDetectionHistoryTimeWindow'
+];
+
+/**
+ * Provision the Service Bus queues of the job lanes
+ * Creates the main queue (AZURE_SERVICE_BUS_QUEUE_NAME) if it doesn't exist, then
+ * every lane queue configured with AZURE_SERVICE_BUS_MANUAL_QUEUE_NAME or
+ * AZURE_SERVICE_BUS_BACKFILL_QUEUE_NAME, with the main queue's settings.
+ * Lanes without a queue of their own share the main queue; nothing is created for them.
+ *
+ * Usage: npm run init-queues
+ */
+async function initializeServiceBus() {
+  try {
+    const connectionString = process.env.AZURE_SERVICE_BUS_CONNECTION_STRING;
+    if (!connectionString) {
+      throw new Error('Missing required environment variable: AZURE_SERVICE_BUS_CONNECTION_STRING');
+    }
+
+    const adminClient = new ServiceBusAdministrationClient(connectionString);
+    const queueNames = laneQueueNames();
+    const mainQueue = queueNames.scheduled;
+
+    console.log('🚀 Initializing Service Bus queues...\n');
+
+    if (await adminClient.queueExists(mainQueue)) {
+      console.log(`✓ Queue "${mainQueue}" already exists (scheduled)`);
+    } else {
+      await adminClient.createQueue(mainQueue);
+      console.log(`✅ Created queue "${mainQueue}" (scheduled)`);
+    }
+
+    const mainProperties = await adminClient.getQueue(mainQueue);
+    const settings = Object.fromEntries(COPIED_QUEUE_SETTINGS.map(name => [name, mainProperties[name]]));
+
+    let created = 0;
+    for (const [lane, queueName] of Object.entries(queueNames)) {
+      if (queueName === mainQueue) {
+        console.log(`✓ Lane "${lane}" uses the main queue`);
+        continue;
+      }
+
+      if (await adminClient.queueExists(queueName)) {
+        console.log(`✓ Queue "${queueName}" already exists (${lane})`);
+        continue;
+      }
+
+      await adminClient.createQueue(queueName, settings);
+      created++;
+      console.log(`✅ Created queue "${queueName}" (${lane})`);
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('✅ Service Bus initialization completed successfully!\n');
+    console.log('📊 Summary:');
+    console.log(`   Queues: ${new Set(Object.values(queueNames)).size}`);
+    console.log(`   Lane queues created: ${created}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  } catch (error) {
+    console.error('\n❌ Error initializing Service Bus:');
+    console.error(error.message);
+    console.error('\nStack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run initialization
+initializeServiceBus();
@@ -0,0 +1,81 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Import services
+import databaseService from '../src/services/database.service.js';
+import migrationService from '../src/services/migration.service.js';
+
+/**
+ * Run schema migrations from src/migrations
+ *
+ * Usage:
+ *   npm run migrate                          Apply all pending migrations
+ *   npm run migrate -- up --to 001-...      Apply pending migrations up to and including one
+ *   npm run migrate -- down                 Roll back the latest applied migration
+ *   npm run migrate -- down --to 001-...    Roll back every migration after one
+ *   npm run migrate -- status               List migrations and whether they are applied
+ *   Add --dry-run to report what up/down would change without writing
+ */
+async function migrate() {
+  try {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const toIndex = args.indexOf('--to');
+    const to = toIndex !== -1 ? args[toIndex + 1] : null;
+    const [command = 'up'] = args.filter((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--to');
+
+    if (!['up', 'down', 'status'].includes(command)) {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+
+    await databaseService.initialize();
+    console.log('✅ Storage connected\n');
+
+    if (command === 'status') {
+      const migrations = await migrationService.status();
+      console.log('📋 Migrations:');
+      for (const migration of migrations) {
+        const state = migration.applied ? `✅ applied ${migration.appliedAt}` : '⏳ pending';
+        console.log(`   ${migration.id}  ${state}${migration.changed ? '  ⚠️  file changed since applied' : ''}`);
+        console.log(`      ${migration.description}`);
+      }
+      if (migrations.length === 0) {
+        console.log('   (none)');
+      }
+      return;
+    }
+
+    console.log(`🚀 Running migrations ${command}${to ? ` --to ${to}` : ''}${dryRun ? ' (dry run — nothing will be written)' : ''}...\n`);
+
+    const results = command === 'up'
+      ? await migrationService.up({ dryRun, to })
+      : await migrationService.down({ dryRun, to });
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (results.length === 0) {
+      console.log(command === 'up' ? '✅ No pending migrations\n' : '✅ Nothing to roll back\n');
+    }
+    for (const { id, result, durationMs } of results) {
+      console.log(`✅ ${id} (${durationMs} ms)`);
+      for (const [key, value] of Object.entries(result)) {
+        console.log(`   ${key}: ${value}`);
+      }
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:');
+    console.error(error.message);
+    console.error('\nStack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run
+migrate();
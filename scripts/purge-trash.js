@@ -0,0 +1,64 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Import services
+import databaseService from '../src/services/database.service.js';
+import searchTrashService from '../src/services/search-trash.service.js';
+
+/**
+ * Purge expired searches from the trash
+ * Searches deleted more than SEARCH_TRASH_RETENTION_DAYS ago are removed for good,
+ * with their shares, prices, runs, revisions, jobs and conversation. The web server
+ * does this on a timer as well; this script runs it on demand.
+ *
+ * Usage: npm run purge-trash [-- --dry-run]
+ */
+async function purgeTrash() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log(`🚀 Purging expired searches from the trash${dryRun ? ' (dry run — nothing will be deleted)' : ''}...\n`);
+
+    await databaseService.initialize();
+    console.log('✅ Storage connected\n');
+
+    const report = await searchTrashService.purgeExpired({ dryRun });
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`✅ Trash purge ${dryRun ? 'dry run ' : ''}completed!\n`);
+    console.log('📊 Summary:');
+    console.log(`   Retention: ${report.retentionDays} days (deleted before ${report.cutoff})`);
+    console.log(`   Searches ${dryRun ? 'to purge' : 'purged'}: ${report.searchesPurged}`);
+    if (!dryRun) {
+      console.log(`   Prices deleted: ${report.pricesDeleted}`);
+      console.log(`   Runs deleted: ${report.runsDeleted}`);
+      console.log(`   Revisions deleted: ${report.revisionsDeleted}`);
+      console.log(`   Alert events deleted: ${report.alertEventsDeleted}`);
+      console.log(`   Jobs deleted: ${report.jobsDeleted}`);
+      console.log(`   Conversations deleted: ${report.conversationsDeleted}`);
+    }
+    console.log(`   Failures: ${report.failures.length}`);
+    for (const failure of report.failures) {
+      console.log(`   ❌ ${failure.searchId}: ${failure.error}`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (report.failures.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n❌ Trash purge failed:');
+    console.error(error.message);
+    console.error('\nStack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run
+purgeTrash();
@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Import services
+import databaseService from '../src/services/database.service.js';
+import accountDeletionService from '../src/services/account-deletion.service.js';
+
+/**
+ * Resume account deletions that failed or were interrupted
+ * Each deletion continues from its last completed step
+ */
+async function resumeAccountDeletions() {
+  try {
+    console.log('🚀 Resuming pending account deletions...\n');
+
+    await databaseService.initialize();
+    console.log('✅ Storage connected\n');
+
+    const results = await accountDeletionService.resumePendingDeletions();
+
+    if (results.length === 0) {
+      console.log('✅ No pending account deletions\n');
+      return;
+    }
+
+    for (const result of results) {
+      if (result.success) {
+        console.log(`✅ ${result.userId}: ${result.report.searchesDeleted} searches, ${result.report.pricesDeleted} prices deleted`);
+      } else {
+        console.log(`❌ ${result.userId}: ${result.error}`);
+      }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📊 Completed: ${results.length - failed}, Failed: ${failed}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n❌ Resuming account deletions failed:');
+    console.error(error.message);
+    console.error('\nStack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run
+resumeAccountDeletions();
@@ -11,7 +11,12 @@ import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 
 // Import services
-import cosmosDBService from './services/cosmos-db.service.js';
+import databaseService, { getStorageBackendName, getCacheStats } from './services/database.service.js';
+import searchTrashService from './services/search-trash.service.js';
+import jobQueueService, { getQueueBackendName } from './services/job-queue.service.js';
+import lifecycleService from './services/lifecycle.service.js';
+import localJobRunnerService from './services/local-job-runner.service.js';
+import alertService from './services/alert.service.js';
 
 // Import middleware
 import { errorHandler, notFoundHandler } from './middleware/error-handler.middleware.js';
@@ -21,6 +26,10 @@ import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/users.routes.js';
 import searchRoutes from './routes/searches.routes.js';
 import priceRoutes from './routes/prices.routes.js';
+import jobRoutes from './routes/jobs.routes.js';
+import alertRoutes from './routes/alerts.routes.js';
+import watchlistRoutes from './routes/watchlist.routes.js';
+import adminRoutes from './routes/admin.routes.js';
 
 const require = createRequire(import.meta.url);
 const logger = require('./logger.cjs');
@@ -41,14 +50,20 @@ const termsOfServiceTemplate = readFileSync(join(__dirname, 'views', 'terms-of-s
  */
 function validateEnvironmentVariables() {
   const requiredVars = [
-    'COSMOS_ENDPOINT',
-    'COSMOS_KEY',
-    'COSMOS_DATABASE_NAME',
-    'AZURE_SERVICE_BUS_CONNECTION_STRING',
     'GOOGLE_OAUTH_CLIENT_ID',
     'GOOGLE_OAUTH_CLIENT_SECRET'
   ];
 
+  // Service Bus settings are only needed when it is the queue driver
+  if (getQueueBackendName() === 'servicebus') {
+    requiredVars.unshift('AZURE_SERVICE_BUS_CONNECTION_STRING');
+  }
+
+  // Cosmos DB settings are only needed when it is the storage backend
+  if (getStorageBackendName() === 'cosmos') {
+    requiredVars.unshift('COSMOS_ENDPOINT', 'COSMOS_KEY', 'COSMOS_DATABASE_NAME');
+  }
+
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
 
   if (missingVars.length > 0) {
@@ -215,19 +230,34 @@ export async function buildApp(opts = {}) {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         environment: process.env.NODE_ENV || 'development',
-        note: 'Scheduler has been moved to Worker project'
+        note: 'Scheduler has been moved to Worker project',
+        ready: lifecycleService.isReady(),
+        cache: getCacheStats()
       };
     });
 
+    // Readiness probe: 503 while starting up or shutting down, so load balancers stop routing here first
+    app.get('/health/ready', async (request, reply) => {
+      if (!lifecycleService.isReady()) {
+        return reply.code(503).send({ status: 'not_ready', timestamp: new Date().toISOString() });
+      }
+      return { status: 'ready', timestamp: new Date().toISOString() };
+    });
+
+    // ==================== ERROR HANDLING ====================
+    // Set before the routes are registered: awaited plugins capture the handler at registration
+    app.setErrorHandler(errorHandler);
+    app.setNotFoundHandler(notFoundHandler);
+
     // ==================== ROUTES ====================
     await app.register(authRoutes);
     await app.register(userRoutes);
     await app.register(searchRoutes);
     await app.register(priceRoutes);
-
-    // ==================== ERROR HANDLING ====================
-    app.setErrorHandler(errorHandler);
-    app.setNotFoundHandler(notFoundHandler);
+    await app.register(jobRoutes);
+    await app.register(alertRoutes);
+    await app.register(watchlistRoutes);
+    await app.register(adminRoutes);
 
     logger.info('Fastify app configured successfully');
 
@@ -246,13 +276,24 @@ export async function startServer() {
   try {
     logger.info('Starting VacationMonitor Web Server...');
 
-    // Initialize Cosmos DB
-    logger.info('Initializing Cosmos DB connection...');
-    await cosmosDBService.initialize();
+    // Initialize storage backend (Cosmos DB or local)
+    logger.info('Initializing storage backend...', { backend: getStorageBackendName() });
+    await databaseService.initialize();
+
+    // The queue driver connects lazily on the first enqueue
+    logger.info('Job queue driver selected', { queue: getQueueBackendName() });
 
     // Build app
     const app = await buildApp();
 
+    // Shutdown (after the readiness delay): stop the timers, drain requests, let enqueues finish, then close clients
+    lifecycleService.registerShutdownHook('trash purge timer', () => searchTrashService.stopPurgeTimer(), { phase: 'drain' });
+    lifecycleService.registerShutdownHook('alert evaluation timer', () => alertService.stopEvaluationTimer(), { phase: 'drain' });
+    lifecycleService.registerShutdownHook('local job runner', () => localJobRunnerService.stop(), { phase: 'drain' });
+    lifecycleService.registerShutdownHook('http server', () => app.close(), { phase: 'drain' });
+    lifecycleService.registerShutdownHook('job queue', () => jobQueueService.close());
+    lifecycleService.registerShutdownHook('database', () => databaseService.close());
+
     // Start server
     const port = parseInt(process.env.PORT || '3000', 10);
     const host = process.env.HOST || '0.0.0.0';
@@ -262,7 +303,18 @@ export async function startServer() {
     logger.info(`🚀 Server listening on http://${host}:${port}`);
     logger.info(`📊 Health check: http://${host}:${port}/health`);
     logger.info(`🔐 Google OAuth: http://${host}:${port}/auth/google`);
-    
+
+    // Purge expired searches from the trash in the background
+    searchTrashService.startPurgeTimer();
+
+    // Evaluate alert rules against the runs the Worker completes
+    alertService.startEvaluationTimer();
+
+    // With the local queue, no separate Worker can reach the jobs: run them here
+    await localJobRunnerService.start();
+
+    lifecycleService.markReady();
+
     return app;
 
   } catch (error) {
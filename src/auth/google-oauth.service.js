@@ -1,5 +1,5 @@
 import { nanoid } from 'nanoid';
-import cosmosDBService from '../services/cosmos-db.service.js';
+import databaseService from '../services/database.service.js';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -21,23 +21,21 @@ class GoogleOAuthService {
       const { sub: googleId, email, name, picture } = googleProfile;
 
       // Check if user exists by Google ID
-      let user = await cosmosDBService.getUserByGoogleId(googleId);
+      let user = await databaseService.getUserByGoogleId(googleId);
 
       if (user) {
         // Update existing user
-        user = await cosmosDBService.upsertUser({
-          id: user.id,
+        // Only refresh profile fields, so settings saved concurrently are not overwritten
+        user = await databaseService.updateUser(user.id, {
           email: email,
           displayName: name,
-          googleId: googleId,
-          photoURL: picture,
-          emailPreferences: user.emailPreferences
+          photoURL: picture
         });
         logger.info('User logged in', { userId: user.id, email });
       } else {
         // Create new user
         const userId = `user_${nanoid(16)}`;
-        user = await cosmosDBService.upsertUser({
+        user = await databaseService.upsertUser({
           id: userId,
           email: email,
           displayName: name,
@@ -107,7 +105,7 @@ class GoogleOAuthService {
     }
 
     try {
-      const user = await cosmosDBService.getUser(token.userId);
+      const user = await databaseService.getUser(token.userId);
       return user;
     } catch (error) {
       logger.error('Failed to get user from token', { userId: token.userId, error: error.message });
@@ -47,6 +47,10 @@ let gracefulShutdownInProgress = false;
 
 /**
  * Handle graceful shutdown
+ * The lifecycle service flips readiness, waits SHUTDOWN_READINESS_DELAY_MS,
+ * then drains in-flight requests, waits for enqueues in progress and closes
+ * the queue and database clients, all within SHUTDOWN_TIMEOUT_MS. A second
+ * signal forces the exit.
  */
 async function handleShutdown(signal) {
   if (gracefulShutdownInProgress) {
@@ -57,19 +61,18 @@ async function handleShutdown(signal) {
   gracefulShutdownInProgress = true;
   logger.info(`${signal} received, initiating graceful shutdown...`);
 
-  // Set a timeout to force exit if graceful shutdown takes too long
-  const shutdownTimeout = setTimeout(() => {
-    logger.error('Graceful shutdown timeout exceeded (10s), forcing exit');
-    process.exit(1);
-  }, 10000);
-
   try {
-    logger.info('✅ Graceful shutdown completed');
-    clearTimeout(shutdownTimeout);
-    process.exit(0);
+    const { default: lifecycleService } = await import('./services/lifecycle.service.js');
+    const clean = await lifecycleService.shutdown();
+
+    if (clean) {
+      logger.info('✅ Graceful shutdown completed');
+      process.exit(0);
+    }
+    logger.error('Graceful shutdown finished with errors or timed out');
+    process.exit(1);
   } catch (error) {
     logger.error('Error during graceful shutdown', { error: error.message });
-    clearTimeout(shutdownTimeout);
     process.exit(1);
   }
 }
@@ -85,3 +85,22 @@ export async function optionalAuth(request, reply) {
     logger.warn('Optional auth failed', { error: error.message });
   }
 }
+
+/**
+ * Admin-only middleware, used after `authenticate`
+ * Admins are the users whose email is listed in ADMIN_EMAILS (comma-separated).
+ */
+export async function requireAdmin(request, reply) {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!request.user || !admins.includes(request.user.email?.toLowerCase())) {
+    logger.warn('Admin access denied', { userId: request.user?.id, url: request.url });
+    return reply.code(403).send({
+      error: 'Forbidden',
+      message: 'Admin access required'
+    });
+  }
+}
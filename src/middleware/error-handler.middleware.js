@@ -40,6 +40,13 @@ export function errorHandler(error, request, reply) {
     });
   }
 
+  if (error.code === 412) {
+    return reply.code(412).send({
+      error: 'Precondition Failed',
+      message: 'Resource has been modified. Reload it and try again.'
+    });
+  }
+
   // Handle rate limiting
   if (error.statusCode === 429) {
     return reply.code(429).send({
@@ -0,0 +1,109 @@
+import { createHash } from 'crypto';
+import { forEachDocument, forEachSearch } from './helpers.js';
+
+export const description = 'Group price rows written before extraction runs existed into completed legacy runs';
+
+/**
+ * Deterministic run ID for one legacy snapshot, so re-running the migration reuses it
+ * @param {string} searchId
+ * @param {string} extractedAt
+ */
+function legacyRunId(searchId, extractedAt) {
+  return `run_legacy_${createHash('sha1').update(`${searchId}|${extractedAt}`).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Legacy rows were written one scrape at a time with a shared extractedAt — the
+ * same grouping the old "latest = max extractedAt" lookup relied on. Each group
+ * becomes a completed run marked `legacy: true` and its rows get `runId` plus a
+ * `runIdBackfilled` marker, which is what down() reverts.
+ */
+export async function up({ db, dryRun, log }) {
+  const result = { searchesScanned: 0, runsCreated: 0, pricesUpdated: 0 };
+
+  await forEachSearch(db, async (search) => {
+    result.searchesScanned++;
+
+    const snapshots = new Map();
+    await forEachDocument(db, 'prices', search.id, async (price) => {
+      // Daily rollups (granularity) are not part of any snapshot
+      if (price.runId || price.granularity || !price.extractedAt) {
+        return;
+      }
+      if (!snapshots.has(price.extractedAt)) {
+        snapshots.set(price.extractedAt, []);
+      }
+      snapshots.get(price.extractedAt).push(price);
+    });
+
+    for (const [extractedAt, rows] of snapshots) {
+      const runId = legacyRunId(search.id, extractedAt);
+
+      if (!dryRun) {
+        if (!(await db.getRun(search.id, runId))) {
+          await db.replaceDocument('runs', {
+            id: runId,
+            searchId: search.id, // Partition key
+            userId: search.userId,
+            jobId: null,
+            status: 'completed',
+            startedAt: extractedAt,
+            finishedAt: extractedAt,
+            hotelCount: new Set(rows.map(row => row.hotelName)).size,
+            priceCount: rows.length,
+            error: null,
+            legacy: true
+          });
+        }
+
+        for (const row of rows) {
+          await db.replaceDocument('prices', { ...row, runId, runIdBackfilled: true });
+        }
+      }
+
+      result.runsCreated++;
+      result.pricesUpdated += rows.length;
+    }
+
+    if (snapshots.size > 0) {
+      log('Backfilled runIds for search', { searchId: search.id, runs: snapshots.size });
+    }
+  });
+
+  return result;
+}
+
+export async function down({ db, dryRun }) {
+  const result = { searchesScanned: 0, runsDeleted: 0, pricesReverted: 0 };
+
+  await forEachSearch(db, async (search) => {
+    result.searchesScanned++;
+
+    await forEachDocument(db, 'prices', search.id, async (price) => {
+      if (!price.runIdBackfilled) {
+        return;
+      }
+      if (!dryRun) {
+        const { runIdBackfilled, runId, ...rest } = price;
+        await db.replaceDocument('prices', rest);
+      }
+      result.pricesReverted++;
+    });
+
+    const legacyRuns = [];
+    await forEachDocument(db, 'runs', search.id, async (run) => {
+      if (run.legacy) {
+        legacyRuns.push(run.id);
+      }
+    });
+
+    for (const runId of legacyRuns) {
+      if (!dryRun) {
+        await db.deleteDocument('runs', runId, search.id);
+      }
+      result.runsDeleted++;
+    }
+  });
+
+  return result;
+}
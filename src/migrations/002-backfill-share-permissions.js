@@ -0,0 +1,73 @@
+import { forEachDocument } from './helpers.js';
+
+export const description = 'Set the read permission and owner display info on shares created without them';
+
+/**
+ * Shares written before `permission` and the owner fields existed are treated as
+ * read-only by the routes anyway; this makes that explicit in the documents and
+ * fills ownerDisplayName/ownerEmail from the owner's profile. Changed shares keep
+ * the fields they were missing in `backfilledFields` so down() can remove them.
+ */
+export async function up({ db, dryRun }) {
+  const result = { sharesScanned: 0, sharesUpdated: 0 };
+  const owners = new Map();
+
+  await forEachDocument(db, 'searchShares', undefined, async (share) => {
+    result.sharesScanned++;
+
+    const missing = ['permission', 'ownerDisplayName', 'ownerEmail'].filter(field => !share[field]);
+    if (missing.length === 0) {
+      return;
+    }
+
+    if (!owners.has(share.ownerId)) {
+      owners.set(share.ownerId, await db.getUser(share.ownerId));
+    }
+    const owner = owners.get(share.ownerId);
+
+    const values = {
+      permission: 'read',
+      ownerDisplayName: owner?.displayName || null,
+      ownerEmail: owner?.email || null
+    };
+    const backfilled = missing.filter(field => values[field]);
+    if (backfilled.length === 0) {
+      return;
+    }
+
+    if (!dryRun) {
+      await db.replaceDocument('searchShares', {
+        ...share,
+        ...Object.fromEntries(backfilled.map(field => [field, values[field]])),
+        backfilledFields: [...new Set([...(share.backfilledFields || []), ...backfilled])]
+      });
+    }
+    result.sharesUpdated++;
+  });
+
+  return result;
+}
+
+export async function down({ db, dryRun }) {
+  const result = { sharesScanned: 0, sharesReverted: 0 };
+
+  await forEachDocument(db, 'searchShares', undefined, async (share) => {
+    result.sharesScanned++;
+
+    if (!share.backfilledFields) {
+      return;
+    }
+
+    if (!dryRun) {
+      // Remove the fields rather than nulling them, so the documents match their pre-migration shape
+      const { backfilledFields, ...rest } = share;
+      for (const field of backfilledFields) {
+        delete rest[field];
+      }
+      await db.replaceDocument('searchShares', rest);
+    }
+    result.sharesReverted++;
+  });
+
+  return result;
+}
@@ -0,0 +1,62 @@
+import { getHotelKey } from '../parsers/hotel-key.js';
+import { forEachDocument, forEachSearch } from './helpers.js';
+
+export const description = 'Set the canonical hotelKey on price rows written before hotel keys and fill the hotels catalog';
+
+/**
+ * Rows get `hotelKey` (from hotelUrl, or the normalized name) plus a
+ * `hotelKeyBackfilled` marker that down() reverts. Catalog entries are built from
+ * every row of each search, so running up() again only refreshes them.
+ * down() leaves the catalog in place: live price writes maintain it too.
+ */
+export async function up({ db, dryRun }) {
+  const result = { searchesScanned: 0, pricesUpdated: 0, hotelEntriesUpdated: 0 };
+
+  await forEachSearch(db, async (search) => {
+    result.searchesScanned++;
+    const rows = [];
+
+    await forEachDocument(db, 'prices', search.id, async (price) => {
+      const hotelKey = getHotelKey(price);
+      if (!hotelKey) {
+        return;
+      }
+
+      if (!price.hotelKey) {
+        if (!dryRun) {
+          await db.replaceDocument('prices', { ...price, hotelKey, hotelKeyBackfilled: true });
+        }
+        result.pricesUpdated++;
+      }
+      rows.push({ ...price, hotelKey });
+    });
+
+    result.hotelEntriesUpdated += new Set(rows.map(row => row.hotelKey)).size;
+    if (!dryRun) {
+      await db.upsertHotelsFromPrices(rows);
+    }
+  });
+
+  return result;
+}
+
+export async function down({ db, dryRun }) {
+  const result = { searchesScanned: 0, pricesReverted: 0 };
+
+  await forEachSearch(db, async (search) => {
+    result.searchesScanned++;
+
+    await forEachDocument(db, 'prices', search.id, async (price) => {
+      if (!price.hotelKeyBackfilled) {
+        return;
+      }
+      if (!dryRun) {
+        const { hotelKey, hotelKeyBackfilled, ...rest } = price;
+        await db.replaceDocument('prices', rest);
+      }
+      result.pricesReverted++;
+    });
+  });
+
+  return result;
+}
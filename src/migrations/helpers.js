@@ -0,0 +1,38 @@
+/**
+ * Shared iteration helpers for migration modules
+ * (not a migration itself — the runner only loads NNN-*.js files)
+ */
+
+/**
+ * Call fn for every search across all users
+ * @param {Object} db - databaseService
+ * @param {Function} fn - async (search) => void
+ */
+export async function forEachSearch(db, fn) {
+  let continuationToken;
+  do {
+    const page = await db.getAllSearches({ limit: 100, continuationToken });
+    continuationToken = page.continuationToken;
+    for (const search of page.searches) {
+      await fn(search);
+    }
+  } while (continuationToken);
+}
+
+/**
+ * Call fn for every document in a container, optionally within one partition
+ * @param {Object} db - databaseService
+ * @param {string} containerName
+ * @param {string|undefined} partitionKey
+ * @param {Function} fn - async (doc) => void
+ */
+export async function forEachDocument(db, containerName, partitionKey, fn) {
+  let continuationToken;
+  do {
+    const page = await db.scanDocuments(containerName, { partitionKey, limit: 100, continuationToken });
+    continuationToken = page.continuationToken;
+    for (const doc of page.documents) {
+      await fn(doc);
+    }
+  } while (continuationToken);
+}
@@ -0,0 +1,145 @@
+/**
+ * Cron expressions
+ * Standard five-field syntax: minute hour day-of-month month day-of-week, e.g.
+ * "0 7 * * 1-5" (weekdays at 07:00). Each field takes `*`, numbers, ranges
+ * (`1-5`), steps (`*\/15`, `8-18/2`) and comma-separated lists. Months and
+ * weekdays also take English short names (JAN, MON); Sunday is 0 or 7.
+ * `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` are shorthands.
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted,
+ * a day matches if either one does.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+/**
+ * Parse one value of a field: a number or, for months and weekdays, a name
+ * @param {string} token
+ * @param {Object} field
+ * @returns {number}
+ */
+function parseValue(token, field) {
+  const upper = token.toUpperCase();
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.nameOffset : /^\d+$/.test(token) ? parseInt(token, 10) : NaN;
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${token}" (expected ${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Expand one field into the sorted values it matches
+ * @param {string} source
+ * @param {Object} field
+ * @returns {Array<number>}
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!/^\d+$/.test(stepText ?? '1') || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means from 5 to the end of the field in steps of 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, dayOfMonthRestricted, dayOfWeekRestricted }
+ * @throws {Error} With a message naming the invalid part
+ */
+export function parseCronExpression(expression) {
+  const source = String(expression ?? '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${source ? parts.length : 0}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    // 7 is another name for Sunday
+    daysOfWeek: [...new Set(weekdays.map(day => day % 7))].sort((a, b) => a - b),
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Whether a calendar day matches the parsed expression's day and month fields
+ * @param {Object} cron - From parseCronExpression
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @param {number} weekday - 0 (Sunday) - 6
+ * @returns {boolean}
+ */
+export function cronMatchesDay(cron, month, day, weekday) {
+  if (!cron.months.includes(month)) {
+    return false;
+  }
+
+  const dayOfMonthMatch = cron.daysOfMonth.includes(day);
+  const dayOfWeekMatch = cron.daysOfWeek.includes(weekday);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
@@ -0,0 +1,111 @@
+import { URL } from 'url';
+
+/**
+ * Hotel identity
+ * Booking.com property pages live at /hotel/<country>/<slug>[.<locale>].html, e.g.
+ * https://www.booking.com/hotel/fr/le-grand-paris.en-gb.html?aid=304142
+ * The country + slug pair stays the same across locales and display-name changes,
+ * so it is the canonical hotel key: "booking:fr:le-grand-paris". Rows without a
+ * usable hotelUrl fall back to a normalized name key: "name:le-grand-paris".
+ * Keys contain no '/', '\', '?' or '#', so they are valid Cosmos DB document IDs.
+ */
+
+const BOOKING_HOTEL_PATH = /^\/hotel\/([a-z]{2})\/([^/]+?)(?:\.[a-z]{2}(?:-[a-z]{2})?)?\.html$/i;
+
+/**
+ * Normalize a free-text hotel name: strip accents, lowercase, non-alphanumerics to dashes
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeHotelName(name) {
+  return (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Extract the Booking.com property key from a hotel URL
+ * @param {string} hotelUrl
+ * @returns {string|null} e.g. "booking:fr:le-grand-paris", or null if not a property URL
+ */
+export function parseHotelUrlKey(hotelUrl) {
+  if (!hotelUrl) {
+    return null;
+  }
+
+  try {
+    const url = new URL(hotelUrl);
+    if (!/(^|\.)booking\.com$/i.test(url.hostname)) {
+      return null;
+    }
+
+    const match = url.pathname.match(BOOKING_HOTEL_PATH);
+    if (!match) {
+      return null;
+    }
+
+    return `booking:${match[1].toLowerCase()}:${normalizeHotelName(decodeURIComponent(match[2]))}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Canonical hotel key for a price row (or any object with hotelUrl / hotelName)
+ * Prefers a stored hotelKey, then the Booking URL, then the normalized name
+ * @param {Object} price
+ * @returns {string|null} null if the row has neither a usable URL nor a name
+ */
+export function getHotelKey(price) {
+  if (price.hotelKey) {
+    return price.hotelKey;
+  }
+
+  const urlKey = parseHotelUrlKey(price.hotelUrl);
+  if (urlKey) {
+    return urlKey;
+  }
+
+  const name = normalizeHotelName(price.hotelName);
+  return name ? `name:${name}` : null;
+}
+
+/**
+ * Merge newly seen price rows of one hotel into its catalog entry
+ * The most recent row wins for display fields; every name seen is kept as an alias
+ * @param {Object|null} existing - Current catalog entry
+ * @param {string} hotelKey
+ * @param {Array} prices - Rows with this hotel key
+ * @returns {Object} Catalog entry to store
+ */
+export function mergeHotelEntry(existing, hotelKey, prices) {
+  const sorted = [...prices].sort((a, b) => (a.extractedAt || '').localeCompare(b.extractedAt || ''));
+  const first = sorted[0];
+  const latest = sorted[sorted.length - 1];
+  const isNewer = !existing || (latest.extractedAt || '') >= (existing.lastSeenAt || '');
+  const current = isNewer ? latest : existing;
+
+  const aliases = new Set(existing?.aliases || []);
+  for (const price of sorted) {
+    if (price.hotelName) {
+      aliases.add(price.hotelName);
+    }
+  }
+
+  return {
+    id: hotelKey,
+    hotelKey,
+    name: (isNewer ? latest.hotelName : existing.name) || existing?.name || latest.hotelName || null,
+    aliases: [...aliases],
+    hotelUrl: current.hotelUrl || existing?.hotelUrl || latest.hotelUrl || null,
+    cityName: current.cityName || existing?.cityName || null,
+    location: current.location || existing?.location || null,
+    firstSeenAt: existing?.firstSeenAt && existing.firstSeenAt < (first.extractedAt || '')
+      ? existing.firstSeenAt
+      : first.extractedAt || existing?.firstSeenAt || null,
+    lastSeenAt: isNewer ? latest.extractedAt || null : existing.lastSeenAt
+  };
+}
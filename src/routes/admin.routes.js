@@ -0,0 +1,110 @@
+import deadLetterService from '../services/dead-letter.service.js';
+import { authenticate, requireAdmin } from '../middleware/auth.middleware.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+// Service Bus sequence numbers outside the scheduled lane carry it, e.g. "manual:42"
+const sequenceNumbersSchema = {
+  type: 'array',
+  items: { type: 'string', pattern: '^([a-z]+:)?[0-9]+$' },
+  minItems: 1,
+  maxItems: 100
+};
+
+/**
+ * Admin routes
+ * Operations tooling, restricted to ADMIN_EMAILS
+ */
+export default async function adminRoutes(fastify, options) {
+
+  /**
+   * GET /api/admin/dead-letters
+   * List dead-lettered job messages with their reason, body and job status
+   */
+  fastify.get('/api/admin/dead-letters', {
+    preHandler: [authenticate, requireAdmin],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'number', minimum: 1, maximum: 250 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit = 50 } = request.query;
+
+      const deadLetters = await deadLetterService.list({ limit });
+
+      return reply.send({
+        deadLetters,
+        count: deadLetters.length
+      });
+    } catch (error) {
+      logger.error('Failed to list dead letters', { userId: request.user.id, error: error.message });
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/admin/dead-letters/replay
+   * Send selected dead-lettered messages back to the queue
+   */
+  fastify.post('/api/admin/dead-letters/replay', {
+    preHandler: [authenticate, requireAdmin],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['sequenceNumbers'],
+        properties: {
+          sequenceNumbers: sequenceNumbersSchema
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const report = await deadLetterService.replay(request.body.sequenceNumbers, request.user);
+      return reply.send(report);
+    } catch (error) {
+      logger.error('Failed to replay dead letters', { userId: request.user.id, error: error.message });
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/admin/dead-letters/purge
+   * Delete selected dead-lettered messages, or all of them with `{ all: true }`
+   */
+  fastify.post('/api/admin/dead-letters/purge', {
+    preHandler: [authenticate, requireAdmin],
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          sequenceNumbers: sequenceNumbersSchema,
+          all: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { sequenceNumbers, all } = request.body;
+
+      if (!sequenceNumbers === !all) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Provide either sequenceNumbers or all: true'
+        });
+      }
+
+      const report = await deadLetterService.purge(all ? null : sequenceNumbers, request.user);
+      return reply.send(report);
+    } catch (error) {
+      logger.error('Failed to purge dead letters', { userId: request.user.id, error: error.message });
+      throw error;
+    }
+  });
+}
@@ -0,0 +1,377 @@
+import { nanoid } from 'nanoid';
+import databaseService from '../services/database.service.js';
+import searchHistoryService from '../services/search-history.service.js';
+import alertService from '../services/alert.service.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { ALERT_RULE_TYPES, validateAlertRule } from '../services/alert-rules.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const MAX_ALERT_RULES = 20;
+const DEFAULT_MIN_RATING = 8.5;
+
+/**
+ * Alert rule fields a user can set (see alert-rules.js for what each type needs)
+ */
+const RULE_PROPERTIES = {
+  maxPrice: { type: 'number', minimum: 0 },
+  hotelKey: { type: 'string', minLength: 1, maxLength: 200 },
+  percent: { type: 'number', minimum: 1, maximum: 100 },
+  minRating: { type: 'number', minimum: 0, maximum: 10 },
+  enabled: { type: 'boolean' }
+};
+
+/**
+ * Save a search's new alert rules and record the change in its history
+ * @param {Object} request
+ * @param {string} searchId
+ * @param {Function} change - Current rules → new rules
+ * @returns {Object} Updated search
+ */
+async function saveRules(request, searchId, change) {
+  // The updater may run more than once on conflict — keep the version it last saw
+  let before;
+  const updatedSearch = await databaseService.updateSearch(searchId, request.user.id, current => {
+    before = current;
+    return { alertRules: change(current.alertRules || []) };
+  });
+
+  // History is best effort: the update itself has already succeeded
+  try {
+    await searchHistoryService.recordChange(before, updatedSearch, request.user);
+  } catch (error) {
+    logger.warn('Failed to record search revision', { searchId, error: error.message });
+  }
+
+  return updatedSearch;
+}
+
+/**
+ * Alert routes
+ * Price alert rules of a search, their evaluation against a run and the alert history (see alert.service.js)
+ */
+export default async function alertRoutes(fastify, options) {
+
+  /**
+   * GET /api/searches/:id/alerts
+   * Get the alert rules of a search
+   */
+  fastify.get('/api/searches/:id/alerts', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      return reply.send({
+        searchId: id,
+        rules: search.alertRules || []
+      });
+    } catch (error) {
+      logger.error('Failed to get alert rules', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/searches/:id/alerts
+   * Add an alert rule (owner only)
+   */
+  fastify.post('/api/searches/:id/alerts', {
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: ALERT_RULE_TYPES },
+          ...RULE_PROPERTIES
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { type, maxPrice, hotelKey, percent, minRating, enabled = true } = request.body;
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      if ((search.alertRules || []).length >= MAX_ALERT_RULES) {
+        return reply.code(400).send({
+          error: 'Too Many Alert Rules',
+          message: `A search can have at most ${MAX_ALERT_RULES} alert rules`
+        });
+      }
+
+      const now = new Date().toISOString();
+      const rule = {
+        id: `alert_${nanoid(12)}`,
+        type,
+        ...(maxPrice !== undefined && { maxPrice }),
+        ...(hotelKey !== undefined && { hotelKey }),
+        ...(percent !== undefined && { percent }),
+        ...(type === 'new_hotel' && { minRating: minRating ?? DEFAULT_MIN_RATING }),
+        enabled,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const ruleError = validateAlertRule(rule);
+      if (ruleError) {
+        return reply.code(400).send({
+          error: 'Invalid Alert Rule',
+          message: ruleError
+        });
+      }
+
+      await saveRules(request, id, rules => [...rules, rule]);
+
+      logger.info('Alert rule created', { searchId: id, ruleId: rule.id, type, userId: request.user.id });
+
+      return reply.code(201).send(rule);
+    } catch (error) {
+      logger.error('Failed to create alert rule', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * PATCH /api/searches/:id/alerts/:ruleId
+   * Change an alert rule's parameters or enable/disable it (owner only); the type is fixed
+   */
+  fastify.patch('/api/searches/:id/alerts/:ruleId', {
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        properties: RULE_PROPERTIES
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, ruleId } = request.params;
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const existing = (search.alertRules || []).find(rule => rule.id === ruleId);
+      if (!existing) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Alert rule not found'
+        });
+      }
+
+      const ruleError = validateAlertRule({ ...existing, ...request.body });
+      if (ruleError) {
+        return reply.code(400).send({
+          error: 'Invalid Alert Rule',
+          message: ruleError
+        });
+      }
+
+      const updatedAt = new Date().toISOString();
+      const updatedSearch = await saveRules(request, id, rules =>
+        rules.map(rule => (rule.id === ruleId ? { ...rule, ...request.body, updatedAt } : rule)));
+
+      const rule = (updatedSearch.alertRules || []).find(r => r.id === ruleId);
+      if (!rule) {
+        // Deleted while this update was being applied
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Alert rule not found'
+        });
+      }
+
+      logger.info('Alert rule updated', { searchId: id, ruleId, userId: request.user.id });
+
+      return reply.send(rule);
+    } catch (error) {
+      logger.error('Failed to update alert rule', {
+        searchId: request.params.id,
+        ruleId: request.params.ruleId,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * DELETE /api/searches/:id/alerts/:ruleId
+   * Delete an alert rule (owner only); its alert history is kept
+   */
+  fastify.delete('/api/searches/:id/alerts/:ruleId', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id, ruleId } = request.params;
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      if (!(search.alertRules || []).some(rule => rule.id === ruleId)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Alert rule not found'
+        });
+      }
+
+      await saveRules(request, id, rules => rules.filter(rule => rule.id !== ruleId));
+
+      logger.info('Alert rule deleted', { searchId: id, ruleId, userId: request.user.id });
+
+      return reply.send({
+        success: true,
+        message: 'Alert rule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete alert rule', {
+        searchId: request.params.id,
+        ruleId: request.params.ruleId,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/searches/:id/alerts/history
+   * Get the alerts sent for a search, newest first
+   */
+  fastify.get('/api/searches/:id/alerts/history', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'number', minimum: 1, maximum: 100 },
+          continuationToken: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { limit = 50, continuationToken } = request.query;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const page = await alertService.getHistory(id, { limit, continuationToken });
+
+      return reply.send({
+        searchId: id,
+        ...page
+      });
+    } catch (error) {
+      logger.error('Failed to get alert history', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/searches/:id/alerts/evaluate
+   * Evaluate the alert rules against a completed run, by default the latest (owner only)
+   * Returns only alerts not recorded before. The web server evaluates completed
+   * runs on its own (see alertService.evaluateCompletedRuns); this evaluates one on demand.
+   */
+  fastify.post('/api/searches/:id/alerts/evaluate', {
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: ['object', 'null'],
+        properties: {
+          runId: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { runId } = request.body || {};
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const run = runId
+        ? await databaseService.getRun(id, runId)
+        : await databaseService.getLatestRun(id);
+      if (!run || run.status !== 'completed') {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: runId ? 'Completed run not found' : 'Search has no completed run yet'
+        });
+      }
+
+      const events = await alertService.evaluateRun(search, run);
+
+      return reply.send({
+        searchId: id,
+        runId: run.id,
+        events
+      });
+    } catch (error) {
+      logger.error('Failed to evaluate alert rules', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+}
@@ -0,0 +1,177 @@
+import databaseService from '../services/database.service.js';
+import jobService from '../services/job.service.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Job routes
+ * Status of search runs requested through the API, and runs scheduled for later (see job.service.js)
+ */
+export default async function jobRoutes(fastify, options) {
+
+  /**
+   * GET /api/jobs/:id
+   * Get a job's status, timings, error and result summary
+   */
+  fastify.get('/api/jobs/:id', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      const job = await jobService.getJob(id);
+
+      // Visible to everyone who can see the search, like its prices
+      const search = job && await databaseService.getSearchIfAccessible(job.searchId, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Job not found'
+        });
+      }
+
+      return reply.send(job);
+    } catch (error) {
+      logger.error('Failed to get job', {
+        jobId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/searches/:id/jobs
+   * Get the jobs of a search, newest first
+   */
+  fastify.get('/api/searches/:id/jobs', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'number', minimum: 1, maximum: 100 },
+          continuationToken: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { limit = 20, continuationToken } = request.query;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const page = await jobService.listJobs(id, { limit, continuationToken });
+
+      return reply.send({
+        searchId: id,
+        ...page
+      });
+    } catch (error) {
+      logger.error('Failed to get search jobs', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/searches/:id/scheduled-runs
+   * Get the runs of a search scheduled for a later time, soonest first
+   */
+  fastify.get('/api/searches/:id/scheduled-runs', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const jobs = await jobService.listScheduledRuns(id);
+
+      return reply.send({
+        searchId: id,
+        jobs
+      });
+    } catch (error) {
+      logger.error('Failed to get scheduled runs', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * DELETE /api/searches/:id/scheduled-runs/:jobId
+   * Cancel a scheduled run before it starts (owner only)
+   */
+  fastify.delete('/api/searches/:id/scheduled-runs/:jobId', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id, jobId } = request.params;
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const { outcome, job } = await jobService.cancelScheduledRun(id, jobId, { cancelledBy: request.user.id });
+
+      if (outcome === 'not_found') {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Scheduled run not found'
+        });
+      }
+      if (outcome === 'not_scheduled') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'This run has already started or is no longer scheduled',
+          job
+        });
+      }
+
+      return reply.send({
+        success: true,
+        message: 'Scheduled run cancelled',
+        job
+      });
+    } catch (error) {
+      logger.error('Failed to cancel scheduled run', {
+        searchId: request.params.id,
+        jobId: request.params.jobId,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+}
@@ -1,5 +1,8 @@
-import cosmosDBService from '../services/cosmos-db.service.js';
+import databaseService from '../services/database.service.js';
 import { authenticate } from '../middleware/auth.middleware.js';
+import { getHotelKey } from '../parsers/hotel-key.js';
+import priceSeriesService, { SERIES_BUCKETS } from '../services/price-series.service.js';
+import { watchedHotelKeys, filterWatched, markWatched } from '../services/watchlist.service.js';
 import { createRequire } from 'module';
 import ExcelJS from 'exceljs';
 
@@ -58,6 +61,8 @@ export default async function priceRoutes(fastify, options) {
           startDate: { type: 'string', format: 'date-time' },
           endDate: { type: 'string', format: 'date-time' },
           hotelName: { type: 'string' },
+          hotelKey: { type: 'string' },
+          watched: { type: 'boolean' },
           limit: { type: 'number', minimum: 1, maximum: 1000 },
           continuationToken: { type: 'string' }
         }
@@ -66,10 +71,10 @@ export default async function priceRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const { startDate, endDate, hotelName, limit, continuationToken } = request.query;
+      const { startDate, endDate, hotelName, hotelKey, watched, limit, continuationToken } = request.query;
 
       // Allow access for owner or shared users
-      const search = await cosmosDBService.getSearchIfAccessible(id, request.user.id);
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -77,11 +82,30 @@ export default async function priceRoutes(fastify, options) {
         });
       }
 
+      // hotelKey selects one hotel exactly; hotelName also matches the hotel's former names
+      // through the catalog (plain name matching only covers rows written before hotel keys)
+      let hotelKeys;
+      if (hotelKey) {
+        hotelKeys = [hotelKey];
+      } else if (hotelName) {
+        hotelKeys = (await databaseService.findHotelsByName(hotelName)).map(hotel => hotel.id);
+      }
+
+      // watched narrows the hotels to the search's watchlist
+      if (watched) {
+        const watchedKeys = watchedHotelKeys(search);
+        hotelKeys = hotelKeys ? hotelKeys.filter(key => watchedKeys.has(key)) : [...watchedKeys];
+        if (hotelKeys.length === 0) {
+          return reply.send({ searchId: id, prices: [], continuationToken: null, hasMore: false });
+        }
+      }
+
       // Get prices
-      const result = await cosmosDBService.getPricesBySearch(id, {
+      const result = await databaseService.getPricesBySearch(id, {
         startDate,
         endDate,
-        hotelName,
+        hotelName: hotelKey || watched ? undefined : hotelName,
+        hotelKeys,
         limit: limit || 100,
         continuationToken
       });
@@ -105,18 +129,83 @@ export default async function priceRoutes(fastify, options) {
     }
   });
 
+  /**
+   * GET /api/searches/:id/prices/series
+   * Min/avg/max/last price per hotel per hour, day or week over the whole
+   * history, plus the cheapest hotel of each run
+   */
+  fastify.get('/api/searches/:id/prices/series', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          bucket: { type: 'string', enum: SERIES_BUCKETS },
+          hotel: { type: 'string', minLength: 1 },
+          watched: { type: 'boolean' },
+          startDate: { type: 'string', format: 'date-time' },
+          endDate: { type: 'string', format: 'date-time' },
+          maxHotels: { type: 'integer', minimum: 1, maximum: 500 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { bucket = 'day', hotel, watched, startDate, endDate, maxHotels = 50 } = request.query;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      let hotelKeys = hotel ? [hotel] : null;
+      if (watched) {
+        const watchedKeys = watchedHotelKeys(search);
+        hotelKeys = hotelKeys ? hotelKeys.filter(key => watchedKeys.has(key)) : [...watchedKeys];
+      }
+
+      const series = await priceSeriesService.getSeries(id, { bucket, hotelKeys, startDate, endDate, maxHotels });
+
+      return reply.send({
+        searchId: id,
+        currency: search.criteria?.currency || null,
+        ...series
+      });
+    } catch (error) {
+      logger.error('Failed to get price series', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
   /**
    * GET /api/searches/:id/prices/latest
    * Get latest prices for a search
    */
   fastify.get('/api/searches/:id/prices/latest', {
-    preHandler: authenticate
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          watched: { type: 'boolean' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const { id } = request.params;
 
       // Allow access for owner or shared users
-      const search = await cosmosDBService.getSearchIfAccessible(id, request.user.id);
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -124,13 +213,18 @@ export default async function priceRoutes(fastify, options) {
         });
       }
 
-      let prices = await cosmosDBService.getLatestPrices(id);
+      let prices = await databaseService.getLatestPrices(id);
       
       // Apply hotel-type filters if present in search criteria
       prices = applyHotelTypeFilters(prices, search.criteria?.hotelTypeFilters);
 
+      if (request.query.watched) {
+        prices = filterWatched(prices, search);
+      }
+
       return reply.send({
         searchId: id,
+        runId: prices.length > 0 ? prices[0].runId || null : null,
         extractedAt: prices.length > 0 ? prices[0].extractedAt : null,
         count: prices.length,
         prices: prices
@@ -150,13 +244,21 @@ export default async function priceRoutes(fastify, options) {
    * Get outdated hotels (hotels not in latest extraction)
    */
   fastify.get('/api/searches/:id/prices/outdated', {
-    preHandler: authenticate
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          watched: { type: 'boolean' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const { id } = request.params;
 
       // Allow access for owner or shared users
-      const search = await cosmosDBService.getSearchIfAccessible(id, request.user.id);
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -164,11 +266,15 @@ export default async function priceRoutes(fastify, options) {
         });
       }
 
-      let prices = await cosmosDBService.getOutdatedHotels(id);
+      let prices = await databaseService.getOutdatedHotels(id);
       
       // Apply hotel-type filters if present in search criteria
       prices = applyHotelTypeFilters(prices, search.criteria?.hotelTypeFilters);
 
+      // Watched hotels that dropped out of the latest run are flagged for the page to highlight
+      prices = request.query.watched ? filterWatched(prices, search) : prices;
+      prices = markWatched(prices, search);
+
       return reply.send({
         searchId: id,
         count: prices.length,
@@ -184,6 +290,119 @@ export default async function priceRoutes(fastify, options) {
     }
   });
 
+  /**
+   * GET /api/searches/:id/runs
+   * List extraction runs for a search, newest first
+   */
+  fastify.get('/api/searches/:id/runs', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+          limit: { type: 'number', minimum: 1, maximum: 100 },
+          continuationToken: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { status, limit, continuationToken } = request.query;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const result = await databaseService.getRunsBySearch(id, {
+        status,
+        limit: limit || 20,
+        continuationToken
+      });
+
+      return reply.send({
+        searchId: id,
+        runs: result.runs,
+        continuationToken: result.continuationToken || null,
+        hasMore: !!result.continuationToken
+      });
+    } catch (error) {
+      logger.error('Failed to get runs', { 
+        searchId: request.params.id, 
+        userId: request.user.id, 
+        error: error.message 
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/searches/:id/runs/:runId
+   * Get one extraction run with its price snapshot
+   */
+  fastify.get('/api/searches/:id/runs/:runId', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          watched: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, runId } = request.params;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const run = await databaseService.getRun(id, runId);
+      if (!run) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Run not found'
+        });
+      }
+
+      let prices = await databaseService.getPricesByRun(id, runId);
+
+      // Apply hotel-type filters if present in search criteria
+      prices = applyHotelTypeFilters(prices, search.criteria?.hotelTypeFilters);
+
+      if (request.query.watched) {
+        prices = filterWatched(prices, search);
+      }
+
+      return reply.send({
+        searchId: id,
+        run,
+        count: prices.length,
+        prices
+      });
+    } catch (error) {
+      logger.error('Failed to get run', { 
+        searchId: request.params.id, 
+        runId: request.params.runId,
+        userId: request.user.id, 
+        error: error.message 
+      });
+      throw error;
+    }
+  });
+
   /**
    * GET /api/searches/:id/insights
    * Get latest AI insights for a search
@@ -195,7 +414,7 @@ export default async function priceRoutes(fastify, options) {
       const { id } = request.params;
 
       // Allow access for owner or shared users
-      const search = await cosmosDBService.getSearchIfAccessible(id, request.user.id);
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -204,7 +423,7 @@ export default async function priceRoutes(fastify, options) {
       }
 
       // Get conversation (which contains insights)
-      const conversation = await cosmosDBService.getConversation(id);
+      const conversation = await databaseService.getConversation(id);
 
       // Get latest assistant message (insights HTML)
       const insights = conversation.messages
@@ -240,13 +459,21 @@ export default async function priceRoutes(fastify, options) {
   * Export price history as Excel
    */
   fastify.get('/api/searches/:id/export', {
-    preHandler: authenticate
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          watched: { type: 'boolean' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const { id } = request.params;
 
       // Allow access for owner or shared users
-      const search = await cosmosDBService.getSearchIfAccessible(id, request.user.id);
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -255,13 +482,17 @@ export default async function priceRoutes(fastify, options) {
       }
 
       // Get all prices for this search
-      let result = await cosmosDBService.getPricesBySearch(id, {
+      let result = await databaseService.getPricesBySearch(id, {
         limit: 10000 // Max for export
       });
 
       // Apply hotel-type filters if present in search criteria
       result.prices = applyHotelTypeFilters(result.prices, search.criteria?.hotelTypeFilters);
 
+      if (request.query.watched) {
+        result.prices = filterWatched(result.prices, search);
+      }
+
       if (result.prices.length === 0) {
         return reply.code(404).send({
           error: 'No Data',
@@ -285,10 +516,22 @@ export default async function priceRoutes(fastify, options) {
         { header: 'Hotel URL', key: 'hotelUrl', width: 45 },
         { header: 'Extracted At', key: 'extractedAt', width: 20 },
         { header: 'Search Destination', key: 'searchDestination', width: 22 },
-        { header: 'Search Date', key: 'searchDate', width: 18 }
+        { header: 'Search Date', key: 'searchDate', width: 18 },
+        { header: 'Granularity', key: 'granularity', width: 12 },
+        { header: 'Min Price', key: 'minPrice', width: 12 },
+        { header: 'Max Price', key: 'maxPrice', width: 12 },
+        { header: 'Samples', key: 'sampleCount', width: 10 }
       ];
 
-      worksheet.addRows(result.prices);
+      // Downsampled rows (older than the retention window) carry daily min/avg/max;
+      // Numeric Price is the daily average for them
+      worksheet.addRows(result.prices.map(price => ({
+        ...price,
+        granularity: price.granularity || 'raw',
+        minPrice: price.minPrice ?? '',
+        maxPrice: price.maxPrice ?? '',
+        sampleCount: price.sampleCount ?? ''
+      })));
 
       worksheet.getRow(1).font = { bold: true };
       worksheet.getRow(1).alignment = { vertical: 'middle' };
@@ -318,13 +561,21 @@ export default async function priceRoutes(fastify, options) {
    * Export latest prices from all active searches as Excel file
    */
   fastify.get('/api/searches/export-all-latest-prices', {
-    preHandler: authenticate
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          watched: { type: 'boolean' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const userId = request.user.id;
 
       // Get all active searches for user
-      const { searches: activeSearches } = await cosmosDBService.getSearchesByUser(userId, {
+      const { searches: activeSearches } = await databaseService.getSearchesByUser(userId, {
         isActive: true,
         limit: 100
       });
@@ -340,13 +591,17 @@ export default async function priceRoutes(fastify, options) {
       const allPrices = [];
       for (const search of activeSearches) {
         try {
-          const prices = await cosmosDBService.getLatestPrices(search.id);
+          let prices = await databaseService.getLatestPrices(search.id);
+          if (request.query.watched) {
+            prices = filterWatched(prices, search);
+          }
           
-          // Deduplicate prices by hotelName
+          // Deduplicate prices by hotel key
           const seenHotels = new Set();
           for (const price of prices) {
-            if (!seenHotels.has(price.hotelName)) {
-              seenHotels.add(price.hotelName);
+            const hotelKey = getHotelKey(price);
+            if (!seenHotels.has(hotelKey)) {
+              seenHotels.add(hotelKey);
               allPrices.push({
                 searchName: search.searchName,
                 destination: search.criteria?.cityName || 'Unknown',
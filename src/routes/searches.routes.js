@@ -1,7 +1,14 @@
 import { nanoid } from 'nanoid';
-import cosmosDBService from '../services/cosmos-db.service.js';
+import databaseService from '../services/database.service.js';
+import searchListService, { decodeSearchCursor } from '../services/search-list.service.js';
+import searchHistoryService from '../services/search-history.service.js';
+import searchTrashService from '../services/search-trash.service.js';
+import { filterWatched, markWatched } from '../services/watchlist.service.js';
+import jobService from '../services/job.service.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import BookingURLParser from '../parsers/booking-url-parser.js';
+import { getHotelKey } from '../parsers/hotel-key.js';
+import { computeNextRun, nextRunAfter, nextRunTimes, currentIntervalHours, isStayOver, validateSchedule, DEFAULT_TIMEZONE } from '../services/search-schedule.js';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -9,6 +16,80 @@ const logger = require('../logger.cjs');
 
 const urlParser = new BookingURLParser();
 
+const TIME_OF_DAY = '^([01][0-9]|2[0-3]):[0-5][0-9]$';
+
+/**
+ * Search schedule: every `intervalHours` (or an `adaptive` interval that follows
+ * the check-in date), or at the times of `cron` in `timezone`, never inside
+ * `quietHours` and never after check-out (see search-schedule.js)
+ */
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    intervalHours: { type: 'number', minimum: 1, maximum: 168 },
+    adaptive: { type: 'boolean' },
+    cron: { type: ['string', 'null'], maxLength: 120 },
+    timezone: { type: ['string', 'null'], maxLength: 64 },
+    quietHours: {
+      type: ['object', 'null'],
+      required: ['start', 'end'],
+      properties: {
+        start: { type: 'string', pattern: TIME_OF_DAY },
+        end: { type: 'string', pattern: TIME_OF_DAY }
+      }
+    }
+  }
+};
+
+// Schedule fields that move schedule.nextRun when they change
+const TIMING_FIELDS = ['intervalHours', 'adaptive', 'cron', 'timezone', 'quietHours'];
+
+// Criteria fields that move schedule.nextRun when they change
+const STAY_FIELDS = ['checkIn', 'checkOut'];
+
+const TAGS_SCHEMA = {
+  type: 'array',
+  maxItems: 20,
+  items: { type: 'string', minLength: 1, maxLength: 40 }
+};
+
+// Searches one POST /api/searches/run may start
+const MAX_BULK_RUN_SEARCHES = 100;
+// Share permissions that allow the recipient to start runs; read-only shares (the only kind today) do not
+const RUN_PERMISSIONS = ['owner'];
+
+/**
+ * Trim, lowercase and dedupe tags so filtering by tag is case-insensitive
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * `schedule.nextRun` after a schedule or the stay dates change
+ * A cron restarts from now. An adaptive interval counts from the last run, so
+ * a nearer check-in takes effect at once. A fixed interval keeps the run it had
+ * planned, moved out of quiet hours; a schedule paused after check-out restarts from now.
+ * @param {Object} schedule - Merged schedule
+ * @param {Object} current - The search before the update
+ * @param {Object} criteria - Merged criteria
+ * @returns {string|null} ISO timestamp
+ */
+function replanNextRun(schedule, current, criteria) {
+  const now = new Date();
+  if (schedule.cron) {
+    return computeNextRun(schedule, now, criteria);
+  }
+  if (schedule.adaptive && current.lastRunAt) {
+    return nextRunAfter(schedule, new Date(current.lastRunAt), criteria);
+  }
+  const plannedRun = current.schedule?.nextRun ? new Date(current.schedule.nextRun) : now;
+  return computeNextRun(schedule, plannedRun, criteria);
+}
+
 /**
  * Search routes
  */
@@ -31,19 +112,15 @@ export default async function searchRoutes(fastify, options) {
             type: 'array',
             items: { type: 'string', format: 'email' }
           },
-          schedule: {
-            type: 'object',
-            properties: {
-              enabled: { type: 'boolean' },
-              intervalHours: { type: 'number', minimum: 1, maximum: 168 }
-            }
-          }
+          schedule: SCHEDULE_SCHEMA,
+          runCooldownMinutes: { type: ['integer', 'null'], minimum: 0, maximum: 1440 },
+          tags: TAGS_SCHEMA
         }
       }
     }
   }, async (request, reply) => {
     try {
-      const { searchUrl, searchName, criteria, emailRecipients, schedule } = request.body;
+      const { searchUrl, searchName, criteria, emailRecipients, schedule, runCooldownMinutes, tags } = request.body;
       let parsedCriteria = criteria;
 
       // If URL provided, parse it
@@ -84,17 +161,26 @@ export default async function searchRoutes(fastify, options) {
         ? emailRecipients 
         : [request.user.email];
 
-      // Ensure schedule always has nextRun in UTC time
       const scheduleObject = {
         enabled: true,
         intervalHours: 6,
-        nextRun: new Date().toISOString(),
         ...schedule
       };
 
+      const scheduleError = validateSchedule(scheduleObject);
+      if (scheduleError) {
+        return reply.code(400).send({
+          error: 'Invalid Schedule',
+          message: scheduleError
+        });
+      }
+
+      // Ensure schedule always has nextRun in UTC time: now for an interval, else the first cron time
+      scheduleObject.nextRun = computeNextRun(scheduleObject, new Date(), parsedCriteria);
+
       // Create search
       const searchId = `search_${nanoid(16)}`;
-      const search = await cosmosDBService.createSearch({
+      const search = await databaseService.createSearch({
         id: searchId,
         userId: request.user.id,
         searchName: searchName || parsedCriteria.cityName || 'My Search',
@@ -102,6 +188,8 @@ export default async function searchRoutes(fastify, options) {
         criteria: parsedCriteria,
         emailRecipients: recipients,
         schedule: scheduleObject,
+        ...(runCooldownMinutes !== undefined && { runCooldownMinutes }),
+        ...(tags && { tags: normalizeTags(tags) }),
         isActive: true
       });
 
@@ -120,7 +208,8 @@ export default async function searchRoutes(fastify, options) {
 
   /**
    * GET /api/searches
-   * Get all searches for current user (owned + shared)
+   * Get all searches for current user (owned + shared), newest activity first
+   * Paginated with an opaque continuationToken covering both owned and shared searches
    */
   fastify.get('/api/searches', {
     preHandler: authenticate,
@@ -139,67 +228,36 @@ export default async function searchRoutes(fastify, options) {
       const { isActive, limit, continuationToken } = request.query;
       const userId = request.user.id;
 
-      // Fetch owned searches and shares in parallel
-      const [ownedResult, shares] = await Promise.all([
-        cosmosDBService.getSearchesByUser(userId, {
-          isActive: isActive,
-          limit: limit || 20,
-          continuationToken: continuationToken
-        }),
-        cosmosDBService.getSharesByUser(userId)
-      ]);
-
-      // Fetch shared searches
-      const sharedSearches = await Promise.all(
-        shares.map(async (share) => {
-          try {
-            const search = await cosmosDBService.getSearch(share.searchId, share.ownerId);
-            if (search && (isActive === undefined || search.isActive === isActive)) {
-              return {
-                ...search,
-                _isShared: true,
-                _permission: share.permission,
-                _sharedBy: share.ownerDisplayName || share.ownerEmail || 'Unknown',
-                _sharedByEmail: share.ownerEmail
-              };
-            }
-            return null;
-          } catch (error) {
-            logger.warn('Failed to fetch shared search', { searchId: share.searchId, error: error.message });
-            return null;
-          }
-        })
-      );
-
-      // Combine and filter nulls
-      const allSearches = [
-        ...ownedResult.searches.map(s => ({ ...s, _isShared: false, _permission: 'owner' })),
-        ...sharedSearches.filter(s => s !== null)
-      ];
+      // Continuation token is a cursor spanning owned and shared searches
+      let cursor = null;
+      if (continuationToken) {
+        cursor = decodeSearchCursor(continuationToken);
+        if (!cursor) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: 'Invalid continuationToken'
+          });
+        }
+      }
 
-      // Sort by lastRunAt or createdAt descending
-      allSearches.sort((a, b) => {
-        const aTime = new Date(a.lastRunAt || a.createdAt || 0);
-        const bTime = new Date(b.lastRunAt || b.createdAt || 0);
-        return bTime - aTime;
+      const page = await searchListService.listSearches(userId, {
+        isActive,
+        limit: limit || 20,
+        cursor
       });
 
-      // Apply limit
-      const limitValue = limit || 20;
-      const paginatedSearches = allSearches.slice(0, limitValue);
-
-      // Fetch latest prices for each search
+      // Fetch latest prices for each search on this page
       const searchesWithPrices = await Promise.all(
-        paginatedSearches.map(async (search) => ({
+        page.searches.map(async (search) => ({
           ...search,
-          latestPrices: await cosmosDBService.getLatestPrices(search.id)
+          latestPrices: await databaseService.getLatestPrices(search.id)
         }))
       );
 
       return reply.send({
         searches: searchesWithPrices,
-        continuationToken: null, // TODO: Implement proper pagination for combined results
-        hasMore: allSearches.length > limitValue
+        continuationToken: page.continuationToken,
+        hasMore: page.hasMore
       });
     } catch (error) {
       logger.error('Failed to get searches', { userId: request.user.id, error: error.message });
@@ -207,6 +265,77 @@ export default async function searchRoutes(fastify, options) {
     }
   });
 
+  /**
+   * GET /api/searches/trash
+   * Get the current user's deleted searches, most recently deleted first
+   */
+  fastify.get('/api/searches/trash', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const searches = await searchTrashService.listTrash(request.user.id);
+
+      return reply.send({
+        searches,
+        retentionDays: searchTrashService.retentionDays()
+      });
+    } catch (error) {
+      logger.error('Failed to get trashed searches', { userId: request.user.id, error: error.message });
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/searches/:id/restore
+   * Take a search out of the trash, back to its state before deletion
+   */
+  fastify.post('/api/searches/:id/restore', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      // Verify search exists and belongs to user
+      const existing = await databaseService.getSearch(id, request.user.id);
+      if (!existing) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      if (!existing.deletedAt) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Search is not in the trash'
+        });
+      }
+
+      const restoredSearch = await databaseService.restoreSearch(id, request.user.id);
+
+      logger.info('Search restored', {
+        searchId: id,
+        userId: request.user.id
+      });
+
+      try {
+        await searchHistoryService.recordChange(existing, restoredSearch, request.user);
+      } catch (error) {
+        logger.warn('Failed to record search revision', { searchId: id, error: error.message });
+      }
+
+      reply.header('ETag', restoredSearch._etag);
+      return reply.send(restoredSearch);
+    } catch (error) {
+      logger.error('Failed to restore search', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
   /**
    * GET /api/searches/:id
    * Get a specific search by ID
@@ -216,8 +345,8 @@ export default async function searchRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      // Allow access for owner or shared users
-      const search = await cosmosDBService.getSearchIfAccessible(id, request.user.id);
+      // Allow access for owner or shared users; read past the cache so the ETag is current
+      const search = await databaseService.uncached.getSearchIfAccessible(id, request.user.id);
 
       if (!search) {
         return reply.code(404).send({
@@ -227,7 +356,10 @@ export default async function searchRoutes(fastify, options) {
       }
 
       // Get latest prices for this search
-      const latestPrices = await cosmosDBService.getLatestPrices(id);
+      const latestPrices = await databaseService.getLatestPrices(id);
+
+      // Clients send this back as If-Match on PATCH
+      reply.header('ETag', search._etag);
 
       return reply.send({
         ...search,
@@ -255,17 +387,21 @@ export default async function searchRoutes(fastify, options) {
         type: 'object',
         properties: {
           searchName: { type: 'string' },
+          searchUrl: { type: 'string' },
+          criteria: { type: 'object' },
           emailRecipients: {
             type: 'array',
             items: { type: 'string', format: 'email' }
           },
-          schedule: {
-            type: 'object',
+          schedule: SCHEDULE_SCHEMA,
+          retention: {
+            type: ['object', 'null'],
             properties: {
-              enabled: { type: 'boolean' },
-              intervalHours: { type: 'number', minimum: 1, maximum: 168 }
+              rawDays: { type: ['integer', 'null'], minimum: 1, maximum: 3650 }
             }
           },
+          runCooldownMinutes: { type: ['integer', 'null'], minimum: 0, maximum: 1440 },
+          tags: TAGS_SCHEMA,
           isActive: { type: 'boolean' }
         }
       }
@@ -273,25 +409,92 @@ export default async function searchRoutes(fastify, options) {
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const updates = request.body;
+      const { searchUrl, ...updates } = request.body;
 
-      // Verify search exists and belongs to user
-      const existing = await cosmosDBService.getSearch(id, request.user.id);
-      if (!existing) {
+      // Verify search exists, belongs to user and is not in the trash
+      const existing = await databaseService.getSearch(id, request.user.id);
+      if (!existing || existing.deletedAt) {
         return reply.code(404).send({
           error: 'Not Found',
           message: 'Search not found'
         });
       }
 
-      // Apply updates
-      const updatedSearch = await cosmosDBService.updateSearch(id, request.user.id, updates);
+      // New criteria come from a URL or directly, validated like on create
+      if (searchUrl) {
+        const normalizedSearchUrl = searchUrl.trim();
+        const parseResult = urlParser.parse(normalizedSearchUrl);
+        if (!parseResult.success) {
+          return reply.code(400).send({
+            error: 'Invalid URL',
+            message: parseResult.error
+          });
+        }
+        updates.criteria = {
+          ...parseResult.criteria,
+          sourceUrl: normalizedSearchUrl
+        };
+      }
+
+      if (updates.criteria) {
+        const validation = urlParser.validate(updates.criteria);
+        if (!validation.valid) {
+          return reply.code(400).send({
+            error: 'Invalid Criteria',
+            message: 'Search criteria validation failed',
+            details: validation.errors
+          });
+        }
+        updates.searchUrl = updates.criteria.sourceUrl || urlParser.buildUrl(updates.criteria);
+      }
+
+      if (updates.tags) {
+        updates.tags = normalizeTags(updates.tags);
+      }
+
+      if (updates.schedule) {
+        const scheduleError = validateSchedule({ ...existing.schedule, ...updates.schedule });
+        if (scheduleError) {
+          return reply.code(400).send({
+            error: 'Invalid Schedule',
+            message: scheduleError
+          });
+        }
+      }
+      const timingChanged = TIMING_FIELDS.some(field => updates.schedule?.[field] !== undefined);
+
+      // Apply updates. Merged against the current document so fields the Worker
+      // maintains (lastRunAt, schedule.nextRun) survive; If-Match pins the version.
+      // The updater may run more than once on conflict — keep the version it last saw
+      let before = existing;
+      const updatedSearch = await databaseService.updateSearch(id, request.user.id, current => {
+        before = current;
+        const criteria = updates.criteria || current.criteria;
+        const stayChanged = STAY_FIELDS.some(field => criteria?.[field] !== current.criteria?.[field]);
+        if (!updates.schedule && !stayChanged) {
+          return updates;
+        }
+
+        const schedule = { ...current.schedule, ...updates.schedule };
+        if (timingChanged || stayChanged) {
+          schedule.nextRun = replanNextRun(schedule, current, criteria);
+        }
+        return { ...updates, schedule };
+      }, { ifMatch: request.headers['if-match'] });
 
       logger.info('Search updated', { 
         searchId: id, 
         userId: request.user.id 
       });
 
+      // History is best effort: the update itself has already succeeded
+      try {
+        await searchHistoryService.recordChange(before, updatedSearch, request.user);
+      } catch (error) {
+        logger.warn('Failed to record search revision', { searchId: id, error: error.message });
+      }
+
+      reply.header('ETag', updatedSearch._etag);
       return reply.send(updatedSearch);
     } catch (error) {
       logger.error('Failed to update search', { 
@@ -303,9 +506,152 @@ export default async function searchRoutes(fastify, options) {
     }
   });
 
+  /**
+   * POST /api/schedules/preview
+   * Next run times of a schedule that has not been saved yet
+   */
+  fastify.post('/api/schedules/preview', {
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['schedule'],
+        properties: {
+          schedule: SCHEDULE_SCHEMA,
+          // Stay dates, for adaptive intervals and the pause after check-out
+          criteria: {
+            type: 'object',
+            properties: {
+              checkIn: { type: 'string', format: 'date' },
+              checkOut: { type: 'string', format: 'date' }
+            }
+          },
+          count: { type: 'integer', minimum: 1, maximum: 50 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { schedule, criteria, count = 5 } = request.body;
+    const merged = { intervalHours: 6, ...schedule };
+
+    const scheduleError = validateSchedule(merged);
+    if (scheduleError) {
+      return reply.code(400).send({
+        error: 'Invalid Schedule',
+        message: scheduleError
+      });
+    }
+
+    const now = new Date();
+    return reply.send({
+      timezone: merged.timezone || DEFAULT_TIMEZONE,
+      intervalHours: currentIntervalHours(merged, criteria, now),
+      stayOver: isStayOver(merged, criteria, now),
+      nextRuns: nextRunTimes(merged, now, count, criteria)
+    });
+  });
+
+  /**
+   * GET /api/searches/:id/schedule/preview
+   * Next run times of a search's schedule, starting with schedule.nextRun
+   */
+  fastify.get('/api/searches/:id/schedule/preview', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: 50 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { count = 5 } = request.query;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const schedule = search.schedule || {};
+      const now = new Date();
+      // Start at the planned run (an overdue one is due now); cron times are
+      // strictly after the start, so step back a millisecond to include it
+      const from = schedule.nextRun && new Date(schedule.nextRun) > now ? new Date(schedule.nextRun) : now;
+      const nextRuns = nextRunTimes(schedule, schedule.cron ? new Date(from.getTime() - 1) : from, count, search.criteria);
+
+      return reply.send({
+        searchId: id,
+        enabled: schedule.enabled !== false && search.isActive !== false,
+        timezone: schedule.timezone || DEFAULT_TIMEZONE,
+        intervalHours: currentIntervalHours(schedule, search.criteria, now),
+        stayOver: isStayOver(schedule, search.criteria, now),
+        nextRuns
+      });
+    } catch (error) {
+      logger.error('Failed to preview search schedule', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/searches/:id/history
+   * Get the change history of a search, newest revision first
+   */
+  fastify.get('/api/searches/:id/history', {
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'number', minimum: 1, maximum: 100 },
+          continuationToken: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { limit = 50, continuationToken } = request.query;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const page = await searchHistoryService.listRevisions(id, { limit, continuationToken });
+
+      return reply.send({
+        searchId: id,
+        ...page
+      });
+    } catch (error) {
+      logger.error('Failed to get search history', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
   /**
    * DELETE /api/searches/:id
-   * Delete (soft delete) a search
+   * Move a search to the trash; it is purged after SEARCH_TRASH_RETENTION_DAYS
    */
   fastify.delete('/api/searches/:id', {
     preHandler: authenticate
@@ -313,25 +659,47 @@ export default async function searchRoutes(fastify, options) {
     try {
       const { id } = request.params;
 
-      // Verify search exists and belongs to user
-      const existing = await cosmosDBService.getSearch(id, request.user.id);
-      if (!existing) {
+      // Verify search exists, belongs to user and is not already in the trash
+      const existing = await databaseService.getSearch(id, request.user.id);
+      if (!existing || existing.deletedAt) {
         return reply.code(404).send({
           error: 'Not Found',
           message: 'Search not found'
         });
       }
 
-      await cosmosDBService.deleteSearch(id, request.user.id);
+      const deletedSearch = await databaseService.deleteSearch(id, request.user.id);
 
       logger.info('Search deleted', { 
         searchId: id, 
         userId: request.user.id 
       });
 
+      try {
+        await searchHistoryService.recordChange(existing, deletedSearch, request.user);
+      } catch (error) {
+        logger.warn('Failed to record search revision', { searchId: id, error: error.message });
+      }
+
+      // Runs of a trashed search must not run: cancel the jobs and their scheduled messages.
+      // Messages already in the queue stay there (see "Trash" in the README)
+      let jobsCancelled = 0;
+      let scheduledMessagesNotCancelled = [];
+      try {
+        const result = await jobService.cancelPendingJobs(id, { cancelledBy: request.user.id, reason: 'search_deleted' });
+        jobsCancelled = result.cancelled.length;
+        scheduledMessagesNotCancelled = result.messagesNotCancelled;
+      } catch (error) {
+        logger.warn('Failed to cancel pending jobs of deleted search', { searchId: id, error: error.message });
+      }
+
       return reply.send({
         success: true,
-        message: 'Search deleted successfully'
+        message: 'Search moved to trash',
+        deletedAt: deletedSearch.deletedAt,
+        purgeAfter: searchTrashService.purgeAfter(deletedSearch),
+        jobsCancelled,
+        scheduledMessagesNotCancelled
       });
     } catch (error) {
       logger.error('Failed to delete search', { 
@@ -345,42 +713,100 @@ export default async function searchRoutes(fastify, options) {
 
   /**
    * POST /api/searches/:id/run
-   * Manually trigger a search to run immediately
+   * Manually trigger a search to run immediately, or at `runAt`
    */
   fastify.post('/api/searches/:id/run', {
-    preHandler: authenticate
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: ['object', 'null'],
+        properties: {
+          runAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const { id } = request.params;
+      const { runAt } = request.body || {};
 
-      // Verify search exists and belongs to user
-      const search = await cosmosDBService.getSearch(id, request.user.id);
-      if (!search) {
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
         return reply.code(404).send({
           error: 'Not Found',
           message: 'Search not found'
         });
       }
 
-      // Trigger manual run by enqueuing job directly
-      const jobQueueService = (await import('../services/job-queue.service.js')).default;
-      const messageId = await jobQueueService.enqueueJob({
-        searchId: id,
-        userId: request.user.id,
-        scheduleType: 'manual'
+      // Run at a later time: sent as a scheduled message
+      if (runAt) {
+        const { outcome, job, message } = await jobService.scheduleSearchRun(search, new Date(runAt), {
+          scheduleType: 'manual',
+          requestedBy: request.user.id
+        });
+
+        if (outcome === 'invalid') {
+          return reply.code(400).send({ error: 'Bad Request', message });
+        }
+        if (outcome === 'limit') {
+          return reply.code(409).send({ error: 'Conflict', message });
+        }
+
+        return reply.code(outcome === 'existing' ? 200 : 202).send({
+          success: true,
+          message: outcome === 'existing'
+            ? 'A run of this search is already scheduled for that time.'
+            : 'Search run scheduled.',
+          searchId: id,
+          jobId: job.id,
+          job,
+          deduplicated: outcome === 'existing'
+        });
+      }
+
+      // Trigger manual run: the job record is written first, then the message enqueued
+      const { outcome, job, retryAt } = await jobService.enqueueSearchRun(search, {
+        scheduleType: 'manual',
+        requestedBy: request.user.id
       });
 
+      if (outcome === 'cooldown') {
+        const retryAfter = Math.max(1, Math.ceil((new Date(retryAt) - Date.now()) / 1000));
+        reply.header('Retry-After', String(retryAfter));
+        return reply.code(429).send({
+          error: 'Too Many Requests',
+          message: `This search ran recently. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+          searchId: id,
+          retryAt,
+          lastJob: job
+        });
+      }
+
+      if (outcome === 'existing') {
+        return reply.code(200).send({
+          success: true,
+          message: 'A run of this search is already queued.',
+          searchId: id,
+          jobId: job.id,
+          job,
+          deduplicated: true
+        });
+      }
+
       logger.info('Manual search run triggered', { 
         searchId: id, 
         userId: request.user.id,
-        messageId 
+        jobId: job.id
       });
 
       return reply.code(202).send({
         success: true,
         message: 'Search run queued. You will receive an email with results shortly.',
         searchId: id,
-        jobId: messageId
+        jobId: job.id,
+        job,
+        deduplicated: false
       });
     } catch (error) {
       logger.error('Failed to trigger manual run', { 
@@ -392,31 +818,156 @@ export default async function searchRoutes(fastify, options) {
     }
   });
 
+  /**
+   * POST /api/searches/run
+   * Run several searches now: the given `searchIds`, or the searches matching `filter`
+   * Each search is deduplicated and cooled down like a single run; returns a job per search
+   */
+  fastify.post('/api/searches/run', {
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          searchIds: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_BULK_RUN_SEARCHES,
+            items: { type: 'string' }
+          },
+          filter: {
+            type: 'object',
+            properties: {
+              scope: { type: 'string', enum: ['owned', 'shared', 'all'] },
+              isActive: { type: 'boolean' },
+              tag: { type: 'string', minLength: 1, maxLength: 40 }
+            }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { searchIds, filter } = request.body;
+      const userId = request.user.id;
+
+      if (!searchIds === !filter) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Provide either searchIds or filter'
+        });
+      }
+
+      // Resolve the searches: listed IDs must be accessible, a filter defaults to active searches
+      let searches;
+      let truncated = false;
+      const notFound = [];
+      if (searchIds) {
+        const ids = [...new Set(searchIds)];
+        const found = await Promise.all(ids.map(id => databaseService.getSearchIfAccessible(id, userId)));
+        searches = found.filter(Boolean);
+        notFound.push(...ids.filter((id, i) => !found[i]));
+      } else {
+        ({ searches, truncated } = await searchListService.findSearches(userId, {
+          scope: filter.scope,
+          isActive: filter.isActive ?? true,
+          tag: filter.tag,
+          max: MAX_BULK_RUN_SEARCHES
+        }));
+      }
+
+      const runnable = searches.filter(search => RUN_PERMISSIONS.includes(search._permission));
+      const forbidden = searches.filter(search => !RUN_PERMISSIONS.includes(search._permission));
+
+      const runs = await jobService.enqueueSearchRuns(runnable, {
+        scheduleType: 'manual',
+        requestedBy: userId
+      });
+      const searchNames = new Map(searches.map(search => [search.id, search.searchName]));
+
+      const results = [
+        ...runs.map(run => ({
+          searchId: run.searchId,
+          searchName: searchNames.get(run.searchId),
+          outcome: run.outcome,
+          jobId: run.job?.id || null,
+          job: run.job,
+          retryAt: run.retryAt,
+          error: run.error
+        })),
+        ...forbidden.map(search => ({
+          searchId: search.id,
+          searchName: search.searchName,
+          outcome: 'forbidden',
+          jobId: null,
+          job: null,
+          retryAt: null,
+          error: 'Shared read-only; only the owner can run this search'
+        })),
+        ...notFound.map(searchId => ({
+          searchId,
+          searchName: null,
+          outcome: 'not_found',
+          jobId: null,
+          job: null,
+          retryAt: null,
+          error: 'Search not found'
+        }))
+      ];
+
+      const summary = { queued: 0, existing: 0, cooldown: 0, failed: 0, forbidden: 0, not_found: 0 };
+      for (const result of results) {
+        summary[result.outcome]++;
+      }
+
+      logger.info('Bulk search run triggered', { userId, requested: results.length, ...summary, truncated });
+
+      return reply.code(summary.queued > 0 ? 202 : 200).send({
+        success: true,
+        message: `${summary.queued} of ${results.length} search run(s) queued.`,
+        truncated,
+        summary,
+        results
+      });
+    } catch (error) {
+      logger.error('Failed to trigger bulk run', { userId: request.user.id, error: error.message });
+      throw error;
+    }
+  });
+
   /**
    * GET /api/searches/summary/all-prices
    * Get latest prices for all active searches (for the all-prices page)
-   * Includes owned and shared searches
+   * Includes owned and shared searches; rows of watched hotels carry `watched: true`
    */
   fastify.get('/api/searches/summary/all-prices', {
-    preHandler: authenticate
+    preHandler: authenticate,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          watched: { type: 'boolean' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const userId = request.user.id;
 
       // Fetch owned searches and shares in parallel
       const [ownedResult, shares] = await Promise.all([
-        cosmosDBService.getSearchesByUser(userId, {
+        databaseService.getSearchesByUser(userId, {
           isActive: true,
           limit: 100
         }),
-        cosmosDBService.getSharesByUser(userId)
+        databaseService.getSharesByUser(userId)
       ]);
 
       // Fetch shared searches
       const sharedSearches = await Promise.all(
         shares.map(async (share) => {
           try {
-            const search = await cosmosDBService.getSearch(share.searchId, share.ownerId);
+            const search = await databaseService.getSearch(share.searchId, share.ownerId);
             if (search && search.isActive) {
               return {
                 ...search,
@@ -451,16 +1002,18 @@ export default async function searchRoutes(fastify, options) {
       const searchesWithPrices = await Promise.all(
         allSearches.map(async (search) => {
           try {
-            const prices = await cosmosDBService.getLatestPrices(search.id);
+            let prices = await databaseService.getLatestPrices(search.id);
             const latestExtractedAt = prices.length > 0 ? prices[0].extractedAt : null;
+            prices = markWatched(request.query.watched ? filterWatched(prices, search) : prices, search);
 
-            // Deduplicate prices by hotelName (keep first occurrence)
+            // Deduplicate prices by hotel key (keep first occurrence)
             const dedupedPrices = [];
             const seenHotels = new Set();
             for (const price of prices) {
-              if (!seenHotels.has(price.hotelName)) {
-                seenHotels.add(price.hotelName);
-                dedupedPrices.push(price);
+              const hotelKey = getHotelKey(price);
+              if (!seenHotels.has(hotelKey)) {
+                seenHotels.add(hotelKey);
+                dedupedPrices.push({ ...price, hotelKey });
               }
             }
 
@@ -555,9 +1108,9 @@ export default async function searchRoutes(fastify, options) {
       const { email } = request.body;
       const userId = request.user.id;
 
-      // Verify search exists and user owns it
-      const search = await cosmosDBService.getSearch(id, userId);
-      if (!search) {
+      // Verify search exists, user owns it and it is not in the trash
+      const search = await databaseService.getSearch(id, userId);
+      if (!search || search.deletedAt) {
         return reply.code(404).send({
           error: 'Not Found',
           message: 'Search not found'
@@ -573,7 +1126,7 @@ export default async function searchRoutes(fastify, options) {
       }
 
       // Look up recipient by email
-      const recipient = await cosmosDBService.getUserByEmail(email);
+      const recipient = await databaseService.getUserByEmail(email);
       if (!recipient) {
         return reply.code(404).send({
           error: 'User Not Found',
@@ -583,7 +1136,7 @@ export default async function searchRoutes(fastify, options) {
 
       // Create share
       try {
-        const share = await cosmosDBService.createShare(
+        const share = await databaseService.createShare(
           id,
           userId,
           recipient.id,
@@ -643,7 +1196,7 @@ export default async function searchRoutes(fastify, options) {
       const userId = request.user.id;
 
       // Verify search exists and user owns it
-      const search = await cosmosDBService.getSearch(id, userId);
+      const search = await databaseService.getSearch(id, userId);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -652,7 +1205,7 @@ export default async function searchRoutes(fastify, options) {
       }
 
       // Get all shares for this search
-      const shares = await cosmosDBService.getSharesBySearch(id);
+      const shares = await databaseService.getSharesBySearch(id);
 
       // Format response
       const formattedShares = shares.map(share => ({
@@ -690,7 +1243,7 @@ export default async function searchRoutes(fastify, options) {
       const userId = request.user.id;
 
       // Verify search exists and user owns it
-      const search = await cosmosDBService.getSearch(id, userId);
+      const search = await databaseService.getSearch(id, userId);
       if (!search) {
         return reply.code(404).send({
           error: 'Not Found',
@@ -699,7 +1252,7 @@ export default async function searchRoutes(fastify, options) {
       }
 
       // Delete the share
-      await cosmosDBService.deleteShare(shareId, id);
+      await databaseService.deleteShare(shareId, id);
 
       logger.info('Share revoked successfully', {
         searchId: id,
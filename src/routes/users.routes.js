@@ -1,4 +1,5 @@
-import cosmosDBService from '../services/cosmos-db.service.js';
+import databaseService from '../services/database.service.js';
+import accountDeletionService from '../services/account-deletion.service.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { createRequire } from 'module';
 
@@ -18,7 +19,7 @@ export default async function userRoutes(fastify, options) {
     preHandler: authenticate
   }, async (request, reply) => {
     try {
-      const user = await cosmosDBService.getUser(request.user.id);
+      const user = await databaseService.getUser(request.user.id);
 
       if (!user) {
         return reply.code(404).send({
@@ -27,12 +28,16 @@ export default async function userRoutes(fastify, options) {
         });
       }
 
+      // Clients send this back as If-Match on PATCH
+      reply.header('ETag', user._etag);
+
       return reply.send({
         id: user.id,
         email: user.email,
         displayName: user.displayName,
         photoURL: user.photoURL,
         emailPreferences: user.emailPreferences,
+        retention: user.retention || null,
         createdAt: user.createdAt
       });
     } catch (error) {
@@ -56,14 +61,20 @@ export default async function userRoutes(fastify, options) {
             properties: {
               enabled: { type: 'boolean' }
             }
+          },
+          retention: {
+            type: ['object', 'null'],
+            properties: {
+              rawDays: { type: ['integer', 'null'], minimum: 1, maximum: 3650 }
+            }
           }
         }
       }
     }
   }, async (request, reply) => {
     try {
-      const { emailPreferences } = request.body;
-      const user = await cosmosDBService.getUser(request.user.id);
+      const { emailPreferences, retention } = request.body;
+      const user = await databaseService.getUser(request.user.id);
 
       if (!user) {
         return reply.code(404).send({
@@ -72,20 +83,22 @@ export default async function userRoutes(fastify, options) {
         });
       }
 
-      // Update user
-      const updated = await cosmosDBService.upsertUser({
-        ...user,
-        emailPreferences: emailPreferences || user.emailPreferences
-      });
+      // Update user (If-Match pins the version the client last read)
+      const updated = await databaseService.updateUser(user.id, {
+        ...(emailPreferences && { emailPreferences }),
+        ...(retention !== undefined && { retention })
+      }, { ifMatch: request.headers['if-match'] });
 
       logger.info('User profile updated', { userId: user.id });
 
+      reply.header('ETag', updated._etag);
       return reply.send({
         id: updated.id,
         email: updated.email,
         displayName: updated.displayName,
         photoURL: updated.photoURL,
         emailPreferences: updated.emailPreferences,
+        retention: updated.retention,
         updatedAt: updated.updatedAt
       });
     } catch (error) {
@@ -97,6 +110,7 @@ export default async function userRoutes(fastify, options) {
   /**
    * DELETE /api/users/me
    * Delete current user account (and all associated data)
+   * Safe to call again after a partial failure — the deletion resumes where it stopped
    */
   fastify.delete('/api/users/me', {
     preHandler: authenticate
@@ -104,9 +118,8 @@ export default async function userRoutes(fastify, options) {
     try {
       const userId = request.user.id;
 
-      // TODO: Implement cascade delete for searches, prices, conversations
-      // For now, just delete the user
-      await cosmosDBService.deleteUser(userId);
+      // Cascade delete searches, prices, conversations, shares and jobs, then the user
+      const report = await accountDeletionService.deleteAccount(userId);
 
       // Clear session
       request.session.delete();
@@ -115,7 +128,8 @@ export default async function userRoutes(fastify, options) {
 
       return reply.send({
         success: true,
-        message: 'Account deleted successfully'
+        message: 'Account deleted successfully',
+        report
       });
     } catch (error) {
       logger.error('Failed to delete user account', { userId: request.user.id, error: error.message });
@@ -0,0 +1,187 @@
+import databaseService from '../services/database.service.js';
+import searchHistoryService from '../services/search-history.service.js';
+import watchlistService, { MAX_WATCHED_HOTELS } from '../services/watchlist.service.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Save a search's new watchlist and record the change in its history
+ * @param {Object} request
+ * @param {string} searchId
+ * @param {Function} change - Current watchlist → new watchlist
+ * @returns {Object} Updated search
+ */
+async function saveWatchlist(request, searchId, change) {
+  // The updater may run more than once on conflict — keep the version it last saw
+  let before;
+  const updatedSearch = await databaseService.updateSearch(searchId, request.user.id, current => {
+    before = current;
+    return { watchlist: change(current.watchlist || []) };
+  });
+
+  // History is best effort: the update itself has already succeeded
+  try {
+    await searchHistoryService.recordChange(before, updatedSearch, request.user);
+  } catch (error) {
+    logger.warn('Failed to record search revision', { searchId, error: error.message });
+  }
+
+  return updatedSearch;
+}
+
+/**
+ * Watchlist routes
+ * Hotels pinned on a search, by hotel key (see watchlist.service.js)
+ */
+export default async function watchlistRoutes(fastify, options) {
+
+  /**
+   * GET /api/searches/:id/watchlist
+   * Get the watched hotels of a search with their state in the latest run
+   */
+  fastify.get('/api/searches/:id/watchlist', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      // Allow access for owner or shared users
+      const search = await databaseService.getSearchIfAccessible(id, request.user.id);
+      if (!search) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const watchlist = await watchlistService.getWatchlist(search);
+
+      return reply.send({
+        searchId: id,
+        ...watchlist
+      });
+    } catch (error) {
+      logger.error('Failed to get watchlist', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * POST /api/searches/:id/watchlist
+   * Watch a hotel (owner only); watching it again is a no-op
+   */
+  fastify.post('/api/searches/:id/watchlist', {
+    preHandler: authenticate,
+    schema: {
+      body: {
+        type: 'object',
+        required: ['hotelKey'],
+        properties: {
+          hotelKey: { type: 'string', minLength: 1, maxLength: 200 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { hotelKey } = request.body;
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      const watched = (search.watchlist || []).find(entry => entry.hotelKey === hotelKey);
+      if (watched) {
+        return reply.send(watched);
+      }
+
+      if ((search.watchlist || []).length >= MAX_WATCHED_HOTELS) {
+        return reply.code(400).send({
+          error: 'Watchlist Full',
+          message: `A search can watch at most ${MAX_WATCHED_HOTELS} hotels`
+        });
+      }
+
+      // Only hotels that have been scraped have a catalog entry
+      const hotel = await databaseService.getHotel(hotelKey);
+      if (!hotel) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Hotel not found'
+        });
+      }
+
+      const entry = { hotelKey, hotelName: hotel.name, addedAt: new Date().toISOString() };
+      await saveWatchlist(request, id, watchlist =>
+        (watchlist.some(e => e.hotelKey === hotelKey) ? watchlist : [...watchlist, entry]));
+
+      logger.info('Hotel added to watchlist', { searchId: id, hotelKey, userId: request.user.id });
+
+      return reply.code(201).send(entry);
+    } catch (error) {
+      logger.error('Failed to add hotel to watchlist', {
+        searchId: request.params.id,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+
+  /**
+   * DELETE /api/searches/:id/watchlist/:hotelKey
+   * Stop watching a hotel (owner only)
+   */
+  fastify.delete('/api/searches/:id/watchlist/:hotelKey', {
+    preHandler: authenticate
+  }, async (request, reply) => {
+    try {
+      const { id, hotelKey } = request.params;
+
+      // Verify search exists, belongs to user and is not in the trash
+      const search = await databaseService.getSearch(id, request.user.id);
+      if (!search || search.deletedAt) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Search not found'
+        });
+      }
+
+      if (!(search.watchlist || []).some(entry => entry.hotelKey === hotelKey)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Hotel is not on the watchlist'
+        });
+      }
+
+      await saveWatchlist(request, id, watchlist => watchlist.filter(entry => entry.hotelKey !== hotelKey));
+
+      logger.info('Hotel removed from watchlist', { searchId: id, hotelKey, userId: request.user.id });
+
+      return reply.send({
+        success: true,
+        message: 'Hotel removed from watchlist'
+      });
+    } catch (error) {
+      logger.error('Failed to remove hotel from watchlist', {
+        searchId: request.params.id,
+        hotelKey: request.params.hotelKey,
+        userId: request.user.id,
+        error: error.message
+      });
+      throw error;
+    }
+  });
+}
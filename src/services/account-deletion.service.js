@@ -0,0 +1,222 @@
+import databaseService from './database.service.js';
+import searchTrashService from './search-trash.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Account Deletion Service
+ * Erases a user and everything tied to them: owned searches with their prices,
+ * extraction runs, change history, conversations and shares, shares received from others, jobs, and the user's
+ * email address on other users' searches.
+ *
+ * Progress is checkpointed in the accountDeletions container after every step,
+ * so a deletion that fails partway can be resumed by running it again. The user
+ * document is removed last; the deletion record is kept (without personal data)
+ * as proof of erasure.
+ */
+class AccountDeletionService {
+  /**
+   * Delete (or resume deleting) a user account
+   * @param {string} userId
+   * @returns {Object} Deletion report
+   */
+  async deleteAccount(userId) {
+    let deletion = await databaseService.getAccountDeletion(userId);
+
+    if (deletion?.status === 'completed') {
+      return deletion.report;
+    }
+
+    if (!deletion) {
+      deletion = {
+        id: userId,
+        status: 'in_progress',
+        startedAt: new Date().toISOString(),
+        completedAt: null,
+        completedSteps: [],
+        attempts: 0,
+        lastError: null,
+        report: {
+          userId,
+          searchesDeleted: 0,
+          pricesDeleted: 0,
+          runsDeleted: 0,
+          revisionsDeleted: 0,
+          alertEventsDeleted: 0,
+          conversationsDeleted: 0,
+          sharesGivenRevoked: 0,
+          sharesReceivedRevoked: 0,
+          jobsDeleted: 0,
+          recipientEntriesRemoved: 0,
+          userDeleted: false
+        }
+      };
+    } else {
+      logger.info('Resuming account deletion', { userId, completedSteps: deletion.completedSteps });
+    }
+
+    deletion = await databaseService.upsertAccountDeletion({
+      ...deletion,
+      status: 'in_progress',
+      attempts: deletion.attempts + 1
+    });
+
+    // Email is needed for the recipients step; read it before the user document goes away
+    const user = await databaseService.getUser(userId);
+    const email = user?.email || null;
+
+    const steps = [
+      ['sharesReceived', () => this.revokeSharesReceived(userId, deletion.report)],
+      ['searches', () => this.deleteOwnedSearches(userId, deletion)],
+      ['jobs', () => this.deleteJobs(userId, deletion.report)],
+      ['recipients', () => this.removeRecipientEntries(email, deletion.report)],
+      ['user', () => this.deleteUserDocument(userId, deletion.report)]
+    ];
+
+    try {
+      for (const [name, run] of steps) {
+        if (deletion.completedSteps.includes(name)) {
+          continue;
+        }
+
+        await run();
+
+        deletion.completedSteps.push(name);
+        deletion = await databaseService.upsertAccountDeletion(deletion);
+      }
+
+      deletion = await databaseService.upsertAccountDeletion({
+        ...deletion,
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        lastError: null,
+        report: { ...deletion.report, completedAt: new Date().toISOString() }
+      });
+
+      logger.info('Account deletion completed', { userId, report: deletion.report });
+      return deletion.report;
+    } catch (error) {
+      logger.error('Account deletion failed, can be resumed', {
+        userId,
+        completedSteps: deletion.completedSteps,
+        error: error.message
+      });
+
+      await databaseService.upsertAccountDeletion({
+        ...deletion,
+        status: 'failed',
+        lastError: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Resume all deletions that are in progress or have failed
+   * @returns {Array} Results per user { userId, success, report | error }
+   */
+  async resumePendingDeletions() {
+    const pending = await databaseService.getPendingAccountDeletions();
+    const results = [];
+
+    for (const deletion of pending) {
+      try {
+        const report = await this.deleteAccount(deletion.id);
+        results.push({ userId: deletion.id, success: true, report });
+      } catch (error) {
+        results.push({ userId: deletion.id, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Revoke every share other users granted to this user
+   */
+  async revokeSharesReceived(userId, report) {
+    const shares = await databaseService.getSharesByUser(userId);
+    for (const share of shares) {
+      await databaseService.deleteShare(share.id, share.searchId);
+      report.sharesReceivedRevoked++;
+    }
+  }
+
+  /**
+   * Delete each owned search, trashed or not, with its shares, prices, runs, revisions, jobs
+   * and conversation (searchTrashService.purgeSearch). Progress is checkpointed after every search.
+   */
+  async deleteOwnedSearches(userId, deletion) {
+    const { report } = deletion;
+
+    // Always re-read the first page: deleted searches drop out of it, so no continuation token is needed
+    for (;;) {
+      const { searches } = await databaseService.getSearchesByUser(userId, { limit: 100 });
+      if (searches.length === 0) {
+        break;
+      }
+
+      for (const search of searches) {
+        const result = await searchTrashService.purgeSearch(search);
+
+        report.sharesGivenRevoked += result.sharesRevoked;
+        report.pricesDeleted += result.pricesDeleted;
+        report.runsDeleted = (report.runsDeleted || 0) + result.runsDeleted;
+        report.revisionsDeleted = (report.revisionsDeleted || 0) + result.revisionsDeleted;
+        report.alertEventsDeleted = (report.alertEventsDeleted || 0) + result.alertEventsDeleted;
+        report.jobsDeleted += result.jobsDeleted;
+        if (result.conversationDeleted) {
+          report.conversationsDeleted++;
+        }
+        if (result.searchDeleted) {
+          report.searchesDeleted++;
+        }
+
+        await databaseService.upsertAccountDeletion(deletion);
+      }
+    }
+  }
+
+  /**
+   * Delete the user's job records
+   */
+  async deleteJobs(userId, report) {
+    report.jobsDeleted += await databaseService.deleteJobsByUser(userId);
+  }
+
+  /**
+   * Remove the user's email address from other users' search recipients
+   */
+  async removeRecipientEntries(email, report) {
+    if (!email) {
+      return;
+    }
+
+    const searches = await databaseService.getSearchesByRecipient(email);
+    for (const search of searches) {
+      await databaseService.updateSearch(search.id, search.userId, current => ({
+        emailRecipients: (current.emailRecipients || []).filter(recipient => recipient !== email)
+      }));
+      report.recipientEntriesRemoved++;
+    }
+  }
+
+  /**
+   * Delete the user document itself
+   */
+  async deleteUserDocument(userId, report) {
+    const user = await databaseService.getUser(userId);
+    if (user) {
+      await databaseService.deleteUser(userId);
+    }
+    report.userDeleted = true;
+  }
+}
+
+// Singleton instance
+const accountDeletionService = new AccountDeletionService();
+
+export default accountDeletionService;
@@ -0,0 +1,188 @@
+import { getHotelKey } from '../parsers/hotel-key.js';
+
+/**
+ * Price alert rules
+ * A search's `alertRules` say which changes in a new run's prices are worth a
+ * notification:
+ *
+ * - `price_below`: any hotel priced below `maxPrice`
+ * - `hotel_drop`: the hotel `hotelKey` costs at least `percent`% less than in the previous run
+ * - `below_week_min`: the run's cheapest price is below the lowest price of the 7 days before the run
+ * - `new_hotel`: a hotel rated `minRating` or better shows up for the first time
+ *
+ * Evaluation is a pure function of a rule and the run's context; alert.service.js
+ * builds the context, deduplicates matches against the alert history and records them.
+ */
+
+export const ALERT_RULE_TYPES = ['price_below', 'hotel_drop', 'below_week_min', 'new_hotel'];
+
+// Parameters each rule type needs, with their bounds
+const RULE_PARAMETERS = {
+  price_below: { maxPrice: { min: 0 } },
+  hotel_drop: { hotelKey: null, percent: { min: 1, max: 100 } },
+  below_week_min: {},
+  new_hotel: { minRating: { min: 0, max: 10 } }
+};
+
+// Subject of matches that are about the run as a whole rather than one hotel
+export const CHEAPEST_SUBJECT = 'cheapest';
+
+/**
+ * Check the parts of a rule JSON schema cannot: the parameters its type needs
+ * @param {Object} rule - Merged rule
+ * @returns {string|null} What is wrong, or null if valid
+ */
+export function validateAlertRule(rule) {
+  const parameters = RULE_PARAMETERS[rule.type];
+  if (!parameters) {
+    return `Unknown alert type "${rule.type}" (expected one of: ${ALERT_RULE_TYPES.join(', ')})`;
+  }
+
+  for (const [name, bounds] of Object.entries(parameters)) {
+    const value = rule[name];
+    if (bounds === null) {
+      if (typeof value !== 'string' || !value) {
+        return `A ${rule.type} alert needs "${name}"`;
+      }
+    } else if (!Number.isFinite(value) || value < bounds.min || (bounds.max !== undefined && value > bounds.max)) {
+      const range = bounds.max === undefined ? `at least ${bounds.min}` : `${bounds.min}-${bounds.max}`;
+      return `A ${rule.type} alert needs "${name}" (${range})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Context names a rule type reads besides the run's prices
+ * @param {Object} rule
+ * @returns {Array<string>} Subset of previousPrices, weekMin, seenHotels
+ */
+export function contextNeeds(rule) {
+  return {
+    price_below: [],
+    hotel_drop: ['previousPrices'],
+    below_week_min: ['weekMin'],
+    new_hotel: ['seenHotels']
+  }[rule.type] || [];
+}
+
+/**
+ * Numeric rating of a price row ("8.7", 8.7)
+ * @param {Object} price
+ * @returns {number|null}
+ */
+function ratingOf(price) {
+  const rating = parseFloat(price.rating);
+  return Number.isFinite(rating) ? rating : null;
+}
+
+/**
+ * Lowest-priced row per hotel of a run
+ * @param {Array} prices
+ * @returns {Map} Hotel key → price row
+ */
+export function cheapestByHotel(prices) {
+  const byHotel = new Map();
+  for (const price of prices) {
+    if (!Number.isFinite(price.numericPrice)) {
+      continue;
+    }
+    const key = getHotelKey(price);
+    if (!byHotel.has(key) || price.numericPrice < byHotel.get(key).numericPrice) {
+      byHotel.set(key, price);
+    }
+  }
+  return byHotel;
+}
+
+/**
+ * A match of a rule: what an alert would say
+ * @returns {Object} { subject, hotelKey, hotelName, price, baseline, message }
+ */
+function match(subject, price, baseline, message) {
+  return {
+    subject,
+    hotelKey: getHotelKey(price),
+    hotelName: price.hotelName || null,
+    price: price.numericPrice,
+    baseline,
+    message
+  };
+}
+
+/**
+ * Evaluate a rule against a run
+ * @param {Object} rule
+ * @param {Object} context - { hotels: Map hotel key → cheapest row of the run, previousPrices: Map
+ *   hotel key → price in the previous run, weekMin: number|null, seenHotels: Set of hotel keys seen before }
+ * @returns {Array<Object>} Matches, see match()
+ */
+export function evaluateAlertRule(rule, context) {
+  const hotels = [...context.hotels.values()];
+
+  switch (rule.type) {
+    case 'price_below':
+      return hotels
+        .filter(price => price.numericPrice < rule.maxPrice)
+        .map(price => match(getHotelKey(price), price, rule.maxPrice,
+          `${price.hotelName} is at ${price.numericPrice}, below ${rule.maxPrice}`));
+
+    case 'hotel_drop': {
+      const price = context.hotels.get(rule.hotelKey);
+      const previous = context.previousPrices.get(rule.hotelKey);
+      if (!price || !(previous > 0)) {
+        return [];
+      }
+      const dropPercent = Math.round((1 - price.numericPrice / previous) * 1000) / 10;
+      return dropPercent >= rule.percent
+        ? [match(rule.hotelKey, price, previous, `${price.hotelName} dropped ${dropPercent}% from ${previous} to ${price.numericPrice}`)]
+        : [];
+    }
+
+    case 'below_week_min': {
+      const cheapest = hotels.reduce((best, price) => (!best || price.numericPrice < best.numericPrice ? price : best), null);
+      if (!cheapest || context.weekMin === null || cheapest.numericPrice >= context.weekMin) {
+        return [];
+      }
+      return [match(CHEAPEST_SUBJECT, cheapest, context.weekMin,
+        `Cheapest price ${cheapest.numericPrice} (${cheapest.hotelName}) is below last week's minimum of ${context.weekMin}`)];
+    }
+
+    case 'new_hotel':
+      // The first run is the baseline: every hotel in it would be new
+      if (context.seenHotels.size === 0) {
+        return [];
+      }
+      return hotels
+        .filter(price => !context.seenHotels.has(getHotelKey(price)) && ratingOf(price) >= rule.minRating)
+        .map(price => match(getHotelKey(price), price, null,
+          `New hotel ${price.hotelName} rated ${ratingOf(price)} at ${price.numericPrice}`));
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether a match repeats an alert already sent
+ * A new hotel is announced once. A price alert is new when the rule did not
+ * match the subject in the previous run: the price was back above the
+ * threshold or baseline, so the rule re-armed. While it keeps matching, the
+ * alert is sent again only when the price falls below the last alerted price,
+ * so a price that stays low does not notify on every run.
+ * @param {Object} rule
+ * @param {Object} matched - From evaluateAlertRule
+ * @param {Object|undefined} lastEvent - Latest recorded alert of the rule for the subject
+ * @param {boolean} matchedBefore - Whether the rule matched the subject in the previous run
+ * @returns {boolean}
+ */
+export function isDuplicateAlert(rule, matched, lastEvent, matchedBefore) {
+  if (rule.type === 'new_hotel') {
+    return Boolean(lastEvent);
+  }
+  if (!matchedBefore || !lastEvent) {
+    return false;
+  }
+  return matched.price >= lastEvent.price;
+}
@@ -0,0 +1,338 @@
+import { createHash } from 'crypto';
+import databaseService from './database.service.js';
+import { getHotelKey } from '../parsers/hotel-key.js';
+import { cheapestByHotel, contextNeeds, evaluateAlertRule, isDuplicateAlert } from './alert-rules.js';
+import lifecycleService from './lifecycle.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// Rows read per page while streaming a search's history
+const PAGE_SIZE = 1000;
+const DEFAULT_EVALUATION_INTERVAL_SECONDS = 60;
+// Runs that finished longer ago are never evaluated automatically, so turning
+// evaluation on (or a long outage) does not send alerts about old prices
+const EVALUATION_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const EVALUATION_BATCH_SIZE = 100;
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name
+ * @param {number} fallback
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name] ?? '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Deterministic alert event ID
+ * One event per rule, subject and run: evaluating a run again finds the
+ * events it already recorded instead of sending them twice.
+ * @param {string} ruleId
+ * @param {string} subject
+ * @param {string} runId
+ */
+function alertEventId(ruleId, subject, runId) {
+  const hash = createHash('sha1').update([ruleId, subject, runId].join('\u0000')).digest('hex').slice(0, 24);
+  return `alertevt_${hash}`;
+}
+
+/**
+ * Alert Service
+ * Evaluates a search's alert rules (see alert-rules.js) against the prices of
+ * a completed run and records every alert worth sending in the `alertEvents`
+ * container (partition key `/searchId`). The recorded events are the alert
+ * history and, with the previous run's matches, what deduplication checks
+ * new matches against.
+ *
+ * Runs are completed by the Worker, so the web server picks them up on a timer
+ * (ALERT_EVALUATION_INTERVAL_SECONDS, 0 disables it): every completed run
+ * without `alertsEvaluatedAt` is evaluated once, oldest first. Event IDs are
+ * deterministic, so overlapping evaluations on several instances are harmless.
+ */
+class AlertService {
+  constructor() {
+    this.timer = null;
+    this.evaluating = false;
+  }
+
+  /**
+   * Evaluate the enabled alert rules of a search against a run
+   * @param {Object} search
+   * @param {Object} run - Completed extraction run
+   * @returns {Array} Alert events recorded for this evaluation — the alerts to send
+   */
+  async evaluateRun(search, run) {
+    const rules = (search.alertRules || []).filter(rule => rule.enabled !== false);
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const needs = new Set(rules.flatMap(rule => contextNeeds(rule)));
+    const context = await this.buildContext(search.id, run, needs);
+
+    // What the previous run matched tells an alert that continues from a new one.
+    // Built on first use; new hotels are not compared with it, so seenHotels is left out.
+    let previousContext;
+    const previousMatches = async (rule) => {
+      if (previousContext === undefined) {
+        const previous = await this.previousRun(search.id, run);
+        previousContext = previous
+          ? await this.buildContext(search.id, previous, new Set([...needs].filter(need => need !== 'seenHotels')))
+          : null;
+      }
+      return new Set(previousContext ? evaluateAlertRule(rule, previousContext).map(matched => matched.subject) : []);
+    };
+
+    const created = [];
+    for (const rule of rules) {
+      const matches = evaluateAlertRule(rule, context);
+      if (matches.length === 0) {
+        continue;
+      }
+      const matchedBefore = rule.type === 'new_hotel' ? new Set() : await previousMatches(rule);
+
+      // Newest first: the first event per subject is the last alert sent
+      const lastEvents = new Map();
+      for (const event of await databaseService.getAlertEventsByRule(search.id, rule.id)) {
+        if (!lastEvents.has(event.subject)) {
+          lastEvents.set(event.subject, event);
+        }
+      }
+
+      for (const matched of matches) {
+        if (isDuplicateAlert(rule, matched, lastEvents.get(matched.subject), matchedBefore.has(matched.subject))) {
+          continue;
+        }
+
+        const event = await this.recordEvent({
+          id: alertEventId(rule.id, matched.subject, run.id),
+          searchId: search.id,
+          userId: search.userId,
+          ruleId: rule.id,
+          ruleType: rule.type,
+          ...matched,
+          runId: run.id,
+          createdAt: new Date().toISOString()
+        });
+        if (event) {
+          created.push(event);
+        }
+      }
+    }
+
+    logger.info('Alert rules evaluated', { searchId: search.id, runId: run.id, rules: rules.length, alerts: created.length });
+    return created;
+  }
+
+  /**
+   * Evaluate the completed runs that finished recently and were not evaluated yet
+   * A run is marked with `alertsEvaluatedAt` once evaluated. A run that fails is
+   * retried on the next call, and the later runs of its search wait for it, so
+   * runs are always compared with the run before them.
+   * @returns {Object} { runsEvaluated, alertsRecorded, failures }
+   */
+  async evaluateCompletedRuns() {
+    const since = new Date(Date.now() - EVALUATION_LOOKBACK_MS).toISOString();
+    const runs = await databaseService.getRunsAwaitingAlerts(since, EVALUATION_BATCH_SIZE);
+    const report = { runsEvaluated: 0, alertsRecorded: 0, failures: [] };
+    const failedSearches = new Set();
+
+    for (const run of runs) {
+      if (failedSearches.has(run.searchId)) {
+        continue;
+      }
+      try {
+        // Trashed or deleted searches send no alerts
+        const search = await databaseService.getSearch(run.searchId, run.userId);
+        if (search && !search.deletedAt) {
+          const events = await this.evaluateRun(search, run);
+          report.alertsRecorded += events.length;
+        }
+        await databaseService.updateRun(run.searchId, run.id, { alertsEvaluatedAt: new Date().toISOString() });
+        report.runsEvaluated++;
+      } catch (error) {
+        logger.error('Failed to evaluate alert rules of run', { searchId: run.searchId, runId: run.id, error: error.message });
+        failedSearches.add(run.searchId);
+        report.failures.push({ searchId: run.searchId, runId: run.id, error: error.message });
+      }
+    }
+
+    if (report.runsEvaluated > 0 || report.failures.length > 0) {
+      logger.info('Completed runs evaluated for alerts', { ...report, failures: report.failures.length });
+    }
+
+    return report;
+  }
+
+  /**
+   * Start evaluating completed runs periodically in this process
+   * No-op if ALERT_EVALUATION_INTERVAL_SECONDS is 0 or the timer already runs
+   */
+  startEvaluationTimer() {
+    const intervalSeconds = envNumber('ALERT_EVALUATION_INTERVAL_SECONDS', DEFAULT_EVALUATION_INTERVAL_SECONDS);
+    if (this.timer || intervalSeconds === 0) {
+      return;
+    }
+
+    const tick = async () => {
+      if (!this.evaluating) {
+        this.evaluating = true;
+        try {
+          await lifecycleService.track(() => this.evaluateCompletedRuns());
+        } catch (error) {
+          logger.error('Scheduled alert evaluation failed', { error: error.message });
+        } finally {
+          this.evaluating = false;
+        }
+      }
+      if (this.timer) {
+        this.timer = setTimeout(tick, intervalSeconds * 1000);
+        this.timer.unref();
+      }
+    };
+
+    this.timer = setTimeout(tick, intervalSeconds * 1000);
+    this.timer.unref();
+    logger.info('Alert evaluation scheduled', { intervalSeconds });
+  }
+
+  /**
+   * Stop the periodic evaluation
+   */
+  stopEvaluationTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Store an alert event
+   * @param {Object} event
+   * @returns {Object|null} Created event, null if this run already recorded it
+   */
+  async recordEvent(event) {
+    try {
+      return await databaseService.createAlertEvent(event);
+    } catch (error) {
+      if (error.code === 409) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Everything the rules read about a run, see evaluateAlertRule
+   * @param {string} searchId
+   * @param {Object} run
+   * @param {Set} needs - Context names from contextNeeds
+   * @returns {Object} { hotels, previousPrices, weekMin, seenHotels }
+   */
+  async buildContext(searchId, run, needs) {
+    const prices = await databaseService.getPricesByRun(searchId, run.id);
+    return {
+      hotels: cheapestByHotel(prices),
+      previousPrices: needs.has('previousPrices') ? await this.previousPrices(searchId, run) : new Map(),
+      ...await this.history(searchId, run, needs)
+    };
+  }
+
+  /**
+   * The completed run before a run
+   * @param {string} searchId
+   * @param {Object} run
+   * @returns {Object|null}
+   */
+  async previousRun(searchId, run) {
+    let continuationToken;
+    do {
+      const page = await databaseService.getRunsBySearch(searchId, { status: 'completed', continuationToken });
+      const previous = page.runs.find(candidate => candidate.id !== run.id && candidate.startedAt < run.startedAt);
+      if (previous) {
+        return previous;
+      }
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    return null;
+  }
+
+  /**
+   * Cheapest price per hotel in the completed run before a run
+   * @param {string} searchId
+   * @param {Object} run
+   * @returns {Map} Hotel key → price
+   */
+  async previousPrices(searchId, run) {
+    const previous = await this.previousRun(searchId, run);
+    if (!previous) {
+      return new Map();
+    }
+    const prices = await databaseService.getPricesByRun(searchId, previous.id);
+    return new Map([...cheapestByHotel(prices)].map(([key, price]) => [key, price.numericPrice]));
+  }
+
+  /**
+   * What the search's price history before a run says, as far as rules need it
+   * Reads the whole history for `seenHotels`, only the week before the run for `weekMin`.
+   * @param {string} searchId
+   * @param {Object} run
+   * @param {Set} needs - Context names from contextNeeds
+   * @returns {Object} { weekMin: number|null, seenHotels: Set }
+   */
+  async history(searchId, run, needs) {
+    const result = { weekMin: null, seenHotels: new Set() };
+    if (!needs.has('weekMin') && !needs.has('seenHotels')) {
+      return result;
+    }
+
+    const weekStart = new Date(new Date(run.startedAt).getTime() - WEEK_MS).toISOString();
+    const startDate = needs.has('seenHotels') ? undefined : weekStart;
+    let continuationToken;
+
+    do {
+      const page = await databaseService.getPriceSeriesRows(searchId, {
+        startDate,
+        endDate: run.startedAt,
+        limit: PAGE_SIZE,
+        continuationToken
+      });
+
+      for (const row of page.rows) {
+        if (row.runId === run.id) {
+          continue;
+        }
+        result.seenHotels.add(getHotelKey(row));
+
+        // Downsampled rows stand for a whole day: their lowest price counts
+        const price = row.granularity ? row.minPrice : row.numericPrice;
+        if (row.extractedAt >= weekStart && Number.isFinite(price) && (result.weekMin === null || price < result.weekMin)) {
+          result.weekMin = price;
+        }
+      }
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    return result;
+  }
+
+  /**
+   * Get the alert history of a search, newest first
+   * @param {string} searchId
+   * @param {Object} options - { limit, continuationToken }
+   * @returns {Object} { events, continuationToken }
+   */
+  async getHistory(searchId, options = {}) {
+    return databaseService.getAlertEvents(searchId, options);
+  }
+}
+
+// Singleton instance
+const alertService = new AlertService();
+
+export default alertService;
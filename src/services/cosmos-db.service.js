@@ -1,9 +1,78 @@
 import { CosmosClient } from '@azure/cosmos';
 import { createRequire } from 'module';
+import { priceRowIds } from './price-keys.js';
+import { getHotelKey, mergeHotelEntry } from '../parsers/hotel-key.js';
+import { trashUpdates, restoreUpdates } from './trash-fields.js';
 
 const require = createRequire(import.meta.url);
 const logger = require('../logger.cjs');
 
+// Bulk writes: operations per request, and retries of throttled (429) operations
+const BULK_CHUNK_SIZE = 100;
+const BULK_MAX_RETRIES = 5;
+
+// Conditional updates: re-read-and-merge attempts when another writer got in first (412)
+const UPDATE_MAX_RETRIES = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before retrying a throttled operation: the server's retry-after, or exponential backoff
+ * @param {number} retryAfterMs - Server-provided delay (0/undefined if none)
+ * @param {number} attempt - Zero-based retry attempt
+ */
+function retryDelay(retryAfterMs, attempt) {
+  return Math.max(retryAfterMs || 0, 100 * 2 ** attempt);
+}
+
+/**
+ * Pick the most recently written copy of a job
+ * @param {Array} copies - Documents sharing one job ID
+ * @returns {Object|null}
+ */
+function latestJobCopy(copies) {
+  return copies.reduce((latest, job) =>
+    !latest || (job.updatedAt || job.createdAt) > (latest.updatedAt || latest.createdAt) ? job : latest, null);
+}
+
+/**
+ * Collapse duplicate copies of the same job in a result page, keeping its position
+ * @param {Array} jobs
+ */
+function dedupeJobCopies(jobs) {
+  const byId = new Map();
+  for (const job of jobs) {
+    byId.set(job.id, latestJobCopy([byId.get(job.id), job].filter(Boolean)));
+  }
+  return [...byId.values()];
+}
+
+/**
+ * SQL filter for a search query's `deleted` option
+ * @param {boolean|undefined} deleted - true: only searches in the trash, false: none of them, undefined: all
+ */
+function deletedFilter(deleted) {
+  if (deleted === undefined) {
+    return '';
+  }
+  return deleted ? ' AND IS_STRING(c.deletedAt)' : ' AND NOT IS_STRING(c.deletedAt)';
+}
+
+/**
+ * SQL filter for a search sort-key query's `after` option: the searches listed
+ * after a keyset cursor, newest activity (lastRunAt, else createdAt) first
+ * @param {Object|undefined} after - { t, id } cursor from decodeSearchCursor
+ * @param {Array<Object>} parameters - Query parameters, extended in place
+ */
+function afterCursorFilter(after, parameters) {
+  if (!after) {
+    return '';
+  }
+  parameters.push({ name: '@afterTime', value: after.t }, { name: '@afterId', value: after.id });
+  const time = "(IS_STRING(c.lastRunAt) AND c.lastRunAt != '' ? c.lastRunAt : c.createdAt)";
+  return ` AND (${time} < @afterTime OR (${time} = @afterTime AND c.id < @afterId))`;
+}
+
 /**
  * Cosmos DB Service for VacationMonitor
  * Manages all database operations for users, searches, prices, conversations, and jobs
@@ -18,7 +87,13 @@ class CosmosDBService {
       prices: null,
       conversations: null,
       jobs: null,
-      searchShares: null
+      searchShares: null,
+      runs: null,
+      accountDeletions: null,
+      migrations: null,
+      hotels: null,
+      searchRevisions: null,
+      alertEvents: null
     };
   }
 
@@ -45,6 +120,12 @@ class CosmosDBService {
       this.containers.conversations = this.database.container('conversations');
       this.containers.jobs = this.database.container('jobs');
       this.containers.searchShares = this.database.container('searchShares');
+      this.containers.runs = this.database.container('runs');
+      this.containers.accountDeletions = this.database.container('accountDeletions');
+      this.containers.migrations = this.database.container('migrations');
+      this.containers.hotels = this.database.container('hotels');
+      this.containers.searchRevisions = this.database.container('searchRevisions');
+      this.containers.alertEvents = this.database.container('alertEvents');
 
       logger.info('Cosmos DB service initialized successfully', { databaseName });
     } catch (error) {
@@ -53,6 +134,18 @@ class CosmosDBService {
     }
   }
 
+  /**
+   * Release the Cosmos DB client (stops its background endpoint refresh)
+   */
+  async close() {
+    if (this.client) {
+      this.client.dispose();
+      this.client = null;
+      this.database = null;
+      logger.info('Cosmos DB client closed');
+    }
+  }
+
   // ==================== USERS OPERATIONS ====================
 
   /**
@@ -69,6 +162,7 @@ class CosmosDBService {
         googleId: user.googleId,
         photoURL: user.photoURL || null,
         emailPreferences: user.emailPreferences || { enabled: true },
+        retention: user.retention || null, // Price history retention policy { rawDays }
         createdAt: user.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
@@ -99,6 +193,28 @@ class CosmosDBService {
     }
   }
 
+  /**
+   * Update fields on an existing user with a conditional replace
+   * @param {string} userId
+   * @param {Object|Function} updates - Fields to set, or (currentUser) => fields
+   * @param {Object} options - { ifMatch } ETag the caller last read; mismatch throws a 412 error
+   */
+  async updateUser(userId, updates, options = {}) {
+    try {
+      const resource = await this.conditionalUpdate(
+        this.containers.users,
+        () => this.getUser(userId),
+        updates,
+        options
+      );
+      logger.info('User updated successfully', { userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get user by Google ID
    * @param {string} googleId
@@ -151,6 +267,8 @@ class CosmosDBService {
           nextRun: new Date().toISOString()
         },
         emailRecipients: search.emailRecipients || [],
+        runCooldownMinutes: search.runCooldownMinutes ?? null, // null: RUN_COOLDOWN_MINUTES
+        tags: search.tags || [],
         isActive: search.isActive !== undefined ? search.isActive : true,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
@@ -187,11 +305,11 @@ class CosmosDBService {
   /**
    * Get all searches for a user
    * @param {string} userId
-   * @param {Object} options - Filtering and pagination options
+   * @param {Object} options - { isActive, deleted, limit, continuationToken }; trashed searches are included unless `deleted` is set
    */
   async getSearchesByUser(userId, options = {}) {
     try {
-      const { isActive, limit = 100, continuationToken } = options;
+      const { isActive, deleted, limit = 100, continuationToken } = options;
       
       let query = 'SELECT * FROM c WHERE c.userId = @userId';
       const parameters = [{ name: '@userId', value: userId }];
@@ -201,6 +319,8 @@ class CosmosDBService {
         parameters.push({ name: '@isActive', value: isActive });
       }
 
+      query += deletedFilter(deleted);
+
       query += ' ORDER BY c.createdAt DESC';
 
       const querySpec = { query, parameters };
@@ -217,6 +337,114 @@ class CosmosDBService {
     }
   }
 
+  /**
+   * Get the fields needed to sort a user's searches (id, userId, lastRunAt, createdAt, isActive)
+   * Much cheaper than reading full documents when only ordering is needed
+   * @param {string} userId
+   * @param {Object} options - { isActive, deleted, after } (after: only searches listed after this { t, id } cursor)
+   */
+  async getSearchSortKeysByUser(userId, options = {}) {
+    try {
+      const { isActive, deleted, after } = options;
+
+      let query = 'SELECT c.id, c.userId, c.lastRunAt, c.createdAt, c.isActive FROM c WHERE c.userId = @userId';
+      const parameters = [{ name: '@userId', value: userId }];
+
+      if (isActive !== undefined) {
+        query += ' AND c.isActive = @isActive';
+        parameters.push({ name: '@isActive', value: isActive });
+      }
+
+      query += deletedFilter(deleted);
+      query += afterCursorFilter(after, parameters);
+
+      const { resources } = await this.containers.searches.items.query({ query, parameters }).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get search sort keys for user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get sort fields for a set of searches across owners, in a single query
+   * @param {Array<string>} searchIds
+   * @param {Object} options - { isActive, deleted, after } (after: only searches listed after this { t, id } cursor)
+   */
+  async getSearchSortKeysByIds(searchIds, options = {}) {
+    try {
+      if (!searchIds || searchIds.length === 0) {
+        return [];
+      }
+
+      const { isActive, deleted, after } = options;
+
+      let query = 'SELECT c.id, c.userId, c.lastRunAt, c.createdAt, c.isActive FROM c WHERE ARRAY_CONTAINS(@searchIds, c.id)';
+      const parameters = [{ name: '@searchIds', value: searchIds }];
+
+      if (isActive !== undefined) {
+        query += ' AND c.isActive = @isActive';
+        parameters.push({ name: '@isActive', value: isActive });
+      }
+
+      query += deletedFilter(deleted);
+      query += afterCursorFilter(after, parameters);
+
+      const { resources } = await this.containers.searches.items.query({ query, parameters }).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get search sort keys by IDs', { count: searchIds.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all searches across users, one page at a time (for maintenance jobs)
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getAllSearches(options = {}) {
+    try {
+      const { limit = 100, continuationToken } = options;
+
+      const queryIterator = this.containers.searches.items.query('SELECT * FROM c', {
+        maxItemCount: limit,
+        continuationToken
+      });
+
+      const { resources, continuationToken: nextToken } = await queryIterator.fetchNext();
+      return { searches: resources, continuationToken: nextToken };
+    } catch (error) {
+      logger.error('Failed to get all searches', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get searches (of any owner) that were moved to the trash before a cutoff
+   * @param {string} cutoff - ISO timestamp
+   * @param {number} limit - Max number of searches to return
+   */
+  async getSearchesDeletedBefore(cutoff, limit = 100) {
+    try {
+      const querySpec = {
+        query: `SELECT * FROM c
+                WHERE IS_STRING(c.deletedAt) AND c.deletedAt < @cutoff
+                ORDER BY c.deletedAt ASC
+                OFFSET 0 LIMIT @limit`,
+        parameters: [
+          { name: '@cutoff', value: cutoff },
+          { name: '@limit', value: limit }
+        ]
+      };
+
+      const { resources } = await this.containers.searches.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get searches deleted before cutoff', { cutoff, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get searches that are due to run
    * @param {number} limit - Max number of searches to return
@@ -247,24 +475,22 @@ class CosmosDBService {
 
   /**
    * Update search
+   * Uses a conditional replace, so a concurrent write (e.g. the Worker setting
+   * lastRunAt) is never overwritten: on conflict the search is re-read and the
+   * updates re-applied, unless the caller pinned a version with `ifMatch`.
    * @param {string} searchId
    * @param {string} userId - Partition key
-   * @param {Object} updates - Fields to update
+   * @param {Object|Function} updates - Fields to update, or (currentSearch) => fields
+   * @param {Object} options - { ifMatch } ETag the caller last read; mismatch throws a 412 error
    */
-  async updateSearch(searchId, userId, updates) {
+  async updateSearch(searchId, userId, updates, options = {}) {
     try {
-      const existing = await this.getSearch(searchId, userId);
-      if (!existing) {
-        throw new Error('Search not found');
-      }
-
-      const updated = {
-        ...existing,
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
-
-      const { resource } = await this.containers.searches.items.upsert(updated);
+      const resource = await this.conditionalUpdate(
+        this.containers.searches,
+        () => this.getSearch(searchId, userId),
+        updates,
+        options
+      );
       logger.info('Search updated successfully', { searchId, userId });
       return resource;
     } catch (error) {
@@ -274,84 +500,184 @@ class CosmosDBService {
   }
 
   /**
-   * Delete search (soft delete - mark as inactive)
+   * Delete search (soft delete - move to the trash)
+   * Stops the search and remembers whether it was active and scheduled, for restoreSearch
    * @param {string} searchId
    * @param {string} userId - Partition key
+   * @returns {Object} Updated search
    */
   async deleteSearch(searchId, userId) {
     try {
-      await this.updateSearch(searchId, userId, { isActive: false, 'schedule.enabled': false });
+      const resource = await this.updateSearch(searchId, userId, current => trashUpdates(current));
       logger.info('Search deleted successfully', { searchId, userId });
+      return resource;
     } catch (error) {
       logger.error('Failed to delete search', { searchId, userId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Restore a search from the trash to its state before deletion
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   * @returns {Object} Updated search
+   */
+  async restoreSearch(searchId, userId) {
+    try {
+      const resource = await this.updateSearch(searchId, userId, current => restoreUpdates(current));
+      logger.info('Search restored successfully', { searchId, userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to restore search', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a search document
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   * @returns {boolean} Whether the search existed
+   */
+  async hardDeleteSearch(searchId, userId) {
+    try {
+      await this.containers.searches.item(searchId, userId).delete();
+      logger.info('Search permanently deleted', { searchId, userId });
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        return false;
+      }
+      logger.error('Failed to permanently delete search', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get searches (of any owner) that list an email address as a recipient
+   * @param {string} email
+   */
+  async getSearchesByRecipient(email) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(c.emailRecipients, @email)',
+        parameters: [{ name: '@email', value: email }]
+      };
+      const { resources } = await this.containers.searches.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get searches by recipient', { error: error.message });
+      throw error;
+    }
+  }
+
   // ==================== PRICES OPERATIONS ====================
 
   /**
    * Bulk create price records
+   * Same write as writePrices, with the original contract: the rows are returned
+   * as written (rows that already existed included), and any row that could not
+   * be written fails the call with `error.report` set.
    * @param {Array} prices - Array of price objects
+   * @returns {Array} Price documents
    */
   async createPrices(prices) {
-    try {
-      if (!prices || prices.length === 0) {
-        return [];
-      }
+    const { report, documents } = await this.bulkWritePrices(prices);
+
+    if (report.failed.length > 0) {
+      const error = new Error(`Failed to create ${report.failed.length} of ${documents.length} prices: ${report.failed[0].error}`);
+      error.code = report.failed[0].statusCode;
+      error.report = report;
+      throw error;
+    }
+
+    return documents;
+  }
+
+  /**
+   * Bulk write price records, reporting per row
+   * Rows are written in chunks with the bulk API. Throttled (429) rows are retried
+   * after the server's retry-after delay; rows that already exist (409) count as
+   * written. One failing row does not fail the batch — check `failed` in the report.
+   * Re-delivering a batch is only idempotent for rows whose id is deterministic:
+   * rows without an id get one from `priceRowIds` (run + hotel key + position), ids passed in are used as they are.
+   * @param {Array} prices - Array of price objects
+   * @returns {Object} { created, existing, failed: [{ id, statusCode, error }], items: [{ id, status }] }
+   */
+  async writePrices(prices) {
+    const { report } = await this.bulkWritePrices(prices);
+    return report;
+  }
+
+  /**
+   * Write price rows with the bulk API and update the hotel catalog
+   * @param {Array} prices
+   * @returns {Object} { report, documents }
+   */
+  async bulkWritePrices(prices) {
+    const report = { created: 0, existing: 0, failed: [], items: [] };
 
-      // Cosmos DB bulk operations are more efficient than individual inserts
-      const operations = prices.map(price => ({
-        operationType: 'Create',
-        resourceBody: {
-          id: price.id,
-          searchId: price.searchId, // Partition key
-          userId: price.userId,
-          hotelName: price.hotelName,
-          rating: price.rating,
-          location: price.location,
-          cityName: price.cityName,
-          originalPriceText: price.originalPriceText,
-          parsedPrice: price.parsedPrice,
-          numericPrice: price.numericPrice,
-          currency: price.currency,
-          hotelUrl: price.hotelUrl,
-          extractedAt: price.extractedAt,
-          searchDestination: price.searchDestination,
-          searchDate: price.searchDate
+    if (!prices || prices.length === 0) {
+      return { report, documents: [] };
+    }
+
+    const ids = priceRowIds(prices);
+    const documents = prices.map((price, i) => ({
+      id: ids[i],
+      searchId: price.searchId, // Partition key
+      userId: price.userId,
+      hotelKey: getHotelKey(price),
+      hotelName: price.hotelName,
+      rating: price.rating,
+      location: price.location,
+      cityName: price.cityName,
+      originalPriceText: price.originalPriceText,
+      parsedPrice: price.parsedPrice,
+      numericPrice: price.numericPrice,
+      currency: price.currency,
+      hotelUrl: price.hotelUrl,
+      extractedAt: price.extractedAt,
+      runId: price.runId || null,
+      searchDestination: price.searchDestination,
+      searchDate: price.searchDate
+    }));
+
+    for (let i = 0; i < documents.length; i += BULK_CHUNK_SIZE) {
+      const statuses = await this.bulkCreate(this.containers.prices, documents.slice(i, i + BULK_CHUNK_SIZE));
+
+      for (const { id, status, statusCode, error } of statuses) {
+        report.items.push({ id, status });
+        if (status === 'created') {
+          report.created++;
+        } else if (status === 'existing') {
+          report.existing++;
+        } else {
+          report.failed.push({ id, statusCode, error });
         }
-      }));
+      }
+    }
 
-      // Note: Cosmos DB Node.js SDK doesn't have built-in bulk operations yet
-      // We'll use Promise.all for concurrent inserts (good performance for <100 items)
-      const results = await Promise.all(
-        prices.map(price => 
-          this.containers.prices.items.create({
-            id: price.id,
-            searchId: price.searchId,
-            userId: price.userId,
-            hotelName: price.hotelName,
-            rating: price.rating,
-            location: price.location,
-            cityName: price.cityName,
-            originalPriceText: price.originalPriceText,
-            parsedPrice: price.parsedPrice,
-            numericPrice: price.numericPrice,
-            currency: price.currency,
-            hotelUrl: price.hotelUrl,
-            extractedAt: price.extractedAt,
-            searchDestination: price.searchDestination,
-            searchDate: price.searchDate
-          })
-        )
-      );
+    const created = new Set(report.items.filter(item => item.status === 'created').map(item => item.id));
+    await this.upsertHotelsFromPrices(documents.filter(doc => created.has(doc.id)));
 
-      logger.info('Prices created successfully', { count: results.length, searchId: prices[0].searchId });
-      return results.map(r => r.resource);
-    } catch (error) {
-      logger.error('Failed to create prices', { count: prices.length, error: error.message });
-      throw error;
+    if (report.failed.length > 0) {
+      logger.error('Some prices failed to be created', {
+        searchId: documents[0].searchId,
+        created: report.created,
+        existing: report.existing,
+        failed: report.failed.length,
+        firstError: report.failed[0].error
+      });
+    } else {
+      logger.info('Prices created successfully', {
+        searchId: documents[0].searchId,
+        created: report.created,
+        existing: report.existing
+      });
     }
+
+    return { report, documents };
   }
 
   /**
@@ -361,7 +687,7 @@ class CosmosDBService {
    */
   async getPricesBySearch(searchId, options = {}) {
     try {
-      const { startDate, endDate, hotelName, limit = 1000, continuationToken } = options;
+      const { startDate, endDate, hotelName, hotelKeys, limit = 1000, continuationToken } = options;
 
       let query = 'SELECT * FROM c WHERE c.searchId = @searchId';
       const parameters = [{ name: '@searchId', value: searchId }];
@@ -376,10 +702,19 @@ class CosmosDBService {
         parameters.push({ name: '@endDate', value: endDate });
       }
 
+      // Hotel filter: rows of the given hotel keys, or (legacy rows without a key) a name match
+      const hotelConditions = [];
+      if (hotelKeys?.length > 0) {
+        hotelConditions.push('ARRAY_CONTAINS(@hotelKeys, c.hotelKey)');
+        parameters.push({ name: '@hotelKeys', value: hotelKeys });
+      }
       if (hotelName) {
-        query += ' AND CONTAINS(LOWER(c.hotelName), @hotelName)';
+        hotelConditions.push('CONTAINS(LOWER(c.hotelName), @hotelName)');
         parameters.push({ name: '@hotelName', value: hotelName.toLowerCase() });
       }
+      if (hotelConditions.length > 0) {
+        query += ` AND (${hotelConditions.join(' OR ')})`;
+      }
 
       query += ' ORDER BY c.extractedAt DESC';
 
@@ -398,14 +733,43 @@ class CosmosDBService {
   }
 
   /**
-   * Get latest prices for a search (most recent extraction)
+   * Get prices recorded by one extraction run
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async getPricesByRun(searchId, runId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND c.runId = @runId',
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@runId', value: runId }
+        ]
+      };
+
+      const { resources } = await this.containers.prices.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get prices by run', { searchId, runId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get latest prices for a search (most recent completed extraction run)
+   * Falls back to the most recent extractedAt timestamp for legacy rows without a runId
    * @param {string} searchId
    */
   async getLatestPrices(searchId) {
     try {
+      const latestRun = await this.getLatestRun(searchId);
+      if (latestRun) {
+        return this.getPricesByRun(searchId, latestRun.id);
+      }
+
       const querySpec = {
         query: `SELECT TOP 1 c.extractedAt as timestamp FROM c 
-                WHERE c.searchId = @searchId 
+                WHERE c.searchId = @searchId AND NOT IS_DEFINED(c.granularity) 
                 ORDER BY c.extractedAt DESC`,
         parameters: [{ name: '@searchId', value: searchId }]
       };
@@ -419,7 +783,7 @@ class CosmosDBService {
       const latestTimestamp = resources[0].timestamp;
 
       const pricesQuery = {
-        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND c.extractedAt = @timestamp',
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND c.extractedAt = @timestamp AND NOT IS_DEFINED(c.granularity)',
         parameters: [
           { name: '@searchId', value: searchId },
           { name: '@timestamp', value: latestTimestamp }
@@ -441,36 +805,16 @@ class CosmosDBService {
    */
   async getOutdatedHotels(searchId) {
     try {
-      // Step 1: Get the latest extraction timestamp
-      const latestQuery = {
-        query: `SELECT TOP 1 c.extractedAt as timestamp FROM c 
-                WHERE c.searchId = @searchId 
-                ORDER BY c.extractedAt DESC`,
-        parameters: [{ name: '@searchId', value: searchId }]
-      };
-
-      const { resources: latestRes } = await this.containers.prices.items.query(latestQuery).fetchAll();
+      // Step 1: Get the hotels in the latest extraction run
+      const latestPrices = await this.getLatestPrices(searchId);
       
-      if (latestRes.length === 0) {
+      if (latestPrices.length === 0) {
         return [];
       }
 
-      const latestTimestamp = latestRes[0].timestamp;
-
-      // Step 2: Get all unique hotel names from the latest extraction
-      const latestHotelsQuery = {
-        query: `SELECT DISTINCT c.hotelName FROM c 
-                WHERE c.searchId = @searchId AND c.extractedAt = @timestamp`,
-        parameters: [
-          { name: '@searchId', value: searchId },
-          { name: '@timestamp', value: latestTimestamp }
-        ]
-      };
-
-      const { resources: latestHotels } = await this.containers.prices.items.query(latestHotelsQuery).fetchAll();
-      const latestHotelNames = new Set(latestHotels.map(h => h.hotelName));
+      const latestHotelKeys = new Set(latestPrices.map(getHotelKey));
 
-      // Step 3: Get all prices for hotels NOT in the latest extraction
+      // Step 2: Get all prices for hotels NOT in the latest extraction
       const outdatedQuery = {
         query: `SELECT * FROM c 
                 WHERE c.searchId = @searchId 
@@ -481,7 +825,7 @@ class CosmosDBService {
       const { resources: allPrices } = await this.containers.prices.items.query(outdatedQuery).fetchAll();
       
       // Filter to only include hotels not in latest extraction
-      const outdatedPrices = allPrices.filter(p => !latestHotelNames.has(p.hotelName));
+      const outdatedPrices = allPrices.filter(p => !latestHotelKeys.has(getHotelKey(p)));
 
       return outdatedPrices;
     } catch (error) {
@@ -490,321 +834,1420 @@ class CosmosDBService {
     }
   }
 
-  // ==================== CONVERSATIONS OPERATIONS ====================
-
   /**
-   * Get conversation for a search
+   * Get the extractedAt of the oldest raw (not downsampled) price row for a search
    * @param {string} searchId
+   * @param {string} after - Only consider rows extracted at or after this time
+   * @returns {string|null}
    */
-  async getConversation(searchId) {
+  async getOldestRawPriceTime(searchId, after = null) {
     try {
-      const { resource } = await this.containers.conversations.item(searchId, searchId).read();
-      return resource;
-    } catch (error) {
-      if (error.code === 404) {
-        // Return empty conversation if not exists
-        return {
-          id: searchId,
-          searchId: searchId,
-          messages: [],
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
+      let query = `SELECT TOP 1 c.extractedAt as timestamp FROM c 
+                WHERE c.searchId = @searchId AND NOT IS_DEFINED(c.granularity)`;
+      const parameters = [{ name: '@searchId', value: searchId }];
+
+      if (after) {
+        query += ' AND c.extractedAt >= @after';
+        parameters.push({ name: '@after', value: after });
       }
-      logger.error('Failed to get conversation', { searchId, error: error.message });
+
+      query += ' ORDER BY c.extractedAt ASC';
+
+      const { resources } = await this.containers.prices.items.query({ query, parameters }).fetchAll();
+      return resources.length > 0 ? resources[0].timestamp : null;
+    } catch (error) {
+      logger.error('Failed to get oldest raw price', { searchId, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Update conversation (save messages)
+   * Get raw (not downsampled) price rows extracted in [startDate, endDate)
    * @param {string} searchId
-   * @param {Array} messages - Array of { role, content } objects
+   * @param {string} startDate - Inclusive
+   * @param {string} endDate - Exclusive
    */
-  async updateConversation(searchId, messages) {
+  async getRawPricesInRange(searchId, startDate, endDate) {
     try {
-      const existing = await this.getConversation(searchId);
-      
-      const conversationDoc = {
-        id: searchId,
-        searchId: searchId, // Partition key
+      const querySpec = {
+        query: `SELECT * FROM c 
+                WHERE c.searchId = @searchId AND NOT IS_DEFINED(c.granularity) 
+                AND c.extractedAt >= @startDate AND c.extractedAt < @endDate`,
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@startDate', value: startDate },
+          { name: '@endDate', value: endDate }
+        ]
+      };
+
+      const { resources } = await this.containers.prices.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get raw prices in range', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Page through the price rows of a search, oldest first, with only the fields price series need
+   * Raw and downsampled rows alike; a downsampled row carries its min/avg/max/last and sample count.
+   * @param {string} searchId - Partition key
+   * @param {Object} options - { startDate, endDate, limit, continuationToken }
+   * @returns {Object} { rows, continuationToken }
+   */
+  async getPriceSeriesRows(searchId, options = {}) {
+    try {
+      const { startDate, endDate, limit = 1000, continuationToken } = options;
+
+      let query = `SELECT c.hotelKey, c.hotelName, c.hotelUrl, c.runId, c.extractedAt, c.numericPrice,
+                c.granularity, c.minPrice, c.maxPrice, c.avgPrice, c.lastPrice, c.lastExtractedAt, c.sampleCount
+                FROM c WHERE c.searchId = @searchId`;
+      const parameters = [{ name: '@searchId', value: searchId }];
+
+      if (startDate) {
+        query += ' AND c.extractedAt >= @startDate';
+        parameters.push({ name: '@startDate', value: startDate });
+      }
+
+      if (endDate) {
+        query += ' AND c.extractedAt <= @endDate';
+        parameters.push({ name: '@endDate', value: endDate });
+      }
+
+      query += ' ORDER BY c.extractedAt ASC';
+
+      const { resources, continuationToken: nextToken } = await this.containers.prices.items
+        .query({ query, parameters }, { maxItemCount: limit, continuationToken })
+        .fetchNext();
+      return { rows: resources, continuationToken: nextToken };
+    } catch (error) {
+      logger.error('Failed to get price series rows', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a downsampled price row by ID
+   * @param {string} searchId - Partition key
+   * @param {string} rollupId
+   */
+  async getPriceRollup(searchId, rollupId) {
+    try {
+      const { resource } = await this.containers.prices.item(rollupId, searchId).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Failed to get price rollup', { searchId, rollupId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update a downsampled price row
+   * Stored in the prices container (marked with `granularity`) so price reads merge it with raw rows
+   * @param {Object} rollup - Rollup document with id, searchId, granularity, min/avg/max stats
+   */
+  async upsertPriceRollup(rollup) {
+    try {
+      const { resource } = await this.containers.prices.items.upsert(rollup);
+      return resource;
+    } catch (error) {
+      logger.error('Failed to upsert price rollup', { searchId: rollup.searchId, rollupId: rollup.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete specific price rows
+   * @param {string} searchId - Partition key
+   * @param {Array<string>} priceIds
+   * @returns {number} Number of deleted records
+   */
+  async deletePrices(searchId, priceIds) {
+    try {
+      const deleted = await this.deleteItems(this.containers.prices, priceIds.map(id => [id, searchId]));
+      logger.info('Prices deleted successfully', { searchId, count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete prices', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all price records for a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted records
+   */
+  async deletePricesBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT c.id FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+      const { resources } = await this.containers.prices.items.query(querySpec).fetchAll();
+
+      const deleted = await this.deleteItems(this.containers.prices, resources.map(r => [r.id, searchId]));
+
+      logger.info('Prices deleted successfully', { searchId, count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete prices', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== RUNS OPERATIONS ====================
+
+  /**
+   * Create an extraction run record
+   * Call before writing the run's prices; tag every price row with the returned id as runId
+   * @param {Object} run - Run object with id, searchId, userId, jobId, etc.
+   */
+  async createRun(run) {
+    try {
+      const runDoc = {
+        id: run.id,
+        searchId: run.searchId, // Partition key
+        userId: run.userId,
+        jobId: run.jobId || null,
+        status: run.status || 'running', // running | completed | failed
+        startedAt: run.startedAt || new Date().toISOString(),
+        finishedAt: null,
+        hotelCount: 0,
+        priceCount: 0,
+        error: null
+      };
+
+      const { resource } = await this.containers.runs.items.create(runDoc);
+      logger.info('Run created successfully', { runId: resource.id, searchId: run.searchId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create run', { searchId: run.searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an extraction run (e.g. mark completed with finishedAt and counts)
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   * @param {Object} updates - Fields to update
+   */
+  async updateRun(searchId, runId, updates) {
+    try {
+      const existing = await this.getRun(searchId, runId);
+      if (!existing) {
+        throw new Error('Run not found');
+      }
+
+      const { resource } = await this.containers.runs.items.upsert({
+        ...existing,
+        ...updates
+      });
+      logger.info('Run updated successfully', { runId, searchId, status: resource.status });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update run', { runId, searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an extraction run by ID
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async getRun(searchId, runId) {
+    try {
+      const { resource } = await this.containers.runs.item(runId, searchId).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Failed to get run', { runId, searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get extraction runs for a search, newest first
+   * @param {string} searchId
+   * @param {Object} options - Filtering and pagination options
+   */
+  async getRunsBySearch(searchId, options = {}) {
+    try {
+      const { status, limit = 50, continuationToken } = options;
+
+      let query = 'SELECT * FROM c WHERE c.searchId = @searchId';
+      const parameters = [{ name: '@searchId', value: searchId }];
+
+      if (status) {
+        query += ' AND c.status = @status';
+        parameters.push({ name: '@status', value: status });
+      }
+
+      query += ' ORDER BY c.startedAt DESC';
+
+      const queryIterator = this.containers.runs.items.query({ query, parameters }, {
+        maxItemCount: limit,
+        continuationToken
+      });
+
+      const { resources, continuationToken: nextToken } = await queryIterator.fetchNext();
+      return { runs: resources, continuationToken: nextToken };
+    } catch (error) {
+      logger.error('Failed to get runs', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the extraction run started for a job, if the Worker has started one
+   * @param {string} searchId - Partition key
+   * @param {string} jobId
+   */
+  async getRunByJob(searchId, jobId) {
+    try {
+      const querySpec = {
+        query: 'SELECT TOP 1 * FROM c WHERE c.searchId = @searchId AND c.jobId = @jobId ORDER BY c.startedAt DESC',
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@jobId', value: jobId }
+        ]
+      };
+
+      const { resources } = await this.containers.runs.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? resources[0] : null;
+    } catch (error) {
+      logger.error('Failed to get run by job', { searchId, jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent completed extraction run for a search
+   * @param {string} searchId
+   */
+  async getLatestRun(searchId) {
+    try {
+      const querySpec = {
+        query: `SELECT TOP 1 * FROM c 
+                WHERE c.searchId = @searchId AND c.status = @status 
+                ORDER BY c.startedAt DESC`,
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@status', value: 'completed' }
+        ]
+      };
+
+      const { resources } = await this.containers.runs.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? resources[0] : null;
+    } catch (error) {
+      logger.error('Failed to get latest run', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get completed runs (of any search) whose alert rules have not been evaluated yet
+   * @param {string} since - ISO timestamp; runs finished earlier are ignored
+   * @param {number} limit - Max number of runs to return
+   * @returns {Array} Oldest finished first
+   */
+  async getRunsAwaitingAlerts(since, limit = 100) {
+    try {
+      const querySpec = {
+        query: `SELECT * FROM c
+                WHERE c.status = 'completed' AND IS_STRING(c.finishedAt) AND c.finishedAt >= @since
+                  AND (NOT IS_DEFINED(c.alertsEvaluatedAt) OR IS_NULL(c.alertsEvaluatedAt))
+                ORDER BY c.finishedAt ASC
+                OFFSET 0 LIMIT @limit`,
+        parameters: [
+          { name: '@since', value: since },
+          { name: '@limit', value: limit }
+        ]
+      };
+
+      const { resources } = await this.containers.runs.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get runs awaiting alerts', { since, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all extraction runs for a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted records
+   */
+  async deleteRunsBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT c.id FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+      const { resources } = await this.containers.runs.items.query(querySpec).fetchAll();
+
+      const deleted = await this.deleteItems(this.containers.runs, resources.map(r => [r.id, searchId]));
+
+      logger.info('Runs deleted successfully', { searchId, count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete runs', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== CONVERSATIONS OPERATIONS ====================
+
+  /**
+   * Get conversation for a search
+   * @param {string} searchId
+   */
+  async getConversation(searchId) {
+    try {
+      const { resource } = await this.containers.conversations.item(searchId, searchId).read();
+      return resource;
+    } catch (error) {
+      if (error.code === 404) {
+        // Return empty conversation if not exists
+        return {
+          id: searchId,
+          searchId: searchId,
+          messages: [],
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
+      }
+      logger.error('Failed to get conversation', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update conversation (save messages)
+   * @param {string} searchId
+   * @param {Array} messages - Array of { role, content } objects
+   */
+  async updateConversation(searchId, messages) {
+    try {
+      const existing = await this.getConversation(searchId);
+      
+      const conversationDoc = {
+        id: searchId,
+        searchId: searchId, // Partition key
         messages: messages,
         createdAt: existing.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
 
-      const { resource } = await this.containers.conversations.items.upsert(conversationDoc);
-      logger.info('Conversation updated successfully', { searchId, messageCount: messages.length });
-      return resource;
+      const { resource } = await this.containers.conversations.items.upsert(conversationDoc);
+      logger.info('Conversation updated successfully', { searchId, messageCount: messages.length });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update conversation', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the conversation for a search
+   * @param {string} searchId
+   * @returns {boolean} Whether a conversation existed
+   */
+  async deleteConversation(searchId) {
+    try {
+      await this.containers.conversations.item(searchId, searchId).delete();
+      logger.info('Conversation deleted successfully', { searchId });
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        return false;
+      }
+      logger.error('Failed to delete conversation', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== JOBS OPERATIONS ====================
+
+  /**
+   * Create a job record
+   * @param {Object} job - Job object with searchId, userId, status, etc.
+   */
+  async createJob(job) {
+    try {
+      const jobDoc = {
+        id: job.id,
+        status: job.status || 'pending', // Partition key: pending, running, completed, failed
+        searchId: job.searchId,
+        userId: job.userId,
+        scheduleType: job.scheduleType || 'scheduled', // scheduled | manual | backfill
+        priority: job.priority || null, // Queue lane: manual | scheduled | backfill (see job-priority.js)
+        runAt: job.runAt || null, // Set when the message was scheduled for a later time
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null,
+        error: null,
+        result: null
+      };
+
+      const { resource } = await this.containers.jobs.items.create(jobDoc);
+      logger.info('Job created successfully', { jobId: resource.id, searchId: job.searchId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create job', { searchId: job.searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update job status
+   * @param {string} jobId
+   * @param {string} oldStatus - Current status (partition key)
+   * @param {Object} updates - Fields to update
+   */
+  async updateJob(jobId, oldStatus, updates) {
+    try {
+      const existing = await this.containers.jobs.item(jobId, oldStatus).read();
+      
+      if (!existing.resource) {
+        throw new Error('Job not found');
+      }
+
+      const updated = {
+        ...existing.resource,
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+
+      // If status changed, we need to create new and delete old (partition key changed).
+      // Creating first means readers may briefly see two copies (getJobById keeps the newer) but never none
+      if (updates.status && updates.status !== oldStatus) {
+        const { resource } = await this.containers.jobs.items.create(updated);
+        await this.containers.jobs.item(jobId, oldStatus).delete();
+        logger.info('Job status updated', { jobId, oldStatus, newStatus: updates.status });
+        return resource;
+      } else {
+        const { resource } = await this.containers.jobs.items.upsert(updated);
+        logger.info('Job updated successfully', { jobId });
+        return resource;
+      }
+    } catch (error) {
+      logger.error('Failed to update job', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId
+   * @param {string} status - Partition key
+   */
+  async getJob(jobId, status) {
+    try {
+      const { resource } = await this.containers.jobs.item(jobId, status).read();
+      return resource;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Failed to get job', { jobId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a job by ID when its status (partition key) is not known
+   * @param {string} jobId
+   */
+  async getJobById(jobId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.id = @jobId',
+        parameters: [{ name: '@jobId', value: jobId }]
+      };
+      const { resources } = await this.containers.jobs.items.query(querySpec).fetchAll();
+
+      // Two copies exist for a moment while updateJob moves a job to another status
+      return latestJobCopy(resources);
+    } catch (error) {
+      logger.error('Failed to get job by ID', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the jobs of a search, newest first
+   * @param {string} searchId
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getJobsBySearch(searchId, options = {}) {
+    try {
+      const { limit = 20, continuationToken } = options;
+
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+
+      const { resources, continuationToken: nextToken } = await this.containers.jobs.items
+        .query(querySpec, { maxItemCount: limit, continuationToken })
+        .fetchNext();
+
+      return { jobs: dedupeJobCopies(resources), continuationToken: nextToken };
+    } catch (error) {
+      logger.error('Failed to get jobs for search', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending jobs of a search that were scheduled for a later time, soonest first
+   * @param {string} searchId
+   */
+  async getScheduledJobsBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND IS_STRING(c.runAt) ORDER BY c.runAt ASC',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+
+      const { resources } = await this.containers.jobs.items
+        .query(querySpec, { partitionKey: 'pending' })
+        .fetchAll();
+
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get scheduled jobs for search', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending jobs of a search, queued or scheduled for a later time
+   * @param {string} searchId
+   */
+  async getPendingJobsBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+
+      const { resources } = await this.containers.jobs.items
+        .query(querySpec, { partitionKey: 'pending' })
+        .fetchAll();
+
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get pending jobs for search', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending jobs of all searches, oldest first (for queue positions)
+   * @param {number} limit
+   * @returns {Array} [{ id, searchId, createdAt, runAt, priority, scheduleType }]
+   */
+  async getPendingJobs(limit = 1000) {
+    try {
+      const querySpec = {
+        query: `SELECT c.id, c.searchId, c.createdAt, c.runAt, c.priority, c.scheduleType FROM c
+                ORDER BY c.createdAt ASC
+                OFFSET 0 LIMIT @limit`,
+        parameters: [{ name: '@limit', value: limit }]
+      };
+
+      const { resources } = await this.containers.jobs.items
+        .query(querySpec, { partitionKey: 'pending' })
+        .fetchAll();
+
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get pending jobs', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the timings of the most recently completed jobs, newest first (for wait estimates)
+   * @param {number} limit
+   * @returns {Array} [{ id, startedAt, completedAt }]
+   */
+  async getRecentCompletedJobs(limit = 20) {
+    try {
+      const querySpec = {
+        query: `SELECT c.id, c.startedAt, c.completedAt FROM c
+                WHERE IS_STRING(c.startedAt) AND IS_STRING(c.completedAt)
+                ORDER BY c.completedAt DESC
+                OFFSET 0 LIMIT @limit`,
+        parameters: [{ name: '@limit', value: limit }]
+      };
+
+      const { resources } = await this.containers.jobs.items
+        .query(querySpec, { partitionKey: 'completed' })
+        .fetchAll();
+
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get recent completed jobs', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all job records of a search (across all status partitions)
+   * @param {string} searchId
+   * @returns {number} Number of deleted records
+   */
+  async deleteJobsBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT c.id, c.status FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+      const { resources } = await this.containers.jobs.items.query(querySpec).fetchAll();
+
+      const deleted = await this.deleteItems(this.containers.jobs, resources.map(r => [r.id, r.status]));
+
+      logger.info('Jobs deleted successfully', { searchId, count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete jobs', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all job records belonging to a user (across all status partitions)
+   * @param {string} userId
+   * @returns {number} Number of deleted records
+   */
+  async deleteJobsByUser(userId) {
+    try {
+      const querySpec = {
+        query: 'SELECT c.id, c.status FROM c WHERE c.userId = @userId',
+        parameters: [{ name: '@userId', value: userId }]
+      };
+      const { resources } = await this.containers.jobs.items.query(querySpec).fetchAll();
+
+      const deleted = await this.deleteItems(this.containers.jobs, resources.map(r => [r.id, r.status]));
+
+      logger.info('Jobs deleted successfully', { userId, count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete jobs', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the jobs container reference for external services
+   * Used by distributed lock service for scheduler coordination
+   */
+  getJobsContainer() {
+    return this.containers.jobs;
+  }
+
+  // ==================== SEARCH SHARES OPERATIONS ====================
+
+  /**
+   * Create a share (grant access to a search)
+   * @param {string} searchId - The search being shared
+   * @param {string} ownerId - The owner's user ID
+   * @param {string} sharedWithUserId - The recipient's user ID
+   * @param {string} sharedWithEmail - The recipient's email
+   * @param {Object} ownerInfo - Owner display info { displayName, email }
+   */
+  async createShare(searchId, ownerId, sharedWithUserId, sharedWithEmail, ownerInfo = {}) {
+    try {
+      const shareDoc = {
+        id: `${searchId}_${sharedWithUserId}`,
+        searchId: searchId, // Partition key
+        ownerId: ownerId,
+        sharedWithUserId: sharedWithUserId,
+        sharedWithEmail: sharedWithEmail,
+        ownerDisplayName: ownerInfo.displayName || null,
+        ownerEmail: ownerInfo.email || null,
+        permission: 'read', // Currently only read-only sharing
+        sharedAt: new Date().toISOString(),
+        createdAt: new Date().toISOString()
+      };
+
+      const { resource } = await this.containers.searchShares.items.create(shareDoc);
+      logger.info('Share created successfully', { shareId: resource.id, searchId, sharedWithUserId });
+      return resource;
+    } catch (error) {
+      if (error.code === 409) {
+        logger.warn('Share already exists', { searchId, sharedWithUserId });
+        throw new Error('This search is already shared with this user');
+      }
+      logger.error('Failed to create share', { searchId, sharedWithUserId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all shares for a specific search (who has access)
+   * @param {string} searchId
+   */
+  async getSharesBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+      const { resources } = await this.containers.searchShares.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get shares by search', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all searches shared with a specific user
+   * @param {string} userId
+   */
+  async getSharesByUser(userId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.sharedWithUserId = @userId',
+        parameters: [{ name: '@userId', value: userId }]
+      };
+      const { resources } = await this.containers.searchShares.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get shares by user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a user has share access to a search
+   * @param {string} searchId
+   * @param {string} userId
+   */
+  async getShareBySearchAndUser(searchId, userId) {
+    try {
+      const shareId = `${searchId}_${userId}`;
+      const { resource } = await this.containers.searchShares.item(shareId, searchId).read();
+      return resource;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Failed to get share', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a share (revoke access)
+   * @param {string} shareId
+   * @param {string} searchId - Partition key
+   */
+  async deleteShare(shareId, searchId) {
+    try {
+      await this.containers.searchShares.item(shareId, searchId).delete();
+      logger.info('Share deleted successfully', { shareId, searchId });
+    } catch (error) {
+      if (error.code === 404) {
+        logger.warn('Share not found', { shareId, searchId });
+        return;
+      }
+      logger.error('Failed to delete share', { shareId, searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get search if user has access (owner or shared)
+   * Returns search with _isShared flag if accessed via share
+   * @param {string} searchId
+   * @param {string} userId
+   */
+  async getSearchIfAccessible(searchId, userId) {
+    try {
+      // First try as owner
+      const ownedSearch = await this.getSearch(searchId, userId);
+      if (ownedSearch) {
+        // Searches in the trash are only reachable through the trash endpoints
+        return ownedSearch.deletedAt ? null : { ...ownedSearch, _isShared: false, _permission: 'owner' };
+      }
+
+      // Check if shared with this user
+      const share = await this.getShareBySearchAndUser(searchId, userId);
+      if (!share) {
+        return null; // No access
+      }
+
+      // Fetch the search using owner's partition key
+      const sharedSearch = await this.getSearch(searchId, share.ownerId);
+      if (!sharedSearch) {
+        logger.warn('Share exists but search not found', { searchId, ownerId: share.ownerId });
+        return null;
+      }
+      if (sharedSearch.deletedAt) {
+        return null;
+      }
+
+      // Return with metadata
+      return {
+        ...sharedSearch,
+        _isShared: true,
+        _permission: share.permission,
+        _sharedBy: share.ownerDisplayName || share.ownerEmail || 'Unknown',
+        _sharedByEmail: share.ownerEmail
+      };
+    } catch (error) {
+      logger.error('Failed to get search if accessible', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get user by email address
+   * @param {string} email
+   */
+  async getUserByEmail(email) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.email = @email',
+        parameters: [{ name: '@email', value: email.toLowerCase() }]
+      };
+      const { resources } = await this.containers.users.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? resources[0] : null;
+    } catch (error) {
+      logger.error('Failed to get user by email', { email, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== ACCOUNT DELETION OPERATIONS ====================
+
+  /**
+   * Get the account deletion record for a user
+   * @param {string} userId - Record ID and partition key
+   */
+  async getAccountDeletion(userId) {
+    try {
+      const { resource } = await this.containers.accountDeletions.item(userId, userId).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error('Failed to get account deletion', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update an account deletion record
+   * @param {Object} deletion - Record with id === userId, status, completedSteps, report
+   */
+  async upsertAccountDeletion(deletion) {
+    try {
+      const { resource } = await this.containers.accountDeletions.items.upsert({
+        ...deletion,
+        userId: deletion.id, // Partition key
+        updatedAt: new Date().toISOString()
+      });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to upsert account deletion', { userId: deletion.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get account deletions that have not completed (in progress or failed)
+   */
+  async getPendingAccountDeletions() {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.status != @completed',
+        parameters: [{ name: '@completed', value: 'completed' }]
+      };
+      const { resources } = await this.containers.accountDeletions.items.query(querySpec).fetchAll();
+      return resources;
+    } catch (error) {
+      logger.error('Failed to get pending account deletions', { error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== SEARCH REVISIONS OPERATIONS ====================
+
+  /**
+   * Record a change to a search
+   * @param {Object} revision - { id, searchId, ownerId, changedBy, changedAt, changes }
+   */
+  async createSearchRevision(revision) {
+    try {
+      const { resource } = await this.containers.searchRevisions.items.create(revision);
+      logger.info('Search revision created', { searchId: revision.searchId, revisionId: resource.id });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create search revision', { searchId: revision.searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the revisions of a search, newest first
+   * @param {string} searchId - Partition key
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getSearchRevisions(searchId, options = {}) {
+    try {
+      const { limit = 50, continuationToken } = options;
+
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId ORDER BY c.changedAt DESC',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+
+      const { resources, continuationToken: nextToken } = await this.containers.searchRevisions.items
+        .query(querySpec, { maxItemCount: limit, continuationToken })
+        .fetchNext();
+
+      return { revisions: resources, continuationToken: nextToken };
+    } catch (error) {
+      logger.error('Failed to get search revisions', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all revisions of a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted revisions
+   */
+  async deleteSearchRevisionsBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT c.id FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+      const { resources } = await this.containers.searchRevisions.items.query(querySpec).fetchAll();
+
+      const deleted = await this.deleteItems(this.containers.searchRevisions, resources.map(r => [r.id, searchId]));
+
+      logger.info('Search revisions deleted successfully', { searchId, count: deleted });
+      return deleted;
     } catch (error) {
-      logger.error('Failed to update conversation', { searchId, error: error.message });
+      logger.error('Failed to delete search revisions', { searchId, error: error.message });
       throw error;
     }
   }
 
-  // ==================== JOBS OPERATIONS ====================
+  // ==================== ALERT EVENTS OPERATIONS ====================
 
   /**
-   * Create a job record
-   * @param {Object} job - Job object with searchId, userId, status, etc.
+   * Record a sent price alert
+   * @param {Object} event - { id, searchId, userId, ruleId, ruleType, subject, hotelKey, hotelName, price, baseline, runId, message, createdAt }
    */
-  async createJob(job) {
+  async createAlertEvent(event) {
     try {
-      const jobDoc = {
-        id: job.id,
-        status: job.status || 'pending', // Partition key: pending, running, completed, failed
-        searchId: job.searchId,
-        userId: job.userId,
-        scheduleType: job.scheduleType || 'scheduled', // scheduled | manual
-        createdAt: new Date().toISOString(),
-        startedAt: null,
-        completedAt: null,
-        error: null,
-        result: null
-      };
-
-      const { resource } = await this.containers.jobs.items.create(jobDoc);
-      logger.info('Job created successfully', { jobId: resource.id, searchId: job.searchId });
+      const { resource } = await this.containers.alertEvents.items.create(event);
+      logger.info('Alert event created', { searchId: event.searchId, ruleId: event.ruleId, eventId: resource.id });
       return resource;
     } catch (error) {
-      logger.error('Failed to create job', { searchId: job.searchId, error: error.message });
+      if (error.code !== 409) {
+        logger.error('Failed to create alert event', { searchId: event.searchId, error: error.message });
+      }
       throw error;
     }
   }
 
   /**
-   * Update job status
-   * @param {string} jobId
-   * @param {string} oldStatus - Current status (partition key)
-   * @param {Object} updates - Fields to update
+   * Get the alert history of a search, newest first
+   * @param {string} searchId - Partition key
+   * @param {Object} options - { limit, continuationToken }
    */
-  async updateJob(jobId, oldStatus, updates) {
+  async getAlertEvents(searchId, options = {}) {
     try {
-      const existing = await this.containers.jobs.item(jobId, oldStatus).read();
-      
-      if (!existing.resource) {
-        throw new Error('Job not found');
-      }
+      const { limit = 50, continuationToken } = options;
 
-      const updated = {
-        ...existing.resource,
-        ...updates,
-        updatedAt: new Date().toISOString()
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@searchId', value: searchId }]
       };
 
-      // If status changed, we need to delete old and create new (partition key changed)
-      if (updates.status && updates.status !== oldStatus) {
-        await this.containers.jobs.item(jobId, oldStatus).delete();
-        const { resource } = await this.containers.jobs.items.create(updated);
-        logger.info('Job status updated', { jobId, oldStatus, newStatus: updates.status });
-        return resource;
-      } else {
-        const { resource } = await this.containers.jobs.items.upsert(updated);
-        logger.info('Job updated successfully', { jobId });
-        return resource;
-      }
+      const { resources, continuationToken: nextToken } = await this.containers.alertEvents.items
+        .query(querySpec, { maxItemCount: limit, continuationToken })
+        .fetchNext();
+
+      return { events: resources, continuationToken: nextToken };
     } catch (error) {
-      logger.error('Failed to update job', { jobId, error: error.message });
+      logger.error('Failed to get alert events', { searchId, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get job by ID
-   * @param {string} jobId
-   * @param {string} status - Partition key
+   * Get all alert events of one rule, newest first
+   * @param {string} searchId - Partition key
+   * @param {string} ruleId
    */
-  async getJob(jobId, status) {
+  async getAlertEventsByRule(searchId, ruleId) {
     try {
-      const { resource } = await this.containers.jobs.item(jobId, status).read();
-      return resource;
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.searchId = @searchId AND c.ruleId = @ruleId ORDER BY c.createdAt DESC',
+        parameters: [
+          { name: '@searchId', value: searchId },
+          { name: '@ruleId', value: ruleId }
+        ]
+      };
+
+      const { resources } = await this.containers.alertEvents.items.query(querySpec).fetchAll();
+      return resources;
     } catch (error) {
-      if (error.code === 404) {
-        return null;
-      }
-      logger.error('Failed to get job', { jobId, status, error: error.message });
+      logger.error('Failed to get alert events by rule', { searchId, ruleId, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get the jobs container reference for external services
-   * Used by distributed lock service for scheduler coordination
+   * Delete all alert events of a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted events
    */
-  getJobsContainer() {
-    return this.containers.jobs;
+  async deleteAlertEventsBySearch(searchId) {
+    try {
+      const querySpec = {
+        query: 'SELECT c.id FROM c WHERE c.searchId = @searchId',
+        parameters: [{ name: '@searchId', value: searchId }]
+      };
+      const { resources } = await this.containers.alertEvents.items.query(querySpec).fetchAll();
+
+      const deleted = await this.deleteItems(this.containers.alertEvents, resources.map(e => [e.id, searchId]));
+
+      logger.info('Alert events deleted successfully', { searchId, count: deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Failed to delete alert events', { searchId, error: error.message });
+      throw error;
+    }
   }
 
-  // ==================== SEARCH SHARES OPERATIONS ====================
+  // ==================== HOTELS CATALOG OPERATIONS ====================
 
   /**
-   * Create a share (grant access to a search)
-   * @param {string} searchId - The search being shared
-   * @param {string} ownerId - The owner's user ID
-   * @param {string} sharedWithUserId - The recipient's user ID
-   * @param {string} sharedWithEmail - The recipient's email
-   * @param {Object} ownerInfo - Owner display info { displayName, email }
+   * Get a hotel catalog entry
+   * @param {string} hotelKey - Entry ID and partition key
    */
-  async createShare(searchId, ownerId, sharedWithUserId, sharedWithEmail, ownerInfo = {}) {
+  async getHotel(hotelKey) {
     try {
-      const shareDoc = {
-        id: `${searchId}_${sharedWithUserId}`,
-        searchId: searchId, // Partition key
-        ownerId: ownerId,
-        sharedWithUserId: sharedWithUserId,
-        sharedWithEmail: sharedWithEmail,
-        ownerDisplayName: ownerInfo.displayName || null,
-        ownerEmail: ownerInfo.email || null,
-        permission: 'read', // Currently only read-only sharing
-        sharedAt: new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      };
-
-      const { resource } = await this.containers.searchShares.items.create(shareDoc);
-      logger.info('Share created successfully', { shareId: resource.id, searchId, sharedWithUserId });
-      return resource;
+      const { resource } = await this.containers.hotels.item(hotelKey, hotelKey).read();
+      return resource || null;
     } catch (error) {
-      if (error.code === 409) {
-        logger.warn('Share already exists', { searchId, sharedWithUserId });
-        throw new Error('This search is already shared with this user');
+      if (error.code === 404) {
+        return null;
       }
-      logger.error('Failed to create share', { searchId, sharedWithUserId, error: error.message });
+      logger.error('Failed to get hotel', { hotelKey, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get all shares for a specific search (who has access)
-   * @param {string} searchId
+   * Find hotels whose current name or any former name contains a text
+   * @param {string} text - Case-insensitive
+   * @param {number} limit
    */
-  async getSharesBySearch(searchId) {
+  async findHotelsByName(text, limit = 50) {
     try {
       const querySpec = {
-        query: 'SELECT * FROM c WHERE c.searchId = @searchId',
-        parameters: [{ name: '@searchId', value: searchId }]
+        query: `SELECT TOP @limit * FROM c
+                WHERE CONTAINS(LOWER(c.name), @text)
+                   OR EXISTS(SELECT VALUE a FROM a IN c.aliases WHERE CONTAINS(LOWER(a), @text))`,
+        parameters: [
+          { name: '@text', value: text.toLowerCase() },
+          { name: '@limit', value: limit }
+        ]
       };
-      const { resources } = await this.containers.searchShares.items.query(querySpec).fetchAll();
+      const { resources } = await this.containers.hotels.items.query(querySpec).fetchAll();
       return resources;
     } catch (error) {
-      logger.error('Failed to get shares by search', { searchId, error: error.message });
+      logger.error('Failed to find hotels by name', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get all searches shared with a specific user
-   * @param {string} userId
+   * Add or refresh the catalog entries of the hotels in a set of price rows
+   * Best effort: a catalog failure is logged and never fails the price write
+   * @param {Array} prices - Price rows carrying hotelKey
    */
-  async getSharesByUser(userId) {
+  async upsertHotelsFromPrices(prices) {
+    const byKey = new Map();
+    for (const price of prices) {
+      if (!price.hotelKey) {
+        continue;
+      }
+      if (!byKey.has(price.hotelKey)) {
+        byKey.set(price.hotelKey, []);
+      }
+      byKey.get(price.hotelKey).push(price);
+    }
+
+    for (const [hotelKey, rows] of byKey) {
+      try {
+        const existing = await this.getHotel(hotelKey);
+        await this.containers.hotels.items.upsert(mergeHotelEntry(existing, hotelKey, rows));
+      } catch (error) {
+        logger.warn('Failed to update hotel catalog', { hotelKey, error: error.message });
+      }
+    }
+  }
+
+  // ==================== MIGRATIONS OPERATIONS ====================
+
+  /**
+   * Get the records of applied schema migrations, oldest first
+   */
+  async getAppliedMigrations() {
     try {
-      const querySpec = {
-        query: 'SELECT * FROM c WHERE c.sharedWithUserId = @userId',
-        parameters: [{ name: '@userId', value: userId }]
-      };
-      const { resources } = await this.containers.searchShares.items.query(querySpec).fetchAll();
+      const { resources } = await this.containers.migrations.items
+        .query('SELECT * FROM c ORDER BY c.id ASC')
+        .fetchAll();
       return resources;
     } catch (error) {
-      logger.error('Failed to get shares by user', { userId, error: error.message });
+      logger.error('Failed to get applied migrations', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Check if a user has share access to a search
-   * @param {string} searchId
-   * @param {string} userId
+   * Record a migration as applied
+   * @param {Object} record - { id, description, checksum, appliedAt, durationMs, result }
    */
-  async getShareBySearchAndUser(searchId, userId) {
+  async upsertMigrationRecord(record) {
     try {
-      const shareId = `${searchId}_${userId}`;
-      const { resource } = await this.containers.searchShares.item(shareId, searchId).read();
+      const { resource } = await this.containers.migrations.items.upsert(record);
       return resource;
     } catch (error) {
-      if (error.code === 404) {
-        return null;
-      }
-      logger.error('Failed to get share', { searchId, userId, error: error.message });
+      logger.error('Failed to record migration', { migrationId: record.id, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Delete a share (revoke access)
-   * @param {string} shareId
-   * @param {string} searchId - Partition key
+   * Remove a migration record after it was rolled back
+   * @param {string} id - Migration ID (also the partition key)
    */
-  async deleteShare(shareId, searchId) {
+  async deleteMigrationRecord(id) {
     try {
-      await this.containers.searchShares.item(shareId, searchId).delete();
-      logger.info('Share deleted successfully', { shareId, searchId });
+      await this.containers.migrations.item(id, id).delete();
     } catch (error) {
       if (error.code === 404) {
-        logger.warn('Share not found', { shareId, searchId });
         return;
       }
-      logger.error('Failed to delete share', { shareId, searchId, error: error.message });
+      logger.error('Failed to delete migration record', { migrationId: id, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get search if user has access (owner or shared)
-   * Returns search with _isShared flag if accessed via share
-   * @param {string} searchId
-   * @param {string} userId
+   * Page through the raw documents of any container (for migrations)
+   * @param {string} containerName - e.g. 'prices'
+   * @param {Object} options - { partitionKey, limit, continuationToken }; no partitionKey scans across partitions
+   * @returns {Object} { documents, continuationToken }
    */
-  async getSearchIfAccessible(searchId, userId) {
-    try {
-      // First try as owner
-      const ownedSearch = await this.getSearch(searchId, userId);
-      if (ownedSearch) {
-        return { ...ownedSearch, _isShared: false, _permission: 'owner' };
-      }
+  async scanDocuments(containerName, options = {}) {
+    const { partitionKey, limit = 100, continuationToken } = options;
 
-      // Check if shared with this user
-      const share = await this.getShareBySearchAndUser(searchId, userId);
-      if (!share) {
-        return null; // No access
+    try {
+      const queryOptions = { maxItemCount: limit, continuationToken };
+      if (partitionKey !== undefined) {
+        queryOptions.partitionKey = partitionKey;
       }
 
-      // Fetch the search using owner's partition key
-      const sharedSearch = await this.getSearch(searchId, share.ownerId);
-      if (!sharedSearch) {
-        logger.warn('Share exists but search not found', { searchId, ownerId: share.ownerId });
-        return null;
-      }
+      const { resources, continuationToken: nextToken } = await this.containers[containerName].items
+        .query('SELECT * FROM c', queryOptions)
+        .fetchNext();
 
-      // Return with metadata
-      return {
-        ...sharedSearch,
-        _isShared: true,
-        _permission: share.permission,
-        _sharedBy: share.ownerDisplayName || share.ownerEmail || 'Unknown',
-        _sharedByEmail: share.ownerEmail
-      };
+      return { documents: resources, continuationToken: nextToken };
     } catch (error) {
-      logger.error('Failed to get search if accessible', { searchId, userId, error: error.message });
+      logger.error('Failed to scan documents', { containerName, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get user by email address
-   * @param {string} email
+   * Write back a document read with scanDocuments, or write a new one (for migrations)
+   * A document carrying _etag is guarded by it, so a concurrent change fails with 412 instead of being overwritten
+   * @param {string} containerName
+   * @param {Object} doc - Full document
    */
-  async getUserByEmail(email) {
+  async replaceDocument(containerName, doc) {
     try {
-      const querySpec = {
-        query: 'SELECT * FROM c WHERE c.email = @email',
-        parameters: [{ name: '@email', value: email.toLowerCase() }]
-      };
-      const { resources } = await this.containers.users.items.query(querySpec).fetchAll();
-      return resources.length > 0 ? resources[0] : null;
+      const options = doc._etag ? { accessCondition: { type: 'IfMatch', condition: doc._etag } } : {};
+      const { resource } = await this.containers[containerName].items.upsert(doc, options);
+      return resource;
     } catch (error) {
-      logger.error('Failed to get user by email', { email, error: error.message });
+      logger.error('Failed to replace document', { containerName, id: doc.id, error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Delete a document by ID and partition key value (for migrations)
+   * @param {string} containerName
+   * @param {string} id
+   * @param {string} partitionKey
+   * @returns {boolean} Whether a document was deleted
+   */
+  async deleteDocument(containerName, id, partitionKey) {
+    return (await this.deleteItems(this.containers[containerName], [[id, partitionKey]])) > 0;
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Read-merge-replace a document guarded by its ETag
+   * @param {Container} container
+   * @param {Function} read - Returns the current document (or null)
+   * @param {Object|Function} updates - Fields to set, or (current) => fields
+   * @param {Object} options - { ifMatch }; '*' or unset means "any version"
+   * @returns {Object} The replaced document
+   */
+  async conditionalUpdate(container, read, updates, options = {}) {
+    const ifMatch = options.ifMatch && options.ifMatch !== '*' ? options.ifMatch : null;
+
+    for (let attempt = 0; ; attempt++) {
+      const existing = await read();
+      if (!existing) {
+        const error = new Error('Document not found');
+        error.code = 404;
+        throw error;
+      }
+
+      if (ifMatch && existing._etag !== ifMatch) {
+        const error = new Error('Document has been modified since it was read');
+        error.code = 412;
+        throw error;
+      }
+
+      const updated = {
+        ...existing,
+        ...(typeof updates === 'function' ? updates(existing) : updates),
+        updatedAt: new Date().toISOString()
+      };
+
+      try {
+        const { resource } = await container.item(existing.id, existing.userId).replace(updated, {
+          accessCondition: { type: 'IfMatch', condition: existing._etag }
+        });
+        return resource;
+      } catch (error) {
+        // With a caller-pinned version the conflict is theirs to resolve
+        if (error.code !== 412 || ifMatch || attempt >= UPDATE_MAX_RETRIES) {
+          throw error;
+        }
+        logger.warn('Document changed during update, retrying', { id: existing.id, attempt: attempt + 1 });
+      }
+    }
+  }
+
+  /**
+   * Create documents with the bulk API, retrying throttled operations
+   * @param {Container} container
+   * @param {Array} documents - One chunk of documents (at most BULK_CHUNK_SIZE)
+   * @returns {Array} [{ id, status: 'created' | 'existing' | 'failed', statusCode, error }]
+   */
+  async bulkCreate(container, documents) {
+    const statuses = new Map();
+    let pending = documents;
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      let results;
+      try {
+        results = await container.items.executeBulkOperations(
+          pending.map(doc => ({ operationType: 'Create', resourceBody: doc }))
+        );
+      } catch (error) {
+        // The whole request was rejected — retry it if throttled, otherwise fail the chunk
+        if (error.code === 429 && attempt < BULK_MAX_RETRIES) {
+          await sleep(retryDelay(error.retryAfterInMs, attempt));
+          continue;
+        }
+        for (const doc of pending) {
+          statuses.set(doc.id, { id: doc.id, status: 'failed', statusCode: error.code || null, error: error.message });
+        }
+        break;
+      }
+
+      const throttled = [];
+      let retryAfterMs = 0;
+
+      results.forEach((result, index) => {
+        const doc = pending[index];
+        const statusCode = result.response?.statusCode ?? result.error?.code ?? null;
+
+        if (statusCode === 201) {
+          statuses.set(doc.id, { id: doc.id, status: 'created', statusCode });
+        } else if (statusCode === 409) {
+          statuses.set(doc.id, { id: doc.id, status: 'existing', statusCode });
+        } else if (statusCode === 429 && attempt < BULK_MAX_RETRIES) {
+          throttled.push(doc);
+          retryAfterMs = Math.max(retryAfterMs, Number(result.response?.headers?.['x-ms-retry-after-ms']) || 0);
+        } else {
+          statuses.set(doc.id, {
+            id: doc.id,
+            status: 'failed',
+            statusCode,
+            error: result.error?.message || `Create failed with status ${statusCode}`
+          });
+        }
+      });
+
+      if (throttled.length > 0) {
+        logger.warn('Bulk create throttled, retrying', { count: throttled.length, attempt: attempt + 1, retryAfterMs });
+        await sleep(retryDelay(retryAfterMs, attempt));
+      }
+      pending = throttled;
+    }
+
+    return documents.map(doc => statuses.get(doc.id));
+  }
+
+  /**
+   * Delete items in small concurrent chunks, ignoring items that are already gone
+   * @param {Container} container
+   * @param {Array} keys - Array of [id, partitionKey] pairs
+   * @param {number} chunkSize
+   * @returns {number} Number of deleted items
+   */
+  async deleteItems(container, keys, chunkSize = 25) {
+    let deleted = 0;
+    for (let i = 0; i < keys.length; i += chunkSize) {
+      const results = await Promise.all(
+        keys.slice(i, i + chunkSize).map(async ([id, partitionKey]) => {
+          try {
+            await container.item(id, partitionKey).delete();
+            return 1;
+          } catch (error) {
+            if (error.code === 404) {
+              return 0;
+            }
+            throw error;
+          }
+        })
+      );
+      deleted += results.reduce((sum, n) => sum + n, 0);
+    }
+    return deleted;
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,198 @@
+import cosmosDBService from './cosmos-db.service.js';
+import localDBService from './local-db.service.js';
+import { ReadCache } from './read-cache.js';
+
+/**
+ * Storage backends
+ * Both implement the same methods (initialize, close, users, searches, prices,
+ * conversations, jobs and searchShares operations).
+ */
+const BACKENDS = {
+  cosmos: cosmosDBService,
+  local: localDBService
+};
+
+/**
+ * Name of the configured storage backend (STORAGE_BACKEND, default: cosmos)
+ */
+export function getStorageBackendName() {
+  return (process.env.STORAGE_BACKEND || 'cosmos').toLowerCase();
+}
+
+let backend = null;
+
+/**
+ * Resolve the storage backend on first use rather than at import time,
+ * so entry points and scripts can load .env before the choice is made
+ */
+function resolveBackend() {
+  if (!backend) {
+    const name = getStorageBackendName();
+    backend = BACKENDS[name];
+    if (!backend) {
+      throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+  }
+  return backend;
+}
+
+/**
+ * Tag for everything cached about one search
+ * @param {string} searchId
+ */
+const searchTag = searchId => `search:${searchId}`;
+
+/**
+ * Reads served from the in-process cache
+ * `ttlEnv` names the TTL setting in seconds (0 disables caching of that read);
+ * `key` and `tags` are derived from the call arguments.
+ */
+const CACHED_READS = {
+  getLatestPrices: {
+    ttlEnv: 'CACHE_LATEST_PRICES_TTL_SECONDS',
+    defaultTtlSeconds: 60,
+    key: searchId => `latestPrices:${searchId}`,
+    tags: searchId => [searchTag(searchId)]
+  },
+  getSearchIfAccessible: {
+    ttlEnv: 'CACHE_SEARCH_TTL_SECONDS',
+    defaultTtlSeconds: 30,
+    key: (searchId, userId) => `searchAccess:${searchId}:${userId}`,
+    tags: searchId => [searchTag(searchId)]
+  }
+};
+
+/**
+ * Writes that invalidate cached reads, mapped to the tags they affect
+ * Returning null clears the whole cache (generic document rewrites by migrations).
+ */
+const INVALIDATING_WRITES = {
+  updateSearch: searchId => [searchTag(searchId)],
+  deleteSearch: searchId => [searchTag(searchId)],
+  restoreSearch: searchId => [searchTag(searchId)],
+  hardDeleteSearch: searchId => [searchTag(searchId)],
+  createPrices: prices => [...new Set((prices || []).map(price => price.searchId))].map(searchTag),
+  writePrices: prices => [...new Set((prices || []).map(price => price.searchId))].map(searchTag),
+  upsertPriceRollup: rollup => [searchTag(rollup.searchId)],
+  deletePrices: searchId => [searchTag(searchId)],
+  deletePricesBySearch: searchId => [searchTag(searchId)],
+  createRun: run => [searchTag(run.searchId)],
+  updateRun: searchId => [searchTag(searchId)],
+  deleteRunsBySearch: searchId => [searchTag(searchId)],
+  createShare: searchId => [searchTag(searchId)],
+  deleteShare: (_shareId, searchId) => [searchTag(searchId)],
+  replaceDocument: () => null,
+  deleteDocument: () => null
+};
+
+let cache = null;
+
+/**
+ * Create the read cache on first use, like the backend, so CACHE_* settings can come from .env
+ */
+function resolveCache() {
+  if (!cache) {
+    const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES || '', 10);
+    cache = new ReadCache({ maxEntries: maxEntries > 0 ? maxEntries : 1000 });
+  }
+  return cache;
+}
+
+/**
+ * TTL of a cached read in milliseconds
+ * @param {Object} read - CACHED_READS entry
+ * @returns {number} 0 if caching of this read is disabled
+ */
+function ttlMs(read) {
+  const seconds = parseFloat(process.env[read.ttlEnv] ?? '');
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : read.defaultTtlSeconds) * 1000;
+}
+
+/**
+ * Wrap a backend read so results are served from the cache until they expire or are invalidated
+ */
+function cachedRead(name, fn) {
+  const read = CACHED_READS[name];
+  return (...args) => {
+    const ttl = ttlMs(read);
+    if (ttl === 0) {
+      return fn(...args);
+    }
+    return resolveCache().getOrLoad(name, read.key(...args), { ttlMs: ttl, tags: read.tags(...args) }, () => fn(...args));
+  };
+}
+
+/**
+ * Drop the cached reads a write affects
+ * If its tags cannot be worked out from the arguments, the whole cache is dropped
+ * instead, so the write's own result or error is what reaches the caller.
+ */
+function invalidateFor(name, args) {
+  let tags;
+  try {
+    tags = INVALIDATING_WRITES[name](...args);
+  } catch {
+    tags = null;
+  }
+
+  if (tags) {
+    resolveCache().invalidateTags(tags);
+  } else {
+    resolveCache().clear();
+  }
+}
+
+/**
+ * Wrap a backend write so it invalidates the cached reads it affects
+ * Invalidates even when the write fails: a 412 or a partial bulk write means the cached copy may be stale
+ */
+function invalidatingWrite(name, fn) {
+  return async (...args) => {
+    try {
+      return await fn(...args);
+    } finally {
+      invalidateFor(name, args);
+    }
+  };
+}
+
+/**
+ * Read cache statistics (hits, misses, size, invalidations) for health/diagnostics
+ */
+export function getCacheStats() {
+  return resolveCache().stats();
+}
+
+/**
+ * Database service used by routes and services
+ * Forwards every call to the configured storage backend. Hot reads (latest
+ * prices, search access checks) go through an in-process cache with short TTLs;
+ * writes made through this service invalidate the affected entries at once,
+ * writes by other processes (the Worker, other instances) show up after the TTL.
+ *
+ * `databaseService.uncached` is the backend itself, for reads whose result must
+ * be current — e.g. a document whose `_etag` is sent to clients for If-Match.
+ */
+const databaseService = new Proxy({}, {
+  get(_target, property) {
+    const target = resolveBackend();
+    if (property === 'uncached') {
+      return target;
+    }
+    const value = target[property];
+    if (typeof value !== 'function') {
+      return value;
+    }
+
+    const fn = value.bind(target);
+    if (Object.hasOwn(CACHED_READS, property)) {
+      return cachedRead(property, fn);
+    }
+    if (Object.hasOwn(INVALIDATING_WRITES, property)) {
+      return invalidatingWrite(property, fn);
+    }
+    return fn;
+  }
+});
+
+export default databaseService;
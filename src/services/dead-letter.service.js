@@ -0,0 +1,158 @@
+import databaseService from './database.service.js';
+import jobQueueService from './job-queue.service.js';
+import jobService, { TERMINAL_JOB_STATUSES } from './job.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Dead-Letter Service
+ * Messages the Worker abandoned too often (10 deliveries) end up in the queue's
+ * dead letters. This lets admins see them next to the job they belong to,
+ * replay them, or purge them — keeping the job records in step.
+ */
+class DeadLetterService {
+  /**
+   * Dead-lettered messages with the status of their job, oldest first
+   * @param {Object} options - { limit }
+   * @returns {Array}
+   */
+  async list(options = {}) {
+    const { limit = 50 } = options;
+
+    const deadLetters = await jobQueueService.peekDeadLetters(limit);
+    const jobs = await Promise.all(deadLetters.map(deadLetter =>
+      deadLetter.body?.jobId ? jobService.getJob(deadLetter.body.jobId) : null
+    ));
+
+    return deadLetters.map((deadLetter, i) => ({
+      ...deadLetter,
+      jobId: deadLetter.body?.jobId || null,
+      searchId: deadLetter.body?.searchId || null,
+      job: jobs[i]
+    }));
+  }
+
+  /**
+   * Set the jobs of dead-lettered messages pending again and send the messages back to the queue
+   * A job is reset before its message is sent, so the Worker never receives a
+   * replayed message while the job still looks finished. If the reset fails the
+   * message stays dead-lettered; if the send fails the job is rolled back.
+   * @param {Array<string>} sequenceNumbers
+   * @param {Object} actor - { id, email } of the admin
+   * @returns {Object} { replayed, failed, notFound }
+   */
+  async replay(sequenceNumbers, actor) {
+    const { removed, failed } = await jobQueueService.replayDeadLetters(sequenceNumbers, {
+      beforeSend: deadLetter => this.resetJob(deadLetter)
+    });
+
+    logger.info('Dead letters replayed', { adminId: actor.id, replayed: removed.length, failed: failed.length });
+    return this.report('replayed', sequenceNumbers, removed, failed);
+  }
+
+  /**
+   * Set the job of a dead letter pending again, ahead of its replay
+   * Pending and cancelled jobs are left alone.
+   * @param {Object} deadLetter
+   * @returns {Function|undefined} Undo: restores the job as it was
+   */
+  async resetJob(deadLetter) {
+    const jobId = deadLetter.body?.jobId;
+    const job = jobId && await databaseService.getJobById(jobId);
+    if (!job || ['pending', 'cancelled'].includes(job.status)) {
+      return undefined;
+    }
+
+    const fields = ['status', 'startedAt', 'completedAt', 'error', 'result', 'replayedAt', 'replayCount'];
+    const previous = Object.fromEntries(fields.map(field => [field, job[field] ?? null]));
+
+    await databaseService.updateJob(jobId, job.status, {
+      status: 'pending',
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      result: null,
+      replayedAt: new Date().toISOString(),
+      replayCount: (job.replayCount || 0) + 1
+    });
+
+    return async () => {
+      try {
+        await databaseService.updateJob(jobId, 'pending', previous);
+      } catch (error) {
+        logger.error('Failed to roll back job after a failed replay', { jobId, error: error.message });
+      }
+    };
+  }
+
+  /**
+   * Delete dead-lettered messages and fail their unfinished jobs
+   * @param {Array<string>|null} sequenceNumbers - null purges all
+   * @param {Object} actor - { id, email } of the admin
+   * @returns {Object} { purged, failed, notFound }
+   */
+  async purge(sequenceNumbers, actor) {
+    const { removed, failed } = await jobQueueService.purgeDeadLetters(sequenceNumbers);
+
+    for (const deadLetter of removed) {
+      await this.updateJob(deadLetter, job => !TERMINAL_JOB_STATUSES.includes(job.status) && {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        error: `Dead-lettered (${deadLetter.deadLetterReason || 'unknown reason'}) and purged`
+      });
+    }
+
+    logger.info('Dead letters purged', { adminId: actor.id, purged: removed.length, all: !sequenceNumbers });
+    return this.report('purged', sequenceNumbers, removed, failed);
+  }
+
+  /**
+   * Apply updates to the job a dead letter belongs to
+   * Best effort: the queue operation has already happened.
+   * @param {Object} deadLetter
+   * @param {Function} updatesFor - (job) => updates, or false to leave the job alone
+   */
+  async updateJob(deadLetter, updatesFor) {
+    const jobId = deadLetter.body?.jobId;
+    if (!jobId) {
+      return;
+    }
+    try {
+      const job = await databaseService.getJobById(jobId);
+      const updates = job && updatesFor(job);
+      if (updates) {
+        await databaseService.updateJob(jobId, job.status, updates);
+      }
+    } catch (error) {
+      logger.warn('Failed to update job of dead letter', { jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Summarize a replay or purge
+   * @param {string} key - Name of the list of handled messages
+   * @param {Array<string>|null} requested - Requested sequence numbers
+   * @param {Array} removed - Dead letters handled
+   * @param {Array} failed - [{ sequenceNumber, error }]
+   */
+  report(key, requested, removed, failed) {
+    const seen = new Set([...removed.map(d => d.sequenceNumber), ...failed.map(f => f.sequenceNumber)]);
+    return {
+      [key]: removed.map(({ sequenceNumber, messageId, body }) => ({
+        sequenceNumber,
+        messageId,
+        jobId: body?.jobId || null,
+        searchId: body?.searchId || null
+      })),
+      failed,
+      notFound: (requested || []).map(String).filter(sequenceNumber => !seen.has(sequenceNumber))
+    };
+  }
+}
+
+// Singleton instance
+const deadLetterService = new DeadLetterService();
+
+export default deadLetterService;
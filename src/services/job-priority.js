@@ -0,0 +1,36 @@
+/**
+ * Job priorities, highest first
+ * A user's "Run now" (manual) must not wait behind a wave of scheduled runs,
+ * and scheduled runs must not wait behind bulk backfills. Each priority is a
+ * lane of the job queue: a message property (and optionally a queue of its
+ * own) on Service Bus, an ordering key in the local queue.
+ */
+export const JOB_PRIORITIES = ['manual', 'scheduled', 'backfill'];
+
+export const DEFAULT_JOB_PRIORITY = 'scheduled';
+
+/**
+ * Priority of a job or queue message body
+ * Taken from `priority`, else from `scheduleType` (manual | scheduled | backfill),
+ * so jobs written before priorities existed keep their lane.
+ * @param {Object} job - { priority, scheduleType }
+ * @returns {string} One of JOB_PRIORITIES
+ */
+export function jobPriority(job) {
+  for (const value of [job?.priority, job?.scheduleType]) {
+    if (JOB_PRIORITIES.includes(value)) {
+      return value;
+    }
+  }
+  return DEFAULT_JOB_PRIORITY;
+}
+
+/**
+ * Sort rank of a priority: 0 is served first
+ * @param {string} priority
+ * @returns {number}
+ */
+export function priorityRank(priority) {
+  const rank = JOB_PRIORITIES.indexOf(priority);
+  return rank === -1 ? JOB_PRIORITIES.indexOf(DEFAULT_JOB_PRIORITY) : rank;
+}
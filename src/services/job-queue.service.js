@@ -1,65 +1,97 @@
-import { ServiceBusClient } from '@azure/service-bus';
+import serviceBusQueueService from './service-bus-queue.service.js';
+import localQueueService from './local-queue.service.js';
+import { jobPriority } from './job-priority.js';
+import lifecycleService from './lifecycle.service.js';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
 const logger = require('../logger.cjs');
 
 /**
- * Azure Service Bus integration for job queue management
+ * Queue drivers
+ * Both implement initialize, sendMessages, scheduleMessages,
+ * cancelScheduledMessages, receiveMessages, subscribe, completeMessage,
+ * abandonMessage, peekDeadLetterMessages, removeDeadLetterMessages and close
+ * with peek-lock semantics.
+ */
+const DRIVERS = {
+  servicebus: serviceBusQueueService,
+  local: localQueueService
+};
+
+/**
+ * Name of the configured queue driver (QUEUE_BACKEND, default: servicebus)
+ */
+export function getQueueBackendName() {
+  return (process.env.QUEUE_BACKEND || 'servicebus').toLowerCase();
+}
+
+/**
+ * Job queue management on top of the configured queue driver
  */
 class JobQueueService {
   constructor() {
-    this.client = null;
-    this.sender = null;
-    this.receiver = null;
-    this.queueName = process.env.AZURE_SERVICE_BUS_QUEUE_NAME || 'price-monitor-jobs';
+    this.driver = null;
+    this.subscription = null;
   }
 
   /**
-   * Initialize Service Bus client
+   * Resolve the queue driver on first use rather than at import time,
+   * so entry points can load .env before the choice is made
    */
-  async initialize() {
-    try {
-      const connectionString = process.env.AZURE_SERVICE_BUS_CONNECTION_STRING;
-
-      if (!connectionString) {
-        throw new Error('Missing required environment variable: AZURE_SERVICE_BUS_CONNECTION_STRING');
+  getDriver() {
+    if (!this.driver) {
+      const name = getQueueBackendName();
+      this.driver = DRIVERS[name];
+      if (!this.driver) {
+        throw new Error(`Unknown QUEUE_BACKEND "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
       }
+    }
+    return this.driver;
+  }
 
-      this.client = new ServiceBusClient(connectionString);
-      this.sender = this.client.createSender(this.queueName);
+  /**
+   * Initialize the queue driver
+   */
+  async initialize() {
+    await this.getDriver().initialize();
+  }
 
-      logger.info('Service Bus client initialized successfully', { queueName: this.queueName });
-    } catch (error) {
-      logger.error('Failed to initialize Service Bus client', { error: error.message });
-      throw error;
-    }
+  /**
+   * Build the queue message for a job
+   * The `priority` application property picks the lane (see job-priority.js).
+   * @param {Object} job - Job data { jobId, searchId, userId, scheduleType, priority }; jobId becomes the messageId
+   */
+  toMessage(job) {
+    const priority = jobPriority(job);
+    return {
+      body: { ...job, priority },
+      contentType: 'application/json',
+      messageId: job.jobId || `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sessionId: job.searchId, // Group messages by searchId
+      applicationProperties: { priority }
+    };
   }
 
   /**
    * Enqueue a job to the queue
-   * @param {Object} job - Job data { searchId, userId, scheduleType }
+   * Sends are tracked by the lifecycle service, so shutdown waits for them
+   * before it closes the driver.
+   * @param {Object} job - Job data { jobId, searchId, userId, scheduleType, priority }; jobId becomes the messageId
    */
   async enqueueJob(job) {
     try {
-      if (!this.sender) {
-        await this.initialize();
-      }
-
-      const message = {
-        body: job,
-        contentType: 'application/json',
-        messageId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        sessionId: job.searchId // Group messages by searchId
-      };
+      const message = this.toMessage(job);
 
-      await this.sender.sendMessages(message);
+      await lifecycleService.track(() => this.getDriver().sendMessages([message]));
 
       logger.info('Job enqueued successfully', {
         messageId: message.messageId,
         searchId: job.searchId,
         userId: job.userId,
-        scheduleType: job.scheduleType
+        scheduleType: job.scheduleType,
+        priority: message.body.priority,
+        queue: getQueueBackendName()
       });
 
       return message.messageId;
@@ -72,30 +104,69 @@ class JobQueueService {
     }
   }
 
+  /**
+   * Schedule a job to be enqueued at a later time
+   * @param {Object} job - Job data { jobId, searchId, userId, scheduleType }; jobId becomes the messageId
+   * @param {Date} runAt - When the message becomes visible to the Worker
+   * @returns {Object} { messageId, sequenceNumber } — the sequence number cancels it
+   */
+  async scheduleJob(job, runAt) {
+    try {
+      const message = this.toMessage(job);
+
+      const [sequenceNumber] = await lifecycleService.track(() => this.getDriver().scheduleMessages([message], runAt));
+
+      logger.info('Job scheduled successfully', {
+        messageId: message.messageId,
+        searchId: job.searchId,
+        runAt: runAt.toISOString(),
+        sequenceNumber,
+        queue: getQueueBackendName()
+      });
+
+      return { messageId: message.messageId, sequenceNumber };
+    } catch (error) {
+      logger.error('Failed to schedule job', {
+        searchId: job.searchId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled job before it is enqueued
+   * @param {string} sequenceNumber - As returned by scheduleJob
+   */
+  async cancelScheduledJob(sequenceNumber) {
+    try {
+      await this.getDriver().cancelScheduledMessages([sequenceNumber]);
+      logger.info('Scheduled job cancelled', { sequenceNumber, queue: getQueueBackendName() });
+    } catch (error) {
+      logger.error('Failed to cancel scheduled job', { sequenceNumber, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Enqueue multiple jobs in batch
    * @param {Array} jobs - Array of job objects
    */
   async enqueueBatch(jobs) {
     try {
-      if (!this.sender) {
-        await this.initialize();
-      }
-
       if (!jobs || jobs.length === 0) {
         return [];
       }
 
-      const messages = jobs.map(job => ({
-        body: job,
-        contentType: 'application/json',
-        messageId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        sessionId: job.searchId
-      }));
+      const messages = jobs.map(job => this.toMessage(job));
 
-      await this.sender.sendMessages(messages);
+      await lifecycleService.track(() => this.getDriver().sendMessages(messages));
 
-      logger.info('Batch jobs enqueued successfully', { count: messages.length });
+      logger.info('Batch jobs enqueued successfully', {
+        count: messages.length,
+        priorities: [...new Set(messages.map(m => m.body.priority))],
+        queue: getQueueBackendName()
+      });
 
       return messages.map(m => m.messageId);
     } catch (error) {
@@ -107,6 +178,87 @@ class JobQueueService {
     }
   }
 
+  /**
+   * Lock and return up to maxCount messages; settle each with completeMessage or abandonMessage
+   * @param {number} maxCount
+   * @param {Object} options - { maxWaitTimeInMs }
+   */
+  async receiveMessages(maxCount = 1, options = {}) {
+    return this.getDriver().receiveMessages(maxCount, options);
+  }
+
+  /**
+   * Remove a received message from the queue
+   * @param {Object} message - Received message
+   */
+  async completeMessage(message) {
+    await this.getDriver().completeMessage(message);
+  }
+
+  /**
+   * Return a received message to the queue for retry
+   * @param {Object} message - Received message
+   */
+  async abandonMessage(message) {
+    await this.getDriver().abandonMessage(message);
+  }
+
+  /**
+   * Dead-lettered messages, oldest first, without removing them
+   * @param {number} maxCount
+   * @returns {Array} [{ sequenceNumber, messageId, body, deliveryCount, enqueuedTimeUtc, deadLetterReason, deadLetterErrorDescription }]
+   */
+  async peekDeadLetters(maxCount = 50) {
+    return this.getDriver().peekDeadLetterMessages(maxCount);
+  }
+
+  /**
+   * Send dead-lettered messages back to the queue and remove them from the dead letters
+   * The copy gets a new messageId so duplicate detection does not drop it.
+   * `beforeSend` runs before each copy is sent and may return an undo function,
+   * which is called if the send fails. A throw from `beforeSend` keeps the
+   * message in the dead letters without sending it.
+   * @param {Array<string>} sequenceNumbers
+   * @param {Object} options - { beforeSend: async (deadLetter) => undo | undefined }
+   * @returns {Object} { removed, failed }
+   */
+  async replayDeadLetters(sequenceNumbers, { beforeSend } = {}) {
+    const driver = this.getDriver();
+
+    const result = await driver.removeDeadLetterMessages(sequenceNumbers, async deadLetter => {
+      const undo = beforeSend ? await beforeSend(deadLetter) : null;
+      try {
+        await driver.sendMessages([{
+          body: deadLetter.body,
+          contentType: deadLetter.contentType || 'application/json',
+          messageId: `${deadLetter.messageId}-replay-${deadLetter.sequenceNumber}`,
+          sessionId: deadLetter.sessionId,
+          applicationProperties: deadLetter.applicationProperties
+        }]);
+      } catch (error) {
+        if (undo) {
+          await undo();
+        }
+        throw error;
+      }
+    });
+
+    logger.info('Dead-lettered jobs replayed', { count: result.removed.length, failed: result.failed.length, queue: getQueueBackendName() });
+    return result;
+  }
+
+  /**
+   * Delete dead-lettered messages
+   * @param {Array<string>|null} sequenceNumbers - null deletes all
+   * @returns {Object} { removed, failed }
+   */
+  async purgeDeadLetters(sequenceNumbers) {
+    const result = await this.getDriver().removeDeadLetterMessages(sequenceNumbers);
+
+    logger.info('Dead-lettered jobs purged', { count: result.removed.length, queue: getQueueBackendName() });
+    return result;
+  }
+
   /**
    * Create a receiver for processing messages
    * @param {Function} messageHandler - Function to process each message
@@ -114,62 +266,49 @@ class JobQueueService {
    */
   async createReceiver(messageHandler, errorHandler) {
     try {
-      if (!this.client) {
-        await this.initialize();
-      }
+      const driver = this.getDriver();
 
-      this.receiver = this.client.createReceiver(this.queueName, {
-        receiveMode: 'peekLock', // Messages are locked and must be completed/abandoned
-        maxAutoLockRenewalDurationInMs: 5 * 60 * 1000 // Auto-renew lock for up to 5 minutes
-      });
+      this.subscription = await driver.subscribe({
+        processMessage: async (message) => {
+          try {
+            logger.info('Processing message', {
+              messageId: message.messageId,
+              searchId: message.body.searchId
+            });
 
-      // Subscribe to messages
-      this.receiver.subscribe(
-        {
-          processMessage: async (message) => {
-            try {
-              logger.info('Processing message', {
-                messageId: message.messageId,
-                searchId: message.body.searchId
-              });
-
-              await messageHandler(message.body);
-
-              // Complete the message (remove from queue)
-              await this.receiver.completeMessage(message);
-
-              logger.info('Message processed successfully', {
-                messageId: message.messageId
-              });
-            } catch (error) {
-              logger.error('Failed to process message', {
-                messageId: message.messageId,
-                error: error.message
-              });
-
-              // Abandon the message (return to queue for retry)
-              await this.receiver.abandonMessage(message);
-            }
-          },
-          processError: async (error) => {
-            logger.error('Message processing error', {
-              error: error.message,
-              stack: error.stack
+            await messageHandler(message.body);
+
+            // Complete the message (remove from queue)
+            await driver.completeMessage(message);
+
+            logger.info('Message processed successfully', {
+              messageId: message.messageId
+            });
+          } catch (error) {
+            logger.error('Failed to process message', {
+              messageId: message.messageId,
+              error: error.message
             });
 
-            if (errorHandler) {
-              await errorHandler(error);
-            }
+            // Abandon the message (return to queue for retry)
+            await driver.abandonMessage(message);
           }
         },
-        {
-          autoCompleteMessages: false // We'll complete messages manually
+        processError: async (error) => {
+          logger.error('Message processing error', {
+            error: error.message,
+            stack: error.stack
+          });
+
+          if (errorHandler) {
+            await errorHandler(error);
+          }
         }
-      );
+      });
 
-      logger.info('Service Bus receiver started', { queueName: this.queueName });
+      logger.info('Queue receiver started', { queue: getQueueBackendName() });
 
-      return this.receiver;
+      return this.subscription;
     } catch (error) {
       logger.error('Failed to create receiver', { error: error.message });
       throw error;
@@ -181,19 +320,15 @@ class JobQueueService {
    */
   async close() {
     try {
-      if (this.receiver) {
-        await this.receiver.close();
+      if (this.subscription) {
+        await this.subscription.close();
+        this.subscription = null;
       }
-      if (this.sender) {
-        await this.sender.close();
+      if (this.driver) {
+        await this.driver.close();
       }
-      if (this.client) {
-        await this.client.close();
-      }
-
-      logger.info('Service Bus connections closed');
     } catch (error) {
-      logger.error('Failed to close Service Bus connections', { error: error.message });
+      logger.error('Failed to close queue connections', { error: error.message });
     }
   }
 }
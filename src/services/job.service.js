@@ -0,0 +1,638 @@
+import { createHash } from 'crypto';
+import databaseService from './database.service.js';
+import jobQueueService from './job-queue.service.js';
+import { jobPriority, priorityRank } from './job-priority.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Job statuses after which nothing changes any more
+ */
+export const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_RUN_COOLDOWN_MINUTES = 10;
+// A job that has not finished after this long is presumed lost and no longer blocks new runs
+const STALE_JOB_MS = 2 * 60 * MINUTE_MS;
+// Recent jobs inspected when deciding whether a run may be queued
+const RECENT_JOBS_LIMIT = 10;
+// Limits for runs scheduled with `runAt`
+const MAX_SCHEDULED_RUNS_PER_SEARCH = 10;
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 60 * MINUTE_MS;
+// Messages sent per enqueueBatch call by enqueueSearchRuns
+const BULK_RUN_BATCH_SIZE = 50;
+// Queue position and wait estimate: completed jobs averaged, and the run time assumed without any
+const RECENT_DURATIONS_LIMIT = 20;
+const DEFAULT_RUN_ESTIMATE_MS = 2 * MINUTE_MS;
+
+/**
+ * Default minutes between manual runs of a search (RUN_COOLDOWN_MINUTES)
+ */
+export function defaultRunCooldownMinutes() {
+  const value = parseFloat(process.env.RUN_COOLDOWN_MINUTES ?? '');
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_RUN_COOLDOWN_MINUTES;
+}
+
+/**
+ * Jobs the Worker processes at the same time (JOB_WORKER_CONCURRENCY, default 1), for wait estimates
+ */
+export function workerConcurrency() {
+  const value = parseInt(process.env.JOB_WORKER_CONCURRENCY ?? '', 10);
+  return Number.isInteger(value) && value > 0 ? value : 1;
+}
+
+/**
+ * Deterministic job ID for the next run of a search
+ * Derived from the job it follows, so concurrent requests that saw the same
+ * state produce the same ID — and, as it is the messageId, the same message.
+ * @param {string} searchId
+ * @param {string|null} previousJobId - Most recent job of the search
+ * @param {string} [runAt] - Time a scheduled run was requested for
+ */
+function nextJobId(searchId, previousJobId, runAt) {
+  const key = [searchId, previousJobId || '', ...(runAt ? [runAt] : [])].join(':');
+  const digest = createHash('sha256').update(key).digest('base64url');
+  return `job_${digest.slice(0, 16)}`;
+}
+
+/**
+ * When a job was (or will be) handed to the Worker
+ * @param {Object} view - Job view
+ */
+function effectiveAt(view) {
+  return new Date(view.runAt || view.createdAt);
+}
+
+/**
+ * Job Service
+ * Every search run the web tier requests is tracked as a document in the
+ * `jobs` container (partition key `/status`). The job record is written before
+ * the message is sent and its ID is used as the Service Bus messageId, so the
+ * Worker can move it through pending → running → completed/failed with
+ * `updateJob`. Runs it starts carry the same `jobId`.
+ *
+ * Runs are deduplicated: while one is pending or running, requests get it back
+ * instead of a new one, and a new run waits for the search's cooldown.
+ *
+ * A run can also be scheduled for a later time (`runAt`). The job stays pending
+ * with `runAt` set and shows as `scheduled` until then; the message is sent as
+ * a scheduled message and can be cancelled by its sequence number.
+ *
+ * Moving a search to the trash cancels its pending jobs and their scheduled
+ * messages. A message that is already in the queue cannot be taken back: it
+ * is only skipped if the Worker starts jobs with startJob, which checks the
+ * job and its search once more.
+ */
+class JobService {
+  /**
+   * Minutes that must pass between manual runs of a search
+   * @param {Object} search
+   */
+  runCooldownMinutes(search) {
+    return search.runCooldownMinutes ?? defaultRunCooldownMinutes();
+  }
+
+  /**
+   * Record a job for a search run and enqueue it, unless a run is already in
+   * progress or the search's cooldown has not passed yet
+   * If the message cannot be sent, the job is marked failed and the error rethrown.
+   * @param {Object} search - Search to run
+   * @param {Object} options - { scheduleType, requestedBy, now }
+   * @returns {Object} { outcome: 'queued' | 'existing' | 'cooldown', job, retryAt }
+   */
+  async enqueueSearchRun(search, options = {}) {
+    const { scheduleType = 'manual', requestedBy = search.userId } = options;
+
+    const prepared = await this.createRunJob(search, options);
+    if (prepared.outcome !== 'created') {
+      return prepared;
+    }
+    const { job } = prepared;
+
+    try {
+      await jobQueueService.enqueueJob(this.toQueueJob(job));
+    } catch (error) {
+      await this.markEnqueueFailed(job, error);
+      throw error;
+    }
+
+    logger.info('Search run job enqueued', { jobId: job.id, searchId: search.id, requestedBy, scheduleType });
+    return { outcome: 'queued', job: this.toJobView(job, null), retryAt: null };
+  }
+
+  /**
+   * Run many searches: each is checked and recorded like enqueueSearchRun, and
+   * the messages are sent with enqueueBatch, BULK_RUN_BATCH_SIZE at a time
+   * A batch that cannot be sent marks its jobs failed; the others go ahead.
+   * @param {Array} searches - Searches to run
+   * @param {Object} options - { scheduleType, requestedBy, now }
+   * @returns {Array} Per search, in input order: { searchId, outcome: 'queued' | 'existing' | 'cooldown' | 'failed', job, retryAt, error }
+   */
+  async enqueueSearchRuns(searches, options = {}) {
+    const { scheduleType = 'manual', requestedBy } = options;
+    const results = [];
+
+    for (let i = 0; i < searches.length; i += BULK_RUN_BATCH_SIZE) {
+      const batch = searches.slice(i, i + BULK_RUN_BATCH_SIZE);
+
+      const prepared = await Promise.all(batch.map(async search => {
+        try {
+          return { search, ...await this.createRunJob(search, options) };
+        } catch (error) {
+          logger.error('Failed to create search run job', { searchId: search.id, error: error.message });
+          return { search, outcome: 'failed', job: null, retryAt: null, error: error.message };
+        }
+      }));
+
+      const created = prepared.filter(entry => entry.outcome === 'created');
+      let enqueueError = null;
+      if (created.length > 0) {
+        try {
+          await jobQueueService.enqueueBatch(created.map(entry => this.toQueueJob(entry.job)));
+        } catch (error) {
+          enqueueError = error;
+          await Promise.all(created.map(entry => this.markEnqueueFailed(entry.job, error)));
+        }
+      }
+
+      for (const entry of prepared) {
+        if (entry.outcome !== 'created') {
+          results.push({ searchId: entry.search.id, outcome: entry.outcome, job: entry.job, retryAt: entry.retryAt, error: entry.error || null });
+        } else if (enqueueError) {
+          results.push({ searchId: entry.search.id, outcome: 'failed', job: null, retryAt: null, error: enqueueError.message });
+        } else {
+          results.push({ searchId: entry.search.id, outcome: 'queued', job: this.toJobView(entry.job, null), retryAt: null, error: null });
+        }
+      }
+    }
+
+    const queued = results.filter(result => result.outcome === 'queued').length;
+    logger.info('Bulk search run finished', { requested: searches.length, queued, requestedBy, scheduleType });
+    return results;
+  }
+
+  /**
+   * Record the job for a run of a search now, unless a run is already in
+   * progress or the search's cooldown has not passed yet
+   * @param {Object} search
+   * @param {Object} options - { scheduleType, requestedBy, now }
+   * @returns {Object} { outcome: 'created', job } with the job document still to be
+   *   enqueued, or { outcome: 'existing' | 'cooldown', job, retryAt } with a job view
+   */
+  async createRunJob(search, options = {}) {
+    const { scheduleType = 'manual', requestedBy = search.userId, now = new Date() } = options;
+
+    const { jobs } = await databaseService.getJobsBySearch(search.id, { limit: RECENT_JOBS_LIMIT });
+    const runs = await Promise.all(jobs.map(job => databaseService.getRunByJob(search.id, job.id)));
+    const views = jobs.map((job, i) => this.toJobView(job, runs[i], now));
+
+    // A repeat request while a run is queued or running gets that run back; runs scheduled for later do not count
+    const active = views.find(view =>
+      !TERMINAL_JOB_STATUSES.includes(view.status) && view.status !== 'scheduled' && now - effectiveAt(view) < STALE_JOB_MS
+    );
+    if (active) {
+      logger.info('Search run already in progress', { jobId: active.id, searchId: search.id, requestedBy });
+      return { outcome: 'existing', job: active, retryAt: null };
+    }
+
+    // Jobs that never reached the Worker do not start the cooldown
+    const cooldownMs = this.runCooldownMinutes(search) * MINUTE_MS;
+    const lastQueued = views
+      .filter((view, i) => !jobs[i].enqueueFailed && !['scheduled', 'cancelled'].includes(view.status))
+      .reduce((latest, view) => (!latest || effectiveAt(view) > effectiveAt(latest) ? view : latest), null);
+    if (lastQueued && cooldownMs > 0) {
+      const retryAt = new Date(effectiveAt(lastQueued).getTime() + cooldownMs);
+      if (retryAt > now) {
+        logger.info('Search run refused during cooldown', { searchId: search.id, requestedBy, retryAt: retryAt.toISOString() });
+        return { outcome: 'cooldown', job: lastQueued, retryAt: retryAt.toISOString() };
+      }
+    }
+
+    const { job, existing } = await this.createJobRecord({
+      id: nextJobId(search.id, jobs[0]?.id),
+      searchId: search.id,
+      userId: search.userId,
+      scheduleType,
+      priority: jobPriority({ scheduleType })
+    });
+    if (existing) {
+      return { outcome: 'existing', job: existing, retryAt: null };
+    }
+
+    return { outcome: 'created', job, retryAt: null };
+  }
+
+  /**
+   * Queue message body for a job; jobId becomes the messageId
+   * @param {Object} job - Job document
+   */
+  toQueueJob(job) {
+    return {
+      jobId: job.id,
+      searchId: job.searchId,
+      userId: job.userId,
+      scheduleType: job.scheduleType,
+      priority: jobPriority(job)
+    };
+  }
+
+  /**
+   * Record a job and send it as a scheduled message that reaches the Worker at `runAt`
+   * Scheduled runs skip the cooldown; one per search and time is kept.
+   * @param {Object} search - Search to run
+   * @param {Date} runAt - When the run should start
+   * @param {Object} options - { scheduleType, requestedBy, now }
+   * @returns {Object} { outcome: 'scheduled' | 'existing' | 'invalid' | 'limit', job, message }
+   */
+  async scheduleSearchRun(search, runAt, options = {}) {
+    const { scheduleType = 'manual', requestedBy = search.userId, now = new Date() } = options;
+
+    if (runAt <= now || runAt - now > MAX_SCHEDULE_AHEAD_MS) {
+      return { outcome: 'invalid', job: null, message: 'runAt must be in the future and at most 30 days ahead' };
+    }
+
+    const scheduled = await this.listScheduledRuns(search.id, { now });
+    const sameTime = scheduled.find(view => view.runAt === runAt.toISOString());
+    if (sameTime) {
+      return { outcome: 'existing', job: sameTime, message: null };
+    }
+    if (scheduled.length >= MAX_SCHEDULED_RUNS_PER_SEARCH) {
+      return { outcome: 'limit', job: null, message: `A search can have at most ${MAX_SCHEDULED_RUNS_PER_SEARCH} scheduled runs` };
+    }
+
+    const { jobs } = await databaseService.getJobsBySearch(search.id, { limit: 1 });
+    let { job, existing } = await this.createJobRecord({
+      id: nextJobId(search.id, jobs[0]?.id, runAt.toISOString()),
+      searchId: search.id,
+      userId: search.userId,
+      scheduleType,
+      priority: jobPriority({ scheduleType }),
+      runAt: runAt.toISOString()
+    });
+    if (existing) {
+      return { outcome: 'existing', job: existing, message: null };
+    }
+
+    let sequenceNumber;
+    try {
+      ({ sequenceNumber } = await jobQueueService.scheduleJob({
+        jobId: job.id,
+        searchId: search.id,
+        userId: search.userId,
+        scheduleType,
+        priority: jobPriority(job),
+        runAt: job.runAt
+      }, runAt));
+    } catch (error) {
+      await this.markEnqueueFailed(job, error);
+      throw error;
+    }
+
+    // Needed to cancel the message; if the Worker already took the job, there is nothing to cancel
+    try {
+      job = await databaseService.updateJob(job.id, 'pending', { sequenceNumber });
+    } catch (error) {
+      logger.warn('Failed to store scheduled message sequence number', { jobId: job.id, error: error.message });
+    }
+
+    logger.info('Search run scheduled', { jobId: job.id, searchId: search.id, requestedBy, runAt: job.runAt });
+    return { outcome: 'scheduled', job: this.toJobView(job, null, now), message: null };
+  }
+
+  /**
+   * Get the runs of a search that are scheduled for a later time, soonest first
+   * @param {string} searchId
+   * @param {Object} options - { now }
+   * @returns {Array} Job views
+   */
+  async listScheduledRuns(searchId, options = {}) {
+    const { now = new Date() } = options;
+    const jobs = await databaseService.getScheduledJobsBySearch(searchId);
+
+    return jobs
+      .map(job => this.toJobView(job, null, now))
+      .filter(view => view.status === 'scheduled');
+  }
+
+  /**
+   * Cancel a scheduled run before it starts
+   * The job is marked cancelled first, so a message that cannot be cancelled any
+   * more finds no pending job and is skipped by the Worker.
+   * @param {string} searchId
+   * @param {string} jobId
+   * @param {Object} options - { cancelledBy, now }
+   * @returns {Object} { outcome: 'cancelled' | 'not_found' | 'not_scheduled', job }
+   */
+  async cancelScheduledRun(searchId, jobId, options = {}) {
+    const { cancelledBy, now = new Date() } = options;
+
+    const job = await databaseService.getJobById(jobId);
+    if (!job || job.searchId !== searchId) {
+      return { outcome: 'not_found', job: null };
+    }
+
+    const view = this.toJobView(job, await databaseService.getRunByJob(searchId, jobId), now);
+    if (view.status !== 'scheduled') {
+      return { outcome: 'not_scheduled', job: view };
+    }
+
+    const cancelled = await databaseService.updateJob(jobId, 'pending', {
+      status: 'cancelled',
+      cancelledAt: now.toISOString(),
+      cancelledBy: cancelledBy || null
+    });
+
+    if (job.sequenceNumber != null) {
+      try {
+        await jobQueueService.cancelScheduledJob(job.sequenceNumber);
+      } catch (error) {
+        logger.warn('Failed to cancel scheduled message; the Worker will skip the cancelled job', { jobId, error: error.message });
+      }
+    }
+
+    logger.info('Scheduled search run cancelled', { jobId, searchId, cancelledBy });
+    return { outcome: 'cancelled', job: this.toJobView(cancelled, null, now) };
+  }
+
+  /**
+   * Cancel every pending job of a search, queued or scheduled
+   * Scheduled messages are cancelled on the queue. Messages already in the
+   * queue stay there and are only skipped by a Worker that calls startJob.
+   * @param {string} searchId
+   * @param {Object} options - { cancelledBy, reason, now }
+   * @returns {Object} { cancelled: job views, messagesNotCancelled: IDs of scheduled jobs whose message is still on the queue }
+   */
+  async cancelPendingJobs(searchId, options = {}) {
+    const cancelled = [];
+    const messagesNotCancelled = [];
+
+    for (const job of await databaseService.getPendingJobsBySearch(searchId)) {
+      const result = await this.cancelPendingJob(job, options);
+      if (result.job) {
+        cancelled.push(result.job);
+      }
+      if (result.messageCancelled === false) {
+        messagesNotCancelled.push(job.id);
+      }
+    }
+
+    if (cancelled.length > 0 || messagesNotCancelled.length > 0) {
+      logger.info('Pending search jobs cancelled', { searchId, count: cancelled.length, messagesNotCancelled, reason: options.reason || null });
+    }
+    return { cancelled, messagesNotCancelled };
+  }
+
+  /**
+   * Cancel one pending job and its scheduled message, if it has one
+   * The message is cancelled first, so it is gone even if the Worker takes the job meanwhile.
+   * @param {Object} job - Pending job document
+   * @param {Object} options - { cancelledBy, reason, now }
+   * @returns {Object} { job: view or null if the job was no longer pending, messageCancelled: true | false | null without a scheduled message }
+   */
+  async cancelPendingJob(job, options = {}) {
+    const { cancelledBy, reason = null, now = new Date() } = options;
+
+    const messageCancelled = job.runAt ? await this.cancelScheduledMessage(job) : null;
+
+    let updated;
+    try {
+      updated = await databaseService.updateJob(job.id, 'pending', {
+        status: 'cancelled',
+        cancelledAt: now.toISOString(),
+        cancelledBy: cancelledBy || null,
+        cancelReason: reason
+      });
+    } catch (error) {
+      // The Worker took it in the meantime
+      logger.warn('Failed to cancel pending job', { jobId: job.id, searchId: job.searchId, error: error.message });
+      return { job: null, messageCancelled };
+    }
+
+    return { job: this.toJobView(updated, null, now), messageCancelled };
+  }
+
+  /**
+   * Cancel the scheduled message of a job
+   * @param {Object} job - Job with `runAt`
+   * @returns {boolean} Whether the message was cancelled; false if it may still be delivered
+   */
+  async cancelScheduledMessage(job) {
+    if (job.sequenceNumber == null) {
+      logger.warn('Scheduled job has no sequence number; its message cannot be cancelled', { jobId: job.id });
+      return false;
+    }
+    try {
+      await jobQueueService.cancelScheduledJob(job.sequenceNumber);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to cancel scheduled message', { jobId: job.id, sequenceNumber: job.sequenceNumber, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Move a job from pending to running, for the Worker when it picks up a message
+   * The job must still be pending and its search must still exist outside the
+   * trash; a job whose search was trashed since it was queued is cancelled.
+   * Anything but `started` means the message should be completed without running.
+   * @param {string} jobId
+   * @param {Object} options - { now }
+   * @returns {Object} { outcome: 'started' | 'not_pending' | 'search_deleted', job }
+   */
+  async startJob(jobId, options = {}) {
+    const { now = new Date() } = options;
+
+    const job = await databaseService.getJobById(jobId);
+    if (!job || job.status !== 'pending') {
+      return { outcome: 'not_pending', job: job ? this.toJobView(job, null, now) : null };
+    }
+
+    const search = await databaseService.getSearch(job.searchId, job.userId);
+    if (!search || search.deletedAt) {
+      return { outcome: 'search_deleted', job: (await this.cancelPendingJob(job, { reason: 'search_deleted', now })).job };
+    }
+
+    const started = await databaseService.updateJob(jobId, 'pending', { status: 'running', startedAt: now.toISOString() });
+    return { outcome: 'started', job: this.toJobView(started, null, now) };
+  }
+
+  /**
+   * Create a job document, or get the job a concurrent request created with the same ID
+   * @param {Object} fields - Job fields including the deterministic `id`
+   * @returns {Object} { job } when created, { existing } (job view) otherwise
+   */
+  async createJobRecord(fields) {
+    try {
+      return { job: await databaseService.createJob(fields), existing: null };
+    } catch (error) {
+      if (error.code !== 409) {
+        throw error;
+      }
+      const existing = await this.getJob(fields.id);
+      if (!existing) {
+        throw error;
+      }
+      return { job: null, existing };
+    }
+  }
+
+  /**
+   * Mark a job whose message never reached the queue as failed
+   * @param {Object} job
+   * @param {Error} error
+   */
+  async markEnqueueFailed(job, error) {
+    try {
+      await databaseService.updateJob(job.id, job.status, {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        error: `Failed to enqueue: ${error.message}`,
+        enqueueFailed: true
+      });
+    } catch (updateError) {
+      logger.error('Failed to mark job as failed', { jobId: job.id, error: updateError.message });
+    }
+  }
+
+  /**
+   * Get a job with its run, if the Worker has started one
+   * @param {string} jobId
+   * @returns {Object|null} Job view
+   */
+  async getJob(jobId) {
+    const job = await databaseService.getJobById(jobId);
+    if (!job) {
+      return null;
+    }
+    const run = await databaseService.getRunByJob(job.searchId, job.id);
+    const [view] = await this.withQueueInfo([this.toJobView(job, run)]);
+    return view;
+  }
+
+  /**
+   * Get one page of a search's jobs, newest first
+   * @param {string} searchId
+   * @param {Object} options - { limit, continuationToken }
+   * @returns {Object} { jobs, continuationToken, hasMore }
+   */
+  async listJobs(searchId, options = {}) {
+    const { jobs, continuationToken } = await databaseService.getJobsBySearch(searchId, options);
+    const runs = await Promise.all(jobs.map(job => databaseService.getRunByJob(searchId, job.id)));
+
+    return {
+      jobs: await this.withQueueInfo(jobs.map((job, i) => this.toJobView(job, runs[i]))),
+      continuationToken: continuationToken || null,
+      hasMore: !!continuationToken
+    };
+  }
+
+  /**
+   * Add `queue` to the views of jobs waiting in the queue: their priority lane,
+   * position (1 = next), the jobs ahead of them in the same or a higher lane,
+   * and an estimated wait from recent run times and JOB_WORKER_CONCURRENCY
+   * The estimate assumes the Worker serves lanes strictly by priority.
+   * @param {Array} views - Job views
+   * @param {Date} now
+   * @returns {Array} The views; `queue` is null for jobs not waiting
+   */
+  async withQueueInfo(views, now = new Date()) {
+    const waiting = views.filter(view => view.status === 'pending');
+    if (waiting.length === 0) {
+      return views.map(view => ({ ...view, queue: null }));
+    }
+
+    const [pending, recent] = await Promise.all([
+      databaseService.getPendingJobs(),
+      databaseService.getRecentCompletedJobs(RECENT_DURATIONS_LIMIT)
+    ]);
+
+    // Only jobs the Worker can take now: not scheduled for later, not presumed lost
+    const queued = pending
+      .filter(job => effectiveAt(job) <= now && now - effectiveAt(job) < STALE_JOB_MS)
+      .map(job => ({ id: job.id, rank: priorityRank(jobPriority(job)), at: effectiveAt(job).getTime() }));
+
+    const durations = recent.map(job => new Date(job.completedAt) - new Date(job.startedAt)).filter(ms => ms >= 0);
+    const runEstimateMs = durations.length > 0
+      ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length
+      : DEFAULT_RUN_ESTIMATE_MS;
+
+    return views.map(view => {
+      if (view.status !== 'pending') {
+        return { ...view, queue: null };
+      }
+
+      const rank = priorityRank(view.priority);
+      const at = effectiveAt(view).getTime();
+      const jobsAhead = queued.filter(job =>
+        job.id !== view.id && (job.rank < rank || (job.rank === rank && (job.at < at || (job.at === at && job.id < view.id))))
+      ).length;
+      const estimatedWaitMs = Math.round(Math.floor(jobsAhead / workerConcurrency()) * runEstimateMs);
+
+      return {
+        ...view,
+        queue: {
+          priority: view.priority,
+          position: jobsAhead + 1,
+          jobsAhead,
+          estimatedWaitMs,
+          estimatedStartAt: new Date(now.getTime() + estimatedWaitMs).toISOString()
+        }
+      };
+    });
+  }
+
+  /**
+   * Shape a job for API responses
+   * A Worker that records runs but does not update jobs leaves the job pending;
+   * the run's outcome is used then, so clients are never stuck on "in progress".
+   * @param {Object} job - Job document
+   * @param {Object|null} run - Run started for the job
+   * @param {Date} now - Pending jobs with a later `runAt` show as `scheduled`
+   */
+  toJobView(job, run, now = new Date()) {
+    let { status, startedAt, completedAt, result } = job;
+
+    if (status === 'pending' && !run && job.runAt && new Date(job.runAt) > now) {
+      status = 'scheduled';
+    }
+
+    if (run && !TERMINAL_JOB_STATUSES.includes(status)) {
+      startedAt = startedAt || run.startedAt;
+      if (TERMINAL_JOB_STATUSES.includes(run.status)) {
+        status = run.status;
+        completedAt = completedAt || run.finishedAt;
+      } else {
+        status = 'running';
+      }
+    }
+
+    if (!result && run && TERMINAL_JOB_STATUSES.includes(run.status)) {
+      result = { runId: run.id, hotelCount: run.hotelCount, priceCount: run.priceCount };
+    }
+
+    return {
+      id: job.id,
+      searchId: job.searchId,
+      status,
+      scheduleType: job.scheduleType,
+      priority: jobPriority(job),
+      createdAt: job.createdAt,
+      runAt: job.runAt || null,
+      startedAt: startedAt || null,
+      completedAt: completedAt || null,
+      cancelledAt: job.cancelledAt || null,
+      cancelReason: job.cancelReason || null,
+      durationMs: startedAt && completedAt ? new Date(completedAt) - new Date(startedAt) : null,
+      error: job.error || (status === 'failed' ? run?.error : null) || null,
+      result: result || null,
+      runId: run?.id || null
+    };
+  }
+}
+
+// Singleton instance
+const jobService = new JobService();
+
+export default jobService;
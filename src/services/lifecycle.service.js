@@ -0,0 +1,167 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10000;
+const DEFAULT_READINESS_DELAY_MS = 5000;
+
+/**
+ * Shutdown phases, in the order they run
+ * `drain` hooks stop taking on new work (HTTP server, timers) and wait for
+ * what is in progress; tracked work (enqueues) is then awaited; `release`
+ * hooks close the clients that work needed (queue, database).
+ */
+const PHASES = ['drain', 'release'];
+
+/**
+ * Shutdown timeout in milliseconds (SHUTDOWN_TIMEOUT_MS, default 10s)
+ */
+export function getShutdownTimeoutMs() {
+  const value = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '', 10);
+  return value > 0 ? value : DEFAULT_SHUTDOWN_TIMEOUT_MS;
+}
+
+/**
+ * Time between reporting "not ready" and draining, in milliseconds
+ * (SHUTDOWN_READINESS_DELAY_MS, default 5s; 0 drains at once)
+ */
+export function getReadinessDelayMs() {
+  const value = parseInt(process.env.SHUTDOWN_READINESS_DELAY_MS || '', 10);
+  return value >= 0 ? value : DEFAULT_READINESS_DELAY_MS;
+}
+
+/**
+ * Process lifecycle
+ * Tracks readiness, the work that must finish before clients are closed, and
+ * the shutdown hooks components register. On shutdown the instance reports
+ * "not ready" first (GET /health/ready answers 503) and keeps serving for the
+ * readiness delay, so load balancers see the probe fail before the server
+ * stops accepting connections. It then runs the hooks phase by phase. The
+ * hooks share one deadline, counted from the end of the delay: a step still
+ * running when it passes is abandoned and logged, and the remaining steps are
+ * started anyway so clients are at least asked to close.
+ */
+class LifecycleService {
+  constructor() {
+    this.ready = false;
+    this.shuttingDown = null;
+    this.hooks = [];
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Whether the instance should receive traffic
+   */
+  isReady() {
+    return this.ready && !this.shuttingDown;
+  }
+
+  /**
+   * Mark the instance ready once it is listening
+   */
+  markReady() {
+    this.ready = true;
+  }
+
+  /**
+   * Register a function to run on shutdown
+   * Hooks of a phase run one after another in registration order.
+   * @param {string} name - Shown in logs
+   * @param {Function} fn - May return a promise
+   * @param {Object} options - { phase: 'drain' | 'release' (default) }
+   */
+  registerShutdownHook(name, fn, { phase = 'release' } = {}) {
+    if (!PHASES.includes(phase)) {
+      throw new Error(`Unknown shutdown phase "${phase}" (expected one of: ${PHASES.join(', ')})`);
+    }
+    this.hooks.push({ name, fn, phase });
+  }
+
+  /**
+   * Run work that shutdown waits for before the release phase
+   * @param {Function} fn - Returns a promise
+   * @returns {Promise} The result of fn
+   */
+  async track(fn) {
+    const promise = Promise.resolve().then(fn);
+    this.inFlight.add(promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(promise);
+    }
+  }
+
+  /**
+   * Await a step, giving up when the deadline passes
+   * @param {string} name
+   * @param {Function} fn
+   * @param {number} deadline - Epoch milliseconds
+   * @returns {boolean} Whether the step finished in time
+   */
+  async runStep(name, fn, deadline) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), Math.max(deadline - Date.now(), 0));
+    });
+
+    try {
+      const outcome = await Promise.race([Promise.resolve().then(fn), timeout]);
+      if (outcome === 'timeout') {
+        logger.error('Shutdown step did not finish before the timeout', { step: name });
+        return false;
+      }
+      logger.info('Shutdown step completed', { step: name });
+      return true;
+    } catch (error) {
+      logger.error('Shutdown step failed', { step: name, error: error.message });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Shut down: flip readiness, wait the readiness delay, drain, wait for tracked work, release clients
+   * Calling it again returns the shutdown already in progress.
+   * @param {Object} options - { timeoutMs, readinessDelayMs }
+   * @returns {Promise<boolean>} Whether every step finished cleanly in time
+   */
+  shutdown({ timeoutMs = getShutdownTimeoutMs(), readinessDelayMs = getReadinessDelayMs() } = {}) {
+    if (!this.shuttingDown) {
+      this.shuttingDown = this.runShutdown(timeoutMs, readinessDelayMs);
+    }
+    return this.shuttingDown;
+  }
+
+  async runShutdown(timeoutMs, readinessDelayMs) {
+    // An instance that never became ready gets no traffic to wait out
+    if (this.ready && readinessDelayMs > 0) {
+      logger.info('Not ready; waiting before draining', { readinessDelayMs });
+      await new Promise(resolve => setTimeout(resolve, readinessDelayMs));
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    logger.info('Shutting down', { timeoutMs, hooks: this.hooks.length });
+
+    let clean = true;
+    for (const phase of PHASES) {
+      for (const hook of this.hooks.filter(h => h.phase === phase)) {
+        clean = await this.runStep(hook.name, hook.fn, deadline) && clean;
+      }
+
+      if (phase === 'drain' && this.inFlight.size > 0) {
+        logger.info('Waiting for in-flight work', { count: this.inFlight.size });
+        clean = await this.runStep('in-flight work', () => Promise.allSettled([...this.inFlight]), deadline) && clean;
+      }
+    }
+
+    return clean;
+  }
+}
+
+// Singleton instance
+const lifecycleService = new LifecycleService();
+
+export default lifecycleService;
@@ -0,0 +1,1534 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { randomUUID } from 'crypto';
+import { createRequire } from 'module';
+import { priceRowIds } from './price-keys.js';
+import { getHotelKey, mergeHotelEntry } from '../parsers/hotel-key.js';
+import { trashUpdates, restoreUpdates } from './trash-fields.js';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const CONTAINER_NAMES = ['users', 'searches', 'prices', 'conversations', 'jobs', 'searchShares', 'runs', 'accountDeletions', 'migrations', 'hotels', 'searchRevisions', 'alertEvents'];
+
+// Partition key property per container (mirrors scripts/init-cosmos-db.js)
+const PARTITION_KEYS = {
+  users: 'userId',
+  searches: 'userId',
+  prices: 'searchId',
+  conversations: 'searchId',
+  jobs: 'status',
+  searchShares: 'searchId',
+  runs: 'searchId',
+  accountDeletions: 'userId',
+  migrations: 'id',
+  hotels: 'id',
+  searchRevisions: 'searchId',
+  alertEvents: 'searchId'
+};
+
+// Writes within this window are saved to LOCAL_DB_FILE together
+const PERSIST_DELAY_MS = 100;
+
+// Price row fields returned by getPriceSeriesRows (the Cosmos DB projection)
+const SERIES_FIELDS = ['hotelKey', 'hotelName', 'hotelUrl', 'runId', 'extractedAt', 'numericPrice',
+  'granularity', 'minPrice', 'maxPrice', 'avgPrice', 'lastPrice', 'lastExtractedAt', 'sampleCount'];
+
+/**
+ * Build an error that mimics the Cosmos DB SDK error shape (numeric `code`)
+ * so routes and the error handler treat both backends the same way
+ * @param {number} code - HTTP-like status code
+ * @param {string} message
+ */
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Project a search document onto the fields used for list ordering
+ * @param {Object} search
+ */
+function toSortKey(search) {
+  return {
+    id: search.id,
+    userId: search.userId,
+    lastRunAt: search.lastRunAt,
+    createdAt: search.createdAt,
+    isActive: search.isActive
+  };
+}
+
+/**
+ * Whether a search matches a query's `deleted` option
+ * @param {Object} search
+ * @param {boolean|undefined} deleted - true: only searches in the trash, false: none of them, undefined: all
+ */
+function matchesDeleted(search, deleted) {
+  return deleted === undefined || deleted === (typeof search.deletedAt === 'string');
+}
+
+/**
+ * Whether a search is listed after a keyset cursor, newest activity
+ * (lastRunAt, else createdAt) first — a sort-key query's `after` option
+ * @param {Object} search
+ * @param {Object|undefined} after - { t, id } cursor from decodeSearchCursor
+ */
+function isListedAfter(search, after) {
+  if (!after) {
+    return true;
+  }
+  const time = search.lastRunAt || search.createdAt || '';
+  return time < after.t || (time === after.t && search.id < after.id);
+}
+
+/**
+ * Local storage backend for VacationMonitor
+ * Implements the same methods as CosmosDBService on top of in-memory maps,
+ * optionally persisted to a JSON file (LOCAL_DB_FILE) so data survives restarts.
+ * Intended for offline development and tests — not for production use.
+ */
+class LocalDBService {
+  constructor() {
+    this.filePath = null;
+    this.persistTimer = null;
+    this.exitFlushRegistered = false;
+    this.containers = {};
+    for (const name of CONTAINER_NAMES) {
+      this.containers[name] = new Map();
+    }
+  }
+
+  /**
+   * Initialize the local store, loading the JSON file if one is configured
+   */
+  async initialize() {
+    try {
+      this.filePath = process.env.LOCAL_DB_FILE ? resolve(process.env.LOCAL_DB_FILE) : null;
+
+      if (this.filePath && existsSync(this.filePath)) {
+        const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+        for (const name of CONTAINER_NAMES) {
+          this.containers[name] = new Map((data[name] || []).map(doc => [doc.id, doc]));
+        }
+      }
+
+      if (this.filePath && !this.exitFlushRegistered) {
+        // Scripts end with process.exit(): save writes still waiting for the timer
+        process.once('exit', () => this.flush());
+        this.exitFlushRegistered = true;
+      }
+
+      logger.info('Local DB service initialized successfully', {
+        file: this.filePath || '(in-memory)',
+        users: this.containers.users.size,
+        searches: this.containers.searches.size,
+        prices: this.containers.prices.size
+      });
+    } catch (error) {
+      logger.error('Failed to initialize local DB service', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Flush the store to LOCAL_DB_FILE before the process exits
+   */
+  async close() {
+    this.flush();
+    logger.info('Local DB service closed');
+  }
+
+  // ==================== STORAGE PRIMITIVES ====================
+
+  /**
+   * Schedule a save of the store to LOCAL_DB_FILE (no-op when running in-memory)
+   * Saves are coalesced: a bulk write of N documents rewrites the file once, not N times.
+   */
+  persist() {
+    if (!this.filePath || this.persistTimer) {
+      return;
+    }
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY_MS);
+  }
+
+  /**
+   * Write the whole store to LOCAL_DB_FILE now
+   */
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.filePath) {
+      return;
+    }
+
+    const data = {};
+    for (const name of CONTAINER_NAMES) {
+      data[name] = [...this.containers[name].values()];
+    }
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Store a document, adding the system properties Cosmos DB would add
+   * @param {string} container - Container name
+   * @param {Object} doc
+   * @returns {Object} Copy of the stored document
+   */
+  write(container, doc) {
+    const stored = {
+      ...structuredClone(doc),
+      _etag: `"${randomUUID()}"`,
+      _ts: Math.floor(Date.now() / 1000)
+    };
+    this.containers[container].set(stored.id, stored);
+    this.persist();
+    return structuredClone(stored);
+  }
+
+  /**
+   * Point-read a document by id and partition key value
+   * @param {string} container - Container name
+   * @param {string} id
+   * @param {string} partitionField - Partition key property name
+   * @param {string} partitionValue
+   */
+  read(container, id, partitionField, partitionValue) {
+    const doc = this.containers[container].get(id);
+    if (!doc || doc[partitionField] !== partitionValue) {
+      return null;
+    }
+    return structuredClone(doc);
+  }
+
+  /**
+   * Remove a document by id and partition key value
+   * @returns {boolean} Whether a document was removed
+   */
+  remove(container, id, partitionField, partitionValue) {
+    const doc = this.containers[container].get(id);
+    if (!doc || doc[partitionField] !== partitionValue) {
+      return false;
+    }
+    this.containers[container].delete(id);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Return copies of all documents in a container matching a predicate
+   * @param {string} container - Container name
+   * @param {Function} predicate
+   */
+  query(container, predicate) {
+    const results = [];
+    for (const doc of this.containers[container].values()) {
+      if (predicate(doc)) {
+        results.push(structuredClone(doc));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Read-merge-write a document, optionally guarded by the ETag the caller last read
+   * Writes are synchronous here, so unlike Cosmos DB no retry loop is needed
+   * @param {string} container - Container name
+   * @param {Object|null} existing - Current document
+   * @param {Object|Function} updates - Fields to set, or (current) => fields
+   * @param {Object} options - { ifMatch }; '*' or unset means "any version"
+   */
+  conditionalUpdate(container, existing, updates, options = {}) {
+    if (!existing) {
+      throw storageError(404, 'Document not found');
+    }
+
+    if (options.ifMatch && options.ifMatch !== '*' && existing._etag !== options.ifMatch) {
+      throw storageError(412, 'Document has been modified since it was read');
+    }
+
+    return this.write(container, {
+      ...existing,
+      ...(typeof updates === 'function' ? updates(existing) : updates),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Slice a sorted result set into a page with an offset-based continuation token
+   * @param {Array} items
+   * @param {number} limit
+   * @param {string} continuationToken
+   */
+  page(items, limit, continuationToken) {
+    const offset = continuationToken ? parseInt(continuationToken, 10) || 0 : 0;
+    const end = offset + limit;
+    return {
+      items: items.slice(offset, end),
+      continuationToken: end < items.length ? String(end) : undefined
+    };
+  }
+
+  // ==================== USERS OPERATIONS ====================
+
+  /**
+   * Create or update a user
+   * @param {Object} user - User object with id, email, displayName, googleId, etc.
+   */
+  async upsertUser(user) {
+    try {
+      const userDoc = {
+        id: user.id,
+        userId: user.id, // Partition key
+        email: user.email,
+        displayName: user.displayName,
+        googleId: user.googleId,
+        photoURL: user.photoURL || null,
+        emailPreferences: user.emailPreferences || { enabled: true },
+        retention: user.retention || null, // Price history retention policy { rawDays }
+        createdAt: user.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      const resource = this.write('users', userDoc);
+      logger.info('User upserted successfully', { userId: resource.id });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to upsert user', { userId: user.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} userId
+   */
+  async getUser(userId) {
+    return this.read('users', userId, 'userId', userId);
+  }
+
+  /**
+   * Update fields on an existing user
+   * @param {string} userId
+   * @param {Object|Function} updates - Fields to set, or (currentUser) => fields
+   * @param {Object} options - { ifMatch } ETag the caller last read; mismatch throws a 412 error
+   */
+  async updateUser(userId, updates, options = {}) {
+    try {
+      const resource = this.conditionalUpdate('users', await this.getUser(userId), updates, options);
+      logger.info('User updated successfully', { userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get user by Google ID
+   * @param {string} googleId
+   */
+  async getUserByGoogleId(googleId) {
+    const resources = this.query('users', u => u.googleId === googleId);
+    return resources.length > 0 ? resources[0] : null;
+  }
+
+  /**
+   * Delete a user
+   * @param {string} userId
+   */
+  async deleteUser(userId) {
+    try {
+      if (!this.remove('users', userId, 'userId', userId)) {
+        throw storageError(404, 'User not found');
+      }
+      logger.info('User deleted successfully', { userId });
+    } catch (error) {
+      logger.error('Failed to delete user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ==================== SEARCHES OPERATIONS ====================
+
+  /**
+   * Create a new search
+   * @param {Object} search - Search object with userId, searchUrl, criteria, schedule, etc.
+   */
+  async createSearch(search) {
+    try {
+      if (this.containers.searches.has(search.id)) {
+        throw storageError(409, 'Search already exists');
+      }
+
+      const searchDoc = {
+        id: search.id,
+        userId: search.userId, // Partition key
+        searchName: search.searchName || search.criteria.cityName,
+        searchUrl: search.searchUrl,
+        criteria: search.criteria,
+        schedule: search.schedule || {
+          enabled: true,
+          intervalHours: 6,
+          nextRun: new Date().toISOString()
+        },
+        emailRecipients: search.emailRecipients || [],
+        runCooldownMinutes: search.runCooldownMinutes ?? null, // null: RUN_COOLDOWN_MINUTES
+        tags: search.tags || [],
+        isActive: search.isActive !== undefined ? search.isActive : true,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        lastRunAt: null
+      };
+
+      const resource = this.write('searches', searchDoc);
+      logger.info('Search created successfully', { searchId: resource.id, userId: search.userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create search', { userId: search.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get search by ID
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   */
+  async getSearch(searchId, userId) {
+    return this.read('searches', searchId, 'userId', userId);
+  }
+
+  /**
+   * Get all searches for a user
+   * @param {string} userId
+   * @param {Object} options - { isActive, deleted, limit, continuationToken }; trashed searches are included unless `deleted` is set
+   */
+  async getSearchesByUser(userId, options = {}) {
+    const { isActive, deleted, limit = 100, continuationToken } = options;
+
+    const searches = this.query('searches', s =>
+      s.userId === userId && (isActive === undefined || s.isActive === isActive) && matchesDeleted(s, deleted)
+    ).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+    const { items, continuationToken: nextToken } = this.page(searches, limit, continuationToken);
+    return { searches: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get the fields needed to sort a user's searches (id, userId, lastRunAt, createdAt, isActive)
+   * @param {string} userId
+   * @param {Object} options - { isActive, deleted, after } (after: only searches listed after this { t, id } cursor)
+   */
+  async getSearchSortKeysByUser(userId, options = {}) {
+    const { isActive, deleted, after } = options;
+    return this.query('searches', s =>
+      s.userId === userId && (isActive === undefined || s.isActive === isActive) && matchesDeleted(s, deleted) && isListedAfter(s, after)
+    ).map(toSortKey);
+  }
+
+  /**
+   * Get sort fields for a set of searches across owners
+   * @param {Array<string>} searchIds
+   * @param {Object} options - { isActive, deleted, after } (after: only searches listed after this { t, id } cursor)
+   */
+  async getSearchSortKeysByIds(searchIds, options = {}) {
+    const { isActive, deleted, after } = options;
+    const ids = new Set(searchIds || []);
+    return this.query('searches', s =>
+      ids.has(s.id) && (isActive === undefined || s.isActive === isActive) && matchesDeleted(s, deleted) && isListedAfter(s, after)
+    ).map(toSortKey);
+  }
+
+  /**
+   * Get all searches across users, one page at a time (for maintenance jobs)
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getAllSearches(options = {}) {
+    const { limit = 100, continuationToken } = options;
+    const searches = this.query('searches', () => true).sort((a, b) => a.id.localeCompare(b.id));
+    const { items, continuationToken: nextToken } = this.page(searches, limit, continuationToken);
+    return { searches: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get searches (of any owner) that were moved to the trash before a cutoff
+   * @param {string} cutoff - ISO timestamp
+   * @param {number} limit - Max number of searches to return
+   */
+  async getSearchesDeletedBefore(cutoff, limit = 100) {
+    return this.query('searches', s => typeof s.deletedAt === 'string' && s.deletedAt < cutoff)
+      .sort((a, b) => a.deletedAt.localeCompare(b.deletedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get searches that are due to run
+   * @param {number} limit - Max number of searches to return
+   */
+  async getDueSearches(limit = 50) {
+    const now = new Date().toISOString();
+    return this.query('searches', s =>
+      s.isActive === true && s.schedule?.enabled === true && s.schedule.nextRun <= now
+    )
+      .sort((a, b) => a.schedule.nextRun.localeCompare(b.schedule.nextRun))
+      .slice(0, limit);
+  }
+
+  /**
+   * Update search
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   * @param {Object|Function} updates - Fields to update, or (currentSearch) => fields
+   * @param {Object} options - { ifMatch } ETag the caller last read; mismatch throws a 412 error
+   */
+  async updateSearch(searchId, userId, updates, options = {}) {
+    try {
+      const resource = this.conditionalUpdate('searches', await this.getSearch(searchId, userId), updates, options);
+      logger.info('Search updated successfully', { searchId, userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update search', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete search (soft delete - move to the trash)
+   * Stops the search and remembers whether it was active and scheduled, for restoreSearch
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   * @returns {Object} Updated search
+   */
+  async deleteSearch(searchId, userId) {
+    try {
+      const resource = await this.updateSearch(searchId, userId, current => trashUpdates(current));
+      logger.info('Search deleted successfully', { searchId, userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to delete search', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a search from the trash to its state before deletion
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   * @returns {Object} Updated search
+   */
+  async restoreSearch(searchId, userId) {
+    try {
+      const resource = await this.updateSearch(searchId, userId, current => restoreUpdates(current));
+      logger.info('Search restored successfully', { searchId, userId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to restore search', { searchId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a search document
+   * @param {string} searchId
+   * @param {string} userId - Partition key
+   * @returns {boolean} Whether the search existed
+   */
+  async hardDeleteSearch(searchId, userId) {
+    const removed = this.remove('searches', searchId, 'userId', userId);
+    if (removed) {
+      logger.info('Search permanently deleted', { searchId, userId });
+    }
+    return removed;
+  }
+
+  /**
+   * Get searches (of any owner) that list an email address as a recipient
+   * @param {string} email
+   */
+  async getSearchesByRecipient(email) {
+    return this.query('searches', s => (s.emailRecipients || []).includes(email));
+  }
+
+  // ==================== PRICES OPERATIONS ====================
+
+  /**
+   * Bulk create price records
+   * Rows that already exist are returned as they are stored
+   * @param {Array} prices - Array of price objects
+   * @returns {Array} Price documents
+   */
+  async createPrices(prices) {
+    const { documents } = await this.bulkWritePrices(prices);
+    return documents;
+  }
+
+  /**
+   * Bulk write price records, reporting per row
+   * Rows that already exist count as written. Re-delivering a batch is only
+   * idempotent for rows whose id is deterministic: rows without an id get one
+   * from `priceRowIds` (run + hotel key + position), ids passed in are used as they are.
+   * @param {Array} prices - Array of price objects
+   * @returns {Object} { created, existing, failed: [{ id, statusCode, error }], items: [{ id, status }] }
+   */
+  async writePrices(prices) {
+    const { report } = await this.bulkWritePrices(prices);
+    return report;
+  }
+
+  /**
+   * Write price rows and update the hotel catalog
+   * @param {Array} prices
+   * @returns {Object} { report, documents }
+   */
+  async bulkWritePrices(prices) {
+    const report = { created: 0, existing: 0, failed: [], items: [] };
+    const documents = [];
+    const created = [];
+
+    if (!prices || prices.length === 0) {
+      return { report, documents };
+    }
+
+    const ids = priceRowIds(prices);
+    for (const [i, price] of prices.entries()) {
+      const id = ids[i];
+
+      if (this.containers.prices.has(id)) {
+        documents.push(structuredClone(this.containers.prices.get(id)));
+        report.existing++;
+        report.items.push({ id, status: 'existing' });
+        continue;
+      }
+
+      const document = this.write('prices', {
+        id,
+        searchId: price.searchId, // Partition key
+        userId: price.userId,
+        hotelKey: getHotelKey(price),
+        hotelName: price.hotelName,
+        rating: price.rating,
+        location: price.location,
+        cityName: price.cityName,
+        originalPriceText: price.originalPriceText,
+        parsedPrice: price.parsedPrice,
+        numericPrice: price.numericPrice,
+        currency: price.currency,
+        hotelUrl: price.hotelUrl,
+        extractedAt: price.extractedAt,
+        runId: price.runId || null,
+        searchDestination: price.searchDestination,
+        searchDate: price.searchDate
+      });
+      created.push(document);
+      documents.push(document);
+      report.created++;
+      report.items.push({ id, status: 'created' });
+    }
+
+    await this.upsertHotelsFromPrices(created);
+
+    logger.info('Prices created successfully', {
+      searchId: prices[0].searchId,
+      created: report.created,
+      existing: report.existing
+    });
+    return { report, documents };
+  }
+
+  /**
+   * Get prices for a search
+   * @param {string} searchId
+   * @param {Object} options - Filtering and pagination options
+   */
+  async getPricesBySearch(searchId, options = {}) {
+    const { startDate, endDate, hotelName, hotelKeys, limit = 1000, continuationToken } = options;
+    const hotelNameFilter = hotelName ? hotelName.toLowerCase() : null;
+    const hotelKeyFilter = hotelKeys?.length > 0 ? new Set(hotelKeys) : null;
+
+    const prices = this.query('prices', p =>
+      p.searchId === searchId &&
+      (!startDate || p.extractedAt >= startDate) &&
+      (!endDate || p.extractedAt <= endDate) &&
+      // Hotel filter: rows of the given hotel keys, or (legacy rows without a key) a name match
+      ((!hotelKeyFilter && !hotelNameFilter) ||
+        (hotelKeyFilter && hotelKeyFilter.has(p.hotelKey)) ||
+        (hotelNameFilter && (p.hotelName || '').toLowerCase().includes(hotelNameFilter)))
+    ).sort((a, b) => (b.extractedAt || '').localeCompare(a.extractedAt || ''));
+
+    const { items, continuationToken: nextToken } = this.page(prices, limit, continuationToken);
+    return { prices: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get prices recorded by one extraction run
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async getPricesByRun(searchId, runId) {
+    return this.query('prices', p => p.searchId === searchId && p.runId === runId);
+  }
+
+  /**
+   * Get latest prices for a search (most recent completed extraction run)
+   * Falls back to the most recent extractedAt timestamp for legacy rows without a runId
+   * @param {string} searchId
+   */
+  async getLatestPrices(searchId) {
+    const latestRun = await this.getLatestRun(searchId);
+    if (latestRun) {
+      return this.getPricesByRun(searchId, latestRun.id);
+    }
+
+    const prices = this.query('prices', p => p.searchId === searchId && p.granularity === undefined);
+    if (prices.length === 0) {
+      return [];
+    }
+
+    const latestTimestamp = prices.reduce(
+      (latest, p) => (p.extractedAt > latest ? p.extractedAt : latest),
+      prices[0].extractedAt
+    );
+
+    return prices.filter(p => p.extractedAt === latestTimestamp);
+  }
+
+  /**
+   * Get outdated hotels - hotels that appeared in historical prices but NOT in latest extraction
+   * Returns all historical prices for these outdated hotels
+   * @param {string} searchId
+   */
+  async getOutdatedHotels(searchId) {
+    const latestPrices = await this.getLatestPrices(searchId);
+    if (latestPrices.length === 0) {
+      return [];
+    }
+
+    const latestHotelKeys = new Set(latestPrices.map(getHotelKey));
+
+    return this.query('prices', p => p.searchId === searchId && !latestHotelKeys.has(getHotelKey(p)))
+      .sort((a, b) => (b.extractedAt || '').localeCompare(a.extractedAt || ''));
+  }
+
+  /**
+   * Get the extractedAt of the oldest raw (not downsampled) price row for a search
+   * @param {string} searchId
+   * @param {string} after - Only consider rows extracted at or after this time
+   * @returns {string|null}
+   */
+  async getOldestRawPriceTime(searchId, after = null) {
+    const times = this.query('prices', p =>
+      p.searchId === searchId && p.granularity === undefined && (!after || p.extractedAt >= after)
+    ).map(p => p.extractedAt).sort();
+    return times.length > 0 ? times[0] : null;
+  }
+
+  /**
+   * Get raw (not downsampled) price rows extracted in [startDate, endDate)
+   * @param {string} searchId
+   * @param {string} startDate - Inclusive
+   * @param {string} endDate - Exclusive
+   */
+  async getRawPricesInRange(searchId, startDate, endDate) {
+    return this.query('prices', p =>
+      p.searchId === searchId && p.granularity === undefined &&
+      p.extractedAt >= startDate && p.extractedAt < endDate
+    );
+  }
+
+  /**
+   * Page through the price rows of a search, oldest first, with only the fields price series need
+   * Raw and downsampled rows alike; a downsampled row carries its min/avg/max/last and sample count.
+   * @param {string} searchId - Partition key
+   * @param {Object} options - { startDate, endDate, limit, continuationToken }
+   * @returns {Object} { rows, continuationToken }
+   */
+  async getPriceSeriesRows(searchId, options = {}) {
+    const { startDate, endDate, limit = 1000, continuationToken } = options;
+
+    const rows = this.query('prices', p =>
+      p.searchId === searchId &&
+      (!startDate || p.extractedAt >= startDate) &&
+      (!endDate || p.extractedAt <= endDate)
+    )
+      .sort((a, b) => (a.extractedAt || '').localeCompare(b.extractedAt || ''))
+      .map(p => Object.fromEntries(SERIES_FIELDS.filter(field => p[field] !== undefined).map(field => [field, p[field]])));
+
+    const { items, continuationToken: nextToken } = this.page(rows, limit, continuationToken);
+    return { rows: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get a downsampled price row by ID
+   * @param {string} searchId - Partition key
+   * @param {string} rollupId
+   */
+  async getPriceRollup(searchId, rollupId) {
+    return this.read('prices', rollupId, 'searchId', searchId);
+  }
+
+  /**
+   * Create or update a downsampled price row
+   * Stored with the raw prices (marked with `granularity`) so price reads merge it with raw rows
+   * @param {Object} rollup - Rollup document with id, searchId, granularity, min/avg/max stats
+   */
+  async upsertPriceRollup(rollup) {
+    return this.write('prices', rollup);
+  }
+
+  /**
+   * Delete specific price rows
+   * @param {string} searchId - Partition key
+   * @param {Array<string>} priceIds
+   * @returns {number} Number of deleted records
+   */
+  async deletePrices(searchId, priceIds) {
+    let deleted = 0;
+    for (const id of priceIds) {
+      const doc = this.containers.prices.get(id);
+      if (doc && doc.searchId === searchId) {
+        this.containers.prices.delete(id);
+        deleted++;
+      }
+    }
+    this.persist();
+    logger.info('Prices deleted successfully', { searchId, count: deleted });
+    return deleted;
+  }
+
+  /**
+   * Delete all price records for a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted records
+   */
+  async deletePricesBySearch(searchId) {
+    const ids = this.query('prices', p => p.searchId === searchId).map(p => p.id);
+    for (const id of ids) {
+      this.containers.prices.delete(id);
+    }
+    this.persist();
+    logger.info('Prices deleted successfully', { searchId, count: ids.length });
+    return ids.length;
+  }
+
+  // ==================== RUNS OPERATIONS ====================
+
+  /**
+   * Create an extraction run record
+   * Call before writing the run's prices; tag every price row with the returned id as runId
+   * @param {Object} run - Run object with id, searchId, userId, jobId, etc.
+   */
+  async createRun(run) {
+    try {
+      if (this.containers.runs.has(run.id)) {
+        throw storageError(409, 'Run already exists');
+      }
+
+      const resource = this.write('runs', {
+        id: run.id,
+        searchId: run.searchId, // Partition key
+        userId: run.userId,
+        jobId: run.jobId || null,
+        status: run.status || 'running', // running | completed | failed
+        startedAt: run.startedAt || new Date().toISOString(),
+        finishedAt: null,
+        hotelCount: 0,
+        priceCount: 0,
+        error: null
+      });
+      logger.info('Run created successfully', { runId: resource.id, searchId: run.searchId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create run', { searchId: run.searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an extraction run (e.g. mark completed with finishedAt and counts)
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   * @param {Object} updates - Fields to update
+   */
+  async updateRun(searchId, runId, updates) {
+    try {
+      const existing = await this.getRun(searchId, runId);
+      if (!existing) {
+        throw new Error('Run not found');
+      }
+
+      const resource = this.write('runs', { ...existing, ...updates });
+      logger.info('Run updated successfully', { runId, searchId, status: resource.status });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update run', { runId, searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an extraction run by ID
+   * @param {string} searchId - Partition key
+   * @param {string} runId
+   */
+  async getRun(searchId, runId) {
+    return this.read('runs', runId, 'searchId', searchId);
+  }
+
+  /**
+   * Get extraction runs for a search, newest first
+   * @param {string} searchId
+   * @param {Object} options - Filtering and pagination options
+   */
+  async getRunsBySearch(searchId, options = {}) {
+    const { status, limit = 50, continuationToken } = options;
+
+    const runs = this.query('runs', r => r.searchId === searchId && (!status || r.status === status))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+    const { items, continuationToken: nextToken } = this.page(runs, limit, continuationToken);
+    return { runs: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get the extraction run started for a job, if the Worker has started one
+   * @param {string} searchId - Partition key
+   * @param {string} jobId
+   */
+  async getRunByJob(searchId, jobId) {
+    const runs = this.query('runs', r => r.searchId === searchId && r.jobId === jobId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return runs.length > 0 ? runs[0] : null;
+  }
+
+  /**
+   * Get the most recent completed extraction run for a search
+   * @param {string} searchId
+   */
+  async getLatestRun(searchId) {
+    const { runs } = await this.getRunsBySearch(searchId, { status: 'completed', limit: 1 });
+    return runs.length > 0 ? runs[0] : null;
+  }
+
+  /**
+   * Get completed runs (of any search) whose alert rules have not been evaluated yet
+   * @param {string} since - ISO timestamp; runs finished earlier are ignored
+   * @param {number} limit - Max number of runs to return
+   * @returns {Array} Oldest finished first
+   */
+  async getRunsAwaitingAlerts(since, limit = 100) {
+    return this.query('runs', r => r.status === 'completed' && typeof r.finishedAt === 'string' && r.finishedAt >= since && !r.alertsEvaluatedAt)
+      .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Delete all extraction runs for a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted records
+   */
+  async deleteRunsBySearch(searchId) {
+    const ids = this.query('runs', r => r.searchId === searchId).map(r => r.id);
+    for (const id of ids) {
+      this.containers.runs.delete(id);
+    }
+    this.persist();
+    logger.info('Runs deleted successfully', { searchId, count: ids.length });
+    return ids.length;
+  }
+
+  // ==================== CONVERSATIONS OPERATIONS ====================
+
+  /**
+   * Get conversation for a search
+   * @param {string} searchId
+   */
+  async getConversation(searchId) {
+    const conversation = this.read('conversations', searchId, 'searchId', searchId);
+    if (conversation) {
+      return conversation;
+    }
+
+    // Return empty conversation if not exists
+    return {
+      id: searchId,
+      searchId: searchId,
+      messages: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Update conversation (save messages)
+   * @param {string} searchId
+   * @param {Array} messages - Array of { role, content } objects
+   */
+  async updateConversation(searchId, messages) {
+    try {
+      const existing = await this.getConversation(searchId);
+
+      const resource = this.write('conversations', {
+        id: searchId,
+        searchId: searchId, // Partition key
+        messages: messages,
+        createdAt: existing.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      logger.info('Conversation updated successfully', { searchId, messageCount: messages.length });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update conversation', { searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the conversation for a search
+   * @param {string} searchId
+   * @returns {boolean} Whether a conversation existed
+   */
+  async deleteConversation(searchId) {
+    const removed = this.remove('conversations', searchId, 'searchId', searchId);
+    if (removed) {
+      logger.info('Conversation deleted successfully', { searchId });
+    }
+    return removed;
+  }
+
+  // ==================== JOBS OPERATIONS ====================
+
+  /**
+   * Create a job record
+   * @param {Object} job - Job object with searchId, userId, status, etc.
+   */
+  async createJob(job) {
+    try {
+      if (this.containers.jobs.has(job.id)) {
+        throw storageError(409, 'Job already exists');
+      }
+
+      const resource = this.write('jobs', {
+        id: job.id,
+        status: job.status || 'pending', // Partition key: pending, running, completed, failed
+        searchId: job.searchId,
+        userId: job.userId,
+        scheduleType: job.scheduleType || 'scheduled', // scheduled | manual | backfill
+        priority: job.priority || null, // Queue lane: manual | scheduled | backfill (see job-priority.js)
+        runAt: job.runAt || null, // Set when the message was scheduled for a later time
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null,
+        error: null,
+        result: null
+      });
+      logger.info('Job created successfully', { jobId: resource.id, searchId: job.searchId });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to create job', { searchId: job.searchId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update job status
+   * @param {string} jobId
+   * @param {string} oldStatus - Current status (partition key)
+   * @param {Object} updates - Fields to update
+   */
+  async updateJob(jobId, oldStatus, updates) {
+    try {
+      const existing = this.read('jobs', jobId, 'status', oldStatus);
+      if (!existing) {
+        throw new Error('Job not found');
+      }
+
+      const resource = this.write('jobs', {
+        ...existing,
+        ...updates,
+        updatedAt: new Date().toISOString()
+      });
+      logger.info('Job updated successfully', { jobId, oldStatus, newStatus: resource.status });
+      return resource;
+    } catch (error) {
+      logger.error('Failed to update job', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId
+   * @param {string} status - Partition key
+   */
+  async getJob(jobId, status) {
+    return this.read('jobs', jobId, 'status', status);
+  }
+
+  /**
+   * Get a job by ID when its status (partition key) is not known
+   * @param {string} jobId
+   */
+  async getJobById(jobId) {
+    const job = this.containers.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  /**
+   * Get the jobs of a search, newest first
+   * @param {string} searchId
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getJobsBySearch(searchId, options = {}) {
+    const { limit = 20, continuationToken } = options;
+
+    const jobs = this.query('jobs', j => j.searchId === searchId)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+    const { items, continuationToken: nextToken } = this.page(jobs, limit, continuationToken);
+    return { jobs: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get the pending jobs of a search that were scheduled for a later time, soonest first
+   * @param {string} searchId
+   */
+  async getScheduledJobsBySearch(searchId) {
+    return this.query('jobs', j => j.searchId === searchId && j.status === 'pending' && typeof j.runAt === 'string')
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+  }
+
+  /**
+   * Get the pending jobs of a search, queued or scheduled for a later time
+   * @param {string} searchId
+   */
+  async getPendingJobsBySearch(searchId) {
+    return this.query('jobs', j => j.searchId === searchId && j.status === 'pending');
+  }
+
+  /**
+   * Get the pending jobs of all searches, oldest first (for queue positions)
+   * @param {number} limit
+   */
+  async getPendingJobs(limit = 1000) {
+    return this.query('jobs', j => j.status === 'pending')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the most recently completed jobs with timings, newest first (for wait estimates)
+   * @param {number} limit
+   */
+  async getRecentCompletedJobs(limit = 20) {
+    return this.query('jobs', j => j.status === 'completed' && typeof j.startedAt === 'string' && typeof j.completedAt === 'string')
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Delete all job records of a search
+   * @param {string} searchId
+   * @returns {number} Number of deleted records
+   */
+  async deleteJobsBySearch(searchId) {
+    const ids = this.query('jobs', j => j.searchId === searchId).map(j => j.id);
+    for (const id of ids) {
+      this.containers.jobs.delete(id);
+    }
+    this.persist();
+    logger.info('Jobs deleted successfully', { searchId, count: ids.length });
+    return ids.length;
+  }
+
+  /**
+   * Delete all job records belonging to a user
+   * @param {string} userId
+   * @returns {number} Number of deleted records
+   */
+  async deleteJobsByUser(userId) {
+    const ids = this.query('jobs', j => j.userId === userId).map(j => j.id);
+    for (const id of ids) {
+      this.containers.jobs.delete(id);
+    }
+    this.persist();
+    logger.info('Jobs deleted successfully', { userId, count: ids.length });
+    return ids.length;
+  }
+
+  /**
+   * Get the jobs container reference for external services
+   * There is no Cosmos container behind the local backend, so this always returns null
+   */
+  getJobsContainer() {
+    return null;
+  }
+
+  // ==================== SEARCH SHARES OPERATIONS ====================
+
+  /**
+   * Create a share (grant access to a search)
+   * @param {string} searchId - The search being shared
+   * @param {string} ownerId - The owner's user ID
+   * @param {string} sharedWithUserId - The recipient's user ID
+   * @param {string} sharedWithEmail - The recipient's email
+   * @param {Object} ownerInfo - Owner display info { displayName, email }
+   */
+  async createShare(searchId, ownerId, sharedWithUserId, sharedWithEmail, ownerInfo = {}) {
+    const shareId = `${searchId}_${sharedWithUserId}`;
+    if (this.containers.searchShares.has(shareId)) {
+      logger.warn('Share already exists', { searchId, sharedWithUserId });
+      throw new Error('This search is already shared with this user');
+    }
+
+    const resource = this.write('searchShares', {
+      id: shareId,
+      searchId: searchId, // Partition key
+      ownerId: ownerId,
+      sharedWithUserId: sharedWithUserId,
+      sharedWithEmail: sharedWithEmail,
+      ownerDisplayName: ownerInfo.displayName || null,
+      ownerEmail: ownerInfo.email || null,
+      permission: 'read', // Currently only read-only sharing
+      sharedAt: new Date().toISOString(),
+      createdAt: new Date().toISOString()
+    });
+    logger.info('Share created successfully', { shareId: resource.id, searchId, sharedWithUserId });
+    return resource;
+  }
+
+  /**
+   * Get all shares for a specific search (who has access)
+   * @param {string} searchId
+   */
+  async getSharesBySearch(searchId) {
+    return this.query('searchShares', s => s.searchId === searchId);
+  }
+
+  /**
+   * Get all searches shared with a specific user
+   * @param {string} userId
+   */
+  async getSharesByUser(userId) {
+    return this.query('searchShares', s => s.sharedWithUserId === userId);
+  }
+
+  /**
+   * Check if a user has share access to a search
+   * @param {string} searchId
+   * @param {string} userId
+   */
+  async getShareBySearchAndUser(searchId, userId) {
+    return this.read('searchShares', `${searchId}_${userId}`, 'searchId', searchId);
+  }
+
+  /**
+   * Delete a share (revoke access)
+   * @param {string} shareId
+   * @param {string} searchId - Partition key
+   */
+  async deleteShare(shareId, searchId) {
+    if (!this.remove('searchShares', shareId, 'searchId', searchId)) {
+      logger.warn('Share not found', { shareId, searchId });
+      return;
+    }
+    logger.info('Share deleted successfully', { shareId, searchId });
+  }
+
+  /**
+   * Get search if user has access (owner or shared)
+   * Returns search with _isShared flag if accessed via share
+   * @param {string} searchId
+   * @param {string} userId
+   */
+  async getSearchIfAccessible(searchId, userId) {
+    const ownedSearch = await this.getSearch(searchId, userId);
+    if (ownedSearch) {
+      // Searches in the trash are only reachable through the trash endpoints
+      return ownedSearch.deletedAt ? null : { ...ownedSearch, _isShared: false, _permission: 'owner' };
+    }
+
+    const share = await this.getShareBySearchAndUser(searchId, userId);
+    if (!share) {
+      return null;
+    }
+
+    const sharedSearch = await this.getSearch(searchId, share.ownerId);
+    if (!sharedSearch) {
+      logger.warn('Share exists but search not found', { searchId, ownerId: share.ownerId });
+      return null;
+    }
+    if (sharedSearch.deletedAt) {
+      return null;
+    }
+
+    return {
+      ...sharedSearch,
+      _isShared: true,
+      _permission: share.permission,
+      _sharedBy: share.ownerDisplayName || share.ownerEmail || 'Unknown',
+      _sharedByEmail: share.ownerEmail
+    };
+  }
+
+  /**
+   * Get user by email address
+   * @param {string} email
+   */
+  async getUserByEmail(email) {
+    const normalized = email.toLowerCase();
+    const resources = this.query('users', u => u.email === normalized);
+    return resources.length > 0 ? resources[0] : null;
+  }
+
+  // ==================== ACCOUNT DELETION OPERATIONS ====================
+
+  /**
+   * Get the account deletion record for a user
+   * @param {string} userId - Record ID and partition key
+   */
+  async getAccountDeletion(userId) {
+    return this.read('accountDeletions', userId, 'userId', userId);
+  }
+
+  /**
+   * Create or update an account deletion record
+   * @param {Object} deletion - Record with id === userId, status, completedSteps, report
+   */
+  async upsertAccountDeletion(deletion) {
+    return this.write('accountDeletions', {
+      ...deletion,
+      userId: deletion.id, // Partition key
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get account deletions that have not completed (in progress or failed)
+   */
+  async getPendingAccountDeletions() {
+    return this.query('accountDeletions', d => d.status !== 'completed');
+  }
+
+  // ==================== SEARCH REVISIONS OPERATIONS ====================
+
+  /**
+   * Record a change to a search
+   * @param {Object} revision - { id, searchId, ownerId, changedBy, changedAt, changes }
+   */
+  async createSearchRevision(revision) {
+    if (this.containers.searchRevisions.has(revision.id)) {
+      throw storageError(409, 'Search revision already exists');
+    }
+    const resource = this.write('searchRevisions', revision);
+    logger.info('Search revision created', { searchId: revision.searchId, revisionId: resource.id });
+    return resource;
+  }
+
+  /**
+   * Get the revisions of a search, newest first
+   * @param {string} searchId - Partition key
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getSearchRevisions(searchId, options = {}) {
+    const { limit = 50, continuationToken } = options;
+
+    const revisions = this.query('searchRevisions', r => r.searchId === searchId)
+      .sort((a, b) => (b.changedAt || '').localeCompare(a.changedAt || ''));
+
+    const { items, continuationToken: nextToken } = this.page(revisions, limit, continuationToken);
+    return { revisions: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Delete all revisions of a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted revisions
+   */
+  async deleteSearchRevisionsBySearch(searchId) {
+    const ids = this.query('searchRevisions', r => r.searchId === searchId).map(r => r.id);
+    for (const id of ids) {
+      this.containers.searchRevisions.delete(id);
+    }
+    this.persist();
+    logger.info('Search revisions deleted successfully', { searchId, count: ids.length });
+    return ids.length;
+  }
+
+  // ==================== ALERT EVENTS OPERATIONS ====================
+
+  /**
+   * Record a sent price alert
+   * @param {Object} event - { id, searchId, userId, ruleId, ruleType, subject, hotelKey, hotelName, price, baseline, runId, message, createdAt }
+   */
+  async createAlertEvent(event) {
+    if (this.containers.alertEvents.has(event.id)) {
+      throw storageError(409, 'Alert event already exists');
+    }
+    const resource = this.write('alertEvents', event);
+    logger.info('Alert event created', { searchId: event.searchId, ruleId: event.ruleId, eventId: resource.id });
+    return resource;
+  }
+
+  /**
+   * Get the alert history of a search, newest first
+   * @param {string} searchId - Partition key
+   * @param {Object} options - { limit, continuationToken }
+   */
+  async getAlertEvents(searchId, options = {}) {
+    const { limit = 50, continuationToken } = options;
+
+    const events = this.query('alertEvents', e => e.searchId === searchId)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+    const { items, continuationToken: nextToken } = this.page(events, limit, continuationToken);
+    return { events: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Get all alert events of one rule, newest first
+   * @param {string} searchId - Partition key
+   * @param {string} ruleId
+   */
+  async getAlertEventsByRule(searchId, ruleId) {
+    return this.query('alertEvents', e => e.searchId === searchId && e.ruleId === ruleId)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Delete all alert events of a search
+   * @param {string} searchId - Partition key
+   * @returns {number} Number of deleted events
+   */
+  async deleteAlertEventsBySearch(searchId) {
+    const ids = this.query('alertEvents', e => e.searchId === searchId).map(e => e.id);
+    for (const id of ids) {
+      this.containers.alertEvents.delete(id);
+    }
+    this.persist();
+    logger.info('Alert events deleted successfully', { searchId, count: ids.length });
+    return ids.length;
+  }
+
+  // ==================== HOTELS CATALOG OPERATIONS ====================
+
+  /**
+   * Get a hotel catalog entry
+   * @param {string} hotelKey - Entry ID and partition key
+   */
+  async getHotel(hotelKey) {
+    return this.read('hotels', hotelKey, 'id', hotelKey);
+  }
+
+  /**
+   * Find hotels whose current name or any former name contains a text
+   * @param {string} text - Case-insensitive
+   * @param {number} limit
+   */
+  async findHotelsByName(text, limit = 50) {
+    const needle = text.toLowerCase();
+    return this.query('hotels', h =>
+      [h.name, ...(h.aliases || [])].some(name => (name || '').toLowerCase().includes(needle))
+    ).slice(0, limit);
+  }
+
+  /**
+   * Add or refresh the catalog entries of the hotels in a set of price rows
+   * @param {Array} prices - Price rows carrying hotelKey
+   */
+  async upsertHotelsFromPrices(prices) {
+    const byKey = new Map();
+    for (const price of prices) {
+      if (!price.hotelKey) {
+        continue;
+      }
+      if (!byKey.has(price.hotelKey)) {
+        byKey.set(price.hotelKey, []);
+      }
+      byKey.get(price.hotelKey).push(price);
+    }
+
+    for (const [hotelKey, rows] of byKey) {
+      this.write('hotels', mergeHotelEntry(await this.getHotel(hotelKey), hotelKey, rows));
+    }
+  }
+
+  // ==================== MIGRATIONS OPERATIONS ====================
+
+  /**
+   * Get the records of applied schema migrations, oldest first
+   */
+  async getAppliedMigrations() {
+    return this.query('migrations', () => true).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Record a migration as applied
+   * @param {Object} record - { id, description, checksum, appliedAt, durationMs, result }
+   */
+  async upsertMigrationRecord(record) {
+    return this.write('migrations', record);
+  }
+
+  /**
+   * Remove a migration record after it was rolled back
+   * @param {string} id - Migration ID (also the partition key)
+   */
+  async deleteMigrationRecord(id) {
+    this.remove('migrations', id, 'id', id);
+  }
+
+  /**
+   * Page through the raw documents of any container (for migrations)
+   * @param {string} containerName - e.g. 'prices'
+   * @param {Object} options - { partitionKey, limit, continuationToken }; no partitionKey scans across partitions
+   * @returns {Object} { documents, continuationToken }
+   */
+  async scanDocuments(containerName, options = {}) {
+    const { partitionKey, limit = 100, continuationToken } = options;
+    const partitionField = PARTITION_KEYS[containerName];
+
+    const documents = this.query(containerName, doc =>
+      partitionKey === undefined || doc[partitionField] === partitionKey
+    );
+
+    const { items, continuationToken: nextToken } = this.page(documents, limit, continuationToken);
+    return { documents: items, continuationToken: nextToken };
+  }
+
+  /**
+   * Write back a document read with scanDocuments, or write a new one (for migrations)
+   * A document carrying _etag is guarded by it, so a concurrent change fails with 412 instead of being overwritten
+   * @param {string} containerName
+   * @param {Object} doc - Full document
+   */
+  async replaceDocument(containerName, doc) {
+    const current = this.containers[containerName].get(doc.id);
+    if (doc._etag && current?._etag !== doc._etag) {
+      throw storageError(412, 'Document has been modified since it was read');
+    }
+    return this.write(containerName, doc);
+  }
+
+  /**
+   * Delete a document by ID and partition key value (for migrations)
+   * @param {string} containerName
+   * @param {string} id
+   * @param {string} partitionKey
+   * @returns {boolean} Whether a document was deleted
+   */
+  async deleteDocument(containerName, id, partitionKey) {
+    return this.remove(containerName, id, PARTITION_KEYS[containerName], partitionKey);
+  }
+}
+
+// Singleton instance
+const localDBService = new LocalDBService();
+
+export default localDBService;
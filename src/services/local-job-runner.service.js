@@ -0,0 +1,106 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import databaseService from './database.service.js';
+import jobQueueService, { getQueueBackendName } from './job-queue.service.js';
+import jobService from './job.service.js';
+import lifecycleService from './lifecycle.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Load the job handler named by LOCAL_JOB_HANDLER
+ * @returns {Function|null} The module's default export, null when the variable is unset
+ */
+async function loadHandler() {
+  const modulePath = process.env.LOCAL_JOB_HANDLER;
+  if (!modulePath) {
+    return null;
+  }
+
+  const module = await import(pathToFileURL(resolve(modulePath)).href);
+  if (typeof module.default !== 'function') {
+    throw new Error(`LOCAL_JOB_HANDLER module ${modulePath} must export a default function`);
+  }
+  return module.default;
+}
+
+/**
+ * Local Job Runner
+ * The local queue lives in this process (or in a file only this process may
+ * use), so a separate Worker cannot consume it. With QUEUE_BACKEND=local the
+ * web server consumes its own queue instead: each job is started with
+ * jobService.startJob, handed to the function exported by the
+ * LOCAL_JOB_HANDLER module, and completed or failed with its outcome. The
+ * handler follows the Worker's contract for runs and prices.
+ *
+ * Without LOCAL_JOB_HANDLER there is nothing that can run a job, so jobs are
+ * failed with an error that says so instead of staying pending for ever.
+ */
+class LocalJobRunnerService {
+  constructor() {
+    this.subscription = null;
+    this.handler = null;
+  }
+
+  /**
+   * Start consuming the local queue; no-op for other queue backends or when already running
+   * @param {Object} options - { handler } to use instead of LOCAL_JOB_HANDLER
+   */
+  async start(options = {}) {
+    if (this.subscription || getQueueBackendName() !== 'local') {
+      return;
+    }
+
+    this.handler = options.handler || await loadHandler();
+    this.subscription = await jobQueueService.createReceiver(body => lifecycleService.track(() => this.runJob(body)));
+
+    logger.info('Local job runner started', { handler: options.handler ? '(custom)' : process.env.LOCAL_JOB_HANDLER || null });
+  }
+
+  /**
+   * Run one job from a queue message
+   * The message is completed whatever the outcome: a job that is no longer
+   * pending cannot be started again, so a redelivery would only be skipped.
+   * @param {Object} body - Message body ({ jobId, searchId, userId, scheduleType, ... })
+   */
+  async runJob(body) {
+    const { outcome } = await jobService.startJob(body.jobId);
+    if (outcome !== 'started') {
+      logger.info('Local job skipped', { jobId: body.jobId, outcome });
+      return;
+    }
+
+    let updates;
+    if (!this.handler) {
+      updates = { status: 'failed', error: 'No LOCAL_JOB_HANDLER is configured to run jobs from the local queue' };
+    } else {
+      try {
+        const result = await this.handler(body, { databaseService });
+        updates = { status: 'completed', result: result ?? null };
+      } catch (error) {
+        logger.error('Local job failed', { jobId: body.jobId, error: error.message });
+        updates = { status: 'failed', error: error.message };
+      }
+    }
+
+    await databaseService.updateJob(body.jobId, 'running', { ...updates, completedAt: new Date().toISOString() });
+    logger.info('Local job finished', { jobId: body.jobId, status: updates.status });
+  }
+
+  /**
+   * Stop taking new jobs; a job in progress is awaited by the lifecycle service
+   */
+  async stop() {
+    if (this.subscription) {
+      await this.subscription.close();
+      this.subscription = null;
+    }
+  }
+}
+
+// Singleton instance
+const localJobRunnerService = new LocalJobRunnerService();
+
+export default localJobRunnerService;
@@ -0,0 +1,440 @@
+import { EventEmitter } from 'events';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { randomUUID } from 'crypto';
+import { jobPriority, priorityRank } from './job-priority.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+// Service Bus defaults: a lock lasts 60s, a message is dead-lettered after 10 deliveries
+const LOCK_DURATION_MS = 60 * 1000;
+const MAX_DELIVERY_COUNT = 10;
+// How often subscribers look for messages whose lock expired
+const POLL_INTERVAL_MS = 1000;
+// Message IDs seen within this window are dropped as duplicates (Service Bus duplicate detection)
+const DUPLICATE_DETECTION_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Build an error for a message whose lock is no longer held
+ * @param {string} messageId
+ */
+function lockLostError(messageId) {
+  const error = new Error(`The lock on message ${messageId} has expired or the message was already settled`);
+  error.code = 'MessageLockLost';
+  return error;
+}
+
+/**
+ * Local queue driver
+ * Implements the same peek-lock semantics as the Service Bus driver (send,
+ * schedule and cancel, receive with a lock, complete, abandon, redelivery after the lock expires,
+ * dead-lettering after MAX_DELIVERY_COUNT deliveries, duplicate detection by
+ * messageId) in memory, optionally persisted to a JSON file (LOCAL_QUEUE_FILE)
+ * so queued jobs survive restarts. Where Service Bus can use a queue per
+ * priority, this queue hands out higher-priority messages first (see job-priority.js).
+ * The file belongs to one process (it is not locked), so the web server runs
+ * the jobs itself (local-job-runner.service.js) — intended for offline development and tests.
+ */
+class LocalQueueService {
+  constructor() {
+    this.filePath = null;
+    this.messages = new Map();
+    this.deadLetters = new Map();
+    this.sentMessageIds = new Map();
+    this.sequenceNumber = 0;
+    this.events = new EventEmitter();
+    this.subscriptions = new Set();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the queue, loading the JSON file if one is configured
+   */
+  async initialize() {
+    try {
+      this.filePath = process.env.LOCAL_QUEUE_FILE ? resolve(process.env.LOCAL_QUEUE_FILE) : null;
+
+      if (this.filePath && existsSync(this.filePath)) {
+        const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+        // Locks held by a previous process are void
+        this.messages = new Map((data.messages || []).map(m => [m.messageId, { ...m, lockToken: null, lockedUntil: null }]));
+        this.deadLetters = new Map((data.deadLetters || []).map(m => [String(m.sequenceNumber), m]));
+        this.sentMessageIds = new Map(Object.entries(data.sentMessageIds || {}));
+        this.sequenceNumber = data.sequenceNumber || 0;
+      }
+
+      this.initialized = true;
+      logger.info('Local queue initialized successfully', {
+        file: this.filePath || '(in-memory)',
+        messages: this.messages.size,
+        deadLetters: this.deadLetters.size
+      });
+    } catch (error) {
+      logger.error('Failed to initialize local queue', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Write the queue to LOCAL_QUEUE_FILE (no-op when running in-memory)
+   */
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const data = {
+      sequenceNumber: this.sequenceNumber,
+      messages: [...this.messages.values()],
+      deadLetters: [...this.deadLetters.values()],
+      sentMessageIds: Object.fromEntries(this.sentMessageIds)
+    };
+
+    // Write to a temp file first so a crash never leaves a half-written queue
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Add messages to the queue
+   * A message whose ID was sent within DUPLICATE_DETECTION_WINDOW_MS is
+   * accepted but dropped, as with Service Bus duplicate detection.
+   * @param {Array} messages - [{ body, contentType, messageId, sessionId, applicationProperties }]
+   * @param {Date|null} scheduledEnqueueTimeUtc - Hold the messages back until then
+   * @returns {Array<string|null>} Sequence numbers (null for dropped duplicates)
+   */
+  async addMessages(messages, scheduledEnqueueTimeUtc) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const now = Date.now();
+    for (const [messageId, sentAt] of this.sentMessageIds) {
+      if (sentAt <= now - DUPLICATE_DETECTION_WINDOW_MS) {
+        this.sentMessageIds.delete(messageId);
+      }
+    }
+
+    const sequenceNumbers = [];
+    for (const message of messages) {
+      if (this.sentMessageIds.has(message.messageId) || this.messages.has(message.messageId)) {
+        logger.info('Local queue dropped duplicate message', { messageId: message.messageId });
+        sequenceNumbers.push(null);
+        continue;
+      }
+      this.sentMessageIds.set(message.messageId, now);
+      this.messages.set(message.messageId, {
+        messageId: message.messageId,
+        body: structuredClone(message.body),
+        contentType: message.contentType,
+        sessionId: message.sessionId,
+        applicationProperties: message.applicationProperties || {},
+        priority: message.applicationProperties?.priority || jobPriority(message.body),
+        sequenceNumber: ++this.sequenceNumber,
+        enqueuedTimeUtc: new Date().toISOString(),
+        scheduledEnqueueTimeUtc: scheduledEnqueueTimeUtc ? scheduledEnqueueTimeUtc.toISOString() : null,
+        deliveryCount: 0,
+        lockToken: null,
+        lockedUntil: null
+      });
+      sequenceNumbers.push(String(this.sequenceNumber));
+    }
+
+    this.persist();
+    this.events.emit('enqueued');
+    return sequenceNumbers;
+  }
+
+  /**
+   * Send messages in one call
+   * @param {Array} messages - [{ body, contentType, messageId, sessionId }]
+   */
+  async sendMessages(messages) {
+    await this.addMessages(messages, null);
+  }
+
+  /**
+   * Schedule messages to be enqueued at a later time
+   * @param {Array} messages - [{ body, contentType, messageId, sessionId }]
+   * @param {Date} scheduledEnqueueTimeUtc
+   * @returns {Array<string|null>} Sequence numbers, needed to cancel
+   */
+  async scheduleMessages(messages, scheduledEnqueueTimeUtc) {
+    return this.addMessages(messages, scheduledEnqueueTimeUtc);
+  }
+
+  /**
+   * Cancel scheduled messages that have not been enqueued yet
+   * @param {Array<string>} sequenceNumbers - As returned by scheduleMessages
+   */
+  async cancelScheduledMessages(sequenceNumbers) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const cancel = new Set(sequenceNumbers.map(String));
+    const now = Date.now();
+    for (const message of [...this.messages.values()]) {
+      if (cancel.has(String(message.sequenceNumber)) && Date.parse(message.scheduledEnqueueTimeUtc) > now) {
+        this.messages.delete(message.messageId);
+      }
+    }
+    this.persist();
+  }
+
+  /**
+   * Lock and return up to maxCount available messages, highest priority first, then oldest first
+   * @param {number} maxCount
+   * @returns {Array} Received messages (copies carrying a lockToken)
+   */
+  lockMessages(maxCount) {
+    const now = Date.now();
+    const received = [];
+    const ordered = [...this.messages.values()].sort((a, b) =>
+      priorityRank(a.priority || jobPriority(a.body)) - priorityRank(b.priority || jobPriority(b.body)) || a.sequenceNumber - b.sequenceNumber
+    );
+
+    for (const message of ordered) {
+      if (received.length >= maxCount) {
+        break;
+      }
+      if (message.lockedUntil && message.lockedUntil > now) {
+        continue;
+      }
+      if (message.scheduledEnqueueTimeUtc && Date.parse(message.scheduledEnqueueTimeUtc) > now) {
+        continue;
+      }
+
+      // A lock that ran out counts as a failed delivery, as in Service Bus
+      if (message.deliveryCount >= MAX_DELIVERY_COUNT) {
+        this.deadLetter(message, 'MaxDeliveryCountExceeded');
+        continue;
+      }
+
+      message.deliveryCount++;
+      message.lockToken = randomUUID();
+      message.lockedUntil = now + LOCK_DURATION_MS;
+      received.push(structuredClone(message));
+    }
+
+    if (received.length > 0) {
+      this.persist();
+    }
+    return received;
+  }
+
+  /**
+   * Lock and return up to maxCount messages, waiting up to maxWaitTimeInMs for the first one
+   * @param {number} maxCount
+   * @param {Object} options - { maxWaitTimeInMs }
+   */
+  async receiveMessages(maxCount, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const deadline = Date.now() + (options.maxWaitTimeInMs ?? 60 * 1000);
+    for (;;) {
+      const received = this.lockMessages(maxCount);
+      if (received.length > 0 || Date.now() >= deadline) {
+        return received;
+      }
+      await new Promise(done => setTimeout(done, Math.min(POLL_INTERVAL_MS, deadline - Date.now())));
+    }
+  }
+
+  /**
+   * Push messages to the handlers one at a time as they arrive
+   * A handler that throws abandons the message and is reported to processError.
+   * @param {Object} handlers - { processMessage, processError }
+   * @returns {Object} Subscription with close()
+   */
+  async subscribe(handlers) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    let running = false;
+    let closed = false;
+
+    const pump = async () => {
+      if (running || closed) {
+        return;
+      }
+      running = true;
+      try {
+        for (;;) {
+          const [message] = closed ? [] : this.lockMessages(1);
+          if (!message) {
+            break;
+          }
+          try {
+            await handlers.processMessage(message);
+          } catch (error) {
+            await this.abandonMessage(message).catch(() => {});
+            await handlers.processError?.(error);
+          }
+        }
+      } catch (error) {
+        logger.error('Local queue subscription failed', { error: error.message });
+      } finally {
+        running = false;
+      }
+    };
+
+    const onEnqueued = () => setImmediate(pump);
+    this.events.on('enqueued', onEnqueued);
+    const timer = setInterval(pump, POLL_INTERVAL_MS);
+    timer.unref();
+    setImmediate(pump);
+
+    const subscription = {
+      close: async () => {
+        closed = true;
+        clearInterval(timer);
+        this.events.off('enqueued', onEnqueued);
+        this.subscriptions.delete(subscription);
+      }
+    };
+    this.subscriptions.add(subscription);
+    return subscription;
+  }
+
+  /**
+   * Look up the stored message that a received message still holds the lock on
+   * @param {Object} message - Received message
+   */
+  lockedMessage(message) {
+    const stored = this.messages.get(message.messageId);
+    if (!stored || stored.lockToken !== message.lockToken || stored.lockedUntil <= Date.now()) {
+      throw lockLostError(message.messageId);
+    }
+    return stored;
+  }
+
+  /**
+   * Remove a locked message from the queue
+   * @param {Object} message - Received message
+   */
+  async completeMessage(message) {
+    this.lockedMessage(message);
+    this.messages.delete(message.messageId);
+    this.persist();
+  }
+
+  /**
+   * Release a locked message for redelivery
+   * @param {Object} message - Received message
+   */
+  async abandonMessage(message) {
+    const stored = this.lockedMessage(message);
+    stored.lockToken = null;
+    stored.lockedUntil = null;
+    if (stored.deliveryCount >= MAX_DELIVERY_COUNT) {
+      this.deadLetter(stored, 'MaxDeliveryCountExceeded');
+    }
+    this.persist();
+    this.events.emit('enqueued');
+  }
+
+  /**
+   * Move a message to the dead-letter list
+   * @param {Object} message - Stored message
+   * @param {string} reason
+   */
+  deadLetter(message, reason) {
+    this.messages.delete(message.messageId);
+    this.deadLetters.set(String(message.sequenceNumber), {
+      ...message,
+      lockToken: null,
+      lockedUntil: null,
+      deadLetterReason: reason,
+      deadLetterErrorDescription: `Message could not be consumed after ${message.deliveryCount} delivery attempts.`,
+      deadLetteredAt: new Date().toISOString()
+    });
+    logger.warn('Local queue message dead-lettered', { messageId: message.messageId, reason, deliveryCount: message.deliveryCount });
+  }
+
+  /**
+   * Shape a dead-lettered message like the Service Bus driver does
+   * @param {Object} message - Stored dead-letter message
+   */
+  toDeadLetter(message) {
+    return {
+      sequenceNumber: String(message.sequenceNumber),
+      messageId: message.messageId,
+      body: structuredClone(message.body),
+      contentType: message.contentType,
+      sessionId: message.sessionId,
+      applicationProperties: structuredClone(message.applicationProperties || {}),
+      deliveryCount: message.deliveryCount,
+      enqueuedTimeUtc: message.enqueuedTimeUtc,
+      deadLetterReason: message.deadLetterReason,
+      deadLetterErrorDescription: message.deadLetterErrorDescription
+    };
+  }
+
+  /**
+   * Return up to maxCount dead-lettered messages without removing them, oldest first
+   * @param {number} maxCount
+   */
+  async peekDeadLetterMessages(maxCount) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    return [...this.deadLetters.values()].slice(0, maxCount).map(message => this.toDeadLetter(message));
+  }
+
+  /**
+   * Remove dead-lettered messages
+   * @param {Array<string>|null} sequenceNumbers - Messages to remove; null removes all
+   * @param {Function} [beforeRemove] - async (deadLetter) => {} called first; a throw keeps the message
+   * @returns {Object} { removed, failed: [{ sequenceNumber, error }] }
+   */
+  async removeDeadLetterMessages(sequenceNumbers, beforeRemove) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const wanted = sequenceNumbers && new Set(sequenceNumbers.map(String));
+    const removed = [];
+    const failed = [];
+    for (const [key, message] of [...this.deadLetters]) {
+      if (wanted && !wanted.has(key)) {
+        continue;
+      }
+      const deadLetter = this.toDeadLetter(message);
+      try {
+        if (beforeRemove) {
+          await beforeRemove(deadLetter);
+        }
+        this.deadLetters.delete(key);
+        removed.push(deadLetter);
+      } catch (error) {
+        failed.push({ sequenceNumber: key, error: error.message });
+      }
+    }
+
+    this.persist();
+    return { removed, failed };
+  }
+
+  /**
+   * Stop all subscriptions
+   */
+  async close() {
+    for (const subscription of [...this.subscriptions]) {
+      await subscription.close();
+    }
+    logger.info('Local queue closed');
+  }
+}
+
+// Singleton instance
+const localQueueService = new LocalQueueService();
+
+export default localQueueService;
@@ -0,0 +1,186 @@
+import { readdirSync, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import databaseService from './database.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named NNN-description.js, e.g. 001-backfill-price-run-ids.js
+const MIGRATION_FILE = /^\d{3}-[a-z0-9-]+\.js$/;
+
+/**
+ * Migration Service
+ * Applies numbered migration modules from src/migrations in order and records
+ * each applied migration in the `migrations` container.
+ *
+ * A migration module exports `description` and async `up(context)` / `down(context)`.
+ * `context` is { db, dryRun, log }; in dry-run mode a migration must not write,
+ * only count what it would change. Both directions should be idempotent so an
+ * interrupted run can simply be repeated.
+ */
+class MigrationService {
+  /**
+   * Load all migration modules, sorted by ID
+   * @returns {Array} [{ id, description, checksum, up, down }]
+   */
+  async loadMigrations() {
+    const files = readdirSync(MIGRATIONS_DIR).filter(file => MIGRATION_FILE.test(file)).sort();
+
+    const migrations = [];
+    for (const file of files) {
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const module = await import(pathToFileURL(filePath).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      migrations.push({
+        id: path.basename(file, '.js'),
+        description: module.description || '',
+        checksum: createHash('sha1').update(readFileSync(filePath)).digest('hex'),
+        up: module.up,
+        down: module.down
+      });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * List migrations with their applied state
+   * @returns {Array} [{ id, description, applied, appliedAt, changed }] — changed: file edited since it was applied
+   */
+  async status() {
+    const [migrations, applied] = await Promise.all([
+      this.loadMigrations(),
+      databaseService.getAppliedMigrations()
+    ]);
+    const records = new Map(applied.map(record => [record.id, record]));
+
+    return migrations.map(migration => {
+      const record = records.get(migration.id);
+      return {
+        id: migration.id,
+        description: migration.description,
+        applied: !!record,
+        appliedAt: record?.appliedAt || null,
+        changed: !!record && record.checksum !== migration.checksum
+      };
+    });
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - { dryRun, to } — `to` stops after that migration ID
+   * @returns {Array} [{ id, result, durationMs }] for each migration run
+   */
+  async up(options = {}) {
+    const { dryRun = false, to = null } = options;
+    const [migrations, applied] = await Promise.all([
+      this.loadMigrations(),
+      databaseService.getAppliedMigrations()
+    ]);
+    const appliedIds = new Set(applied.map(record => record.id));
+
+    if (to && !migrations.some(migration => migration.id === to)) {
+      throw new Error(`Unknown migration: ${to}`);
+    }
+
+    const results = [];
+    for (const migration of migrations) {
+      if (to && migration.id > to) {
+        break;
+      }
+      if (appliedIds.has(migration.id)) {
+        continue;
+      }
+
+      const { result, durationMs } = await this.execute(migration, 'up', dryRun);
+
+      if (!dryRun) {
+        await databaseService.upsertMigrationRecord({
+          id: migration.id,
+          description: migration.description,
+          checksum: migration.checksum,
+          appliedAt: new Date().toISOString(),
+          durationMs,
+          result
+        });
+      }
+
+      results.push({ id: migration.id, result, durationMs });
+    }
+
+    return results;
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} options - { dryRun, to } — without `to` only the latest migration is
+   *   rolled back; with `to` every migration after that ID is
+   * @returns {Array} [{ id, result, durationMs }] for each migration rolled back
+   */
+  async down(options = {}) {
+    const { dryRun = false, to = null } = options;
+    const [migrations, applied] = await Promise.all([
+      this.loadMigrations(),
+      databaseService.getAppliedMigrations()
+    ]);
+    const byId = new Map(migrations.map(migration => [migration.id, migration]));
+
+    const targets = applied
+      .map(record => record.id)
+      .sort()
+      .reverse()
+      .filter((id, index) => (to ? id > to : index === 0));
+
+    const results = [];
+    for (const id of targets) {
+      const migration = byId.get(id);
+      if (!migration) {
+        throw new Error(`Migration ${id} is recorded as applied but its file is missing`);
+      }
+
+      const { result, durationMs } = await this.execute(migration, 'down', dryRun);
+
+      if (!dryRun) {
+        await databaseService.deleteMigrationRecord(id);
+      }
+
+      results.push({ id, result, durationMs });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run one direction of a migration
+   */
+  async execute(migration, direction, dryRun) {
+    const log = (message, meta = {}) => logger.info(message, { migrationId: migration.id, direction, dryRun, ...meta });
+    const startedAt = Date.now();
+
+    log('Running migration');
+    try {
+      const result = (await migration[direction]({ db: databaseService, dryRun, log })) || {};
+      const durationMs = Date.now() - startedAt;
+      log('Migration finished', { durationMs, result });
+      return { result, durationMs };
+    } catch (error) {
+      logger.error('Migration failed', { migrationId: migration.id, direction, dryRun, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// Singleton instance
+const migrationService = new MigrationService();
+
+export default migrationService;
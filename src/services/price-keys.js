@@ -0,0 +1,44 @@
+import { createHash } from 'crypto';
+import { getHotelKey } from '../parsers/hotel-key.js';
+
+/**
+ * Deterministic IDs for a batch of price rows, in batch order
+ * Rows passed with an id keep it. A run can hold several rows for one hotel
+ * (room types, offers), so the ID of a row without one is derived from
+ * (runId, hotel key, position), where `position` is the row's index in the
+ * run's results. Rows without a `position` are numbered by their order among
+ * the batch's rows of the same hotel instead, which only stays stable if the
+ * run is written in one call. A re-delivered Service Bus message then maps to
+ * the same IDs. Rows without a runId fall back to (searchId, extractedAt,
+ * hotel key, position).
+ * @param {Array} prices
+ * @returns {Array<string>}
+ */
+export function priceRowIds(prices) {
+  const occurrences = new Map();
+
+  return prices.map(price => {
+    if (price.id) {
+      return price.id;
+    }
+
+    const hotelKey = getHotelKey(price);
+    const key = price.runId
+      ? [price.runId, hotelKey]
+      : [price.searchId, price.extractedAt, hotelKey];
+    const group = key.map(part => part ?? '').join('\u0000');
+
+    // Prefixed so an explicit position never equals a batch-order number
+    let discriminator;
+    if (Number.isInteger(price.position)) {
+      discriminator = `p${price.position}`;
+    } else {
+      const occurrence = occurrences.get(group) || 0;
+      occurrences.set(group, occurrence + 1);
+      discriminator = `n${occurrence}`;
+    }
+
+    const hash = createHash('sha1').update(`${group}\u0000${discriminator}`).digest('hex').slice(0, 24);
+    return `price_${hash}`;
+  });
+}
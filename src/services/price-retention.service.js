@@ -0,0 +1,260 @@
+import { createHash } from 'crypto';
+import databaseService from './database.service.js';
+import { getHotelKey } from '../parsers/hotel-key.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the UTC day containing a timestamp, as an ISO string
+ * @param {string|Date} time
+ * @returns {string|null} null if the timestamp cannot be parsed
+ */
+function startOfUtcDay(time) {
+  const date = new Date(time);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  date.setUTCHours(0, 0, 0, 0);
+  return date.toISOString();
+}
+
+/**
+ * Deterministic rollup ID for one hotel on one day, so re-runs update the same document
+ * @param {string} day - ISO start of day
+ * @param {string} hotelKey - Canonical hotel key
+ */
+function rollupId(day, hotelKey) {
+  const hotelHash = createHash('sha1').update(hotelKey || '').digest('hex').slice(0, 16);
+  return `rollup_day_${day.slice(0, 10)}_${hotelHash}`;
+}
+
+/**
+ * Price Retention Service
+ * Applies per-search / per-user retention policies to the prices container:
+ * raw rows older than `rawDays` are replaced by one daily row per hotel (by hotel key) holding
+ * min/avg/max/last price and the sample count.
+ *
+ * Daily rows are stored next to the raw rows with `granularity: 'day'` and
+ * `numericPrice` set to the daily average, so price history reads and exports
+ * return both without special handling. Rows of the latest snapshot are never
+ * downsampled. Each daily row records the raw IDs it absorbed, which makes a
+ * re-run after a partial failure safe.
+ */
+class PriceRetentionService {
+  /**
+   * Resolve the retention policy for a search
+   * Search setting wins over the owner's setting, which wins over PRICE_RETENTION_RAW_DAYS
+   * @param {Object} search
+   * @param {Object} user - Search owner (may be null)
+   * @returns {Object} { rawDays } — rawDays null means keep raw rows forever
+   */
+  resolvePolicy(search, user) {
+    const envRawDays = parseInt(process.env.PRICE_RETENTION_RAW_DAYS || '', 10);
+    const rawDays = search.retention?.rawDays ?? user?.retention?.rawDays ?? (envRawDays > 0 ? envRawDays : null);
+    return { rawDays };
+  }
+
+  /**
+   * Apply retention policies to every search
+   * @param {Object} options - { dryRun, now }
+   * @returns {Object} Summary report
+   */
+  async applyAll(options = {}) {
+    const report = {
+      dryRun: !!options.dryRun,
+      searchesScanned: 0,
+      searchesWithPolicy: 0,
+      daysDownsampled: 0,
+      rawRowsRemoved: 0,
+      rollupsWritten: 0,
+      failures: []
+    };
+    const users = new Map();
+    let continuationToken;
+
+    do {
+      const page = await databaseService.getAllSearches({ limit: 100, continuationToken });
+      continuationToken = page.continuationToken;
+
+      for (const search of page.searches) {
+        report.searchesScanned++;
+
+        if (!users.has(search.userId)) {
+          users.set(search.userId, await databaseService.getUser(search.userId));
+        }
+
+        const policy = this.resolvePolicy(search, users.get(search.userId));
+        if (!policy.rawDays) {
+          continue;
+        }
+        report.searchesWithPolicy++;
+
+        try {
+          const result = await this.applyToSearch(search, policy, options);
+          report.daysDownsampled += result.daysDownsampled;
+          report.rawRowsRemoved += result.rawRowsRemoved;
+          report.rollupsWritten += result.rollupsWritten;
+        } catch (error) {
+          logger.error('Failed to apply price retention', { searchId: search.id, error: error.message });
+          report.failures.push({ searchId: search.id, error: error.message });
+        }
+      }
+    } while (continuationToken);
+
+    logger.info('Price retention applied', report);
+    return report;
+  }
+
+  /**
+   * Downsample one search's raw rows older than the policy cutoff, one UTC day at a time
+   * @param {Object} search
+   * @param {Object} policy - { rawDays }
+   * @param {Object} options - { dryRun, now }
+   */
+  async applyToSearch(search, policy, options = {}) {
+    const { dryRun = false, now = new Date() } = options;
+    const result = { daysDownsampled: 0, rawRowsRemoved: 0, rollupsWritten: 0 };
+
+    // Only whole days entirely before the cutoff are downsampled
+    const cutoff = startOfUtcDay(new Date(now.getTime() - policy.rawDays * DAY_MS));
+
+    // The latest snapshot always stays raw so latest/outdated lookups keep working
+    const latestIds = new Set((await databaseService.getLatestPrices(search.id)).map(p => p.id));
+
+    let oldest = await databaseService.getOldestRawPriceTime(search.id);
+
+    while (oldest && oldest < cutoff) {
+      const day = startOfUtcDay(oldest);
+      if (!day) {
+        // Unparseable timestamp — leave the row alone and continue just past it
+        logger.warn('Skipping price with invalid extractedAt during retention', { searchId: search.id, extractedAt: oldest });
+        oldest = await databaseService.getOldestRawPriceTime(search.id, `${oldest}\u0000`);
+        continue;
+      }
+      const nextDay = new Date(new Date(day).getTime() + DAY_MS).toISOString();
+
+      const rows = (await databaseService.getRawPricesInRange(search.id, day, nextDay))
+        .filter(row => !latestIds.has(row.id));
+
+      if (rows.length > 0) {
+        const written = await this.downsampleDay(search, day, nextDay, rows, dryRun);
+        result.daysDownsampled++;
+        result.rollupsWritten += written;
+        result.rawRowsRemoved += rows.length;
+      }
+
+      oldest = await databaseService.getOldestRawPriceTime(search.id, nextDay);
+    }
+
+    if (result.daysDownsampled > 0) {
+      logger.info('Search price history downsampled', { searchId: search.id, dryRun, ...result });
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge one day of raw rows into per-hotel daily rows, then delete the raw rows
+   * @returns {number} Number of daily rows written
+   */
+  async downsampleDay(search, day, nextDay, rows, dryRun) {
+    const byHotel = new Map();
+    for (const row of rows) {
+      const hotelKey = getHotelKey(row);
+      if (!byHotel.has(hotelKey)) {
+        byHotel.set(hotelKey, []);
+      }
+      byHotel.get(hotelKey).push(row);
+    }
+
+    let written = 0;
+
+    for (const [hotelKey, hotelRows] of byHotel) {
+      const id = rollupId(day, hotelKey);
+      const existing = await databaseService.getPriceRollup(search.id, id);
+      const absorbed = new Set(existing?.sourceRowIds || []);
+
+      // Rows already absorbed by an earlier, interrupted run only need deleting
+      const newRows = hotelRows
+        .filter(row => !absorbed.has(row.id))
+        .sort((a, b) => (a.extractedAt || '').localeCompare(b.extractedAt || ''));
+
+      if (newRows.length > 0) {
+        if (!dryRun) {
+          await databaseService.upsertPriceRollup(this.mergeRollup(existing, search, id, hotelKey, day, nextDay, newRows));
+        }
+        written++;
+      }
+    }
+
+    if (!dryRun) {
+      await databaseService.deletePrices(search.id, rows.map(row => row.id));
+    }
+
+    return written;
+  }
+
+  /**
+   * Combine an existing daily row (if any) with newly absorbed raw rows
+   * @param {Object|null} existing
+   * @param {Object} search
+   * @param {string} id - Rollup ID
+   * @param {string} hotelKey
+   * @param {string} day - Bucket start
+   * @param {string} nextDay - Bucket end
+   * @param {Array} rows - Raw rows sorted by extractedAt ascending
+   */
+  mergeRollup(existing, search, id, hotelKey, day, nextDay, rows) {
+    const prices = rows.map(row => row.numericPrice).filter(price => Number.isFinite(price));
+    const last = rows[rows.length - 1];
+
+    const previousCount = existing?.sampleCount || 0;
+    const sampleCount = previousCount + prices.length;
+    const sum = prices.reduce((total, price) => total + price, 0) + (existing?.avgPrice || 0) * previousCount;
+
+    const minCandidates = [existing?.minPrice, ...prices].filter(p => Number.isFinite(p));
+    const maxCandidates = [existing?.maxPrice, ...prices].filter(p => Number.isFinite(p));
+    const avgPrice = sampleCount > 0 ? Math.round((sum / sampleCount) * 100) / 100 : null;
+
+    // Keep the later of the stored and new "last" price
+    const lastPrice = existing && existing.lastExtractedAt > last.extractedAt
+      ? existing.lastPrice
+      : (Number.isFinite(last.numericPrice) ? last.numericPrice : existing?.lastPrice ?? null);
+
+    return {
+      id,
+      searchId: search.id, // Partition key
+      userId: search.userId,
+      granularity: 'day',
+      hotelKey,
+      hotelName: last.hotelName,
+      rating: last.rating,
+      location: last.location,
+      cityName: last.cityName,
+      currency: last.currency,
+      hotelUrl: last.hotelUrl,
+      searchDestination: last.searchDestination,
+      searchDate: last.searchDate,
+      extractedAt: day,
+      bucketStart: day,
+      bucketEnd: nextDay,
+      numericPrice: avgPrice,
+      minPrice: minCandidates.length > 0 ? Math.min(...minCandidates) : null,
+      maxPrice: maxCandidates.length > 0 ? Math.max(...maxCandidates) : null,
+      avgPrice,
+      lastPrice,
+      lastExtractedAt: existing && existing.lastExtractedAt > last.extractedAt ? existing.lastExtractedAt : last.extractedAt,
+      sampleCount,
+      sourceRowIds: [...(existing?.sourceRowIds || []), ...rows.map(row => row.id)]
+    };
+  }
+}
+
+// Singleton instance
+const priceRetentionService = new PriceRetentionService();
+
+export default priceRetentionService;
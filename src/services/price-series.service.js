@@ -0,0 +1,204 @@
+import databaseService from './database.service.js';
+import { getHotelKey } from '../parsers/hotel-key.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Rows read per page while streaming a search's history
+const PAGE_SIZE = 1000;
+
+export const SERIES_BUCKETS = ['hour', 'day', 'week'];
+
+/**
+ * Start of the UTC bucket containing a timestamp
+ * Weeks start on Monday.
+ * @param {string} time - ISO timestamp
+ * @param {string} bucket - One of SERIES_BUCKETS
+ * @returns {string|null} ISO timestamp, null if the time cannot be parsed
+ */
+function bucketStart(time, bucket) {
+  const ms = new Date(time).getTime();
+  if (Number.isNaN(ms)) {
+    return null;
+  }
+  if (bucket === 'hour') {
+    return new Date(ms - (ms % HOUR_MS)).toISOString();
+  }
+
+  const dayStart = ms - (ms % DAY_MS);
+  if (bucket === 'day') {
+    return new Date(dayStart).toISOString();
+  }
+  // 1970-01-01 was a Thursday: day 0 is 3 days after a Monday
+  const daysSinceMonday = (Math.floor(dayStart / DAY_MS) + 3) % 7;
+  return new Date(dayStart - daysSinceMonday * DAY_MS).toISOString();
+}
+
+/**
+ * Price statistics a row adds to a bucket
+ * A downsampled row stands for `sampleCount` raw prices of one day.
+ * @param {Object} row
+ * @returns {Object|null} { min, max, sum, count, last, lastAt }, null for a row without a price
+ */
+function rowStats(row) {
+  if (row.granularity) {
+    if (!(row.sampleCount > 0) || !Number.isFinite(row.avgPrice)) {
+      return null;
+    }
+    return {
+      min: row.minPrice ?? row.avgPrice,
+      max: row.maxPrice ?? row.avgPrice,
+      sum: row.avgPrice * row.sampleCount,
+      count: row.sampleCount,
+      last: row.lastPrice,
+      lastAt: row.lastExtractedAt || row.extractedAt
+    };
+  }
+
+  if (!Number.isFinite(row.numericPrice)) {
+    return null;
+  }
+  const price = row.numericPrice;
+  return { min: price, max: price, sum: price, count: 1, last: price, lastAt: row.extractedAt };
+}
+
+/**
+ * Fold a row's statistics into a bucket
+ * @param {Object|undefined} point - Bucket so far
+ * @param {Object} stats - From rowStats
+ * @returns {Object}
+ */
+function mergeStats(point, stats) {
+  if (!point) {
+    return { ...stats };
+  }
+  return {
+    min: Math.min(point.min, stats.min),
+    max: Math.max(point.max, stats.max),
+    sum: point.sum + stats.sum,
+    count: point.count + stats.count,
+    ...(stats.lastAt >= point.lastAt
+      ? { last: stats.last, lastAt: stats.lastAt }
+      : { last: point.last, lastAt: point.lastAt })
+  };
+}
+
+/**
+ * Round a price to cents
+ * @param {number} value
+ */
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Price Series Service
+ * Aggregates a search's whole price history on the server: min/avg/max/last
+ * price per hotel (by hotel key) per hour, day or week (UTC), and the cheapest
+ * hotel of every extraction run. Rows are streamed oldest first in pages of
+ * narrow projections, so memory grows with the number of buckets, not rows.
+ *
+ * Downsampled daily rows (see price-retention.service.js) count with their
+ * sample count and fall in the bucket of their day (at 00:00 for hourly
+ * series). In the cheapest line each downsampled day is one point, from the
+ * day's lowest price, since the runs it absorbed are gone.
+ */
+class PriceSeriesService {
+  /**
+   * Build the price series of a search
+   * @param {string} searchId
+   * @param {Object} options - { bucket, hotelKeys, startDate, endDate, maxHotels }; hotelKeys limits `hotels` to those hotels
+   * @returns {Object} { bucket, hotelCount, truncated, hotels: [{ hotelKey, hotelName, samples, points }], cheapest }
+   */
+  async getSeries(searchId, { bucket = 'day', hotelKeys = null, startDate, endDate, maxHotels = 50 } = {}) {
+    const only = hotelKeys ? new Set(hotelKeys) : null;
+    const hotels = new Map();
+    const runs = new Map();
+    let continuationToken;
+
+    do {
+      const page = await databaseService.getPriceSeriesRows(searchId, { startDate, endDate, limit: PAGE_SIZE, continuationToken });
+      for (const row of page.rows) {
+        this.addRow(row, bucket, only, hotels, runs);
+      }
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    const series = [...hotels.values()]
+      .map(hotel => ({
+        hotelKey: hotel.hotelKey,
+        hotelName: hotel.hotelName,
+        samples: hotel.samples,
+        points: [...hotel.points]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([start, point]) => ({
+            bucketStart: start,
+            min: point.min,
+            avg: roundPrice(point.sum / point.count),
+            max: point.max,
+            last: point.last,
+            samples: point.count
+          }))
+      }))
+      .sort((a, b) => b.samples - a.samples || a.hotelKey.localeCompare(b.hotelKey));
+
+    return {
+      bucket,
+      hotelCount: series.length,
+      truncated: series.length > maxHotels,
+      hotels: series.slice(0, maxHotels),
+      cheapest: [...runs.values()].sort((a, b) => a.extractedAt.localeCompare(b.extractedAt))
+    };
+  }
+
+  /**
+   * Add one price row to the hotel series and the cheapest-per-run line
+   * @param {Object} row
+   * @param {string} bucket
+   * @param {Set|null} only - Hotel keys whose series are kept; the cheapest line covers all hotels
+   * @param {Map} hotels - Hotel key → { hotelKey, hotelName, samples, points }
+   * @param {Map} runs - Run key → cheapest row of the run
+   */
+  addRow(row, bucket, only, hotels, runs) {
+    const stats = rowStats(row);
+    const start = stats && bucketStart(row.extractedAt, bucket);
+    if (!start) {
+      return;
+    }
+
+    const key = getHotelKey(row);
+
+    // Rows without a runId (legacy) were written together when they share extractedAt
+    const runKey = row.granularity ? `${row.granularity}:${row.extractedAt}` : row.runId || `at:${row.extractedAt}`;
+    const cheapest = runs.get(runKey);
+    if (!cheapest || stats.min < cheapest.price) {
+      runs.set(runKey, {
+        runId: row.runId || null,
+        granularity: row.granularity || null,
+        // Rows arrive oldest first, so the first row of a run dates it
+        extractedAt: cheapest?.extractedAt || row.extractedAt,
+        hotelKey: key,
+        hotelName: row.hotelName,
+        price: stats.min
+      });
+    }
+
+    if (only && !only.has(key)) {
+      return;
+    }
+
+    let hotel = hotels.get(key);
+    if (!hotel) {
+      hotel = { hotelKey: key, hotelName: row.hotelName, samples: 0, points: new Map() };
+      hotels.set(key, hotel);
+    }
+    // Rows arrive oldest first: the latest name wins
+    hotel.hotelName = row.hotelName || hotel.hotelName;
+    hotel.samples += stats.count;
+    hotel.points.set(start, mergeStats(hotel.points.get(start), stats));
+  }
+}
+
+// Singleton instance
+const priceSeriesService = new PriceSeriesService();
+
+export default priceSeriesService;
@@ -0,0 +1,166 @@
+/**
+ * Share of lookups served from the cache, rounded to three decimals
+ * @returns {number|null} null before the first lookup
+ */
+function hitRate(hits, misses) {
+  return hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null;
+}
+
+/**
+ * In-process read cache with per-entry TTL, LRU eviction and tag-based invalidation
+ *
+ * Entries carry tags (e.g. `search:<id>`) so a write can drop every cached read
+ * that depends on the data it changed. A read that was in flight while an
+ * invalidation happened is not stored, so it cannot put stale data back.
+ * Values are cloned on the way in and out; callers may mutate what they get.
+ */
+export class ReadCache {
+  /**
+   * @param {Object} options - { maxEntries }
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.entries = new Map();
+    this.keysByTag = new Map();
+    this.generation = 0;
+    this.counters = { invalidations: 0, evictions: 0 };
+    this.namespaces = new Map();
+  }
+
+  /**
+   * Hit/miss counters for one namespace (usually the cached method name)
+   * @param {string} namespace
+   */
+  namespaceStats(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, { hits: 0, misses: 0 });
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * Return the cached value for a key, or load, store and return it
+   * @param {string} namespace - Statistics bucket
+   * @param {string} key
+   * @param {Object} options - { ttlMs, tags }
+   * @param {Function} load - async () => value
+   */
+  async getOrLoad(namespace, key, options, load) {
+    const stats = this.namespaceStats(namespace);
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move to the end of the map: most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      stats.hits++;
+      return structuredClone(entry.value);
+    }
+
+    if (entry) {
+      this.delete(key);
+    }
+    stats.misses++;
+
+    const generation = this.generation;
+    const value = await load();
+
+    if (generation === this.generation) {
+      this.set(key, value, options);
+    }
+    return value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key
+   * @param {*} value
+   * @param {Object} options - { ttlMs, tags }
+   */
+  set(key, value, options) {
+    const { ttlMs, tags = [] } = options;
+
+    this.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs, tags });
+    for (const tag of tags) {
+      if (!this.keysByTag.has(tag)) {
+        this.keysByTag.set(tag, new Set());
+      }
+      this.keysByTag.get(tag).add(key);
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Remove one entry and its tag references
+   * @param {string} key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.keysByTag.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) {
+        this.keysByTag.delete(tag);
+      }
+    }
+  }
+
+  /**
+   * Drop every entry carrying any of the given tags
+   * @param {Array<string>} tags
+   */
+  invalidateTags(tags) {
+    this.generation++;
+    for (const tag of tags) {
+      for (const key of [...(this.keysByTag.get(tag) || [])]) {
+        this.delete(key);
+      }
+    }
+    this.counters.invalidations++;
+  }
+
+  /**
+   * Drop every entry
+   */
+  clear() {
+    this.generation++;
+    this.entries.clear();
+    this.keysByTag.clear();
+    this.counters.invalidations++;
+  }
+
+  /**
+   * Hit/miss statistics per namespace and overall
+   * @returns {Object}
+   */
+  stats() {
+    const byNamespace = Object.fromEntries(
+      [...this.namespaces].map(([namespace, { hits, misses }]) => [
+        namespace,
+        { hits, misses, hitRate: hitRate(hits, misses) }
+      ])
+    );
+    const hits = [...this.namespaces.values()].reduce((sum, s) => sum + s.hits, 0);
+    const misses = [...this.namespaces.values()].reduce((sum, s) => sum + s.misses, 0);
+
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits,
+      misses,
+      hitRate: hitRate(hits, misses),
+      invalidations: this.counters.invalidations,
+      evictions: this.counters.evictions,
+      byNamespace
+    };
+  }
+}
@@ -0,0 +1,119 @@
+import { nanoid } from 'nanoid';
+import { isDeepStrictEqual } from 'util';
+import databaseService from './database.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * User-editable search fields that are recorded in the change history
+ */
+const TRACKED_FIELDS = ['searchName', 'searchUrl', 'criteria', 'schedule', 'emailRecipients', 'isActive', 'retention', 'runCooldownMinutes', 'tags', 'alertRules', 'watchlist', 'deletedAt'];
+
+/**
+ * Paths maintained by the system rather than the user; changes to them are not revisions
+ */
+const IGNORED_PATHS = new Set(['schedule.nextRun']);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten nested objects into dotted paths; arrays and scalars are leaf values
+ * @param {*} value
+ * @param {string} prefix
+ * @param {Map} out
+ */
+function flatten(value, prefix, out) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, `${prefix}.${key}`, out);
+    }
+  } else {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+/**
+ * Field-level diff between two versions of a search
+ * @param {Object} before - Search before the change
+ * @param {Object} after - Search after the change
+ * @returns {Array} [{ field, from, to }] with dotted field paths; missing values are null
+ */
+export function diffSearch(before, after) {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    const from = flatten(before?.[field], field, new Map());
+    const to = flatten(after?.[field], field, new Map());
+
+    for (const path of new Set([...from.keys(), ...to.keys()])) {
+      if (IGNORED_PATHS.has(path)) {
+        continue;
+      }
+      const fromValue = from.get(path) ?? null;
+      const toValue = to.get(path) ?? null;
+      if (!isDeepStrictEqual(fromValue, toValue)) {
+        changes.push({ field: path, from: fromValue, to: toValue });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Search History Service
+ * Records edits of a search as revisions in the `searchRevisions` container
+ * (partition key `/searchId`): who made the change, when, and a field-level diff.
+ */
+class SearchHistoryService {
+  /**
+   * Record the difference between two versions of a search
+   * @param {Object} before - Search before the change
+   * @param {Object} after - Search after the change
+   * @param {Object} actor - { id, email } of the user who made the change
+   * @returns {Object|null} Created revision, or null if no tracked field changed
+   */
+  async recordChange(before, after, actor) {
+    const changes = diffSearch(before, after);
+    if (changes.length === 0) {
+      return null;
+    }
+
+    return databaseService.createSearchRevision({
+      id: `rev_${nanoid(16)}`,
+      searchId: after.id, // Partition key
+      ownerId: after.userId,
+      changedBy: { userId: actor.id, email: actor.email },
+      changedAt: after.updatedAt || new Date().toISOString(),
+      changes
+    });
+  }
+
+  /**
+   * Get one page of a search's revisions, newest first
+   * @param {string} searchId
+   * @param {Object} options - { limit, continuationToken }
+   * @returns {Object} { revisions, continuationToken, hasMore }
+   */
+  async listRevisions(searchId, options = {}) {
+    const { revisions, continuationToken } = await databaseService.getSearchRevisions(searchId, options);
+
+    logger.debug('Search revisions fetched', { searchId, count: revisions.length });
+
+    return {
+      revisions,
+      continuationToken: continuationToken || null,
+      hasMore: !!continuationToken
+    };
+  }
+}
+
+// Singleton instance
+const searchHistoryService = new SearchHistoryService();
+
+export default searchHistoryService;
@@ -0,0 +1,153 @@
+import databaseService from './database.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+/**
+ * Time a search is listed by: last run, or creation for searches that never ran
+ * @param {Object} search - Search document or sort-key projection
+ */
+function activityTime(search) {
+  return search.lastRunAt || search.createdAt || '';
+}
+
+/**
+ * Order searches newest activity first, with the ID as a tiebreaker so the order is total
+ */
+function compareSearches(a, b) {
+  const timeA = activityTime(a);
+  const timeB = activityTime(b);
+  if (timeA !== timeB) {
+    return timeA < timeB ? 1 : -1;
+  }
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+/**
+ * Encode the position after a search as an opaque continuation token
+ * @param {Object} search
+ */
+export function encodeSearchCursor(search) {
+  return Buffer.from(JSON.stringify({ t: activityTime(search), id: search.id })).toString('base64url');
+}
+
+/**
+ * Decode a continuation token produced by encodeSearchCursor
+ * @param {string} token
+ * @returns {Object|null} { t, id } or null if the token is malformed
+ */
+export function decodeSearchCursor(token) {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof cursor?.t !== 'string' || typeof cursor?.id !== 'string') {
+      return null;
+    }
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search List Service
+ * Lists a user's owned and shared searches as one sequence, ordered by
+ * lastRunAt/createdAt, with keyset (cursor) pagination. Searches in the trash
+ * are left out.
+ *
+ * Ordering only needs a few fields, so each page reads lightweight sort keys
+ * (one query for owned searches, one for all shared ones) and then fetches
+ * full documents only for the searches on the page. The cursor stores the
+ * position (t, id) of the last item and both queries only return searches
+ * after it, so later pages read fewer keys and stay stable when searches are
+ * added.
+ */
+class SearchListService {
+  /**
+   * Get one page of the user's owned + shared searches
+   * @param {string} userId
+   * @param {Object} options - { isActive, limit, cursor } (cursor from decodeSearchCursor)
+   * @returns {Object} { searches, continuationToken, hasMore }
+   */
+  async listSearches(userId, options = {}) {
+    const { isActive, limit = 20, cursor = null } = options;
+
+    const [ownedKeys, shares] = await Promise.all([
+      databaseService.getSearchSortKeysByUser(userId, { isActive, deleted: false, after: cursor }),
+      databaseService.getSharesByUser(userId)
+    ]);
+
+    const sharesBySearchId = new Map(shares.map(share => [share.searchId, share]));
+    const sharedKeys = await databaseService.getSearchSortKeysByIds([...sharesBySearchId.keys()], { isActive, deleted: false, after: cursor });
+
+    const entries = [
+      ...ownedKeys.map(key => ({ ...key, share: null })),
+      // Only trust a shared search if it still belongs to the user who shared it
+      ...sharedKeys
+        .filter(key => sharesBySearchId.get(key.id)?.ownerId === key.userId)
+        .map(key => ({ ...key, share: sharesBySearchId.get(key.id) }))
+    ].sort(compareSearches);
+
+    const pageEntries = entries.slice(0, limit);
+    const hasMore = entries.length > limit;
+
+    const searches = await Promise.all(pageEntries.map(async (entry) => {
+      try {
+        const search = await databaseService.getSearch(entry.id, entry.userId);
+        if (!search) {
+          return null;
+        }
+
+        if (!entry.share) {
+          return { ...search, _isShared: false, _permission: 'owner' };
+        }
+
+        return {
+          ...search,
+          _isShared: true,
+          _permission: entry.share.permission,
+          _sharedBy: entry.share.ownerDisplayName || entry.share.ownerEmail || 'Unknown',
+          _sharedByEmail: entry.share.ownerEmail
+        };
+      } catch (error) {
+        logger.warn('Failed to fetch search for list', { searchId: entry.id, error: error.message });
+        return null;
+      }
+    }));
+
+    return {
+      searches: searches.filter(s => s !== null),
+      continuationToken: hasMore ? encodeSearchCursor(pageEntries[pageEntries.length - 1]) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Get up to `max` of the user's searches matching a filter, newest activity first
+   * @param {string} userId
+   * @param {Object} filter - { scope: 'owned' | 'shared' | 'all', isActive, tag, max }
+   * @returns {Object} { searches, truncated } — truncated when more than `max` matched
+   */
+  async findSearches(userId, filter = {}) {
+    const { scope = 'owned', isActive, tag, max = 100 } = filter;
+    const wantedTag = tag?.trim().toLowerCase();
+    const matches = [];
+    let cursor = null;
+
+    do {
+      const page = await this.listSearches(userId, { isActive, limit: 100, cursor });
+      matches.push(...page.searches.filter(search =>
+        (scope === 'all' || search._isShared === (scope === 'shared')) &&
+        (!wantedTag || (search.tags || []).includes(wantedTag))
+      ));
+      cursor = page.continuationToken ? decodeSearchCursor(page.continuationToken) : null;
+    } while (cursor && matches.length <= max);
+
+    return { searches: matches.slice(0, max), truncated: matches.length > max };
+  }
+}
+
+// Singleton instance
+const searchListService = new SearchListService();
+
+export default searchListService;
@@ -0,0 +1,392 @@
+import { parseCronExpression, cronMatchesDay } from '../parsers/cron-expression.js';
+
+/**
+ * Search schedules
+ * A schedule runs either every `intervalHours`, or at the times of a `cron`
+ * expression read in `timezone` (IANA name, default UTC). Optional
+ * `quietHours` ({ start: 'HH:MM', end: 'HH:MM' } in the same timezone; may
+ * wrap past midnight) block runs: cron times inside the window are skipped,
+ * interval runs that fall inside it wait until it ends.
+ *
+ * An `adaptive` schedule is an interval schedule whose interval follows the
+ * days left until the search's check-in (ADAPTIVE_INTERVALS) instead of
+ * `intervalHours`. Every schedule stops once the stay is over: after the
+ * check-out date there are no more run times, and `nextRun` is null.
+ *
+ * Everything here is a pure function of the schedule and a start time, with
+ * no dependencies outside this repo's parsers, so the Worker's scheduler can
+ * advance `schedule.nextRun` with the same rules (see nextRunAfter).
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Adaptive intervals, by whole days left until check-in (first match wins)
+ * Weekly from three months out, daily from a month out, every 3 hours in the
+ * last week and during the stay.
+ */
+export const ADAPTIVE_INTERVALS = [
+  { minDaysOut: 90, intervalHours: 168 },
+  { minDaysOut: 30, intervalHours: 24 },
+  { minDaysOut: 7, intervalHours: 12 },
+  { minDaysOut: -Infinity, intervalHours: 3 }
+];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Far enough for a cron that only matches on 29 February
+const MAX_SEARCH_DAYS = 4 * 366 + 1;
+
+const formatters = new Map();
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function wallClock(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} ms
+ * @param {string} timeZone
+ * @returns {number} Milliseconds to add to UTC to get wall-clock time
+ */
+function offsetAt(ms, timeZone) {
+  const wall = wallClock(ms, timeZone);
+  const wallMs = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return wallMs - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * Days and hours may overflow (day 32 is the 1st of the next month). A time
+ * that happens twice when clocks go back resolves to the first one; a time
+ * skipped when clocks go forward resolves to just after the gap.
+ * @returns {number} Epoch milliseconds
+ */
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+  const before = offsetAt(wallMs - DAY_MS, timeZone);
+  const after = offsetAt(wallMs + DAY_MS, timeZone);
+
+  for (const offset of [Math.max(before, after), Math.min(before, after)]) {
+    if (offsetAt(wallMs - offset, timeZone) === offset) {
+      return wallMs - offset;
+    }
+  }
+  return wallMs - before;
+}
+
+/**
+ * 'HH:MM' to minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+function minuteOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a wall-clock minute of the day lies inside the quiet hours
+ * @param {number} minute - Minutes since midnight
+ * @param {Object} quietHours - { start, end }
+ * @returns {boolean}
+ */
+function isQuiet(minute, quietHours) {
+  const start = minuteOfDay(quietHours.start);
+  const end = minuteOfDay(quietHours.end);
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+/**
+ * Move an instant inside the quiet hours to the moment they end
+ * @param {number} ms
+ * @param {Object} quietHours
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function deferPastQuietHours(ms, quietHours, timeZone) {
+  const wall = wallClock(ms, timeZone);
+  const minute = wall.hour * 60 + wall.minute;
+  if (!isQuiet(minute, quietHours)) {
+    return ms;
+  }
+
+  // A window that wraps past midnight and was entered before midnight ends tomorrow
+  const end = minuteOfDay(quietHours.end);
+  const day = minute < end ? wall.day : wall.day + 1;
+  return zonedTime(wall.year, wall.month, day, Math.floor(end / 60), end % 60, timeZone);
+}
+
+/**
+ * Start of the check-in day and end of the check-out day of a search's stay
+ * @param {Object} criteria - { checkIn, checkOut } as YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {Object|null} { checkInMs, endMs }, either null if its date is missing
+ */
+function stayOf(criteria, timeZone) {
+  const dayStart = (date, offsetDays) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    return match
+      ? zonedTime(Number(match[1]), Number(match[2]), Number(match[3]) + offsetDays, 0, 0, timeZone)
+      : null;
+  };
+
+  if (!criteria) {
+    return null;
+  }
+  return {
+    checkInMs: dayStart(criteria.checkIn, 0),
+    endMs: dayStart(criteria.checkOut, 1)
+  };
+}
+
+/**
+ * Whether a run time is past the end of the stay
+ * @param {number} ms
+ * @param {Object|null} stay
+ * @returns {boolean}
+ */
+function isAfterStay(ms, stay) {
+  return stay?.endMs != null && ms >= stay.endMs;
+}
+
+/**
+ * Hours between interval runs at an instant
+ * @param {Object} schedule
+ * @param {number} ms
+ * @param {Object|null} stay
+ * @returns {number}
+ */
+function intervalHoursAt(schedule, ms, stay) {
+  if (!schedule.adaptive || stay?.checkInMs == null) {
+    return schedule.intervalHours || 6;
+  }
+  const daysOut = Math.floor((stay.checkInMs - ms) / DAY_MS);
+  return ADAPTIVE_INTERVALS.find(step => daysOut >= step.minDaysOut).intervalHours;
+}
+
+/**
+ * Cron run times after `fromMs`, skipping those inside the quiet hours
+ * @returns {Array<number>}
+ */
+function cronRunTimes(schedule, fromMs, count, stay) {
+  const cron = parseCronExpression(schedule.cron);
+  const timeZone = schedule.timezone || DEFAULT_TIMEZONE;
+  const start = wallClock(fromMs, timeZone);
+  const runs = [];
+
+  for (let i = 0; i < MAX_SEARCH_DAYS && runs.length < count; i++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!cronMatchesDay(cron, month, day, date.getUTCDay())) {
+      continue;
+    }
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        if (schedule.quietHours && isQuiet(hour * 60 + minute, schedule.quietHours)) {
+          continue;
+        }
+        const at = zonedTime(year, month, day, hour, minute, timeZone);
+        if (isAfterStay(at, stay)) {
+          return runs;
+        }
+        // Clocks going forward can map two wall times to one instant
+        if (at > fromMs && at > (runs[runs.length - 1] ?? -Infinity)) {
+          runs.push(at);
+          if (runs.length === count) {
+            return runs;
+          }
+        }
+      }
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Interval run times starting at `fromMs`, each deferred past the quiet hours
+ * @returns {Array<number>}
+ */
+function intervalRunTimes(schedule, fromMs, count, stay) {
+  const timeZone = schedule.timezone || DEFAULT_TIMEZONE;
+  const runs = [];
+
+  let at = fromMs;
+  while (runs.length < count) {
+    if (schedule.quietHours) {
+      at = deferPastQuietHours(at, schedule.quietHours, timeZone);
+    }
+    if (isAfterStay(at, stay)) {
+      break;
+    }
+    runs.push(at);
+    at += intervalHoursAt(schedule, at, stay) * HOUR_MS;
+  }
+
+  return runs;
+}
+
+/**
+ * The next run times of a schedule
+ * Cron schedules: the matching times strictly after `from`, looking up to four
+ * years ahead. Interval schedules: `from` itself (after quiet hours), then
+ * every `intervalHours`, or the adaptive interval of each run. Neither goes
+ * past the end of the check-out day.
+ * @param {Object} schedule - { cron, intervalHours, adaptive, timezone, quietHours }
+ * @param {Date} from
+ * @param {number} count
+ * @param {Object} [criteria] - The search's { checkIn, checkOut }
+ * @returns {Array<string>} ISO timestamps, ascending; fewer than `count` if the cron rarely matches or the stay ends
+ */
+export function nextRunTimes(schedule, from, count, criteria) {
+  const fromMs = from.getTime();
+  const stay = stayOf(criteria, schedule.timezone || DEFAULT_TIMEZONE);
+  const runs = schedule.cron
+    ? cronRunTimes(schedule, fromMs, count, stay)
+    : intervalRunTimes(schedule, fromMs, count, stay);
+  return runs.map(ms => new Date(ms).toISOString());
+}
+
+/**
+ * `schedule.nextRun` for a schedule that has just been created or changed
+ * @param {Object} schedule
+ * @param {Date} from - Now, or for an interval schedule the run it already had planned
+ * @param {Object} [criteria] - The search's { checkIn, checkOut }
+ * @returns {string|null} ISO timestamp, or null if the cron never matches or the stay is over
+ */
+export function computeNextRun(schedule, from, criteria) {
+  return nextRunTimes(schedule, from, 1, criteria)[0] || null;
+}
+
+/**
+ * `schedule.nextRun` after a scheduled run has been enqueued
+ * This is the rule the Worker's scheduler applies when it advances a search.
+ * @param {Object} schedule
+ * @param {Date} ranAt
+ * @param {Object} [criteria] - The search's { checkIn, checkOut }
+ * @returns {string|null} ISO timestamp, or null once the stay is over (the search pauses)
+ */
+export function nextRunAfter(schedule, ranAt, criteria) {
+  const stay = stayOf(criteria, schedule.timezone || DEFAULT_TIMEZONE);
+  const from = schedule.cron
+    ? ranAt
+    : new Date(ranAt.getTime() + intervalHoursAt(schedule, ranAt.getTime(), stay) * HOUR_MS);
+  return computeNextRun(schedule, from, criteria);
+}
+
+/**
+ * Hours between runs of an interval schedule at an instant
+ * @param {Object} schedule
+ * @param {Object} [criteria] - The search's { checkIn, checkOut }
+ * @param {Date} at
+ * @returns {number|null} null for a cron schedule
+ */
+export function currentIntervalHours(schedule, criteria, at) {
+  if (schedule.cron) {
+    return null;
+  }
+  return intervalHoursAt(schedule, at.getTime(), stayOf(criteria, schedule.timezone || DEFAULT_TIMEZONE));
+}
+
+/**
+ * Whether a search's stay is over, which pauses its schedule
+ * @param {Object} schedule
+ * @param {Object} [criteria] - The search's { checkIn, checkOut }
+ * @param {Date} at
+ * @returns {boolean}
+ */
+export function isStayOver(schedule, criteria, at) {
+  return isAfterStay(at.getTime(), stayOf(criteria, schedule.timezone || DEFAULT_TIMEZONE));
+}
+
+/**
+ * Check the parts of a schedule JSON schema cannot: the cron expression, the
+ * timezone, and that the schedule still runs at some point
+ * @param {Object} schedule - Merged schedule
+ * @returns {string|null} What is wrong, or null if valid
+ */
+export function validateSchedule(schedule) {
+  if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+    return `Unknown timezone "${schedule.timezone}" (use an IANA name such as Europe/Kyiv)`;
+  }
+
+  if (schedule.adaptive && schedule.cron) {
+    return 'An adaptive schedule derives its interval from the check-in date and cannot use a cron expression';
+  }
+
+  if (schedule.quietHours && schedule.quietHours.start === schedule.quietHours.end) {
+    return 'Quiet hours must start and end at different times';
+  }
+
+  if (schedule.cron) {
+    try {
+      parseCronExpression(schedule.cron);
+    } catch (error) {
+      return error.message;
+    }
+
+    if (!computeNextRun(schedule, new Date())) {
+      return schedule.quietHours
+        ? 'The cron expression has no run times outside the quiet hours'
+        : 'The cron expression never matches a date';
+    }
+  }
+
+  return null;
+}
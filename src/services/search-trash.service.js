@@ -0,0 +1,228 @@
+import databaseService from './database.service.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_HOURS = 24;
+// First automatic purge runs shortly after startup rather than one full interval later
+const PURGE_START_DELAY_MS = 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name
+ * @param {number} fallback
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name] ?? '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Search Trash Service
+ * DELETE /api/searches/:id moves a search to the trash (`deletedAt` set, search
+ * stopped). Trashed searches can be listed and restored until they are older
+ * than SEARCH_TRASH_RETENTION_DAYS, after which they are purged for good
+ * together with their shares, prices, runs, revisions, jobs and conversation.
+ *
+ * Purging runs on a timer inside the web server (SEARCH_TRASH_PURGE_INTERVAL_HOURS,
+ * 0 disables it) and can also be started with `npm run purge-trash`. Every step
+ * is idempotent, so overlapping runs on several instances are harmless.
+ */
+class SearchTrashService {
+  constructor() {
+    this.timer = null;
+    this.purging = false;
+  }
+
+  /**
+   * Days a search stays in the trash before it is purged
+   */
+  retentionDays() {
+    return envNumber('SEARCH_TRASH_RETENTION_DAYS', DEFAULT_RETENTION_DAYS);
+  }
+
+  /**
+   * When a trashed search becomes due for purging
+   * @param {Object} search
+   * @returns {string} ISO timestamp
+   */
+  purgeAfter(search) {
+    return new Date(new Date(search.deletedAt).getTime() + this.retentionDays() * DAY_MS).toISOString();
+  }
+
+  /**
+   * Get the user's trashed searches, most recently deleted first
+   * @param {string} userId
+   * @returns {Array} Searches with `purgeAfter`
+   */
+  async listTrash(userId) {
+    const searches = [];
+    let continuationToken;
+
+    do {
+      const page = await databaseService.getSearchesByUser(userId, { deleted: true, limit: 100, continuationToken });
+      searches.push(...page.searches);
+      continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    return searches
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(search => ({ ...search, purgeAfter: this.purgeAfter(search) }));
+  }
+
+  /**
+   * Permanently delete a search with its shares, prices, runs, revisions, jobs and conversation.
+   * The search document goes last so an interrupted purge is picked up again.
+   * @param {Object} search
+   * @returns {Object} Counts of deleted documents
+   */
+  async purgeSearch(search) {
+    const result = {
+      sharesRevoked: 0,
+      pricesDeleted: 0,
+      runsDeleted: 0,
+      revisionsDeleted: 0,
+      alertEventsDeleted: 0,
+      jobsDeleted: 0,
+      conversationDeleted: false,
+      searchDeleted: false
+    };
+
+    const shares = await databaseService.getSharesBySearch(search.id);
+    for (const share of shares) {
+      await databaseService.deleteShare(share.id, search.id);
+      result.sharesRevoked++;
+    }
+
+    result.pricesDeleted = await databaseService.deletePricesBySearch(search.id);
+    result.runsDeleted = await databaseService.deleteRunsBySearch(search.id);
+    result.revisionsDeleted = await databaseService.deleteSearchRevisionsBySearch(search.id);
+    result.alertEventsDeleted = await databaseService.deleteAlertEventsBySearch(search.id);
+    result.jobsDeleted = await databaseService.deleteJobsBySearch(search.id);
+    result.conversationDeleted = await databaseService.deleteConversation(search.id);
+    result.searchDeleted = await databaseService.hardDeleteSearch(search.id, search.userId);
+
+    return result;
+  }
+
+  /**
+   * Purge every search that has been in the trash longer than the retention period
+   * @param {Object} options - { dryRun, now }
+   * @returns {Object} Summary report
+   */
+  async purgeExpired(options = {}) {
+    const { dryRun = false, now = new Date() } = options;
+    const retentionDays = this.retentionDays();
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+
+    const report = {
+      dryRun,
+      retentionDays,
+      cutoff,
+      searchesPurged: 0,
+      pricesDeleted: 0,
+      runsDeleted: 0,
+      revisionsDeleted: 0,
+      alertEventsDeleted: 0,
+      jobsDeleted: 0,
+      conversationsDeleted: 0,
+      failures: []
+    };
+
+    // Purged searches drop out of the query; dry-run and failed ones do not, so skip what was already seen
+    const seen = new Set();
+    for (;;) {
+      const batch = (await databaseService.getSearchesDeletedBefore(cutoff, PURGE_BATCH_SIZE + seen.size))
+        .filter(search => !seen.has(search.id));
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const search of batch) {
+        seen.add(search.id);
+
+        if (dryRun) {
+          report.searchesPurged++;
+          continue;
+        }
+
+        try {
+          const result = await this.purgeSearch(search);
+          report.pricesDeleted += result.pricesDeleted;
+          report.runsDeleted += result.runsDeleted;
+          report.revisionsDeleted += result.revisionsDeleted;
+          report.alertEventsDeleted += result.alertEventsDeleted;
+          report.jobsDeleted += result.jobsDeleted;
+          if (result.conversationDeleted) {
+            report.conversationsDeleted++;
+          }
+          if (result.searchDeleted) {
+            report.searchesPurged++;
+          }
+          logger.info('Trashed search purged', { searchId: search.id, userId: search.userId, deletedAt: search.deletedAt });
+        } catch (error) {
+          logger.error('Failed to purge trashed search', { searchId: search.id, error: error.message });
+          report.failures.push({ searchId: search.id, error: error.message });
+        }
+      }
+    }
+
+    if (report.searchesPurged > 0 || report.failures.length > 0) {
+      logger.info('Search trash purge finished', { ...report, failures: report.failures.length });
+    }
+
+    return report;
+  }
+
+  /**
+   * Start purging the trash periodically in this process
+   * No-op if SEARCH_TRASH_PURGE_INTERVAL_HOURS is 0 or the timer already runs
+   */
+  startPurgeTimer() {
+    const intervalHours = envNumber('SEARCH_TRASH_PURGE_INTERVAL_HOURS', DEFAULT_PURGE_INTERVAL_HOURS);
+    if (this.timer || intervalHours === 0) {
+      return;
+    }
+
+    const tick = async () => {
+      if (!this.purging) {
+        this.purging = true;
+        try {
+          await this.purgeExpired();
+        } catch (error) {
+          logger.error('Scheduled trash purge failed', { error: error.message });
+        } finally {
+          this.purging = false;
+        }
+      }
+      if (this.timer) {
+        this.timer = setTimeout(tick, intervalHours * HOUR_MS);
+        this.timer.unref();
+      }
+    };
+
+    this.timer = setTimeout(tick, PURGE_START_DELAY_MS);
+    this.timer.unref();
+    logger.info('Search trash purge scheduled', { intervalHours, retentionDays: this.retentionDays() });
+  }
+
+  /**
+   * Stop the periodic purge
+   */
+  stopPurgeTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Singleton instance
+const searchTrashService = new SearchTrashService();
+
+export default searchTrashService;
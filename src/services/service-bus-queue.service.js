@@ -0,0 +1,451 @@
+import { ServiceBusClient } from '@azure/service-bus';
+import Long from 'long';
+import { JOB_PRIORITIES, DEFAULT_JOB_PRIORITY, jobPriority } from './job-priority.js';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const logger = require('../logger.cjs');
+
+// Dead letters scanned at most per replay/purge call and lane
+const MAX_DEAD_LETTER_SCAN = 500;
+// How long receiveMessages waits on one lane before looking at the next
+const LANE_PROBE_MS = 1000;
+
+/**
+ * Queue name of each priority lane
+ * Every lane uses the original queue (AZURE_SERVICE_BUS_QUEUE_NAME) unless a
+ * queue of its own is configured, so nothing is sent to a queue that was
+ * never provisioned (see scripts/init-service-bus.js).
+ */
+export function laneQueueNames() {
+  const base = process.env.AZURE_SERVICE_BUS_QUEUE_NAME || 'price-monitor-jobs';
+  return {
+    manual: process.env.AZURE_SERVICE_BUS_MANUAL_QUEUE_NAME || base,
+    scheduled: base,
+    backfill: process.env.AZURE_SERVICE_BUS_BACKFILL_QUEUE_NAME || base
+  };
+}
+
+/**
+ * Sequence numbers are only unique within a queue, so lanes with a queue of
+ * their own carry their lane: "manual:42"
+ * @param {Object} queueNames - From laneQueueNames
+ * @param {string} lane
+ * @param {Long|string} sequenceNumber
+ */
+function encodeSequenceNumber(queueNames, lane, sequenceNumber) {
+  const value = sequenceNumber.toString();
+  return queueNames[lane] === queueNames[DEFAULT_JOB_PRIORITY] ? value : `${lane}:${value}`;
+}
+
+/**
+ * @param {string} encoded - From encodeSequenceNumber
+ * @returns {Object} { lane, sequenceNumber }
+ */
+function decodeSequenceNumber(encoded) {
+  const [lane, value] = String(encoded).includes(':')
+    ? String(encoded).split(':')
+    : [DEFAULT_JOB_PRIORITY, String(encoded)];
+  return { lane: JOB_PRIORITIES.includes(lane) ? lane : DEFAULT_JOB_PRIORITY, sequenceNumber: value };
+}
+
+/**
+ * Lane a message to send belongs to
+ * @param {Object} message - { body, applicationProperties }
+ */
+function messageLane(message) {
+  return jobPriority({ priority: message.applicationProperties?.priority, ...message.body });
+}
+
+/**
+ * Group items by lane, keeping their positions in the input
+ * @param {Array} items
+ * @param {Function} laneOf
+ * @returns {Map} lane → [{ item, index }]
+ */
+function groupByLane(items, laneOf) {
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const lane = laneOf(item);
+    groups.set(lane, [...(groups.get(lane) || []), { item, index }]);
+  });
+  return groups;
+}
+
+/**
+ * Shape a dead-lettered Service Bus message
+ * @param {Object} message - Received or peeked message
+ * @param {Object} queueNames - From laneQueueNames
+ * @param {string} lane - Lane whose dead-letter sub-queue it came from
+ */
+function toDeadLetter(message, queueNames, lane) {
+  return {
+    sequenceNumber: encodeSequenceNumber(queueNames, lane, message.sequenceNumber),
+    messageId: message.messageId,
+    body: message.body,
+    contentType: message.contentType,
+    sessionId: message.sessionId,
+    applicationProperties: message.applicationProperties || {},
+    deliveryCount: message.deliveryCount,
+    enqueuedTimeUtc: message.enqueuedTimeUtc?.toISOString() || null,
+    deadLetterReason: message.deadLetterReason,
+    deadLetterErrorDescription: message.deadLetterErrorDescription
+  };
+}
+
+/**
+ * Azure Service Bus queue driver
+ * Thin wrapper over the SDK sender and peek-lock receiver; message building and
+ * the complete/abandon policy live in JobQueueService.
+ *
+ * Every message carries its job priority (see job-priority.js) as the
+ * `priority` application property. By default all lanes share one queue;
+ * lanes configured with a queue of their own (AZURE_SERVICE_BUS_MANUAL_QUEUE_NAME,
+ * AZURE_SERVICE_BUS_BACKFILL_QUEUE_NAME) get their messages sent there, so
+ * manual runs never wait behind a backlog of scheduled ones: subscribe()
+ * listens on every queue at once, and receiveMessages() serves the highest
+ * non-empty one.
+ */
+class ServiceBusQueueService {
+  constructor() {
+    this.client = null;
+    this.queueNames = null;
+    this.senders = new Map();
+    this.receivers = new Map();
+    // Received message → receiver that must settle it
+    this.receiverOf = new WeakMap();
+  }
+
+  /**
+   * Initialize Service Bus client
+   */
+  async initialize() {
+    try {
+      const connectionString = process.env.AZURE_SERVICE_BUS_CONNECTION_STRING;
+
+      if (!connectionString) {
+        throw new Error('Missing required environment variable: AZURE_SERVICE_BUS_CONNECTION_STRING');
+      }
+
+      this.queueNames = laneQueueNames();
+      this.client = new ServiceBusClient(connectionString);
+
+      logger.info('Service Bus client initialized successfully', { queueNames: this.queueNames });
+    } catch (error) {
+      logger.error('Failed to initialize Service Bus client', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lanes in priority order, leaving out lanes that share an earlier lane's queue
+   */
+  distinctLanes() {
+    const seen = new Set();
+    return JOB_PRIORITIES.filter(lane => {
+      const queueName = this.queueNames[lane];
+      if (seen.has(queueName)) {
+        return false;
+      }
+      seen.add(queueName);
+      return true;
+    });
+  }
+
+  /**
+   * Get the sender of a lane's queue, creating it on first use
+   * @param {string} lane
+   */
+  async getSender(lane) {
+    if (!this.client) {
+      await this.initialize();
+    }
+    const queueName = this.queueNames[lane];
+    if (!this.senders.has(queueName)) {
+      this.senders.set(queueName, this.client.createSender(queueName));
+    }
+    return this.senders.get(queueName);
+  }
+
+  /**
+   * Send messages in one call per lane
+   * @param {Array} messages - [{ body, contentType, messageId, sessionId, applicationProperties }]
+   */
+  async sendMessages(messages) {
+    for (const [lane, group] of groupByLane(messages, messageLane)) {
+      const sender = await this.getSender(lane);
+      await sender.sendMessages(group.map(({ item }) => item));
+    }
+  }
+
+  /**
+   * Schedule messages to be enqueued at a later time
+   * @param {Array} messages - [{ body, contentType, messageId, sessionId, applicationProperties }]
+   * @param {Date} scheduledEnqueueTimeUtc
+   * @returns {Array<string>} Sequence numbers, needed to cancel
+   */
+  async scheduleMessages(messages, scheduledEnqueueTimeUtc) {
+    const sequenceNumbers = new Array(messages.length);
+    for (const [lane, group] of groupByLane(messages, messageLane)) {
+      const sender = await this.getSender(lane);
+      const scheduled = await sender.scheduleMessages(group.map(({ item }) => item), scheduledEnqueueTimeUtc);
+      // Longs do not survive JSON; keep them as decimal strings
+      group.forEach(({ index }, i) => {
+        sequenceNumbers[index] = encodeSequenceNumber(this.queueNames, lane, scheduled[i]);
+      });
+    }
+    return sequenceNumbers;
+  }
+
+  /**
+   * Cancel scheduled messages that have not been enqueued yet
+   * @param {Array<string>} sequenceNumbers - As returned by scheduleMessages
+   */
+  async cancelScheduledMessages(sequenceNumbers) {
+    const decoded = sequenceNumbers.map(decodeSequenceNumber);
+    for (const [lane, group] of groupByLane(decoded, entry => entry.lane)) {
+      const sender = await this.getSender(lane);
+      await sender.cancelScheduledMessages(group.map(({ item }) => Long.fromString(item.sequenceNumber)));
+    }
+  }
+
+  /**
+   * Get the peek-lock receiver of a lane's queue, creating it on first use
+   * @param {string} lane
+   */
+  async getReceiver(lane) {
+    if (!this.client) {
+      await this.initialize();
+    }
+    const queueName = this.queueNames[lane];
+    if (!this.receivers.has(queueName)) {
+      this.receivers.set(queueName, this.client.createReceiver(queueName, {
+        receiveMode: 'peekLock', // Messages are locked and must be completed/abandoned
+        maxAutoLockRenewalDurationInMs: 5 * 60 * 1000 // Auto-renew lock for up to 5 minutes
+      }));
+    }
+    return this.receivers.get(queueName);
+  }
+
+  /**
+   * Lock and return up to maxCount messages from the highest-priority lane that has any
+   * Lanes are probed in turn for up to LANE_PROBE_MS each until maxWaitTimeInMs runs out.
+   * @param {number} maxCount
+   * @param {Object} options - { maxWaitTimeInMs }
+   */
+  async receiveMessages(maxCount, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const deadline = Date.now() + (options.maxWaitTimeInMs ?? 60 * 1000);
+    do {
+      for (const lane of this.distinctLanes()) {
+        const receiver = await this.getReceiver(lane);
+        const waitMs = Math.max(1, Math.min(LANE_PROBE_MS, deadline - Date.now()));
+        const messages = await receiver.receiveMessages(maxCount, { ...options, maxWaitTimeInMs: waitMs });
+        if (messages.length > 0) {
+          messages.forEach(message => this.receiverOf.set(message, receiver));
+          return messages;
+        }
+      }
+    } while (Date.now() < deadline);
+
+    return [];
+  }
+
+  /**
+   * Push messages to the handlers as they arrive, from every lane at once
+   * @param {Object} handlers - { processMessage, processError }
+   * @returns {Object} Subscription with close()
+   */
+  async subscribe(handlers) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const subscriptions = [];
+    for (const lane of this.distinctLanes()) {
+      const receiver = await this.getReceiver(lane);
+      subscriptions.push(receiver.subscribe({
+        processMessage: async (message) => {
+          this.receiverOf.set(message, receiver);
+          await handlers.processMessage(message);
+        },
+        processError: handlers.processError
+      }, {
+        autoCompleteMessages: false // Completed or abandoned by the caller
+      }));
+    }
+
+    return {
+      close: async () => {
+        await Promise.all(subscriptions.map(subscription => subscription.close()));
+      }
+    };
+  }
+
+  /**
+   * Open a short-lived receiver on a lane's dead-letter sub-queue
+   * A new one per call, so peeking always starts at the oldest message.
+   * @param {string} lane
+   */
+  async createDeadLetterReceiver(lane) {
+    if (!this.client) {
+      await this.initialize();
+    }
+    return this.client.createReceiver(this.queueNames[lane], {
+      subQueueType: 'deadLetter',
+      receiveMode: 'peekLock'
+    });
+  }
+
+  /**
+   * Return up to maxCount dead-lettered messages of all lanes without removing them, oldest first
+   * @param {number} maxCount
+   */
+  async peekDeadLetterMessages(maxCount) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const deadLetters = [];
+    for (const lane of this.distinctLanes()) {
+      const receiver = await this.createDeadLetterReceiver(lane);
+      try {
+        const messages = await receiver.peekMessages(maxCount);
+        deadLetters.push(...messages.map(message => toDeadLetter(message, this.queueNames, lane)));
+      } finally {
+        await receiver.close();
+      }
+    }
+
+    return deadLetters
+      .sort((a, b) => (a.enqueuedTimeUtc || '').localeCompare(b.enqueuedTimeUtc || ''))
+      .slice(0, maxCount);
+  }
+
+  /**
+   * Remove dead-lettered messages
+   * @param {Array<string>|null} sequenceNumbers - Messages to remove; null removes all
+   * @param {Function} [beforeRemove] - async (deadLetter) => {} called first; a throw keeps the message
+   * @returns {Object} { removed, failed: [{ sequenceNumber, error }] }
+   */
+  async removeDeadLetterMessages(sequenceNumbers, beforeRemove) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const removed = [];
+    const failed = [];
+    for (const lane of this.distinctLanes()) {
+      // The sequence numbers that live in this lane's queue, as this lane encodes them
+      const wanted = sequenceNumbers && new Set(sequenceNumbers
+        .map(String)
+        .filter(encoded => this.queueNames[decodeSequenceNumber(encoded).lane] === this.queueNames[lane])
+        .map(encoded => encodeSequenceNumber(this.queueNames, lane, decodeSequenceNumber(encoded).sequenceNumber)));
+      if (wanted && wanted.size === 0) {
+        continue;
+      }
+
+      const result = await this.removeLaneDeadLetters(lane, wanted, beforeRemove);
+      removed.push(...result.removed);
+      failed.push(...result.failed);
+    }
+
+    return { removed, failed };
+  }
+
+  /**
+   * Remove dead-lettered messages of one lane
+   * Service Bus cannot fetch a message by sequence number here, so the
+   * sub-queue is received in batches; messages that were not selected stay
+   * locked until the scan ends so they are not received twice, then are abandoned.
+   * @param {string} lane
+   * @param {Set<string>|null} wanted - Encoded sequence numbers; null removes all
+   * @param {Function} [beforeRemove]
+   */
+  async removeLaneDeadLetters(lane, wanted, beforeRemove) {
+    const receiver = await this.createDeadLetterReceiver(lane);
+    const removed = [];
+    const failed = [];
+    const skipped = [];
+
+    try {
+      let scanned = 0;
+      while (scanned < MAX_DEAD_LETTER_SCAN && !(wanted && removed.length + failed.length === wanted.size)) {
+        const batch = await receiver.receiveMessages(50, { maxWaitTimeInMs: 2000 });
+        if (batch.length === 0) {
+          break;
+        }
+        scanned += batch.length;
+
+        for (const message of batch) {
+          const deadLetter = toDeadLetter(message, this.queueNames, lane);
+          if (wanted && !wanted.has(deadLetter.sequenceNumber)) {
+            skipped.push(message);
+            continue;
+          }
+          try {
+            if (beforeRemove) {
+              await beforeRemove(deadLetter);
+            }
+            await receiver.completeMessage(message);
+            removed.push(deadLetter);
+          } catch (error) {
+            skipped.push(message);
+            failed.push({ sequenceNumber: deadLetter.sequenceNumber, error: error.message });
+          }
+        }
+      }
+    } finally {
+      for (const message of skipped) {
+        await receiver.abandonMessage(message).catch(() => {});
+      }
+      await receiver.close();
+    }
+
+    return { removed, failed };
+  }
+
+  /**
+   * Remove a locked message from the queue
+   * @param {Object} message - Received message
+   */
+  async completeMessage(message) {
+    await this.receiverOf.get(message).completeMessage(message);
+  }
+
+  /**
+   * Release a locked message for redelivery
+   * @param {Object} message - Received message
+   */
+  async abandonMessage(message) {
+    await this.receiverOf.get(message).abandonMessage(message);
+  }
+
+  /**
+   * Close connections
+   */
+  async close() {
+    for (const receiver of this.receivers.values()) {
+      await receiver.close();
+    }
+    for (const sender of this.senders.values()) {
+      await sender.close();
+    }
+    if (this.client) {
+      await this.client.close();
+    }
+    this.receivers.clear();
+    this.senders.clear();
+    this.client = null;
+
+    logger.info('Service Bus connections closed');
+  }
+}
+
+// Singleton instance
+const serviceBusQueueService = new ServiceBusQueueService();
+
+export default serviceBusQueueService;
@@ -0,0 +1,40 @@
+/**
+ * Fields that move a search to the trash
+ * The search stops running; whether it was active and scheduled is kept in
+ * `trashedState` so a restore brings it back exactly as it was.
+ * @param {Object} search - Current search document
+ * @returns {Object} Fields for updateSearch
+ */
+export function trashUpdates(search) {
+  if (search.deletedAt) {
+    return {};
+  }
+  return {
+    deletedAt: new Date().toISOString(),
+    trashedState: {
+      isActive: search.isActive !== false,
+      scheduleEnabled: search.schedule?.enabled !== false
+    },
+    isActive: false,
+    schedule: { ...search.schedule, enabled: false }
+  };
+}
+
+/**
+ * Fields that take a search out of the trash, undoing trashUpdates
+ * Searches trashed before `trashedState` existed come back active and scheduled.
+ * @param {Object} search - Current search document
+ * @returns {Object} Fields for updateSearch
+ */
+export function restoreUpdates(search) {
+  if (!search.deletedAt) {
+    return {};
+  }
+  const state = search.trashedState || { isActive: true, scheduleEnabled: true };
+  return {
+    deletedAt: null,
+    trashedState: null,
+    isActive: state.isActive,
+    schedule: { ...search.schedule, enabled: state.scheduleEnabled }
+  };
+}
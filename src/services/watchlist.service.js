@@ -0,0 +1,98 @@
+import databaseService from './database.service.js';
+import { getHotelKey } from '../parsers/hotel-key.js';
+
+export const MAX_WATCHED_HOTELS = 50;
+
+/**
+ * Hotel keys on a search's watchlist
+ * @param {Object} search
+ * @returns {Set<string>}
+ */
+export function watchedHotelKeys(search) {
+  return new Set((search.watchlist || []).map(entry => entry.hotelKey));
+}
+
+/**
+ * Keep only the price rows of watched hotels
+ * @param {Array} prices
+ * @param {Object} search
+ * @returns {Array}
+ */
+export function filterWatched(prices, search) {
+  const keys = watchedHotelKeys(search);
+  return prices.filter(price => keys.has(getHotelKey(price)));
+}
+
+/**
+ * Flag every price row with whether its hotel is watched
+ * @param {Array} prices
+ * @param {Object} search
+ * @returns {Array} Copies with `watched` set
+ */
+export function markWatched(prices, search) {
+  const keys = watchedHotelKeys(search);
+  return prices.map(price => ({ ...price, watched: keys.has(getHotelKey(price)) }));
+}
+
+/**
+ * Watchlist Service
+ * A search's watchlist (`watchlist` on the search document) pins the few
+ * hotels that matter out of everything a search returns, by hotel key
+ * (see hotel-key.js), so renames and locale changes do not unpin them.
+ * Price endpoints and exports filter to it with `watched=true`.
+ */
+class WatchlistService {
+  /**
+   * Watchlist of a search with each hotel's state in the latest run
+   * `present`: in the latest run, with its cheapest row there;
+   * `missing`: seen before but not in the latest run (as getOutdatedHotels reports it), with its last row;
+   * `not_seen`: no prices of the hotel in this search (yet).
+   * @param {Object} search
+   * @returns {Object} { runId, missingCount, hotels: [{ hotelKey, hotelName, addedAt, status, price }] }
+   */
+  async getWatchlist(search) {
+    const entries = search.watchlist || [];
+    if (entries.length === 0) {
+      return { runId: null, missingCount: 0, hotels: [] };
+    }
+
+    const [latestPrices, outdatedPrices] = await Promise.all([
+      databaseService.getLatestPrices(search.id),
+      databaseService.getOutdatedHotels(search.id)
+    ]);
+
+    const latest = new Map();
+    for (const price of latestPrices) {
+      const key = getHotelKey(price);
+      if (!latest.has(key) || price.numericPrice < latest.get(key).numericPrice) {
+        latest.set(key, price);
+      }
+    }
+
+    // Outdated rows come newest first: the first row of a hotel is its last sighting
+    const lastSeen = new Map();
+    for (const price of outdatedPrices) {
+      const key = getHotelKey(price);
+      if (!lastSeen.has(key)) {
+        lastSeen.set(key, price);
+      }
+    }
+
+    const hotels = entries.map(entry => {
+      const price = latest.get(entry.hotelKey) || lastSeen.get(entry.hotelKey) || null;
+      const status = latest.has(entry.hotelKey) ? 'present' : lastSeen.has(entry.hotelKey) ? 'missing' : 'not_seen';
+      return { ...entry, hotelName: price?.hotelName || entry.hotelName, status, price };
+    });
+
+    return {
+      runId: latestPrices.length > 0 ? latestPrices[0].runId || null : null,
+      missingCount: hotels.filter(hotel => hotel.status === 'missing').length,
+      hotels
+    };
+  }
+}
+
+// Singleton instance
+const watchlistService = new WatchlistService();
+
+export default watchlistService;
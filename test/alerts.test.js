@@ -0,0 +1,166 @@
+import { CRITERIA, createTestApp, recordRun } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAlertRule, isDuplicateAlert, validateAlertRule } from '../src/services/alert-rules.js';
+import alertService from '../src/services/alert.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 9, 1);
+
+let ctx;
+let search;
+
+/**
+ * Evaluate the search's rules against its latest run
+ * @returns {Array<string>} "<type>:<subject>" of every new alert
+ */
+async function evaluate() {
+  const response = await ctx.request('alice', 'POST', `/api/searches/${search.id}/alerts/evaluate`);
+  assert.equal(response.status, 200);
+  return response.body.events.map(event => `${event.ruleType}:${event.subject}`).sort();
+}
+
+/**
+ * Record run n, one day after the previous one
+ */
+async function run(n, hotels) {
+  await recordRun(ctx.db, search, `run_${n}`, new Date(T0 + n * DAY_MS).toISOString(), hotels);
+}
+
+before(async () => {
+  ctx = await createTestApp();
+  search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Alerts', criteria: CRITERIA })).body;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('rule parameters are checked per type', () => {
+  assert.equal(validateAlertRule({ type: 'price_below', maxPrice: 100 }), null);
+  assert.match(validateAlertRule({ type: 'price_below' }), /needs "maxPrice"/);
+  assert.match(validateAlertRule({ type: 'hotel_drop', percent: 10 }), /needs "hotelKey"/);
+  assert.match(validateAlertRule({ type: 'new_hotel', minRating: 11 }), /needs "minRating" \(0-10\)/);
+  assert.match(validateAlertRule({ type: 'bogus' }), /Unknown alert type/);
+});
+
+test('a run with no earlier history announces no new hotels', () => {
+  const hotels = new Map([['booking:fr:a', { hotelUrl: 'https://www.booking.com/hotel/fr/a.html', hotelName: 'A', numericPrice: 90, rating: '9.5' }]]);
+  const context = { hotels, previousPrices: new Map(), weekMin: null, seenHotels: new Set() };
+  assert.deepEqual(evaluateAlertRule({ type: 'new_hotel', minRating: 8 }, context), []);
+});
+
+test('repeated price alerts are sent again only when the price falls further or the rule re-armed', () => {
+  const rule = { type: 'price_below', maxPrice: 100 };
+  assert.equal(isDuplicateAlert(rule, { price: 90 }, undefined, false), false);
+  assert.equal(isDuplicateAlert(rule, { price: 90 }, { price: 90 }, true), true);
+  assert.equal(isDuplicateAlert(rule, { price: 85 }, { price: 90 }, true), false);
+  assert.equal(isDuplicateAlert(rule, { price: 90 }, { price: 90 }, false), false);
+  assert.equal(isDuplicateAlert({ type: 'new_hotel' }, { price: 50 }, { price: 90 }, false), true);
+});
+
+test('rules are managed by the owner only', async () => {
+  const created = await ctx.request('alice', 'POST', `/api/searches/${search.id}/alerts`, { type: 'price_below', maxPrice: 100 });
+  assert.equal(created.status, 201);
+  assert.match(created.body.id, /^alert_/);
+
+  assert.equal((await ctx.request('alice', 'POST', `/api/searches/${search.id}/alerts`, { type: 'price_below' })).status, 400);
+  assert.equal((await ctx.request('bob', 'POST', `/api/searches/${search.id}/alerts`, { type: 'below_week_min' })).status, 404);
+
+  const rules = await ctx.request('alice', 'GET', `/api/searches/${search.id}/alerts`);
+  assert.equal(rules.body.rules.length, 1);
+});
+
+test('evaluation records each alert once per run and deduplicates across runs', async () => {
+  await ctx.request('alice', 'POST', `/api/searches/${search.id}/alerts`, { type: 'hotel_drop', hotelKey: 'booking:fr:hotel-a', percent: 10 });
+  await ctx.request('alice', 'POST', `/api/searches/${search.id}/alerts`, { type: 'new_hotel' });
+
+  await run(1, [{ slug: 'hotel-a', name: 'A', price: 150, rating: '8.0' }, { slug: 'hotel-b', name: 'B', price: 120, rating: '9.0' }]);
+  assert.deepEqual(await evaluate(), []);
+
+  await run(2, [
+    { slug: 'hotel-a', name: 'A', price: 130, rating: '8.0' },
+    { slug: 'hotel-b', name: 'B', price: 95, rating: '9.0' },
+    { slug: 'hotel-c', name: 'C', price: 200, rating: '8.7' }
+  ]);
+  assert.deepEqual(await evaluate(), [
+    'hotel_drop:booking:fr:hotel-a',
+    'new_hotel:booking:fr:hotel-c',
+    'price_below:booking:fr:hotel-b'
+  ]);
+
+  // Evaluating the same run again finds the events it already recorded
+  assert.deepEqual(await evaluate(), []);
+
+  // Same prices: nothing new to say
+  await run(3, [
+    { slug: 'hotel-a', name: 'A', price: 130, rating: '8.0' },
+    { slug: 'hotel-b', name: 'B', price: 95, rating: '9.0' },
+    { slug: 'hotel-c', name: 'C', price: 200, rating: '8.7' }
+  ]);
+  assert.deepEqual(await evaluate(), []);
+
+  const history = await ctx.request('bob', 'GET', `/api/searches/${search.id}/alerts/history`);
+  assert.equal(history.status, 404);
+  const ownHistory = await ctx.request('alice', 'GET', `/api/searches/${search.id}/alerts/history`);
+  assert.equal(ownHistory.body.events.length, 3);
+});
+
+test('a price alert re-arms once a run no longer matches', async () => {
+  // Continues from the runs above: hotel-b was alerted at 95, hotel-a's drop at 130
+  await run(4, [
+    { slug: 'hotel-a', name: 'A', price: 150, rating: '8.0' },
+    { slug: 'hotel-b', name: 'B', price: 200, rating: '9.0' },
+    { slug: 'hotel-c', name: 'C', price: 200, rating: '8.7' }
+  ]);
+  assert.deepEqual(await evaluate(), []);
+
+  // Back down to the prices already alerted: a new drop, not a repeat
+  await run(5, [
+    { slug: 'hotel-a', name: 'A', price: 130, rating: '8.0' },
+    { slug: 'hotel-b', name: 'B', price: 95, rating: '9.0' },
+    { slug: 'hotel-c', name: 'C', price: 200, rating: '8.7' }
+  ]);
+  assert.deepEqual(await evaluate(), [
+    'hotel_drop:booking:fr:hotel-a',
+    'price_below:booking:fr:hotel-b'
+  ]);
+
+  // Staying low stays quiet
+  await run(6, [
+    { slug: 'hotel-a', name: 'A', price: 130, rating: '8.0' },
+    { slug: 'hotel-b', name: 'B', price: 95, rating: '9.0' },
+    { slug: 'hotel-c', name: 'C', price: 200, rating: '8.7' }
+  ]);
+  assert.deepEqual(await evaluate(), []);
+});
+
+test('completed runs are evaluated once, recent ones only, and not for trashed searches', async () => {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const watched = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Evaluated', criteria: CRITERIA })).body;
+  const trashed = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Trashed', criteria: CRITERIA })).body;
+  for (const target of [watched, trashed]) {
+    await ctx.request('alice', 'POST', `/api/searches/${target.id}/alerts`, { type: 'price_below', maxPrice: 100 });
+  }
+  await recordRun(ctx.db, watched, 'run_old', new Date(Date.now() - 2 * DAY_MS).toISOString(), [{ slug: 'hotel-a', name: 'A', price: 80, rating: '8.0' }]);
+  await recordRun(ctx.db, watched, 'run_recent', hourAgo, [{ slug: 'hotel-a', name: 'A', price: 90, rating: '8.0' }]);
+  await recordRun(ctx.db, trashed, 'run_trashed', hourAgo, [{ slug: 'hotel-a', name: 'A', price: 90, rating: '8.0' }]);
+  assert.equal((await ctx.request('alice', 'DELETE', `/api/searches/${trashed.id}`)).status, 200);
+
+  const report = await alertService.evaluateCompletedRuns();
+  assert.deepEqual(report, { runsEvaluated: 2, alertsRecorded: 1, failures: [] });
+
+  const history = await ctx.request('alice', 'GET', `/api/searches/${watched.id}/alerts/history`);
+  assert.deepEqual(history.body.events.map(event => event.runId), ['run_recent']);
+  assert.ok((await ctx.db.getRun(watched.id, 'run_recent')).alertsEvaluatedAt);
+  assert.ok((await ctx.db.getRun(trashed.id, 'run_trashed')).alertsEvaluatedAt);
+  // Too old to alert about
+  assert.equal((await ctx.db.getRun(watched.id, 'run_old')).alertsEvaluatedAt, undefined);
+
+  assert.deepEqual(await alertService.evaluateCompletedRuns(), { runsEvaluated: 0, alertsRecorded: 0, failures: [] });
+});
+
+test('evaluating a run that is not completed is a 404', async () => {
+  const response = await ctx.request('alice', 'POST', `/api/searches/${search.id}/alerts/evaluate`, { runId: 'run_missing' });
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,26 @@
+import { runFresh, withEnv } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import databaseService, { getStorageBackendName } from '../src/services/database.service.js';
+import localDBService from '../src/services/local-db.service.js';
+
+test('storage backend defaults to Cosmos DB and is case-insensitive', () => {
+  assert.equal(withEnv('STORAGE_BACKEND', undefined, getStorageBackendName), 'cosmos');
+  assert.equal(withEnv('STORAGE_BACKEND', 'LOCAL', getStorageBackendName), 'local');
+});
+
+test('STORAGE_BACKEND=local routes the facade to the local backend', async () => {
+  await databaseService.initialize();
+  assert.equal(databaseService.uncached, localDBService);
+
+  const user = await databaseService.upsertUser({ id: 'user_switch', email: 'switch@example.com', displayName: 'Switch', googleId: 'google_switch' });
+  assert.equal((await localDBService.getUser(user.id)).email, 'switch@example.com');
+});
+
+test('an unknown STORAGE_BACKEND fails on first use', () => {
+  const output = runFresh(`
+    const { default: db } = await import('./src/services/database.service.js');
+    try { await db.initialize(); console.log('initialized'); } catch (error) { console.log(error.message); }
+  `, { STORAGE_BACKEND: 'mongo' });
+  assert.match(output, /Unknown STORAGE_BACKEND "mongo" \(expected one of: cosmos, local\)/);
+});
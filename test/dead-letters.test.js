@@ -0,0 +1,93 @@
+import { CRITERIA, createTestApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import deadLetterService from '../src/services/dead-letter.service.js';
+import jobQueueService from '../src/services/job-queue.service.js';
+import jobService from '../src/services/job.service.js';
+
+const ADMIN = { id: 'user_admin', email: 'admin@example.com' };
+
+let ctx;
+
+/**
+ * Queue a run, let it fail until it is dead-lettered, and mark its job failed
+ * @returns {Object} { jobId, sequenceNumber }
+ */
+async function deadLetteredJob() {
+  // A new search each time: the run cooldown would hold back a second run
+  const search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Dead letters', criteria: CRITERIA })).body;
+  const { job } = await jobService.enqueueSearchRun(search);
+
+  for (;;) {
+    const [message] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+    if (!message) {
+      break;
+    }
+    await jobQueueService.abandonMessage(message);
+  }
+
+  await ctx.db.updateJob(job.id, 'pending', { status: 'failed', completedAt: new Date().toISOString(), error: 'Scrape failed' });
+  const deadLetter = (await deadLetterService.list()).find(entry => entry.jobId === job.id);
+  return { jobId: job.id, sequenceNumber: deadLetter.sequenceNumber };
+}
+
+before(async () => {
+  ctx = await createTestApp();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('a replayed job is pending before its message is sent', async () => {
+  const { jobId, sequenceNumber } = await deadLetteredJob();
+
+  const driver = jobQueueService.getDriver();
+  const sendMessages = driver.sendMessages;
+  let statusAtSend = null;
+  driver.sendMessages = async function (messages) {
+    statusAtSend = (await jobService.getJob(jobId)).status;
+    return sendMessages.call(this, messages);
+  };
+
+  try {
+    const report = await deadLetterService.replay([sequenceNumber], ADMIN);
+    assert.deepEqual(report.replayed.map(entry => entry.jobId), [jobId]);
+  } finally {
+    driver.sendMessages = sendMessages;
+  }
+
+  assert.equal(statusAtSend, 'pending');
+  const job = await ctx.db.getJobById(jobId);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.replayCount, 1);
+
+  const [message] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+  assert.equal(message.body.jobId, jobId);
+  await jobQueueService.completeMessage(message);
+});
+
+test('a failed send rolls the job back and keeps the dead letter', async () => {
+  const { jobId, sequenceNumber } = await deadLetteredJob();
+
+  const driver = jobQueueService.getDriver();
+  const sendMessages = driver.sendMessages;
+  driver.sendMessages = async () => {
+    throw new Error('Queue unavailable');
+  };
+
+  let report;
+  try {
+    report = await deadLetterService.replay([sequenceNumber], ADMIN);
+  } finally {
+    driver.sendMessages = sendMessages;
+  }
+
+  assert.deepEqual(report.replayed, []);
+  assert.deepEqual(report.failed, [{ sequenceNumber, error: 'Queue unavailable' }]);
+
+  const job = await jobService.getJob(jobId);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Scrape failed');
+  assert.ok((await deadLetterService.list()).some(entry => entry.sequenceNumber === sequenceNumber));
+});
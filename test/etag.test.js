@@ -0,0 +1,68 @@
+import { CRITERIA, createTestApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let ctx;
+let search;
+
+before(async () => {
+  ctx = await createTestApp();
+  search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'ETag', criteria: CRITERIA })).body;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('GET /api/searches/:id sends the document ETag', async () => {
+  const response = await ctx.request('alice', 'GET', `/api/searches/${search.id}`);
+  assert.equal(response.status, 200);
+  assert.ok(response.headers.etag);
+  assert.equal(response.headers.etag, response.body._etag);
+});
+
+test('the ETag is current even while the search is cached', async () => {
+  const first = await ctx.request('alice', 'GET', `/api/searches/${search.id}`);
+  // Price routes fill the search cache
+  await ctx.request('alice', 'GET', `/api/searches/${search.id}/prices`);
+
+  // A write by another process (the Worker) does not go through this instance's cache
+  await ctx.db.uncached.updateSearch(search.id, 'user_alice', { lastRunAt: new Date().toISOString() });
+
+  const second = await ctx.request('alice', 'GET', `/api/searches/${search.id}`);
+  assert.notEqual(second.headers.etag, first.headers.etag);
+
+  const patched = await ctx.request('alice', 'PATCH', `/api/searches/${search.id}`, { searchName: 'Renamed' }, { 'if-match': second.headers.etag });
+  assert.equal(patched.status, 200);
+});
+
+test('PATCH with a stale If-Match fails with 412', async () => {
+  const read = await ctx.request('alice', 'GET', `/api/searches/${search.id}`);
+  await ctx.db.updateSearch(search.id, 'user_alice', { lastRunAt: new Date().toISOString() });
+
+  const stale = await ctx.request('alice', 'PATCH', `/api/searches/${search.id}`, { searchName: 'Lost update' }, { 'if-match': read.headers.etag });
+  assert.equal(stale.status, 412);
+
+  const current = await ctx.request('alice', 'GET', `/api/searches/${search.id}`);
+  assert.notEqual(current.body.searchName, 'Lost update');
+});
+
+test('PATCH without If-Match merges with concurrent changes and returns the new ETag', async () => {
+  await ctx.db.updateSearch(search.id, 'user_alice', { lastRunAt: '2026-10-01T00:00:00.000Z' });
+
+  const patched = await ctx.request('alice', 'PATCH', `/api/searches/${search.id}`, { searchName: 'Merged' });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.searchName, 'Merged');
+  assert.equal(patched.body.lastRunAt, '2026-10-01T00:00:00.000Z');
+  assert.equal(patched.headers.etag, patched.body._etag);
+});
+
+test('GET /api/users/me sends an ETag that PATCH checks', async () => {
+  const me = await ctx.request('alice', 'GET', '/api/users/me');
+  assert.ok(me.headers.etag);
+
+  await ctx.db.updateUser('user_alice', { displayName: 'Changed elsewhere' });
+
+  const stale = await ctx.request('alice', 'PATCH', '/api/users/me', { retention: { rawDays: 30 } }, { 'if-match': me.headers.etag });
+  assert.equal(stale.status, 412);
+});
@@ -0,0 +1,149 @@
+/**
+ * Test helpers
+ * Tests run on the local storage and queue backends, so they need no Azure
+ * services. Import this module before anything from src/: the backends and
+ * the logger read their settings from the environment on first use.
+ */
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.QUEUE_BACKEND = 'local';
+delete process.env.LOCAL_DB_FILE;
+delete process.env.LOCAL_QUEUE_FILE;
+process.env.AZURE_SERVICE_BUS_CONNECTION_STRING ||= 'Endpoint=sb://test.servicebus.windows.net/;SharedAccessKeyName=test;SharedAccessKey=test';
+process.env.GOOGLE_OAUTH_CLIENT_ID ||= 'test-client-id';
+process.env.GOOGLE_OAUTH_CLIENT_SECRET ||= 'test-client-secret';
+process.env.NODE_ENV = 'production';
+process.env.LOG_LEVEL = 'error';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+export const CRITERIA = {
+  destination: 'Paris',
+  checkIn: '2027-05-01',
+  checkOut: '2027-05-04',
+  adults: 2,
+  children: 0,
+  rooms: 1
+};
+
+/**
+ * Booking.com property URL of a test hotel, so rows get a `booking:` hotel key
+ * @param {string} slug
+ */
+export function hotelUrl(slug) {
+  return `https://www.booking.com/hotel/fr/${slug}.html`;
+}
+
+/**
+ * Build the app on the local backends and sign in test users
+ * @param {Array<string>} names - Users to create; `user_<name>` is their ID
+ * @returns {Object} { app, db, request, close }
+ */
+export async function createTestApp(names = ['alice', 'bob']) {
+  const { buildApp } = await import('../src/app.js');
+  const { default: db } = await import('../src/services/database.service.js');
+  const { default: jobQueueService } = await import('../src/services/job-queue.service.js');
+
+  await db.initialize();
+  const app = await buildApp();
+  await app.ready();
+
+  const cookies = {};
+  for (const name of names) {
+    const user = await db.upsertUser({ id: `user_${name}`, email: `${name}@example.com`, displayName: name, googleId: `google_${name}` });
+    const session = app.createSecureSession({
+      user: {
+        userId: user.id,
+        email: user.email,
+        issuedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }
+    });
+    cookies[name] = `session=${encodeURIComponent(app.encodeSecureSession(session))}`;
+  }
+
+  /**
+   * Send a request as a signed-in user
+   * @returns {Object} { status, headers, body } — body parsed as JSON when it is JSON
+   */
+  const request = async (name, method, url, payload, headers = {}) => {
+    const response = await app.inject({ method, url, payload, headers: { cookie: cookies[name], ...headers } });
+    let body;
+    try {
+      body = response.json();
+    } catch {
+      body = response.body;
+    }
+    return { status: response.statusCode, headers: response.headers, body };
+  };
+
+  const close = async () => {
+    await app.close();
+    await jobQueueService.close();
+    await db.close();
+  };
+
+  return { app, db, request, close };
+}
+
+/**
+ * Record a completed run with its price rows, the way the Worker does
+ * @param {Object} db - databaseService
+ * @param {Object} search
+ * @param {string} runId
+ * @param {string} startedAt - ISO timestamp
+ * @param {Array} hotels - [{ slug, name, price, rating }]
+ */
+export async function recordRun(db, search, runId, startedAt, hotels) {
+  await db.createRun({ id: runId, searchId: search.id, userId: search.userId, startedAt });
+  await db.createPrices(hotels.map(hotel => ({
+    searchId: search.id,
+    userId: search.userId,
+    runId,
+    hotelName: hotel.name,
+    hotelUrl: hotelUrl(hotel.slug),
+    rating: hotel.rating,
+    numericPrice: hotel.price,
+    extractedAt: startedAt
+  })));
+  await db.updateRun(search.id, runId, { status: 'completed', finishedAt: startedAt });
+}
+
+/**
+ * Run `fn` with an environment variable set (or unset with undefined), then restore it
+ */
+export function withEnv(name, value, fn) {
+  const previous = process.env[name];
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = previous;
+    }
+  }
+}
+
+/**
+ * Run a snippet in a fresh process, where the backend choice has not been made yet
+ * @param {string} source - ES module source
+ * @param {Object} env - Extra environment variables
+ * @returns {string} stdout
+ */
+export function runFresh(source, env) {
+  return execFileSync(process.execPath, ['--input-type=module', '-e', source], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: 30000
+  });
+}
@@ -0,0 +1,40 @@
+import { withEnv } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jobQueueService from '../src/services/job-queue.service.js';
+import { laneQueueNames } from '../src/services/service-bus-queue.service.js';
+
+after(async () => {
+  await jobQueueService.close();
+});
+
+test('the local queue hands out manual runs first, then scheduled, then backfill', async () => {
+  await jobQueueService.enqueueBatch([
+    { jobId: 'job_backfill', searchId: 's1', userId: 'u1', scheduleType: 'backfill' },
+    { jobId: 'job_scheduled', searchId: 's2', userId: 'u1', scheduleType: 'scheduled' },
+    { jobId: 'job_manual', searchId: 's3', userId: 'u1', scheduleType: 'manual' }
+  ]);
+
+  const received = [];
+  for (let i = 0; i < 3; i++) {
+    const [message] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+    received.push(message.body.jobId);
+    assert.equal(message.applicationProperties.priority, message.body.priority);
+    await jobQueueService.completeMessage(message);
+  }
+
+  assert.deepEqual(received, ['job_manual', 'job_scheduled', 'job_backfill']);
+  assert.deepEqual(await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 }), []);
+});
+
+test('Service Bus lanes share the job queue unless lane queues are configured', () => {
+  const names = withEnv('AZURE_SERVICE_BUS_QUEUE_NAME', 'jobs', () =>
+    withEnv('AZURE_SERVICE_BUS_MANUAL_QUEUE_NAME', undefined, () =>
+      withEnv('AZURE_SERVICE_BUS_BACKFILL_QUEUE_NAME', undefined, laneQueueNames)));
+  assert.deepEqual(names, { manual: 'jobs', scheduled: 'jobs', backfill: 'jobs' });
+
+  const configured = withEnv('AZURE_SERVICE_BUS_QUEUE_NAME', 'jobs', () =>
+    withEnv('AZURE_SERVICE_BUS_MANUAL_QUEUE_NAME', 'jobs-urgent', laneQueueNames));
+  assert.equal(configured.manual, 'jobs-urgent');
+  assert.equal(configured.scheduled, 'jobs');
+});
@@ -0,0 +1,40 @@
+import { createTestApp } from './helpers.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import lifecycleService, { getReadinessDelayMs } from '../src/services/lifecycle.service.js';
+
+let ctx;
+
+before(async () => {
+  ctx = await createTestApp([]);
+});
+
+test('the readiness delay defaults to 5s and can be turned off', () => {
+  assert.equal(getReadinessDelayMs(), 5000);
+  process.env.SHUTDOWN_READINESS_DELAY_MS = '0';
+  try {
+    assert.equal(getReadinessDelayMs(), 0);
+  } finally {
+    delete process.env.SHUTDOWN_READINESS_DELAY_MS;
+  }
+});
+
+test('the instance reports not ready and keeps serving before it drains', async () => {
+  lifecycleService.markReady();
+  assert.equal((await ctx.app.inject({ method: 'GET', url: '/health/ready' })).statusCode, 200);
+
+  let drainedAt = null;
+  lifecycleService.registerShutdownHook('test drain', () => { drainedAt = Date.now(); }, { phase: 'drain' });
+  lifecycleService.registerShutdownHook('http server', () => ctx.close(), { phase: 'drain' });
+
+  const startedAt = Date.now();
+  const shutdown = lifecycleService.shutdown({ timeoutMs: 5000, readinessDelayMs: 300 });
+
+  // During the delay the probe fails but requests are still answered
+  assert.equal((await ctx.app.inject({ method: 'GET', url: '/health/ready' })).statusCode, 503);
+  assert.equal((await ctx.app.inject({ method: 'GET', url: '/health' })).statusCode, 200);
+  assert.equal(drainedAt, null);
+
+  assert.equal(await shutdown, true);
+  assert.ok(drainedAt - startedAt >= 290);
+});
@@ -0,0 +1,66 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import localDBService from '../src/services/local-db.service.js';
+
+let directory;
+
+/**
+ * Price rows of one run, without ids
+ * @param {number} count
+ */
+function priceRows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    searchId: 'search_local',
+    userId: 'user_local',
+    runId: 'run_local',
+    hotelName: `Hotel ${i}`,
+    hotelUrl: `https://www.booking.com/hotel/fr/hotel-${i}.html`,
+    numericPrice: 100 + i,
+    extractedAt: '2026-10-01T00:00:00.000Z'
+  }));
+}
+
+before(async () => {
+  directory = mkdtempSync(join(tmpdir(), 'local-db-'));
+  process.env.LOCAL_DB_FILE = join(directory, 'db.json');
+  await localDBService.initialize();
+});
+
+after(() => {
+  rmSync(directory, { recursive: true, force: true });
+});
+
+test('a bulk write saves the file once', async () => {
+  await localDBService.close();
+
+  let flushes = 0;
+  const flush = localDBService.flush;
+  localDBService.flush = function () {
+    flushes++;
+    return flush.call(this);
+  };
+
+  try {
+    await localDBService.createPrices(priceRows(200));
+    assert.equal(flushes, 0);
+
+    await localDBService.close();
+    assert.equal(flushes, 1);
+  } finally {
+    localDBService.flush = flush;
+  }
+
+  assert.ok(existsSync(process.env.LOCAL_DB_FILE));
+  const saved = JSON.parse(readFileSync(process.env.LOCAL_DB_FILE, 'utf8'));
+  assert.equal(saved.prices.length, 200);
+});
+
+test('the saved file is loaded on initialize', async () => {
+  localDBService.containers.prices.clear();
+  await localDBService.initialize();
+  assert.equal(localDBService.containers.prices.size, 200);
+});
@@ -0,0 +1,82 @@
+import { CRITERIA, createTestApp, hotelUrl } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import localJobRunnerService from '../src/services/local-job-runner.service.js';
+import jobService from '../src/services/job.service.js';
+
+let ctx;
+
+/**
+ * Create a search for alice and queue a manual run of it
+ * @returns {Object} { search, jobId }
+ */
+async function queueRun(name) {
+  const search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: name, criteria: CRITERIA })).body;
+  const response = await ctx.request('alice', 'POST', `/api/searches/${search.id}/run`);
+  assert.equal(response.status, 202);
+  return { search, jobId: response.body.jobId };
+}
+
+/**
+ * Wait until a job is no longer pending or running
+ */
+async function settled(jobId) {
+  for (let i = 0; i < 100; i++) {
+    const job = await jobService.getJob(jobId);
+    if (!['pending', 'running'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(done => setTimeout(done, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+before(async () => {
+  ctx = await createTestApp();
+});
+
+after(async () => {
+  await localJobRunnerService.stop();
+  await ctx.close();
+});
+
+test('without LOCAL_JOB_HANDLER a queued job fails instead of staying pending', async () => {
+  await localJobRunnerService.start();
+  try {
+    const { jobId } = await queueRun('No handler');
+    const job = await settled(jobId);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /No LOCAL_JOB_HANDLER/);
+  } finally {
+    await localJobRunnerService.stop();
+  }
+});
+
+test('a manual run is taken from the local queue and run by the handler', async () => {
+  const handler = async (job, { databaseService }) => {
+    const runId = `run_${job.jobId}`;
+    const startedAt = new Date().toISOString();
+    await databaseService.createRun({ id: runId, searchId: job.searchId, userId: job.userId, jobId: job.jobId, startedAt });
+    await databaseService.createPrices([{ searchId: job.searchId, userId: job.userId, runId, hotelName: 'A', hotelUrl: hotelUrl('hotel-a'), numericPrice: 120, extractedAt: startedAt }]);
+    await databaseService.updateRun(job.searchId, runId, { status: 'completed', finishedAt: new Date().toISOString(), priceCount: 1 });
+    return { priceCount: 1 };
+  };
+  await localJobRunnerService.start({ handler });
+
+  const { search, jobId } = await queueRun('Local run');
+  const job = await settled(jobId);
+  assert.equal(job.status, 'completed');
+
+  const latest = await ctx.request('alice', 'GET', `/api/searches/${search.id}/prices/latest`);
+  assert.deepEqual(latest.body.prices.map(price => price.numericPrice), [120]);
+});
+
+test('a handler error fails the job', async () => {
+  await localJobRunnerService.stop();
+  await localJobRunnerService.start({ handler: async () => { throw new Error('Scraper crashed'); } });
+
+  const { jobId } = await queueRun('Crashing run');
+  const job = await settled(jobId);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Scraper crashed');
+});
@@ -0,0 +1,42 @@
+import { runFresh, withEnv } from './helpers.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jobQueueService, { getQueueBackendName } from '../src/services/job-queue.service.js';
+import localQueueService from '../src/services/local-queue.service.js';
+
+after(async () => {
+  await jobQueueService.close();
+});
+
+test('queue backend defaults to Service Bus', () => {
+  assert.equal(withEnv('QUEUE_BACKEND', undefined, getQueueBackendName), 'servicebus');
+  assert.equal(withEnv('QUEUE_BACKEND', 'Local', getQueueBackendName), 'local');
+});
+
+test('an unknown QUEUE_BACKEND fails on first use', () => {
+  const output = runFresh(`
+    const { default: queue } = await import('./src/services/job-queue.service.js');
+    try { await queue.initialize(); console.log('initialized'); } catch (error) { console.log(error.message); }
+  `, { QUEUE_BACKEND: 'rabbitmq' });
+  assert.match(output, /Unknown QUEUE_BACKEND "rabbitmq"/);
+});
+
+test('QUEUE_BACKEND=local receives, abandons and completes jobs', async () => {
+  await jobQueueService.initialize();
+  assert.equal(jobQueueService.getDriver(), localQueueService);
+
+  await jobQueueService.enqueueJob({ jobId: 'job_local', searchId: 's1', userId: 'u1', scheduleType: 'manual' });
+
+  const [first] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+  assert.equal(first.body.jobId, 'job_local');
+  // A locked message is not handed out twice
+  assert.deepEqual(await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 }), []);
+
+  await jobQueueService.abandonMessage(first);
+  const [again] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+  assert.equal(again.body.jobId, 'job_local');
+  assert.equal(again.deliveryCount, 2);
+
+  await jobQueueService.completeMessage(again);
+  assert.deepEqual(await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 }), []);
+});
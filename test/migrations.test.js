@@ -0,0 +1,52 @@
+import { CRITERIA, createTestApp, hotelUrl } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as backfillRunIds from '../src/migrations/001-backfill-price-run-ids.js';
+import * as backfillSharePermissions from '../src/migrations/002-backfill-share-permissions.js';
+
+let ctx;
+let context;
+let search;
+
+/**
+ * Read a raw document, without the fields the store maintains
+ */
+async function readDocument(containerName, partitionKey, id) {
+  const { documents } = await ctx.db.scanDocuments(containerName, { partitionKey, limit: 100 });
+  const { _etag, _ts, ...document } = documents.find(doc => doc.id === id);
+  return document;
+}
+
+before(async () => {
+  ctx = await createTestApp();
+  context = { db: ctx.db, dryRun: false, log: () => {} };
+  search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Migrations', criteria: CRITERIA })).body;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('002 down removes the share fields up added', async () => {
+  const legacy = { id: `${search.id}_user_bob`, searchId: search.id, ownerId: 'user_alice', sharedWithUserId: 'user_bob', sharedWithEmail: 'bob@example.com' };
+  await ctx.db.replaceDocument('searchShares', legacy);
+
+  assert.equal((await backfillSharePermissions.up(context)).sharesUpdated, 1);
+  const migrated = await readDocument('searchShares', search.id, legacy.id);
+  assert.equal(migrated.permission, 'read');
+  assert.equal(migrated.ownerEmail, 'alice@example.com');
+
+  assert.equal((await backfillSharePermissions.down(context)).sharesReverted, 1);
+  assert.deepEqual(await readDocument('searchShares', search.id, legacy.id), legacy);
+});
+
+test('001 down removes the run ID up added', async () => {
+  const legacy = { id: 'price_legacy', searchId: search.id, userId: 'user_alice', hotelName: 'A', hotelUrl: hotelUrl('hotel-a'), numericPrice: 100, extractedAt: '2026-10-01T00:00:00.000Z' };
+  await ctx.db.replaceDocument('prices', legacy);
+
+  assert.equal((await backfillRunIds.up(context)).pricesUpdated, 1);
+  assert.match((await readDocument('prices', search.id, legacy.id)).runId, /^run_legacy_/);
+
+  assert.equal((await backfillRunIds.down(context)).pricesReverted, 1);
+  assert.deepEqual(await readDocument('prices', search.id, legacy.id), legacy);
+});
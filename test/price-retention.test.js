@@ -0,0 +1,88 @@
+import { CRITERIA, createTestApp, hotelUrl } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import priceRetentionService from '../src/services/price-retention.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+let ctx;
+let search;
+
+before(async () => {
+  ctx = await createTestApp();
+  search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Retention', criteria: CRITERIA })).body;
+
+  // Two samples a day for two hotels, 100 to 96 days ago
+  const rows = [];
+  for (let day = 0; day < 5; day++) {
+    for (let sample = 0; sample < 2; sample++) {
+      for (const slug of ['hotel-a', 'hotel-b']) {
+        rows.push({
+          id: `price_${day}_${sample}_${slug}`,
+          searchId: search.id,
+          userId: 'user_alice',
+          hotelName: slug,
+          hotelUrl: hotelUrl(slug),
+          numericPrice: 100 + day * 10 + sample,
+          extractedAt: new Date(NOW.getTime() - (100 - day) * DAY_MS + sample * 60 * 60 * 1000).toISOString()
+        });
+      }
+    }
+  }
+  await ctx.db.createPrices(rows);
+
+  await ctx.db.createRun({ id: 'run_latest', searchId: search.id, userId: 'user_alice', startedAt: NOW.toISOString() });
+  await ctx.db.createPrices([{ id: 'price_latest', searchId: search.id, userId: 'user_alice', runId: 'run_latest', hotelName: 'hotel-a', hotelUrl: hotelUrl('hotel-a'), numericPrice: 99, extractedAt: NOW.toISOString() }]);
+  await ctx.db.updateRun(search.id, 'run_latest', { status: 'completed', finishedAt: NOW.toISOString() });
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('the search setting wins over the owner setting, which wins over PRICE_RETENTION_RAW_DAYS', () => {
+  process.env.PRICE_RETENTION_RAW_DAYS = '90';
+  try {
+    assert.deepEqual(priceRetentionService.resolvePolicy({ retention: { rawDays: 10 } }, { retention: { rawDays: 20 } }), { rawDays: 10 });
+    assert.deepEqual(priceRetentionService.resolvePolicy({}, { retention: { rawDays: 20 } }), { rawDays: 20 });
+    assert.deepEqual(priceRetentionService.resolvePolicy({}, null), { rawDays: 90 });
+  } finally {
+    delete process.env.PRICE_RETENTION_RAW_DAYS;
+  }
+  assert.deepEqual(priceRetentionService.resolvePolicy({}, null), { rawDays: null });
+});
+
+test('a dry run reports without changing anything', async () => {
+  const report = await priceRetentionService.applyToSearch(search, { rawDays: 30 }, { dryRun: true, now: NOW });
+  assert.deepEqual(report, { daysDownsampled: 5, rawRowsRemoved: 20, rollupsWritten: 10 });
+
+  const { prices } = await ctx.db.getPricesBySearch(search.id, { limit: 100 });
+  assert.equal(prices.length, 21);
+});
+
+test('old raw rows become one daily row per hotel', async () => {
+  const report = await priceRetentionService.applyToSearch(search, { rawDays: 30 }, { now: NOW });
+  assert.deepEqual(report, { daysDownsampled: 5, rawRowsRemoved: 20, rollupsWritten: 10 });
+
+  const { prices } = await ctx.db.getPricesBySearch(search.id, { limit: 100 });
+  const rollups = prices.filter(price => price.granularity === 'day');
+  assert.equal(rollups.length, 10);
+  assert.equal(prices.length, 11);
+
+  const oldest = rollups.filter(price => price.minPrice === 100);
+  assert.equal(oldest.length, 2);
+  for (const rollup of oldest) {
+    assert.equal(rollup.maxPrice, 101);
+    assert.equal(rollup.numericPrice, 100.5);
+    assert.equal(rollup.sampleCount, 2);
+  }
+});
+
+test('the latest snapshot stays raw and a re-run changes nothing', async () => {
+  const report = await priceRetentionService.applyToSearch(search, { rawDays: 30 }, { now: NOW });
+  assert.deepEqual(report, { daysDownsampled: 0, rawRowsRemoved: 0, rollupsWritten: 0 });
+
+  const latest = await ctx.db.getLatestPrices(search.id);
+  assert.deepEqual(latest.map(price => price.id), ['price_latest']);
+});
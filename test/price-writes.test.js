@@ -0,0 +1,67 @@
+import './helpers.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import localDBService from '../src/services/local-db.service.js';
+
+/**
+ * Price rows of one run, without ids
+ * @param {number} count
+ */
+function priceRows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    searchId: 'search_local',
+    userId: 'user_local',
+    runId: 'run_local',
+    hotelName: `Hotel ${i}`,
+    hotelUrl: `https://www.booking.com/hotel/fr/hotel-${i}.html`,
+    numericPrice: 100 + i,
+    extractedAt: '2026-10-01T00:00:00.000Z'
+  }));
+}
+
+before(async () => {
+  await localDBService.initialize();
+});
+
+test('createPrices returns the written rows and is idempotent without ids', async () => {
+  const rows = priceRows(3);
+  const created = await localDBService.createPrices(rows);
+  assert.ok(Array.isArray(created));
+  assert.equal(created.length, 3);
+  assert.equal(created[0].hotelKey, 'booking:fr:hotel-0');
+
+  const again = await localDBService.createPrices(rows);
+  assert.deepEqual(again.map(row => row.id), created.map(row => row.id));
+  assert.equal((await localDBService.getPricesByRun('search_local', 'run_local')).length, 3);
+});
+
+test('writePrices reports rows that already existed', async () => {
+  const report = await localDBService.writePrices(priceRows(4));
+  assert.equal(report.created, 1);
+  assert.equal(report.existing, 3);
+  assert.deepEqual(report.failed, []);
+  assert.deepEqual(report.items.map(item => item.status), ['existing', 'existing', 'existing', 'created']);
+});
+
+test('several rows of one hotel in a run are all written, and only once', async () => {
+  const offers = [120, 150, 180].map((numericPrice, position) => ({
+    ...priceRows(1)[0],
+    runId: 'run_offers',
+    numericPrice,
+    position
+  }));
+
+  const report = await localDBService.writePrices(offers);
+  assert.equal(report.created, 3);
+  assert.equal(new Set(report.items.map(item => item.id)).size, 3);
+
+  // A re-delivered message, split differently, maps to the same rows
+  const again = [await localDBService.writePrices(offers.slice(0, 1)), await localDBService.writePrices(offers.slice(1))];
+  assert.deepEqual(again.map(result => [result.created, result.existing]), [[0, 1], [0, 2]]);
+
+  // Without positions the rows are numbered in batch order
+  const unnumbered = offers.map(({ position, ...row }) => ({ ...row, runId: 'run_unnumbered' }));
+  assert.equal((await localDBService.writePrices(unnumbered)).created, 3);
+  assert.equal((await localDBService.writePrices(unnumbered)).existing, 3);
+  assert.equal((await localDBService.getPricesByRun('search_local', 'run_offers')).length, 3);
+});
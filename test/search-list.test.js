@@ -0,0 +1,98 @@
+import { CRITERIA, createTestApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import searchListService, { decodeSearchCursor } from '../src/services/search-list.service.js';
+
+let ctx;
+const names = {};
+
+/**
+ * Create a search and set its last run time
+ * @returns {string} Search ID
+ */
+async function createSearch(owner, name, lastRunAt) {
+  const search = (await ctx.request(owner, 'POST', '/api/searches', { searchName: name, criteria: CRITERIA })).body;
+  if (lastRunAt) {
+    await ctx.db.updateSearch(search.id, `user_${owner}`, { lastRunAt });
+  }
+  names[search.id] = name;
+  return search.id;
+}
+
+/**
+ * List every page of alice's searches
+ * @returns {Array<Array<string>>} Search names, page by page
+ */
+async function listPages(limit) {
+  const pages = [];
+  let token = '';
+  do {
+    const response = await ctx.request('alice', 'GET', `/api/searches?limit=${limit}${token ? `&continuationToken=${token}` : ''}`);
+    assert.equal(response.status, 200);
+    pages.push(response.body.searches.map(search => search.searchName));
+    token = response.body.continuationToken;
+  } while (token);
+  return pages;
+}
+
+before(async () => {
+  ctx = await createTestApp();
+
+  await createSearch('alice', 'Never ran', null);
+  await createSearch('alice', 'Ran first', '2026-10-01T00:00:00.000Z');
+  await createSearch('alice', 'Ran last', '2026-10-03T00:00:00.000Z');
+  await createSearch('alice', 'Ran second', '2026-10-02T00:00:00.000Z');
+
+  const shared = await createSearch('bob', 'Shared by bob', '2026-10-02T12:00:00.000Z');
+  assert.equal((await ctx.request('bob', 'POST', `/api/searches/${shared}/shares`, { email: 'alice@example.com' })).status, 201);
+  await createSearch('bob', 'Not shared', '2026-10-04T00:00:00.000Z');
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('owned and shared searches are listed newest activity first, page by page', async () => {
+  assert.deepEqual(await listPages(2), [
+    ['Never ran', 'Ran last'],
+    ['Shared by bob', 'Ran second'],
+    ['Ran first']
+  ]);
+});
+
+test('sort keys are only read after the cursor', async () => {
+  const first = await searchListService.listSearches('user_alice', { limit: 3 });
+  assert.equal(first.hasMore, true);
+
+  const read = [];
+  const getByUser = ctx.db.uncached.getSearchSortKeysByUser;
+  const getByIds = ctx.db.uncached.getSearchSortKeysByIds;
+  ctx.db.uncached.getSearchSortKeysByUser = async function (...args) {
+    const keys = await getByUser.apply(this, args);
+    read.push(...keys.map(key => names[key.id]));
+    return keys;
+  };
+  ctx.db.uncached.getSearchSortKeysByIds = async function (...args) {
+    const keys = await getByIds.apply(this, args);
+    read.push(...keys.map(key => names[key.id]));
+    return keys;
+  };
+
+  try {
+    const second = await searchListService.listSearches('user_alice', { limit: 3, cursor: decodeSearchCursor(first.continuationToken) });
+    assert.deepEqual(second.searches.map(search => search.searchName), ['Ran second', 'Ran first']);
+    assert.equal(second.hasMore, false);
+    assert.deepEqual(read.sort(), ['Ran first', 'Ran second']);
+  } finally {
+    ctx.db.uncached.getSearchSortKeysByUser = getByUser;
+    ctx.db.uncached.getSearchSortKeysByIds = getByIds;
+  }
+});
+
+test('a search that becomes newer does not shift later pages', async () => {
+  const first = await searchListService.listSearches('user_alice', { limit: 2 });
+  await createSearch('alice', 'Added meanwhile', null);
+
+  const rest = await searchListService.listSearches('user_alice', { limit: 10, cursor: decodeSearchCursor(first.continuationToken) });
+  assert.deepEqual(rest.searches.map(search => search.searchName), ['Shared by bob', 'Ran second', 'Ran first']);
+});
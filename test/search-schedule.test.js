@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCronExpression, cronMatchesDay } from '../src/parsers/cron-expression.js';
+import { computeNextRun, nextRunAfter, nextRunTimes, validateSchedule } from '../src/services/search-schedule.js';
+
+test('cron fields expand ranges, steps, lists and names', () => {
+  const cron = parseCronExpression('*/15 8-18/2 1,15 JAN-MAR mon-fri');
+  assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+  assert.deepEqual(cron.hours, [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual(cron.daysOfMonth, [1, 15]);
+  assert.deepEqual(cron.months, [1, 2, 3]);
+  assert.deepEqual(cron.daysOfWeek, [1, 2, 3, 4, 5]);
+});
+
+test('cron macros and Sunday as 7', () => {
+  assert.deepEqual(parseCronExpression('@daily'), parseCronExpression('0 0 * * *'));
+  assert.deepEqual(parseCronExpression('0 0 * * 7').daysOfWeek, [0]);
+});
+
+test('invalid cron expressions name the bad part', () => {
+  assert.throws(() => parseCronExpression('0 7 * *'), /must have 5 fields/);
+  assert.throws(() => parseCronExpression('0 25 * * *'), /Invalid hour "25"/);
+  assert.throws(() => parseCronExpression('0 7 * * 5-1'), /Invalid day of week range/);
+  assert.throws(() => parseCronExpression('0 7 * * */0'), /Invalid step/);
+});
+
+test('restricted day-of-month and day-of-week match either, as in Vixie cron', () => {
+  const cron = parseCronExpression('0 0 13 * 5');
+  // 13 March 2026 is a Friday, 6 March a Friday, 13 April a Monday
+  assert.equal(cronMatchesDay(cron, 3, 13, 5), true);
+  assert.equal(cronMatchesDay(cron, 3, 6, 5), true);
+  assert.equal(cronMatchesDay(cron, 4, 13, 1), true);
+  assert.equal(cronMatchesDay(cron, 4, 14, 2), false);
+});
+
+test('cron run times are read in the schedule timezone', () => {
+  const schedule = { cron: '0 7 * * 1-5', timezone: 'Europe/Kyiv' };
+  // Friday 2 October 2026, 12:00 UTC — the next weekday 07:00 in Kyiv (UTC+3) is Monday
+  const runs = nextRunTimes(schedule, new Date('2026-10-02T12:00:00Z'), 2);
+  assert.deepEqual(runs, ['2026-10-05T04:00:00.000Z', '2026-10-06T04:00:00.000Z']);
+});
+
+test('cron times inside quiet hours are skipped', () => {
+  const schedule = { cron: '0 * * * *', quietHours: { start: '22:00', end: '06:00' } };
+  const runs = nextRunTimes(schedule, new Date('2026-10-02T20:30:00Z'), 3);
+  assert.deepEqual(runs, ['2026-10-02T21:00:00.000Z', '2026-10-03T06:00:00.000Z', '2026-10-03T07:00:00.000Z']);
+});
+
+test('interval runs wait for the end of quiet hours', () => {
+  const schedule = { intervalHours: 4, quietHours: { start: '00:00', end: '06:00' } };
+  const runs = nextRunTimes(schedule, new Date('2026-10-02T22:00:00Z'), 3);
+  assert.deepEqual(runs, ['2026-10-02T22:00:00.000Z', '2026-10-03T06:00:00.000Z', '2026-10-03T10:00:00.000Z']);
+});
+
+test('schedules stop after the check-out day', () => {
+  const criteria = { checkIn: '2026-10-10', checkOut: '2026-10-12' };
+  assert.equal(computeNextRun({ cron: '@daily' }, new Date('2026-10-13T00:00:00Z'), criteria), null);
+  assert.equal(nextRunAfter({ intervalHours: 24 }, new Date('2026-10-12T12:00:00Z'), criteria), null);
+});
+
+test('validateSchedule rejects what the JSON schema cannot', () => {
+  assert.equal(validateSchedule({ cron: '0 7 * * *', timezone: 'Europe/Kyiv' }), null);
+  assert.match(validateSchedule({ cron: '0 7 * * *', timezone: 'Nowhere/Town' }), /Unknown timezone/);
+  assert.match(validateSchedule({ cron: '0 0 30 2 *' }), /never matches/);
+  assert.match(validateSchedule({ cron: '0 3 * * *', quietHours: { start: '01:00', end: '05:00' } }), /outside the quiet hours/);
+  assert.match(validateSchedule({ adaptive: true, cron: '@daily' }), /cannot use a cron expression/);
+});
@@ -0,0 +1,101 @@
+import { CRITERIA, createTestApp } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jobService from '../src/services/job.service.js';
+import jobQueueService from '../src/services/job-queue.service.js';
+
+let ctx;
+
+before(async () => {
+  ctx = await createTestApp();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+/**
+ * Create a search for alice
+ */
+async function createSearch(name) {
+  return (await ctx.request('alice', 'POST', '/api/searches', { searchName: name, criteria: CRITERIA })).body;
+}
+
+test('trashing a search cancels its queued and scheduled runs', async () => {
+  const search = await createSearch('Trashed');
+  const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  const queued = await ctx.request('alice', 'POST', `/api/searches/${search.id}/run`);
+  assert.equal(queued.status, 202);
+  const scheduled = await ctx.request('alice', 'POST', `/api/searches/${search.id}/run`, { runAt });
+  assert.equal(scheduled.status, 202);
+
+  const trashed = await ctx.request('alice', 'DELETE', `/api/searches/${search.id}`);
+  assert.equal(trashed.status, 200);
+  assert.equal(trashed.body.jobsCancelled, 2);
+  assert.deepEqual(trashed.body.scheduledMessagesNotCancelled, []);
+
+  for (const jobId of [queued.body.jobId, scheduled.body.jobId]) {
+    const job = await jobService.getJob(jobId);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.cancelReason, 'search_deleted');
+  }
+
+  // The queued message is still delivered, but the job no longer starts
+  const [message] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+  assert.equal(message.body.jobId, queued.body.jobId);
+  assert.equal((await jobService.startJob(message.body.jobId)).outcome, 'not_pending');
+  await jobQueueService.completeMessage(message);
+
+  // The scheduled message was cancelled on the queue
+  assert.deepEqual(await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 }), []);
+});
+
+test('a scheduled message that cannot be cancelled is reported', async () => {
+  const search = await createSearch('Stuck message');
+  const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const scheduled = await ctx.request('alice', 'POST', `/api/searches/${search.id}/run`, { runAt });
+
+  const cancelScheduledJob = jobQueueService.cancelScheduledJob;
+  jobQueueService.cancelScheduledJob = async () => {
+    throw new Error('Queue unavailable');
+  };
+  let trashed;
+  try {
+    trashed = await ctx.request('alice', 'DELETE', `/api/searches/${search.id}`);
+  } finally {
+    jobQueueService.cancelScheduledJob = cancelScheduledJob;
+  }
+
+  assert.equal(trashed.status, 200);
+  assert.equal(trashed.body.jobsCancelled, 1);
+  assert.deepEqual(trashed.body.scheduledMessagesNotCancelled, [scheduled.body.jobId]);
+});
+
+test('startJob rechecks the search before a job runs', async () => {
+  const search = await createSearch('Trashed later');
+  const { job } = await jobService.enqueueSearchRun(search);
+
+  // Trashed without going through the route, e.g. by another instance that failed to cancel
+  await ctx.db.deleteSearch(search.id, 'user_alice');
+
+  const result = await jobService.startJob(job.id);
+  assert.equal(result.outcome, 'search_deleted');
+  assert.equal(result.job.status, 'cancelled');
+
+  const [message] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+  await jobQueueService.completeMessage(message);
+});
+
+test('startJob starts the pending job of a live search once', async () => {
+  const search = await createSearch('Live');
+  const { job } = await jobService.enqueueSearchRun(search);
+
+  const started = await jobService.startJob(job.id);
+  assert.equal(started.outcome, 'started');
+  assert.equal(started.job.status, 'running');
+  assert.equal((await jobService.startJob(job.id)).outcome, 'not_pending');
+
+  const [message] = await jobQueueService.receiveMessages(1, { maxWaitTimeInMs: 10 });
+  await jobQueueService.completeMessage(message);
+});
@@ -0,0 +1,88 @@
+import { CRITERIA, createTestApp, recordRun } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterWatched, markWatched } from '../src/services/watchlist.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 9, 1);
+
+let ctx;
+let search;
+
+before(async () => {
+  ctx = await createTestApp();
+  search = (await ctx.request('alice', 'POST', '/api/searches', { searchName: 'Watchlist', criteria: CRITERIA })).body;
+
+  await recordRun(ctx.db, search, 'run_1', new Date(T0).toISOString(), [
+    { slug: 'hotel-a', name: 'A', price: 100 },
+    { slug: 'hotel-b', name: 'B', price: 200 },
+    { slug: 'hotel-c', name: 'C', price: 300 }
+  ]);
+  await recordRun(ctx.db, search, 'run_2', new Date(T0 + DAY_MS).toISOString(), [
+    { slug: 'hotel-a', name: 'A', price: 90 },
+    { slug: 'hotel-c', name: 'C', price: 310 }
+  ]);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('watched rows are filtered and flagged by hotel key', () => {
+  const watching = { watchlist: [{ hotelKey: 'booking:fr:hotel-a' }] };
+  const rows = [
+    { hotelName: 'A', hotelUrl: 'https://www.booking.com/hotel/fr/hotel-a.en-gb.html' },
+    { hotelName: 'B', hotelUrl: 'https://www.booking.com/hotel/fr/hotel-b.html' }
+  ];
+  assert.deepEqual(filterWatched(rows, watching).map(row => row.hotelName), ['A']);
+  assert.deepEqual(markWatched(rows, watching).map(row => row.watched), [true, false]);
+  assert.deepEqual(filterWatched(rows, {}), []);
+});
+
+test('only the owner can watch hotels, and only hotels in the catalog', async () => {
+  const added = await ctx.request('alice', 'POST', `/api/searches/${search.id}/watchlist`, { hotelKey: 'booking:fr:hotel-a' });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.hotelName, 'A');
+
+  const again = await ctx.request('alice', 'POST', `/api/searches/${search.id}/watchlist`, { hotelKey: 'booking:fr:hotel-a' });
+  assert.equal(again.status, 200);
+
+  assert.equal((await ctx.request('alice', 'POST', `/api/searches/${search.id}/watchlist`, { hotelKey: 'booking:fr:nowhere' })).status, 404);
+  assert.equal((await ctx.request('bob', 'POST', `/api/searches/${search.id}/watchlist`, { hotelKey: 'booking:fr:hotel-c' })).status, 404);
+
+  assert.equal((await ctx.request('alice', 'POST', `/api/searches/${search.id}/watchlist`, { hotelKey: 'booking:fr:hotel-b' })).status, 201);
+});
+
+test('the watchlist reports each hotel against the latest run', async () => {
+  const response = await ctx.request('alice', 'GET', `/api/searches/${search.id}/watchlist`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.runId, 'run_2');
+  assert.equal(response.body.missingCount, 1);
+  assert.deepEqual(
+    response.body.hotels.map(hotel => [hotel.hotelKey, hotel.status, hotel.price?.numericPrice]),
+    [['booking:fr:hotel-a', 'present', 90], ['booking:fr:hotel-b', 'missing', 200]]
+  );
+});
+
+test('watched=true narrows the price endpoints to watched hotels', async () => {
+  const latest = await ctx.request('alice', 'GET', `/api/searches/${search.id}/prices/latest?watched=true`);
+  assert.deepEqual(latest.body.prices.map(price => price.hotelName), ['A']);
+
+  const history = await ctx.request('alice', 'GET', `/api/searches/${search.id}/prices?watched=true`);
+  assert.deepEqual(history.body.prices.map(price => price.hotelName).sort(), ['A', 'A', 'B']);
+
+  const run = await ctx.request('alice', 'GET', `/api/searches/${search.id}/runs/run_1?watched=true`);
+  assert.deepEqual(run.body.prices.map(price => price.hotelName).sort(), ['A', 'B']);
+
+  const outdated = await ctx.request('alice', 'GET', `/api/searches/${search.id}/prices/outdated`);
+  assert.deepEqual(outdated.body.prices.map(price => [price.hotelName, price.watched]), [['B', true]]);
+});
+
+test('removing a hotel takes an encoded hotel key', async () => {
+  const key = encodeURIComponent('booking:fr:hotel-b');
+  assert.equal((await ctx.request('alice', 'DELETE', `/api/searches/${search.id}/watchlist/${key}`)).status, 200);
+  assert.equal((await ctx.request('alice', 'DELETE', `/api/searches/${search.id}/watchlist/${key}`)).status, 404);
+
+  const response = await ctx.request('alice', 'GET', `/api/searches/${search.id}/watchlist`);
+  assert.deepEqual(response.body.hotels.map(hotel => hotel.hotelKey), ['booking:fr:hotel-a']);
+});